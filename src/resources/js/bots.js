@@ -0,0 +1,284 @@
+/**
+ * This module contains the registry of the bots.
+ *
+ * A bot is an AI which decides the user input of a player controlled by computer.
+ * The computer of the original game is registered as the bot named {@link ORIGINAL_BOT_NAME},
+ * and alternative AIs can be registered with their own names, so that each player can be controlled
+ * by any of the registered bots without changing the physics engine ("physics.js").
+ * What is registered is a function which makes a bot ({@link BotFactory}). A bot is made for each player
+ * on the start of each game, so that the players never share a bot even if both choose the same one.
+ *
+ * ex) Register a bot which always runs toward the ball and jumps
+ *
+ *   registerBot('jumper', () => ({
+ *     decide(player, ball, theOtherPlayer) {
+ *       const userInput = new PikaUserInput();
+ *       userInput.xDirection = Math.sign(ball.x - player.x);
+ *       userInput.yDirection = -1;
+ *       return userInput;
+ *     },
+ *   }));
+ *
+ * The user inputs decided by a bot other than the original computer are recorded in replays ("replay.js")
+ * instead of being decided again on playback. So such a bot should not use the RNG for the gameplay ("rand.js"),
+ * otherwise the random sequence of the playback differs from the one of the recorded match.
+ * And since a match can be rewound to an earlier frame (e.g. by the time travel),
+ * a bot should decide the user input only from the given player, ball and the other player.
+ */
+'use strict';
+import { ORIGINAL_COMPUTER_BOT, PikaUserInput } from './physics.js';
+
+/**
+ * AI which decides the user input of a player controlled by computer.
+ * The given player, ball and the other player are read-only views of the ones of the physics engine,
+ * which have the fields of {@link PlayerState} and {@link BallState}, so a bot can not change the physics.
+ * (Only the original computer is given the objects of the physics engine,
+ * since it changes the computer properties of the player it controls.)
+ * @typedef {Object} Bot
+ * @property {function(Object, Object, Object):PikaUserInput} decide decide(player, ball, theOtherPlayer)
+ *           is called on every frame of the rounds and returns the user input for the player
+ * @property {function():void} [dispose] called when the bot is not used anymore (e.g. on the start of the next game),
+ *           to release what the bot holds, such as a worker or a connection
+ */
+
+/**
+ * Function which makes a bot for a player. It is called for each player controlled by the bot on the start
+ * of each game. A bot which keeps a state between the frames (e.g. an {@link AsyncBot}) should be made anew
+ * on every call. A bot without such a state may be returned for every call, but then it should not have "dispose".
+ * @typedef {function():Bot} BotFactory
+ */
+
+/**
+ * Projection of a player for a bot which can not access the physics engine (e.g. a bot run in a worker).
+ * The coordinates are the ones of the physics engine ("physics.js"): x increases to the right, y increases downward.
+ * @typedef {Object} PlayerState
+ * @property {boolean} isPlayer2 Is the player on the right side?
+ * @property {number} x x coordinate of the center: [32, 184] for player 1, [248, 400] for player 2
+ * @property {number} y y coordinate of the center: 244 if the player is on the ground
+ * @property {number} yVelocity y-direction velocity
+ * @property {number} state 0: normal, 1: jumping, 2: jumping and power hitting, 3: diving,
+ *                          4: lying down after diving, 5: win, 6: lost
+ * @property {number} divingDirection -1: left, 0: not diving, 1: right
+ * @property {number} lyingDownDurationLeft number of frames left until the player gets up after diving
+ */
+
+/**
+ * Projection of the ball for a bot which can not access the physics engine
+ * @typedef {Object} BallState
+ * @property {number} x x coordinate of the center: [20, 432], the net pillar is at 216
+ * @property {number} y y coordinate of the center: 252 if the ball touches the ground
+ * @property {number} xVelocity x-direction velocity
+ * @property {number} yVelocity y-direction velocity
+ * @property {boolean} isPowerHit Is the ball power hit?
+ * @property {number} expectedLandingPointX x coordinate where the ball is expected to land
+ *                                          (the one which the original computer uses)
+ */
+
+/**
+ * State of a frame given to a bot which can not access the physics engine
+ * @typedef {Object} BotState
+ * @property {PlayerState} player the player whom the bot controls
+ * @property {PlayerState} theOtherPlayer
+ * @property {BallState} ball
+ */
+
+/** @constant @type {string} name of the bot which is the computer of the original game */
+export const ORIGINAL_BOT_NAME = 'original';
+
+/** @type {Map<string, BotFactory>} factories of the registered bots by their names */
+const bots = new Map();
+
+/**
+ * Make the state given to a bot which can not access the physics engine.
+ * It is a copy, so it can be sent to a worker or frozen.
+ * @param {Object} player the player whom the bot controls (an argument of {@link Bot#decide})
+ * @param {Object} ball
+ * @param {Object} theOtherPlayer
+ * @return {BotState}
+ */
+export function makeBotState(player, ball, theOtherPlayer) {
+  return {
+    player: makePlayerState(player),
+    theOtherPlayer: makePlayerState(theOtherPlayer),
+    ball: {
+      x: ball.x,
+      y: ball.y,
+      xVelocity: ball.xVelocity,
+      yVelocity: ball.yVelocity,
+      isPowerHit: ball.isPowerHit,
+      expectedLandingPointX: ball.expectedLandingPointX,
+    },
+  };
+}
+
+/**
+ * @param {Object} player
+ * @return {PlayerState}
+ */
+function makePlayerState(player) {
+  return {
+    isPlayer2: player.isPlayer2,
+    x: player.x,
+    y: player.y,
+    yVelocity: player.yVelocity,
+    state: player.state,
+    divingDirection: player.divingDirection,
+    lyingDownDurationLeft: player.lyingDownDurationLeft,
+  };
+}
+
+/**
+ * If an asynchronous bot does not reply for this time in milliseconds, it is regarded as hung.
+ * @constant @type {number}
+ */
+const HUNG_BOT_TIMEOUT = 1000;
+
+/**
+ * Base class of the bots which decide the user inputs asynchronously, outside of the game loop
+ * (e.g. in a worker or in another process), since the game can not wait for them.
+ *
+ * A subclass should have the method "send(frame, state)" which sends the state ({@link BotState}) of the frame
+ * to the bot. It is called on each frame, and the user input decided from the state should be passed to
+ * {@link AsyncBot#receive}. It is used on the next frame. If it does not arrive until the
+ * next frame, the player gets no input on the next frame, and the state of the next frame is not sent
+ * until the user input arrives. (The state of a frame is the one on the start of the processing of
+ * the physics engine, which is almost the one drawn on the previous frame.)
+ */
+export class AsyncBot {
+  constructor() {
+    /** @type {boolean} Is the bot ready to receive the states? */
+    this.isReady = false;
+    /** @type {number} number of the calls of {@link AsyncBot#decide} */
+    this.frame = 0;
+    /** @type {number} frame whose state is sent and not replied yet, -1 if there is not */
+    this.pendingFrame = -1;
+    /** @type {number} time (performance.now()) when the state of the pending frame is sent */
+    this.pendingSince = 0;
+    /** @type {{frame: number, userInput: {xDirection: number, yDirection: number, powerHit: number}}} last reply */
+    this.reply = null;
+  }
+
+  /**
+   * Decide the user input from the reply to the state of the previous frame, and send the state of this frame.
+   * @param {Object} player
+   * @param {Object} ball
+   * @param {Object} theOtherPlayer
+   * @return {PikaUserInput}
+   */
+  decide(player, ball, theOtherPlayer) {
+    const userInput = new PikaUserInput();
+    if (
+      this.reply !== null &&
+      this.reply.frame === this.frame - 1 &&
+      this.reply.userInput !== null
+    ) {
+      userInput.xDirection = this.reply.userInput.xDirection;
+      userInput.yDirection = this.reply.userInput.yDirection;
+      userInput.powerHit = this.reply.userInput.powerHit;
+    }
+    this.reply = null;
+
+    if (this.isReady) {
+      if (this.pendingFrame === -1) {
+        this.pendingFrame = this.frame;
+        this.pendingSince = performance.now();
+        this.send(this.frame, makeBotState(player, ball, theOtherPlayer));
+      } else if (performance.now() - this.pendingSince > HUNG_BOT_TIMEOUT) {
+        this.pendingFrame = -1;
+        this.onHung();
+      }
+    }
+    this.frame++;
+    return userInput;
+  }
+
+  /**
+   * Receive the user input decided from the state of the frame
+   * @param {number} frame
+   * @param {*} userInput {xDirection, yDirection, powerHit} decided by the bot. Anything else (e.g. null if
+   *                     the bot took too long) is regarded as no input, and the values are clamped.
+   */
+  receive(frame, userInput) {
+    if (frame !== this.pendingFrame) {
+      return;
+    }
+    this.pendingFrame = -1;
+    if (typeof userInput !== 'object' || userInput === null) {
+      this.reply = { frame: frame, userInput: null };
+      return;
+    }
+    this.reply = {
+      frame: frame,
+      userInput: {
+        xDirection: Math.sign(userInput.xDirection) || 0,
+        yDirection: Math.sign(userInput.yDirection) || 0,
+        powerHit: userInput.powerHit === 1 ? 1 : 0,
+      },
+    };
+  }
+
+  /**
+   * Forget the pending frame and the reply, e.g. when the bot is restarted
+   */
+  clear() {
+    this.pendingFrame = -1;
+    this.reply = null;
+  }
+
+  /**
+   * It is called if the bot does not reply for a while. It can be overridden, e.g. to restart the bot.
+   */
+  onHung() {}
+}
+
+/**
+ * Register the bot
+ * @param {string} name
+ * @param {BotFactory} factory
+ */
+export function registerBot(name, factory) {
+  if (bots.has(name)) {
+    throw new Error(`Bot already registered: ${name}`);
+  }
+  bots.set(name, factory);
+}
+
+/**
+ * Make a bot for a player by the factory of the registered bot
+ * @param {string} name
+ * @return {Bot}
+ */
+export function createBot(name) {
+  const factory = bots.get(name);
+  if (factory === undefined) {
+    throw new Error(`Unknown bot: ${name}`);
+  }
+  return factory();
+}
+
+/**
+ * Release what the bot holds, if it has "dispose"
+ * @param {Bot} bot
+ */
+export function disposeBot(bot) {
+  if (typeof bot.dispose === 'function') {
+    bot.dispose();
+  }
+}
+
+/**
+ * @param {string} name
+ * @return {boolean} Is a bot registered with the name?
+ */
+export function isBotRegistered(name) {
+  return bots.has(name);
+}
+
+/**
+ * @return {string[]} names of the registered bots in the order of the registration
+ */
+export function getBotNames() {
+  return Array.from(bots.keys());
+}
+
+registerBot(ORIGINAL_BOT_NAME, () => ORIGINAL_COMPUTER_BOT);
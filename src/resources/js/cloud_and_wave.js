@@ -7,7 +7,9 @@
  * ex) FUN_00404770 means the function at the address 00404770 in the machine code.
  */
 'use strict';
-import { rand } from './rand.js';
+// In the original machine code, the same "_rand()" function is used for the clouds and wave
+// as for the gameplay. But here, a separate RNG is used for them. (Refer to comments in "rand.js".)
+import { cosmeticRand as rand } from './rand.js';
 
 /**
  * Class represents a cloud
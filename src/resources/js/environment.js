@@ -0,0 +1,429 @@
+/**
+ * This module contains an environment for training agents (AIs) by reinforcement learning,
+ * in the style of the environments of OpenAI Gym.
+ *
+ * It runs a headless match ("headless_match.js"), so it can be run outside web browsers (e.g. on Node.js).
+ * An agent controls one player and an opponent bot ("bots.js"), the computer of the original game by default,
+ * controls the other player. An episode is a game from the start to the end.
+ *
+ * ex) Play episodes with random actions on Node.js
+ *
+ *   const env = new PikaEnvironment({ frameSkip: 4 });
+ *   let observation = env.reset(1);
+ *   let done = false;
+ *   while (!done) {
+ *     const action = Math.floor(NUM_OF_ACTIONS * Math.random());
+ *     const result = env.step(action);
+ *     observation = result.observation;
+ *     done = result.done;
+ *   }
+ *
+ * Action space: an integer in [0, 17] which is the code of the user input (see encodeUserInput in "physics.js")
+ *   action = (xDirection + 1) + 3 * (yDirection + 1) + 9 * powerHit
+ *   xDirection: -1: left, 0: none, 1: right
+ *   yDirection: -1: up (jump), 0: none, 1: down
+ *   powerHit: 1: power hit (or dive if the player is on the ground), 0: none
+ *   (The directions are the ones on the screen, not mirrored for player 2.)
+ *
+ * Observation space: {@link OBSERVATION_SIZE} numbers made by {@link makeObservation}.
+ *   The observation is the state which a bot sees when it decides the user input on the next frame.
+ *   So a bot which uses the same function sees the same observations in the game as the agent in this environment.
+ *
+ * Reward: +1 when the agent gets a point, -1 when the opponent gets a point, 0 otherwise.
+ *
+ * The environment has its own state of the RNG for the gameplay ("rand.js"), so the episodes of an environment
+ * started with the same seed are the same for the same actions, even if other environments run in between.
+ */
+'use strict';
+import {
+  GROUND_HALF_WIDTH,
+  NUM_OF_USER_INPUT_CODES,
+  ORIGINAL_COMPUTER_BOT,
+  PikaUserInput,
+  decodeUserInput,
+} from './physics.js';
+import { HeadlessMatch } from './headless_match.js';
+import { AsyncBot, ORIGINAL_BOT_NAME, createBot } from './bots.js';
+import { generateSeed, getRandState, setRandState, srand } from './rand.js';
+
+/** @typedef {import('./bots.js').Bot} Bot */
+
+/** @constant @type {number} number of the actions: the combinations of (xDirection, yDirection, powerHit) */
+export const NUM_OF_ACTIONS = NUM_OF_USER_INPUT_CODES;
+
+/** @constant @type {number} number of the player states (0 to 6, see Player#state in "physics.js") */
+const NUM_OF_PLAYER_STATES = 7;
+
+/** @constant @type {number} length of the part of a player in an observation */
+const PLAYER_OBSERVATION_SIZE = 5 + NUM_OF_PLAYER_STATES;
+
+/** @constant @type {number} length of an observation */
+export const OBSERVATION_SIZE = 2 * PLAYER_OBSERVATION_SIZE + 6;
+
+/** @constant @type {number} positions are divided by this to be around [-1, 1] */
+const POSITION_SCALE = GROUND_HALF_WIDTH;
+
+/** @constant @type {number} velocities are divided by this to be around [-1, 1] */
+const VELOCITY_SCALE = 20;
+
+/**
+ * Make the observation of the state for the player. It is the same as the one seen by the player on the left side:
+ * if the player is player 2, the x coordinates and directions are mirrored around the net pillar,
+ * so that an agent trained on one side can play on the other side.
+ * (The field is not exactly symmetric for the ball, since the ball x coordinate is in [20, 432].)
+ *
+ * observation[0 .. 11]: the player
+ *   [0] x: (x - 216) / 216, [1] y / 216, [2] yVelocity / 20, [3] divingDirection,
+ *   [4] (lyingDownDurationLeft + 1) / 4, [5 .. 11] one-hot of the state (0 to 6)
+ * observation[12 .. 23]: the other player, in the same form
+ * observation[24 .. 29]: the ball
+ *   [24] x: (x - 216) / 216, [25] y / 216, [26] xVelocity / 20, [27] yVelocity / 20,
+ *   [28] isPowerHit: 1 or 0, [29] expectedLandingPointX: (expectedLandingPointX - 216) / 216
+ *
+ * @param {Object} player the player whom the agent controls (a Player in "physics.js" or a PlayerState in "bots.js")
+ * @param {Object} ball (a Ball in "physics.js" or a BallState in "bots.js")
+ * @param {Object} theOtherPlayer
+ * @return {Float32Array} observation of length {@link OBSERVATION_SIZE}
+ */
+export function makeObservation(player, ball, theOtherPlayer) {
+  const observation = new Float32Array(OBSERVATION_SIZE);
+  const mirror = player.isPlayer2 ? -1 : 1;
+  setPlayerObservation(observation, 0, player, mirror);
+  setPlayerObservation(
+    observation,
+    PLAYER_OBSERVATION_SIZE,
+    theOtherPlayer,
+    mirror
+  );
+  const offset = 2 * PLAYER_OBSERVATION_SIZE;
+  observation[offset] =
+    (mirror * (ball.x - GROUND_HALF_WIDTH)) / POSITION_SCALE;
+  observation[offset + 1] = ball.y / POSITION_SCALE;
+  observation[offset + 2] = (mirror * ball.xVelocity) / VELOCITY_SCALE;
+  observation[offset + 3] = ball.yVelocity / VELOCITY_SCALE;
+  observation[offset + 4] = ball.isPowerHit ? 1 : 0;
+  observation[offset + 5] =
+    (mirror * (ball.expectedLandingPointX - GROUND_HALF_WIDTH)) /
+    POSITION_SCALE;
+  return observation;
+}
+
+/**
+ * Set the part of the player in the observation
+ * @param {Float32Array} observation
+ * @param {number} offset
+ * @param {Object} player
+ * @param {number} mirror -1 if the x coordinates are mirrored, 1 otherwise
+ */
+function setPlayerObservation(observation, offset, player, mirror) {
+  observation[offset] =
+    (mirror * (player.x - GROUND_HALF_WIDTH)) / POSITION_SCALE;
+  observation[offset + 1] = player.y / POSITION_SCALE;
+  observation[offset + 2] = player.yVelocity / VELOCITY_SCALE;
+  observation[offset + 3] = mirror * player.divingDirection;
+  observation[offset + 4] = (player.lyingDownDurationLeft + 1) / 4;
+  observation[offset + 5 + player.state] = 1;
+}
+
+/**
+ * Options of {@link PikaEnvironment}
+ * @typedef {Object} EnvironmentOptions
+ * @property {Bot|string} [opponent] bot which controls the opponent, or the name of a registered bot
+ *                                   (default: the computer of the original game). It is called once on each frame.
+ *                                   It can not be an asynchronous bot ({@link AsyncBot}), since the environment
+ *                                   can not wait for its replies.
+ * @property {string} [difficulty] difficulty level of the computer of the original game (default: "normal")
+ * @property {boolean} [isAgentPlayer2] Does the agent control player 2 (on the right side)? (default: false)
+ * @property {number} [frameSkip] number of frames for which an action is repeated on a step (default: 1)
+ * @property {number} [winningScore] winning score of the game, which is an episode (default: 15)
+ * @property {number} [maxFrames] maximum number of frames of an episode, after which the episode is done
+ *                                as truncated (default: Infinity)
+ */
+
+/**
+ * Result of a step
+ * @typedef {Object} StepResult
+ * @property {Float32Array} observation observation for the next step
+ * @property {number} reward sum of the rewards on the frames of the step
+ * @property {boolean} done Is the episode done?
+ * @property {{scores: number[], frame: number, truncated: boolean}} info
+ *           scores: [player 1 score, player 2 score], frame: number of the frames processed in the episode,
+ *           truncated: Is the episode done by the maximum number of frames instead of the end of the game?
+ */
+
+/**
+ * Class representing an environment
+ */
+export class PikaEnvironment {
+  /**
+   * Create an environment. Call {@link PikaEnvironment#reset} to start an episode.
+   * @param {EnvironmentOptions} [options]
+   */
+  constructor(options = {}) {
+    const opponent =
+      options.opponent === undefined ? ORIGINAL_BOT_NAME : options.opponent;
+    /** @type {Bot} */
+    this.opponent =
+      typeof opponent === 'string' ? createBot(opponent) : opponent;
+    if (this.opponent instanceof AsyncBot) {
+      throw new Error(
+        'An asynchronous bot can not be the opponent, since the environment can not wait for its replies'
+      );
+    }
+    /** @type {string} */
+    this.difficulty =
+      options.difficulty === undefined ? 'normal' : options.difficulty;
+    /** @type {boolean} */
+    this.isAgentPlayer2 = options.isAgentPlayer2 === true;
+    /** @type {number} */
+    this.frameSkip = options.frameSkip === undefined ? 1 : options.frameSkip;
+    /** @type {number} */
+    this.winningScore =
+      options.winningScore === undefined ? 15 : options.winningScore;
+    /** @type {number} */
+    this.maxFrames =
+      options.maxFrames === undefined ? Infinity : options.maxFrames;
+    if (!Number.isInteger(this.frameSkip) || this.frameSkip < 1) {
+      throw new Error(`Invalid frame skip: ${this.frameSkip}`);
+    }
+
+    /** @type {number} state of the RNG for the gameplay of this environment */
+    this.rngState = generateSeed();
+    /** @type {HeadlessMatch} */
+    this.match = null;
+    /** @type {number} number of the frames processed in the episode */
+    this.frame = 0;
+    /** @type {boolean} Is the episode done? */
+    this.done = true;
+    /** @type {Float32Array} observation seen by the agent's bot on the last call, see {@link PikaEnvironment#agentBot} */
+    this.lastObservation = null;
+    /** @type {PikaUserInput} user input of the action being processed */
+    this.actionUserInput = new PikaUserInput();
+
+    /**
+     * The agent controls its player through this bot, so that the agent sees the state at the same point in
+     * the frame as the other bots do (i.e. the ball has already moved on the frame).
+     * @type {Bot}
+     */
+    this.agentBot = {
+      decide: (player, ball, theOtherPlayer) => {
+        this.lastObservation = makeObservation(player, ball, theOtherPlayer);
+        const userInput = new PikaUserInput();
+        userInput.xDirection = this.actionUserInput.xDirection;
+        userInput.yDirection = this.actionUserInput.yDirection;
+        userInput.powerHit = this.actionUserInput.powerHit;
+        return userInput;
+      },
+    };
+    /** @type {boolean} Is the next frame being processed to observe it? See {@link PikaEnvironment#observe}. */
+    this.isObserving = false;
+    /** @type {PikaUserInput} user input decided by the opponent on the observed frame, null if there is not */
+    this.observedOpponentUserInput = null;
+
+    /**
+     * The opponent controls its player through this bot, so that the opponent decides only once on each frame,
+     * although the next frame is processed to observe it before it is processed for real.
+     * The user input decided on the observed frame is used again on the frame processed for real. If the agent
+     * moves first, the opponent is not called on the observed frame, since the agent may move otherwise then.
+     * (The computer of the original game is not wrapped in this, since it is given the objects of
+     * the physics engine. It keeps its state only in them and in the RNG, which are rewound after the observation.)
+     * @type {Bot}
+     */
+    this.opponentBot = {
+      decide: (player, ball, theOtherPlayer) => {
+        if (this.isObserving) {
+          if (!this.isAgentPlayer2) {
+            return new PikaUserInput();
+          }
+          this.observedOpponentUserInput = this.opponent.decide(
+            player,
+            ball,
+            theOtherPlayer
+          );
+          return this.observedOpponentUserInput;
+        }
+        if (this.observedOpponentUserInput !== null) {
+          const userInput = this.observedOpponentUserInput;
+          this.observedOpponentUserInput = null;
+          return userInput;
+        }
+        return this.opponent.decide(player, ball, theOtherPlayer);
+      },
+    };
+    /** @type {PikaUserInput[]} user inputs given to the match, which are ignored since both players are bots */
+    this.userInputArray = [new PikaUserInput(), new PikaUserInput()];
+  }
+
+  /**
+   * Start a new episode
+   * @param {number} [seed] seed of the RNG for the gameplay. If it is not given,
+   *                        the RNG continues from the last episode of this environment.
+   * @return {Float32Array} the first observation
+   */
+  reset(seed) {
+    if (seed !== undefined) {
+      srand(seed);
+    } else {
+      setRandState(this.rngState);
+    }
+    const match = new HeadlessMatch(true, true, this.winningScore);
+    match.computerDifficulty = this.difficulty;
+    match.setComputerBot(this.isAgentPlayer2 ? 1 : 0, this.agentBot);
+    match.setComputerBot(
+      this.isAgentPlayer2 ? 0 : 1,
+      this.opponent === ORIGINAL_COMPUTER_BOT ? this.opponent : this.opponentBot
+    );
+    this.match = match;
+    this.observedOpponentUserInput = null;
+    this.frame = 0;
+    this.done = false;
+    this.advanceToRound();
+    const observation = this.observe();
+    this.rngState = getRandState();
+    return observation;
+  }
+
+  /**
+   * Process the action for {@link EnvironmentOptions#frameSkip} frames, or until the episode is done
+   * @param {number} action integer in [0, 17], see the comment on top of this module
+   * @return {StepResult}
+   */
+  step(action) {
+    if (this.done) {
+      throw new Error('The episode is done. Call reset() to start a new one.');
+    }
+    if (!Number.isInteger(action) || action < 0 || action >= NUM_OF_ACTIONS) {
+      throw new Error(`Invalid action: ${action}`);
+    }
+    setRandState(this.rngState);
+    const match = this.match;
+    const agentIndex = this.isAgentPlayer2 ? 1 : 0;
+    decodeUserInput(action, this.actionUserInput);
+    let reward = 0;
+    for (let i = 0; i < this.frameSkip && !this.done; i++) {
+      const agentScore = match.scores[agentIndex];
+      const opponentScore = match.scores[1 - agentIndex];
+      match.step(this.userInputArray);
+      this.frame++;
+      reward +=
+        match.scores[agentIndex] -
+        agentScore -
+        (match.scores[1 - agentIndex] - opponentScore);
+      this.done = match.gameEnded || this.frame >= this.maxFrames;
+      if (!this.done) {
+        this.advanceToRound();
+      }
+    }
+    const observation = this.observe();
+    this.rngState = getRandState();
+    return {
+      observation: observation,
+      reward: reward,
+      done: this.done,
+      info: {
+        scores: match.scores.slice(),
+        frame: this.frame,
+        truncated: this.done && !match.gameEnded,
+      },
+    };
+  }
+
+  /**
+   * Process the frames on which the players can not move (e.g. the fade out after a round) until the next round
+   */
+  advanceToRound() {
+    const match = this.match;
+    while (match.state !== match.round) {
+      match.step(this.userInputArray);
+      this.frame++;
+    }
+  }
+
+  /**
+   * Get the observation which the agent sees on the next frame, by processing the next frame and rewinding it.
+   * The opponent is not called again on the next frame processed for real (see {@link PikaEnvironment#opponentBot}).
+   * @return {Float32Array}
+   */
+  observe() {
+    const physics = this.match.physics;
+    const snapshot = physics.toJSON();
+    const rngState = getRandState();
+    this.isObserving = true;
+    try {
+      physics.runEngineForNextFrame(this.userInputArray);
+    } finally {
+      this.isObserving = false;
+    }
+    physics.fromJSON(snapshot);
+    setRandState(rngState);
+    return this.lastObservation;
+  }
+}
+
+/**
+ * Result of a step of a vectorized environment
+ * @typedef {Object} VectorStepResult
+ * @property {Float32Array[]} observations observations for the next step. If the episode of an environment
+ *                                         is done, it is the first observation of the next episode.
+ * @property {number[]} rewards
+ * @property {boolean[]} dones
+ * @property {Object[]} infos info of each {@link StepResult}. If the episode is done, it also has
+ *                            the last observation of the episode as "terminalObservation".
+ */
+
+/**
+ * Class representing a batch of environments which are stepped together.
+ * When the episode of an environment is done, the environment is reset automatically.
+ */
+export class PikaVectorEnvironment {
+  /**
+   * Create a batch of environments
+   * @param {number} numOfEnvironments
+   * @param {EnvironmentOptions} [options] options of every environment
+   */
+  constructor(numOfEnvironments, options = {}) {
+    /** @type {PikaEnvironment[]} */
+    this.environments = [];
+    for (let i = 0; i < numOfEnvironments; i++) {
+      this.environments.push(new PikaEnvironment(options));
+    }
+  }
+
+  /**
+   * Start new episodes on all the environments
+   * @param {number} [seed] the environment i is seeded with (seed + i). If it is not given, the RNGs continue.
+   * @return {Float32Array[]} the first observations
+   */
+  reset(seed) {
+    return this.environments.map((environment, i) =>
+      environment.reset(seed === undefined ? undefined : seed + i)
+    );
+  }
+
+  /**
+   * Process the actions on the environments
+   * @param {number[]} actions action for each environment
+   * @return {VectorStepResult}
+   */
+  step(actions) {
+    if (actions.length !== this.environments.length) {
+      throw new Error(
+        `Expected ${this.environments.length} actions, got ${actions.length}`
+      );
+    }
+    const result = { observations: [], rewards: [], dones: [], infos: [] };
+    this.environments.forEach((environment, i) => {
+      const stepResult = environment.step(actions[i]);
+      let observation = stepResult.observation;
+      if (stepResult.done) {
+        stepResult.info.terminalObservation = observation;
+        observation = environment.reset();
+      }
+      result.observations.push(observation);
+      result.rewards.push(stepResult.reward);
+      result.dones.push(stepResult.done);
+      result.infos.push(stepResult.info);
+    });
+    return result;
+  }
+}
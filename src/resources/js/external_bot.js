@@ -0,0 +1,186 @@
+/**
+ * This module takes charge of the external bots, which run as other programs on the same computer
+ * (e.g. a bot written in Python) and control a player through a WebSocket server ("bot server").
+ *
+ * The game connects to the bot server only when the user asks to (see "ui.js"), and only to a server on
+ * the same computer ("ws://localhost:<port>"). The messages are JSON texts:
+ *  - game -> bot server, on every frame of the rounds:
+ *      {type: "observation", frame, player, theOtherPlayer, ball, scores}
+ *      frame: number which increases by 1 on every observation
+ *      player: the player whom the bot controls, theOtherPlayer, ball: see PlayerState and BallState in "bots.js"
+ *      scores: [score of player 1, score of player 2] (player.isPlayer2 tells which one the bot controls)
+ *  - bot server -> game, as the reply to an observation:
+ *      {frame, xDirection, yDirection, powerHit}
+ *      frame: the frame of the observation
+ *      xDirection: -1: left, 0: none, 1: right
+ *      yDirection: -1: up (jump), 0: none, 1: down
+ *      powerHit: 1: power hit (or dive if the player is on the ground), 0: none
+ *
+ * Since the game can not wait for the reply, it is used on the frame next to the observed frame
+ * (see AsyncBot in "bots.js"). If the reply does not arrive within the time budget after the observation is sent,
+ * the player gets no input on the next frame. "tools/bot_server.mjs" is a reference bot server.
+ * Each player controlled by the bot server gets its own bot and connection ({@link createExternalBot}),
+ * so a bot server should keep the state of each connection apart.
+ */
+'use strict';
+import { AsyncBot } from './bots.js';
+
+/** @typedef {import('./bots.js').BotState} BotState */
+/** @typedef {import('./headless_match.js').ScoreKeeper} ScoreKeeper */
+
+/**
+ * Default time budget in milliseconds from sending an observation to receiving the reply
+ * @constant @type {number}
+ */
+export const DEFAULT_EXTERNAL_BOT_TIME_BUDGET = 20;
+
+/** @constant @type {string[]} host names of the bot servers which can be connected */
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * Check whether the URL is the one of a bot server on this computer
+ * @param {string} url
+ * @return {boolean}
+ */
+export function isLocalBotServerURL(url) {
+  let parsedURL;
+  try {
+    parsedURL = new URL(url);
+  } catch (error) {
+    return false;
+  }
+  return (
+    parsedURL.protocol === 'ws:' && LOCAL_HOSTNAMES.includes(parsedURL.hostname)
+  );
+}
+
+/**
+ * Class representing a bot which is controlled by a bot server on this computer.
+ * It can be registered in "bots.js".
+ */
+export class ExternalBot extends AsyncBot {
+  /**
+   * Create a bot. The bot gives no input until it is connected to the bot server.
+   * @param {ScoreKeeper} scoreKeeper the game (or match) whose scores are observed
+   * @param {number} [timeBudget] time budget in milliseconds from sending an observation to receiving the reply
+   */
+  constructor(scoreKeeper, timeBudget = DEFAULT_EXTERNAL_BOT_TIME_BUDGET) {
+    super();
+    /** @type {ScoreKeeper} */
+    this.scoreKeeper = scoreKeeper;
+    /** @type {number} */
+    this.timeBudget = timeBudget;
+    /** @type {WebSocket} */
+    this.socket = null;
+  }
+
+  /**
+   * Connect to the bot server. The connection to the previous server is closed.
+   * @param {string} url URL of the bot server, e.g. "ws://localhost:8765"
+   * @return {Promise<void>} resolved when connected, rejected if it could not connect
+   */
+  connect(url) {
+    this.close();
+    if (!isLocalBotServerURL(url)) {
+      return Promise.reject(
+        new Error(`Not a bot server on this computer: ${url}`)
+      );
+    }
+    const socket = new WebSocket(url);
+    this.socket = socket;
+    return new Promise((resolve, reject) => {
+      socket.onopen = () => {
+        this.isReady = true;
+        resolve();
+      };
+      socket.onmessage = (event) => {
+        this.receiveMessage(event);
+      };
+      // The close event follows the error event, so the error is handled there.
+      socket.onerror = () => {};
+      socket.onclose = () => {
+        if (this.socket === socket) {
+          this.socket = null;
+          this.isReady = false;
+          this.clear();
+        }
+        reject(new Error(`Could not connect to the bot server: ${url}`));
+      };
+    });
+  }
+
+  /**
+   * Close the connection to the bot server
+   */
+  close() {
+    if (this.socket !== null) {
+      const socket = this.socket;
+      this.socket = null;
+      socket.close();
+    }
+    this.isReady = false;
+    this.clear();
+  }
+
+  /**
+   * Close the connection when the bot is not used anymore
+   */
+  dispose() {
+    this.close();
+  }
+
+  /**
+   * Send the observation of the frame to the bot server
+   * @param {number} frame
+   * @param {BotState} state
+   */
+  send(frame, state) {
+    this.socket.send(
+      JSON.stringify({
+        type: 'observation',
+        frame: frame,
+        player: state.player,
+        theOtherPlayer: state.theOtherPlayer,
+        ball: state.ball,
+        scores: this.scoreKeeper.scores.slice(),
+      })
+    );
+  }
+
+  /**
+   * Receive a reply from the bot server
+   * @param {MessageEvent} event
+   */
+  receiveMessage(event) {
+    let reply;
+    try {
+      reply = JSON.parse(event.data);
+    } catch (error) {
+      console.error(error);
+      return;
+    }
+    if (typeof reply !== 'object' || reply === null) {
+      return;
+    }
+    // (The time stamp of the event is the time when the reply arrived, even if the page was busy.)
+    const receivedAt = event.timeStamp || performance.now();
+    this.receive(
+      reply.frame,
+      receivedAt - this.pendingSince <= this.timeBudget ? reply : null
+    );
+  }
+}
+
+/**
+ * Make a bot which connects to the bot server on a connection of its own, for a player.
+ * The bot gives no input until it is connected, and none at all if it could not connect.
+ * @param {ScoreKeeper} scoreKeeper the game (or match) whose scores are observed
+ * @param {string} url URL of the bot server
+ * @param {number} [timeBudget] time budget in milliseconds from sending an observation to receiving the reply
+ * @return {ExternalBot}
+ */
+export function createExternalBot(scoreKeeper, url, timeBudget) {
+  const bot = new ExternalBot(scoreKeeper, timeBudget);
+  bot.connect(url).catch((error) => console.error(error));
+  return bot;
+}
@@ -0,0 +1,344 @@
+/**
+ * This module contains a headless match of Pikachu Volleyball.
+ *
+ * It runs a match from the start of new game to the game end, frame by frame,
+ * without any view, audio or keyboard, so it can be run outside web browsers (e.g. on Node.js).
+ * The game states and the number of frames of each game state are the same as the ones in
+ * the controller ("pikavolley.js"), except that the game states before the start of
+ * new game (intro, menu, ...) are omitted.
+ *
+ * ex) Run a match between two computer players on Node.js
+ *
+ *   const match = new HeadlessMatch(true, true);
+ *   const userInputArray = [new PikaUserInput(), new PikaUserInput()];
+ *   while (match.gameEnded === false) {
+ *     match.step(userInputArray);
+ *   }
+ *   console.log(match.scores);
+ */
+'use strict';
+import { GROUND_HALF_WIDTH, SNAPSHOT_VERSION, PikaPhysics } from './physics.js';
+import { getRandState, setRandState } from './rand.js';
+
+/** @typedef {import('./physics.js').PikaUserInput} PikaUserInput */
+/** @typedef {import('./bots.js').Bot} Bot */
+
+/**
+ * The properties which are needed for processing the score at the end of a round.
+ * Both {@link HeadlessMatch} and PikachuVolleyball (in "pikavolley.js") have these.
+ * @typedef {Object} ScoreKeeper
+ * @property {PikaPhysics} physics
+ * @property {number[]} scores [0] for player 1 score, [1] for player 2 score
+ * @property {number} winningScore
+ * @property {boolean} gameEnded
+ * @property {boolean} isPlayer2Serve
+ */
+
+/** @typedef HeadlessGameState @type {function():void} */
+
+/**
+ * Names of the game states of {@link HeadlessMatch}.
+ * They are used for storing the game state in a snapshot.
+ * @constant @type {string[]}
+ */
+const GAME_STATE_NAMES = [
+  'startOfNewGame',
+  'round',
+  'afterEndOfRound',
+  'beforeStartOfNextRound',
+  'finished',
+];
+
+/**
+ * Give a point to the player on the opposite side of the side on which the ball touched the ground.
+ * The player who gets the point will serve on the next round.
+ * And if the player reaches the winning score, the game ends.
+ * @param {ScoreKeeper} game
+ */
+export function processScoreAtEndOfRound(game) {
+  const physics = game.physics;
+  if (physics.ball.punchEffectX < GROUND_HALF_WIDTH) {
+    game.isPlayer2Serve = true;
+    game.scores[1] += 1;
+    if (game.scores[1] >= game.winningScore) {
+      game.gameEnded = true;
+      physics.player1.isWinner = false;
+      physics.player2.isWinner = true;
+      physics.player1.gameEnded = true;
+      physics.player2.gameEnded = true;
+    }
+  } else {
+    game.isPlayer2Serve = false;
+    game.scores[0] += 1;
+    if (game.scores[0] >= game.winningScore) {
+      game.gameEnded = true;
+      physics.player1.isWinner = true;
+      physics.player2.isWinner = false;
+      physics.player1.gameEnded = true;
+      physics.player2.gameEnded = true;
+    }
+  }
+}
+
+/**
+ * Class representing a headless match
+ */
+export class HeadlessMatch {
+  /**
+   * Create a headless match
+   * @param {boolean} isPlayer1Computer Is player on the left (player 1) controlled by computer?
+   * @param {boolean} isPlayer2Computer Is player on the right (player 2) controlled by computer?
+   * @param {number} [winningScore] if either one of the players reaches this score, game ends
+   */
+  constructor(isPlayer1Computer, isPlayer2Computer, winningScore = 15) {
+    this.physics = new PikaPhysics(isPlayer1Computer, isPlayer2Computer);
+
+    /** @constant @type {number} number of frames for slow motion */
+    this.SLOW_MOTION_FRAMES_NUM = 6;
+    /**
+     * number of frames left for slow motion
+     * (There is no slow motion in a headless match, but the round lasts
+     * for this number of frames after the ball touches the ground as in the controller.)
+     * @type {number}
+     */
+    this.slowMotionFramesLeft = 0;
+
+    /** @type {number[]} [0] for player 1 score, [1] for player 2 score */
+    this.scores = [0, 0];
+    /** @type {number} winning score: if either one of the players reaches this score, game ends */
+    this.winningScore = winningScore;
+
+    /** @type {boolean} Is the game ended? */
+    this.gameEnded = false;
+    /** @type {boolean} Is the round ended? */
+    this.roundEnded = false;
+    /** @type {boolean} Will player 2 serve? */
+    this.isPlayer2Serve = false;
+    /** @type {boolean} true: practice mode on, false: practice mode off */
+    this.isPracticeMode = false;
+
+    /** @type {number} frame counter */
+    this.frameCounter = 0;
+    /** @type {Object.<string,number>} total number of frames for each game state */
+    this.frameTotal = {
+      startOfNewGame: 71,
+      afterEndOfRound: 5,
+      beforeStartOfNextRound: 30,
+      gameEnd: 211,
+    };
+
+    /** @type {PikaUserInput[]} user inputs for the frame being processed */
+    this.userInputArray = null;
+
+    /**
+     * The game state which is being processed now
+     * @type {HeadlessGameState}
+     */
+    this.state = this.startOfNewGame;
+  }
+
+  /**
+   * Process one frame.
+   * It corresponds to one call of the game state function in the game loop of the controller.
+   * @param {PikaUserInput[]} userInputArray userInputArray[0]: PikaUserInput object for player 1, userInputArray[1]: PikaUserInput object for player 2
+   */
+  step(userInputArray) {
+    if (this.slowMotionFramesLeft > 0) {
+      this.slowMotionFramesLeft--;
+    }
+    this.userInputArray = userInputArray;
+    this.state();
+  }
+
+  /**
+   * Get the snapshot of this match.
+   * It includes the state of the built-in RNG for the gameplay ("rand.js").
+   * @return {Object} plain object which can be converted to JSON
+   */
+  toJSON() {
+    return {
+      version: SNAPSHOT_VERSION,
+      rngState: getRandState(),
+      physics: this.physics.toJSON(),
+      state: GAME_STATE_NAMES.find((name) => this[name] === this.state),
+      frameCounter: this.frameCounter,
+      slowMotionFramesLeft: this.slowMotionFramesLeft,
+      scores: this.scores.slice(),
+      winningScore: this.winningScore,
+      gameEnded: this.gameEnded,
+      roundEnded: this.roundEnded,
+      isPlayer2Serve: this.isPlayer2Serve,
+      isPracticeMode: this.isPracticeMode,
+    };
+  }
+
+  /**
+   * Restore this match from the snapshot.
+   * It also restores the state of the built-in RNG for the gameplay ("rand.js").
+   * @param {Object} snapshot snapshot gained by {@link HeadlessMatch#toJSON}
+   */
+  fromJSON(snapshot) {
+    if (snapshot.version !== SNAPSHOT_VERSION) {
+      throw new Error(`Unsupported snapshot version: ${snapshot.version}`);
+    }
+    if (!GAME_STATE_NAMES.includes(snapshot.state)) {
+      throw new Error(`Unknown game state in snapshot: ${snapshot.state}`);
+    }
+    setRandState(snapshot.rngState);
+    this.physics.fromJSON(snapshot.physics);
+    this.state = this[snapshot.state];
+    this.frameCounter = snapshot.frameCounter;
+    this.slowMotionFramesLeft = snapshot.slowMotionFramesLeft;
+    this.scores[0] = snapshot.scores[0];
+    this.scores[1] = snapshot.scores[1];
+    this.winningScore = snapshot.winningScore;
+    this.gameEnded = snapshot.gameEnded;
+    this.roundEnded = snapshot.roundEnded;
+    this.isPlayer2Serve = snapshot.isPlayer2Serve;
+    this.isPracticeMode = snapshot.isPracticeMode;
+  }
+
+  /** @return {boolean} Is the match finished? (i.e. the frames for the game end message are all processed) */
+  get isFinished() {
+    return this.state === this.finished;
+  }
+
+  /** @return {string} difficulty level of the computer */
+  get computerDifficulty() {
+    return this.physics.player1.computerDifficulty;
+  }
+
+  /**
+   * The difficulty level is an option as the winning score, so it is not included in the snapshot.
+   * @param {string} difficulty difficulty level of the computer, a key of COMPUTER_DIFFICULTIES in "physics.js"
+   */
+  set computerDifficulty(difficulty) {
+    this.physics.player1.computerDifficulty = difficulty;
+    this.physics.player2.computerDifficulty = difficulty;
+  }
+
+  /**
+   * Set the bot which decides the user input of the player if the player is controlled by computer.
+   * The bot is an option as the difficulty level, so it is not included in the snapshot.
+   * @param {number} playerIndex 0 for player 1, 1 for player 2
+   * @param {Bot} bot bot registered in "bots.js" (or any other object implementing it)
+   */
+  setComputerBot(playerIndex, bot) {
+    const player =
+      playerIndex === 0 ? this.physics.player1 : this.physics.player2;
+    player.computerBot = bot;
+  }
+
+  /**
+   * Start of new game: Initialize ball and players
+   * @type {HeadlessGameState}
+   */
+  startOfNewGame() {
+    if (this.frameCounter === 0) {
+      this.gameEnded = false;
+      this.roundEnded = false;
+      this.isPlayer2Serve = false;
+      this.physics.player1.gameEnded = false;
+      this.physics.player1.isWinner = false;
+      this.physics.player2.gameEnded = false;
+      this.physics.player2.isWinner = false;
+
+      this.scores[0] = 0;
+      this.scores[1] = 0;
+
+      this.physics.player1.initializeForNewRound();
+      this.physics.player2.initializeForNewRound();
+      this.physics.ball.initializeForNewRound(this.isPlayer2Serve);
+    }
+
+    this.frameCounter++;
+    if (this.frameCounter >= this.frameTotal.startOfNewGame) {
+      this.frameCounter = 0;
+      this.state = this.round;
+    }
+  }
+
+  /**
+   * Round: the players play volleyball in this game state
+   * @type {HeadlessGameState}
+   */
+  round() {
+    const pressedPowerHit =
+      this.userInputArray[0].powerHit === 1 ||
+      this.userInputArray[1].powerHit === 1;
+
+    const isBallTouchingGround = this.physics.runEngineForNextFrame(
+      this.userInputArray
+    );
+
+    if (this.gameEnded === true) {
+      this.frameCounter++;
+      if (
+        this.frameCounter >= this.frameTotal.gameEnd ||
+        (this.frameCounter >= 70 && pressedPowerHit)
+      ) {
+        this.frameCounter = 0;
+        this.state = this.finished;
+      }
+      return;
+    }
+
+    if (
+      isBallTouchingGround &&
+      this.isPracticeMode === false &&
+      this.roundEnded === false &&
+      this.gameEnded === false
+    ) {
+      processScoreAtEndOfRound(this);
+      if (this.roundEnded === false && this.gameEnded === false) {
+        this.slowMotionFramesLeft = this.SLOW_MOTION_FRAMES_NUM;
+      }
+      this.roundEnded = true;
+    }
+
+    if (this.roundEnded === true && this.gameEnded === false) {
+      // if this is the last frame of this round, go to the next game state
+      if (this.slowMotionFramesLeft === 0) {
+        this.state = this.afterEndOfRound;
+      }
+    }
+  }
+
+  /**
+   * After end of round (where the controller fades out)
+   * @type {HeadlessGameState}
+   */
+  afterEndOfRound() {
+    this.frameCounter++;
+    if (this.frameCounter >= this.frameTotal.afterEndOfRound) {
+      this.frameCounter = 0;
+      this.state = this.beforeStartOfNextRound;
+    }
+  }
+
+  /**
+   * Before start of next round, initialize ball and players
+   * @type {HeadlessGameState}
+   */
+  beforeStartOfNextRound() {
+    if (this.frameCounter === 0) {
+      this.physics.player1.initializeForNewRound();
+      this.physics.player2.initializeForNewRound();
+      this.physics.ball.initializeForNewRound(this.isPlayer2Serve);
+    }
+
+    this.frameCounter++;
+    if (this.frameCounter >= this.frameTotal.beforeStartOfNextRound) {
+      this.frameCounter = 0;
+      this.roundEnded = false;
+      this.state = this.round;
+    }
+  }
+
+  /**
+   * Finished: the match is over and nothing happens anymore
+   * (In the controller, the game goes back to the intro at this point.)
+   * @type {HeadlessGameState}
+   */
+  finished() {}
+}
@@ -26,6 +26,24 @@
  *  - "rand.js": For the random function used in the Models ("physics.js", "cloud_and_wave.js").
  *  - "assets_path.js": For the assets (image files, sound files) locations.
  *  - "ui.js": For the user interface (menu bar, buttons etc.) of the html page.
+ *  - "headless_match.js": A match which runs the Model without the View, so it can be run outside web browsers (e.g. on Node.js).
+ *  - "replay.js": For recording a game as a replay which consists of the seed of the RNG and the user inputs.
+ *  - "replay_player.js": For playing a replay on the game view with seek, pause, frame step and playback speed.
+ *  - "replay_link.js": For sharing a replay as a link by encoding it into the fragment of the page URL.
+ *  - "replay_library.js": For keeping the replays of the recent games in IndexedDB of the browser.
+ *  - "time_travel.js": For the time travel debug mode which can rewind the current match and resume it from an earlier frame.
+ *  - "state_hash.js": For the checksum of the gameplay state of a frame, which detects divergence of a replay or a refactored physics engine.
+ *  - "stubs.js": Stubs of the View, the audio and the keyboards which let the Controller run without web browsers (e.g. on Node.js).
+ *  - "netcode.js": The rollback netcode for an online match, which predicts the user input of the other peer and rolls back on a misprediction.
+ *  - "webrtc_connection.js": For the peer-to-peer WebRTC data channel connection between the two peers of an online match.
+ *  - "relay_connection.js": For the WebSocket connection to the relay server ("tools/relay_server.mjs"), an alternative to the WebRTC connection.
+ *  - "spectator.js": For watching a live match with a short delay, played through the relay server or on another tab of the browser.
+ *  - "netplay.js": For playing (or watching) an online match on the game view.
+ *  - "bots.js": The registry of the bots, the AIs which can control a player instead of the computer of the original game.
+ *  - "script_bot.js": For the bots written by the users as script files, which are run in Web Workers.
+ *  - "external_bot.js": For the bots run as other programs, which are connected through a WebSocket server on the same computer.
+ *  - "environment.js": An environment for training AIs by reinforcement learning, which runs a headless match.
+ *  - "mlp_bot.js": For the bots which run small neural networks loaded from JSON files, e.g. agents trained in the environment.
  */
 'use strict';
 import { settings } from '@pixi/settings';
@@ -40,7 +58,11 @@ import { CanvasRenderer } from '@pixi/canvas-renderer';
 import { CanvasSpriteRenderer } from '@pixi/canvas-sprite';
 import { CanvasPrepare } from '@pixi/canvas-prepare';
 import '@pixi/canvas-display';
+import '@pixi/canvas-text';
 import { PikachuVolleyball } from './pikavolley.js';
+import { IntroView, MenuView, GameView, FadeInOut, DebugHUD } from './view.js';
+import { PikaAudio } from './audio.js';
+import { PikaKeyboard } from './keyboard.js';
 import { ASSETS_PATH } from './assets_path.js';
 import { setUpUI } from './ui.js';
 
@@ -157,7 +179,34 @@ function setUpInitialUI() {
  * Set up the game and the full UI, and start the game.
  */
 function setup() {
-  const pikaVolley = new PikachuVolleyball(stage, loader.resources);
+  const resources = loader.resources;
+  const view = {
+    intro: new IntroView(resources),
+    menu: new MenuView(resources),
+    game: new GameView(resources),
+    fadeInOut: new FadeInOut(resources),
+    hud: new DebugHUD(),
+  };
+  stage.addChild(view.intro.container);
+  stage.addChild(view.menu.container);
+  stage.addChild(view.game.container);
+  stage.addChild(view.fadeInOut.black);
+  stage.addChild(view.hud.text);
+  const keyboardArray = [
+    new PikaKeyboard('KeyD', 'KeyG', 'KeyR', 'KeyV', 'KeyZ', 'KeyF'), // for player1
+    new PikaKeyboard( // for player2
+      'ArrowLeft',
+      'ArrowRight',
+      'ArrowUp',
+      'ArrowDown',
+      'Enter'
+    ),
+  ];
+  const pikaVolley = new PikachuVolleyball(
+    view,
+    new PikaAudio(resources),
+    keyboardArray
+  );
   setUpUI(pikaVolley, ticker);
   start(pikaVolley);
 }
@@ -0,0 +1,197 @@
+/**
+ * This module takes charge of the bots which run a small neural network (multi-layer perceptron, MLP),
+ * e.g. an agent trained in the environment for reinforcement learning ("environment.js").
+ *
+ * The network is loaded from a JSON file of the form:
+ *
+ *   {
+ *     "layerSizes": [30, 64, 18],
+ *     "activations": ["relu", "linear"],
+ *     "weights": [[[...30 numbers], ...64 rows], [[...64 numbers], ...18 rows]],
+ *     "biases": [[...64 numbers], [...18 numbers]]
+ *   }
+ *
+ *   layerSizes: number of the units of each layer, from the input layer to the output layer.
+ *               The input layer has OBSERVATION_SIZE units and the output layer has NUM_OF_ACTIONS units.
+ *   activations: activation function of each layer after the input layer: "linear", "relu", "tanh" or "sigmoid"
+ *   weights: weights[l][j][i] is the weight from the unit i of the layer l to the unit j of the layer (l + 1)
+ *   biases: biases[l][j] is the bias of the unit j of the layer (l + 1)
+ *
+ * On every frame, the bot feeds the observation made by makeObservation in "environment.js" to the network,
+ * and chooses the action (see "environment.js") of the output unit with the greatest value.
+ * So the network sees the same observations as in the environment, and an agent trained there
+ * on either side can play on either side.
+ */
+'use strict';
+import { PikaUserInput, decodeUserInput } from './physics.js';
+import {
+  NUM_OF_ACTIONS,
+  OBSERVATION_SIZE,
+  makeObservation,
+} from './environment.js';
+
+/** @type {Object.<string, function(number):number>} activation functions by their names */
+const ACTIVATIONS = {
+  linear: (x) => x,
+  relu: (x) => (x > 0 ? x : 0),
+  tanh: Math.tanh,
+  sigmoid: (x) => 1 / (1 + Math.exp(-x)),
+};
+
+/**
+ * Layer of a network, from the previous layer to this layer
+ * @typedef {Object} Layer
+ * @property {number} inputSize number of the units of the previous layer
+ * @property {number} outputSize number of the units of this layer
+ * @property {Float64Array} weights weights[j * inputSize + i] is the weight from the unit i to the unit j
+ * @property {Float64Array} biases
+ * @property {function(number):number} activation
+ * @property {Float64Array} output values of the units on the last inference
+ */
+
+/**
+ * Class representing a bot which runs a multi-layer perceptron.
+ * It can be registered in "bots.js".
+ */
+export class MLPBot {
+  /**
+   * Create a bot
+   * @param {Object} model network parsed from the JSON file described on top of this module
+   */
+  constructor(model) {
+    /** @type {Layer[]} */
+    this.layers = parseModel(model);
+  }
+
+  /**
+   * Replace the network. The network is not changed if the model is invalid.
+   * @param {Object} model network parsed from the JSON file described on top of this module
+   */
+  load(model) {
+    this.layers = parseModel(model);
+  }
+
+  /**
+   * Compute the values of the output units for the observation
+   * @param {ArrayLike<number>} observation
+   * @return {Float64Array} values of the output units
+   */
+  infer(observation) {
+    let input = observation;
+    for (const layer of this.layers) {
+      const output = layer.output;
+      for (let j = 0; j < layer.outputSize; j++) {
+        let sum = layer.biases[j];
+        const offset = j * layer.inputSize;
+        for (let i = 0; i < layer.inputSize; i++) {
+          sum += layer.weights[offset + i] * input[i];
+        }
+        output[j] = layer.activation(sum);
+      }
+      input = output;
+    }
+    return this.layers[this.layers.length - 1].output;
+  }
+
+  /**
+   * Decide the user input by the network
+   * @param {Object} player
+   * @param {Object} ball
+   * @param {Object} theOtherPlayer
+   * @return {PikaUserInput}
+   */
+  decide(player, ball, theOtherPlayer) {
+    const output = this.infer(makeObservation(player, ball, theOtherPlayer));
+    let action = 0;
+    for (let i = 1; i < output.length; i++) {
+      if (output[i] > output[action]) {
+        action = i;
+      }
+    }
+    const userInput = new PikaUserInput();
+    decodeUserInput(action, userInput);
+    return userInput;
+  }
+}
+
+/**
+ * Check the network and convert it to the layers
+ * @param {Object} model
+ * @return {Layer[]}
+ */
+function parseModel(model) {
+  if (typeof model !== 'object' || model === null) {
+    throw new Error('The model is not an object');
+  }
+  const layerSizes = model.layerSizes;
+  if (
+    !Array.isArray(layerSizes) ||
+    layerSizes.length < 2 ||
+    !layerSizes.every((size) => Number.isInteger(size) && size > 0)
+  ) {
+    throw new Error('Invalid layer sizes');
+  }
+  if (layerSizes[0] !== OBSERVATION_SIZE) {
+    throw new Error(
+      `The input layer should have ${OBSERVATION_SIZE} units, not ${layerSizes[0]}`
+    );
+  }
+  if (layerSizes[layerSizes.length - 1] !== NUM_OF_ACTIONS) {
+    throw new Error(
+      `The output layer should have ${NUM_OF_ACTIONS} units, not ${
+        layerSizes[layerSizes.length - 1]
+      }`
+    );
+  }
+  const numOfLayers = layerSizes.length - 1;
+  for (const name of ['activations', 'weights', 'biases']) {
+    if (!Array.isArray(model[name]) || model[name].length !== numOfLayers) {
+      throw new Error(`The model should have ${numOfLayers} ${name}`);
+    }
+  }
+
+  const layers = [];
+  for (let l = 0; l < numOfLayers; l++) {
+    const inputSize = layerSizes[l];
+    const outputSize = layerSizes[l + 1];
+    const activationName = model.activations[l];
+    if (!Object.prototype.hasOwnProperty.call(ACTIVATIONS, activationName)) {
+      throw new Error(`Unknown activation: ${activationName}`);
+    }
+    const rows = model.weights[l];
+    if (
+      !Array.isArray(rows) ||
+      rows.length !== outputSize ||
+      !rows.every((row) => isNumberArray(row, inputSize))
+    ) {
+      throw new Error(`Invalid weights of the layer ${l + 1}`);
+    }
+    if (!isNumberArray(model.biases[l], outputSize)) {
+      throw new Error(`Invalid biases of the layer ${l + 1}`);
+    }
+    const weights = new Float64Array(outputSize * inputSize);
+    rows.forEach((row, j) => weights.set(row, j * inputSize));
+    layers.push({
+      inputSize: inputSize,
+      outputSize: outputSize,
+      weights: weights,
+      biases: Float64Array.from(model.biases[l]),
+      activation: ACTIVATIONS[activationName],
+      output: new Float64Array(outputSize),
+    });
+  }
+  return layers;
+}
+
+/**
+ * @param {*} array
+ * @param {number} length
+ * @return {boolean} Is it an array of the length whose elements are all finite numbers?
+ */
+function isNumberArray(array, length) {
+  return (
+    Array.isArray(array) &&
+    array.length === length &&
+    array.every((value) => Number.isFinite(value))
+  );
+}
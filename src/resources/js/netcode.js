@@ -0,0 +1,490 @@
+/**
+ * This module contains the rollback netcode for playing a match with a friend on another machine.
+ *
+ * Both peers run the same {@link HeadlessMatch} from the same seed of the RNG ("rand.js"), and send
+ * their own user input of each frame to each other. A peer does not wait for the user input of the other peer:
+ * it predicts the remote user input and processes the frame at once. When the actual remote user input arrives
+ * and it differs from the predicted one, the match is restored from the snapshot of the mispredicted frame
+ * and the frames from there are processed again with the actual user inputs ("rollback", as in GGPO).
+ *
+ *  - The local user input is applied {@link DEFAULT_INPUT_DELAY} frames later, so that it usually reaches
+ *    the other peer before the frame is processed there and the rollbacks are rare and short.
+ *  - A peer does not go ahead of the last frame on which the remote user input is known
+ *    by more than {@link DEFAULT_MAX_ROLLBACK_FRAMES} frames. It waits for the other peer instead.
+ *  - If a peer is ahead of the other peer, it waits for some frames so that they are in sync ("time sync").
+ *  - The state hashes ("state_hash.js") of the periodic frames whose user inputs are all known are exchanged,
+ *    so that a desync (which should not happen) can be detected.
+ *
+ * The session does not depend on how the messages are delivered. Any transport which sends and receives
+ * text messages can be used: the WebRTC data channel ("webrtc_connection.js") on the web page, or an in-memory
+ * loopback transport in the harness ("tools/netcode_loopback.mjs"). Messages may be lost, duplicated
+ * or reordered, since each message carries all the user inputs which are not yet acknowledged by the other peer.
+ */
+'use strict';
+import { PikaUserInput, encodeUserInput, decodeUserInput } from './physics.js';
+import { HeadlessMatch } from './headless_match.js';
+import { srand, getRandState, setRandState } from './rand.js';
+import { computeStateHash } from './state_hash.js';
+import { STATE_HASH_INTERVAL } from './replay.js';
+import { RingBuffer } from './utils/ring_buffer.js';
+
+/**
+ * The settings of an online match which should be the same on both peers.
+ * They are decided by the peer who invites the other peer.
+ * @typedef {Object} NetplaySettings
+ * @property {number} protocolVersion {@link NETCODE_PROTOCOL_VERSION} of the peer
+ * @property {number} seed seed of the RNG for the gameplay
+ * @property {number} winningScore
+ * @property {number} normalFPS game fps (speed option)
+ */
+
+/**
+ * Transport which delivers text messages between the peers
+ * @typedef {Object} NetcodeTransport
+ * @property {function(string):void} send send the message to the other peer
+ * @property {function(string):void} onmessage called with each message received from the other peer.
+ *                                             It is set by {@link RollbackSession}.
+ */
+
+/**
+ * The game state of the match on which the last new frame was processed, for drawing the frame
+ * @typedef {Object} ProcessedFrame
+ * @property {function():void} state game state of the match on which the frame was processed
+ * @property {number} frameCounter frame counter of the match before the frame was processed
+ * @property {boolean} wasGameEnded Was the game ended before the frame was processed?
+ */
+
+/**
+ * Version of the messages and the gameplay of the netcode.
+ * It should be increased if the messages or anything affecting the gameplay is changed,
+ * so that the peers running different versions are not matched.
+ * @constant @type {number}
+ */
+export const NETCODE_PROTOCOL_VERSION = 1;
+
+/** @constant @type {number} default number of frames by which the local user input is delayed */
+export const DEFAULT_INPUT_DELAY = 2;
+
+/** @constant @type {number} default maximum number of frames which can be processed again on a rollback */
+export const DEFAULT_MAX_ROLLBACK_FRAMES = 8;
+
+/** @constant @type {number} time sync is checked on every this number of frames */
+const TIME_SYNC_INTERVAL = 25;
+
+/** @constant @type {number} maximum number of frames to wait for the other peer at a time for time sync */
+const MAX_TIME_SYNC_WAIT_FRAMES = 4;
+
+/** @constant @type {number} code of the user input with no direction and no power hit */
+const NO_INPUT_CODE = encodeUserInput(new PikaUserInput());
+
+/**
+ * Class representing the user input of the other peer.
+ * The user input of a frame is the received one if it has arrived, or the predicted one otherwise.
+ */
+export class RemoteUserInput extends PikaUserInput {
+  constructor() {
+    super();
+    /** @type {number[]} codes[i] is the received code (encodeUserInput in "physics.js") of the frame i */
+    this.codes = [];
+    /** @type {Map<number,number>} predicted codes used for processing the frames which have not been received */
+    this.predictedCodes = new Map();
+  }
+
+  /** @return {number} number of the frames whose user input has been received */
+  get numOfReceivedFrames() {
+    return this.codes.length;
+  }
+
+  /**
+   * Predict the user input of a frame which has not been received.
+   * The last received user input is predicted to be kept, except the power hit which is pressed only once.
+   * @return {number} code of the predicted user input
+   */
+  predict() {
+    if (this.codes.length === 0) {
+      return NO_INPUT_CODE;
+    }
+    const userInput = new PikaUserInput();
+    decodeUserInput(this.codes[this.codes.length - 1], userInput);
+    userInput.powerHit = 0;
+    return encodeUserInput(userInput);
+  }
+
+  /**
+   * Set this user input to the one of the frame
+   * @param {number} frame
+   */
+  setToFrame(frame) {
+    let code;
+    if (frame < this.codes.length) {
+      code = this.codes[frame];
+    } else {
+      code = this.predict();
+      this.predictedCodes.set(frame, code);
+    }
+    decodeUserInput(code, this);
+  }
+
+  /**
+   * Receive the codes of the consecutive frames.
+   * The codes of the frames which have already been received are ignored.
+   * @param {number} start the frame of codes[0]
+   * @param {number[]} codes
+   * @return {number} the first frame whose received user input differs from the predicted one used for
+   *                  processing the frame, -1 if there is no such frame
+   */
+  receive(start, codes) {
+    let mispredictedFrame = -1;
+    if (start > this.codes.length) {
+      // some codes before these are missing: they will come with a later message
+      return mispredictedFrame;
+    }
+    for (let frame = this.codes.length; frame < start + codes.length; frame++) {
+      const code = codes[frame - start];
+      this.codes.push(code);
+      if (this.predictedCodes.has(frame)) {
+        if (
+          this.predictedCodes.get(frame) !== code &&
+          mispredictedFrame === -1
+        ) {
+          mispredictedFrame = frame;
+        }
+        this.predictedCodes.delete(frame);
+      }
+    }
+    return mispredictedFrame;
+  }
+}
+
+/**
+ * Class representing a rollback session of an online match on one of the peers
+ */
+export class RollbackSession {
+  /**
+   * Create a rollback session. The match starts at once,
+   * so it should be created when the transport is ready to deliver messages.
+   * @param {number} localPlayerIndex 0: the local user plays player 1, 1: the local user plays player 2
+   * @param {NetplaySettings} settings
+   * @param {NetcodeTransport} transport
+   * @param {number} [inputDelay] number of frames by which the local user input is delayed
+   * @param {number} [maxRollbackFrames] maximum number of frames which can be processed again on a rollback
+   */
+  constructor(
+    localPlayerIndex,
+    settings,
+    transport,
+    inputDelay = DEFAULT_INPUT_DELAY,
+    maxRollbackFrames = DEFAULT_MAX_ROLLBACK_FRAMES
+  ) {
+    if (settings.protocolVersion !== NETCODE_PROTOCOL_VERSION) {
+      throw new Error(
+        `Unsupported netcode protocol version: ${settings.protocolVersion}`
+      );
+    }
+    /** @type {number} */
+    this.localPlayerIndex = localPlayerIndex;
+    /** @type {NetplaySettings} */
+    this.settings = settings;
+    /** @type {NetcodeTransport} */
+    this.transport = transport;
+    /** @type {number} */
+    this.inputDelay = inputDelay;
+    /** @type {number} */
+    this.maxRollbackFrames = maxRollbackFrames;
+
+    /** @type {HeadlessMatch} */
+    this.match = new HeadlessMatch(false, false, settings.winningScore);
+    // As in the controller, the RNG is seeded right before the start of new game.
+    srand(settings.seed);
+    /**
+     * State of the RNG of this match. The RNG is shared by all the matches in the page,
+     * so it is restored before and kept after the frames of this match are processed.
+     * @type {number}
+     */
+    this.rngState = getRandState();
+
+    /** @type {number} number of processed frames */
+    this.frame = 0;
+    /** @type {number[]} localCodes[i] is the code (encodeUserInput in "physics.js") of the local user input of the frame i */
+    this.localCodes = [];
+    for (let i = 0; i < inputDelay; i++) {
+      this.localCodes.push(NO_INPUT_CODE);
+    }
+    /** @type {PikaUserInput} */
+    this.localUserInput = new PikaUserInput();
+    /** @type {RemoteUserInput} */
+    this.remoteUserInput = new RemoteUserInput();
+    /** @type {PikaUserInput[]} [0] for player 1, [1] for player 2 */
+    this.userInputArray =
+      localPlayerIndex === 0
+        ? [this.localUserInput, this.remoteUserInput]
+        : [this.remoteUserInput, this.localUserInput];
+
+    /**
+     * Snapshots of the match before each of the recent frames is processed, the oldest first.
+     * The last one is the snapshot before the frame (this.frame - 1) is processed.
+     * @type {RingBuffer<{snapshot: Object, stateHash: number}>}
+     */
+    this.savedStates = new RingBuffer(maxRollbackFrames);
+    /** @type {number} the first frame which should be processed again, -1 if no rollback is needed */
+    this.mispredictedFrame = -1;
+    /** @type {ProcessedFrame} */
+    this.processedFrame = null;
+    /** @type {number} state hash after the last processed frame */
+    this.stateHash = computeStateHash(this.match.physics);
+
+    /** @type {number} number of the local frames whose user input has been received by the other peer */
+    this.numOfAckedLocalFrames = 0;
+    /** @type {number} the latest number of processed frames reported by the other peer */
+    this.remoteFrame = 0;
+    /** @type {number} how many frames the other peer thought it was ahead of this peer */
+    this.remoteFrameAdvantage = 0;
+    /** @type {number} number of the ticks to wait for the other peer for time sync */
+    this.numOfTicksToWait = 0;
+
+    /** @type {number} the last frame whose state hash has been sent */
+    this.lastHashedFrame = 0;
+    /** @type {Map<number,number>} local state hashes which are not yet compared, by frame */
+    this.localStateHashes = new Map();
+    /** @type {Map<number,number>} state hashes received from the other peer which are not yet compared, by frame */
+    this.remoteStateHashes = new Map();
+    /** @type {number} the first frame after which the state hashes of the peers differ, -1 if not found */
+    this.desyncedFrame = -1;
+
+    /** @type {{rollbacks: number, resimulatedFrames: number, maxRollbackFrames: number, stalledTicks: number, waitedTicks: number}} */
+    this.stats = {
+      rollbacks: 0,
+      resimulatedFrames: 0,
+      maxRollbackFrames: 0,
+      stalledTicks: 0,
+      waitedTicks: 0,
+    };
+
+    transport.onmessage = (message) => this.receive(message);
+  }
+
+  /** @return {number} number of the frames whose user inputs of both peers are known */
+  get numOfConfirmedFrames() {
+    return Math.min(this.frame, this.remoteUserInput.numOfReceivedFrames);
+  }
+
+  /** @return {boolean} Is the match finished with the user inputs of both peers known? */
+  get isFinished() {
+    return (
+      this.match.isFinished &&
+      this.mispredictedFrame === -1 &&
+      this.numOfConfirmedFrames === this.frame
+    );
+  }
+
+  /**
+   * Process a new frame if possible. This function should be called on every tick of the game loop.
+   * @param {function():PikaUserInput} readLocalUserInput function which returns the local user input.
+   *                                                     It is called only if a new frame is processed.
+   * @return {boolean} Is a new frame processed?
+   */
+  advance(readLocalUserInput) {
+    setRandState(this.rngState);
+    if (this.mispredictedFrame !== -1) {
+      this.rollback();
+    }
+
+    let isAdvanced = false;
+    if (this.match.isFinished) {
+      // wait for the user inputs of the other peer to confirm the end of the match
+    } else if (this.numOfTicksToWait > 0) {
+      this.numOfTicksToWait--;
+      this.stats.waitedTicks++;
+    } else if (
+      this.frame - this.remoteUserInput.numOfReceivedFrames >=
+      this.maxRollbackFrames
+    ) {
+      this.stats.stalledTicks++;
+    } else {
+      this.localCodes.push(encodeUserInput(readLocalUserInput()));
+      const match = this.match;
+      this.processedFrame = {
+        state: match.state,
+        frameCounter: match.frameCounter,
+        wasGameEnded: match.gameEnded,
+      };
+      // Only the sounds of the new frame are played, not the ones of the frames processed again.
+      clearSoundFlags(match);
+      this.processFrame();
+      isAdvanced = true;
+      this.checkTimeSync();
+    }
+
+    this.exchangeStateHashes();
+    this.sendInputs();
+    this.rngState = getRandState();
+    return isAdvanced;
+  }
+
+  /**
+   * Process the frame (this.frame) with the user inputs of the frame, keeping the snapshot before it
+   */
+  processFrame() {
+    this.savedStates.push({
+      snapshot: this.match.toJSON(),
+      stateHash: this.stateHash,
+    });
+    decodeUserInput(this.localCodes[this.frame], this.localUserInput);
+    this.remoteUserInput.setToFrame(this.frame);
+    this.match.step(this.userInputArray);
+    this.frame++;
+    this.stateHash = computeStateHash(this.match.physics);
+  }
+
+  /**
+   * Restore the match to the mispredicted frame and process the frames from there again
+   */
+  rollback() {
+    const currentFrame = this.frame;
+    const index =
+      this.savedStates.length - (currentFrame - this.mispredictedFrame);
+    const savedState = this.savedStates.get(index);
+    this.match.fromJSON(savedState.snapshot);
+    this.stateHash = savedState.stateHash;
+    this.savedStates.truncate(index - 1);
+    this.frame = this.mispredictedFrame;
+    // If the match turns out to be finished earlier, the frames after it are dropped.
+    while (this.frame < currentFrame && !this.match.isFinished) {
+      this.processFrame();
+    }
+
+    const numOfFrames = currentFrame - this.mispredictedFrame;
+    this.stats.rollbacks++;
+    this.stats.resimulatedFrames += numOfFrames;
+    this.stats.maxRollbackFrames = Math.max(
+      this.stats.maxRollbackFrames,
+      numOfFrames
+    );
+    this.mispredictedFrame = -1;
+  }
+
+  /**
+   * Wait for the other peer for some frames if this peer is ahead of it
+   */
+  checkTimeSync() {
+    if (this.frame % TIME_SYNC_INTERVAL !== 0) {
+      return;
+    }
+    // Both frame advantages include the latency, which is cancelled out by the subtraction.
+    const frameAdvantage = Math.floor(
+      (this.frame - this.remoteFrame - this.remoteFrameAdvantage) / 2
+    );
+    if (frameAdvantage >= 1) {
+      this.numOfTicksToWait = Math.min(
+        frameAdvantage,
+        MAX_TIME_SYNC_WAIT_FRAMES
+      );
+    }
+  }
+
+  /**
+   * Keep the state hashes of the newly confirmed frames, and compare them with the ones of the other peer
+   */
+  exchangeStateHashes() {
+    if (this.mispredictedFrame !== -1) {
+      // the state hashes after the mispredicted frame will be changed
+      return;
+    }
+    const numOfConfirmedFrames = this.numOfConfirmedFrames;
+    let frame = this.lastHashedFrame + STATE_HASH_INTERVAL;
+    for (; frame <= numOfConfirmedFrames; frame += STATE_HASH_INTERVAL) {
+      // the state hash after the frame (frame - 1) is processed
+      const stateHash =
+        frame === this.frame
+          ? this.stateHash
+          : this.savedStates.get(this.savedStates.length - (this.frame - frame))
+              .stateHash;
+      this.localStateHashes.set(frame, stateHash);
+      this.lastHashedFrame = frame;
+    }
+    for (const [frame, stateHash] of this.remoteStateHashes) {
+      if (frame > this.lastHashedFrame) {
+        // not yet confirmed on this peer
+        continue;
+      }
+      const localStateHash = this.localStateHashes.get(frame);
+      if (
+        localStateHash !== undefined &&
+        localStateHash !== stateHash &&
+        this.desyncedFrame === -1
+      ) {
+        this.desyncedFrame = frame;
+      }
+      this.remoteStateHashes.delete(frame);
+      // The other peer sends only the latest state hash, so the older ones will not be compared.
+      for (const localFrame of this.localStateHashes.keys()) {
+        if (localFrame < frame) {
+          this.localStateHashes.delete(localFrame);
+        }
+      }
+    }
+  }
+
+  /**
+   * Send the local user inputs which are not yet acknowledged by the other peer.
+   * They are sent on every tick even if there is no new one, so that a lost message is made up for.
+   */
+  sendInputs() {
+    const message = {
+      start: this.numOfAckedLocalFrames,
+      inputs: this.localCodes.slice(this.numOfAckedLocalFrames),
+      ack: this.remoteUserInput.numOfReceivedFrames,
+      frame: this.frame,
+      frameAdvantage: this.frame - this.remoteFrame,
+      hashFrame: this.lastHashedFrame,
+      hash: this.localStateHashes.get(this.lastHashedFrame),
+    };
+    this.transport.send(JSON.stringify(message));
+  }
+
+  /**
+   * Receive the message from the other peer
+   * @param {string} text
+   */
+  receive(text) {
+    const message = JSON.parse(text);
+    const mispredictedFrame = this.remoteUserInput.receive(
+      message.start,
+      message.inputs
+    );
+    if (
+      mispredictedFrame !== -1 &&
+      (this.mispredictedFrame === -1 ||
+        mispredictedFrame < this.mispredictedFrame)
+    ) {
+      this.mispredictedFrame = mispredictedFrame;
+    }
+    this.numOfAckedLocalFrames = Math.max(
+      this.numOfAckedLocalFrames,
+      message.ack
+    );
+    if (message.frame >= this.remoteFrame) {
+      this.remoteFrame = message.frame;
+      this.remoteFrameAdvantage = message.frameAdvantage;
+    }
+    if (message.hash !== undefined && message.hashFrame > 0) {
+      this.remoteStateHashes.set(message.hashFrame, message.hash);
+    }
+  }
+}
+
+/**
+ * Clear the flags of the sounds to be played in the physics of the match.
+ * It is used so that only the sounds of the frame to be drawn are played.
+ * @param {HeadlessMatch} match
+ */
+export function clearSoundFlags(match) {
+  const physics = match.physics;
+  for (const player of [physics.player1, physics.player2]) {
+    player.sound.pipikachu = false;
+    player.sound.pika = false;
+    player.sound.chu = false;
+  }
+  physics.ball.sound.powerHit = false;
+  physics.ball.sound.ballTouchesGround = false;
+}
@@ -0,0 +1,121 @@
+/**
+ * This module takes charge of playing (or watching) an online match with a friend on the game view.
+ *
+ * The match is run by the rollback netcode ("netcode.js") over a connection to the friend
+ * ("webrtc_connection.js" or "relay_connection.js"), or by the session of a spectator ("spectator.js")
+ * who watches an online match or a match played on another tab of the browser,
+ * and it is drawn as the replay player ("replay_player.js") draws a replay.
+ * The local user plays with the keyboard of the player whom the user controls:
+ * the host plays player 1 (on the left) and the guest plays player 2 (on the right).
+ */
+'use strict';
+import { drawMatchFrame } from './replay_player.js';
+
+/** @typedef {import('./pikavolley.js').PikachuVolleyball} PikachuVolleyball */
+/** @typedef {import('./netcode.js').RollbackSession} RollbackSession */
+/** @typedef {import('./spectator.js').SpectatorSession} SpectatorSession */
+
+/** @constant @type {number} fps for slow motion (same as the one in the controller) */
+const SLOW_MOTION_FPS = 5;
+
+/**
+ * Maximum number of normal ticks added on an update, so that the game does not rush after it has been frozen
+ * @constant @type {number}
+ */
+const MAX_TICKS_PER_UPDATE = 4;
+
+/**
+ * Number of ticks processed after the match is finished, before the online match ends.
+ * The user inputs are still sent on them, in case the other peer needs them to confirm the end of the match.
+ * @constant @type {number}
+ */
+const NUM_OF_TICKS_AFTER_FINISH = 25;
+
+/**
+ * Class representing an online match played on the game view
+ */
+export class Netplay {
+  /**
+   * Create an online match. The match starts at once.
+   * @param {PikachuVolleyball} pikaVolley the game whose view, audio and keyboards are used
+   * @param {RollbackSession|SpectatorSession} session session which runs the match
+   */
+  constructor(pikaVolley, session) {
+    /** @type {PikachuVolleyball} */
+    this.pikaVolley = pikaVolley;
+    /** @type {RollbackSession|SpectatorSession} */
+    this.session = session;
+    /**
+     * elapsed time which is not yet consumed by processing ticks, in units of a normal frame.
+     * A tick in slow motion consumes more than one unit.
+     * @type {number}
+     */
+    this.timeToProcess = 0;
+    /** @type {number} number of the ticks processed after the match is finished */
+    this.numOfTicksAfterFinish = 0;
+
+    this.pikaVolley.view.fadeInOut.setBlackAlphaTo(1);
+    this.pikaVolley.audio.sounds.bgm.play();
+  }
+
+  /** @return {boolean} Is the online match ended? */
+  get isEnded() {
+    return this.numOfTicksAfterFinish >= NUM_OF_TICKS_AFTER_FINISH;
+  }
+
+  /**
+   * Process the ticks of the netcode according to the elapsed time.
+   * This function should be called on every tick of a ticker.
+   * @param {number} elapsedMS elapsed time from the last update in milliseconds
+   */
+  update(elapsedMS) {
+    const session = this.session;
+    const normalFPS = session.settings.normalFPS;
+    this.timeToProcess += Math.min(
+      (elapsedMS / 1000) * normalFPS,
+      MAX_TICKS_PER_UPDATE
+    );
+    while (!this.isEnded) {
+      // As in the controller, a frame is processed slowly in slow motion.
+      // (The session of a spectator on another tab has no match until the match on the tab is received.)
+      const cost =
+        session.match !== null && session.match.slowMotionFramesLeft > 0
+          ? Math.round(normalFPS / SLOW_MOTION_FPS)
+          : 1;
+      if (this.timeToProcess < cost) {
+        break;
+      }
+      this.timeToProcess -= cost;
+      const isAdvanced = session.advance(() => {
+        const keyboard =
+          this.pikaVolley.keyboardArray[session.localPlayerIndex];
+        keyboard.getInput();
+        return keyboard;
+      });
+      if (isAdvanced) {
+        this.draw();
+      }
+      if (session.isFinished) {
+        this.numOfTicksAfterFinish++;
+      }
+    }
+  }
+
+  /**
+   * Draw the last processed frame and play its sound effects
+   */
+  draw() {
+    const match = this.session.match;
+    const processedFrame = this.session.processedFrame;
+    drawMatchFrame(
+      this.pikaVolley.view,
+      match,
+      processedFrame.state,
+      processedFrame.frameCounter,
+      processedFrame.wasGameEnded
+    );
+    if (processedFrame.state === match.round) {
+      this.pikaVolley.playSoundEffect(match.physics);
+    }
+  }
+}
@@ -29,6 +29,8 @@
 'use strict';
 import { rand } from './rand.js';
 
+/** @typedef {import('./bots.js').Bot} Bot */
+
 /** @constant @type {number} ground width */
 const GROUND_WIDTH = 432;
 /** @constant @type {number} ground half-width, it is also the net pillar x coordinate */
@@ -63,6 +65,184 @@ const NET_PILLAR_TOP_BOTTOM_Y_COORD = 192;
  */
 const INFINITE_LOOP_LIMIT = 1000;
 
+/**
+ * Version of the snapshot format gained by "toJSON" methods of the physics objects
+ * and the objects containing them. It should be increased if the format is changed.
+ * @constant @type {number}
+ */
+export const SNAPSHOT_VERSION = 2;
+
+/**
+ * Parameters of the computer, i.e. of a difficulty level of the computer.
+ * The parameters below the boldness are the numbers which {@link letComputerDecideUserInput} compares with.
+ * @typedef {Object} ComputerDifficulty
+ * @property {number} minBoldness minimum of {@link Player#computerBoldness}
+ * @property {number} maxBoldness maximum of {@link Player#computerBoldness}
+ * @property {number} reactionDelay number of frames by which the computer sees the ball late
+ * @property {number} inputErrorRate percentage of the frames on which the computer presses random direction keys
+ * @property {boolean} anticipatesNetBounce Does the computer anticipate that its power hit can be bounced back
+ *                                          by the net pillar? (See {@link expectedLandingPointXWhenPowerHit}.)
+ * @property {number} standByBallSpeedSlack the computer may stand by instead of going to the expected landing point
+ *                                          if the ball x-direction speed is less than (boldness + this)
+ * @property {number} movementSlack the computer goes toward the expected landing point
+ *                                  if it is farther than (boldness + this)
+ * @property {number} jumpBallSpeedSlack the computer jumps only if the ball x-direction speed is less than
+ *                                       (boldness + this)
+ * @property {number} jumpHeightBase the computer jumps only if the ball y coordinate is less than
+ *                                   (jumpHeightPerBoldness * boldness + this)
+ * @property {number} jumpHeightPerBoldness see jumpHeightBase
+ * @property {number} diveDistancePerBoldness the computer dives only if the ball is farther than
+ *                                            (this * boldness + 64)
+ * @property {number} diveBallYThreshold the computer dives only if the ball y coordinate is greater than this
+ */
+
+/**
+ * Parameters of the computer of the original game
+ * @constant @type {ComputerDifficulty}
+ */
+export const ORIGINAL_COMPUTER_DIFFICULTY = {
+  minBoldness: 0,
+  maxBoldness: 4,
+  reactionDelay: 0,
+  inputErrorRate: 0,
+  anticipatesNetBounce: false,
+  standByBallSpeedSlack: 5,
+  movementSlack: 8,
+  jumpBallSpeedSlack: 3,
+  jumpHeightBase: 84,
+  jumpHeightPerBoldness: 10,
+  diveDistancePerBoldness: 5,
+  diveBallYThreshold: 174,
+};
+
+/**
+ * Difficulty levels of the computer. "normal" is the computer of the original game.
+ * The computer on the easier level reacts late and makes mistakes. The computers on the harder levels
+ * are bolder (see {@link Player#computerBoldness}) and do not power hit the ball into the net pillar.
+ * More levels (e.g. the ones tuned by "tools/tune_computer.mjs") can be added by {@link addComputerDifficulty}.
+ * @constant @type {Object.<string, ComputerDifficulty>}
+ */
+export const COMPUTER_DIFFICULTIES = {
+  easy: Object.assign({}, ORIGINAL_COMPUTER_DIFFICULTY, {
+    reactionDelay: 2,
+    inputErrorRate: 5,
+  }),
+  normal: ORIGINAL_COMPUTER_DIFFICULTY,
+  hard: Object.assign({}, ORIGINAL_COMPUTER_DIFFICULTY, {
+    minBoldness: 2,
+    anticipatesNetBounce: true,
+  }),
+  expert: Object.assign({}, ORIGINAL_COMPUTER_DIFFICULTY, {
+    minBoldness: 4,
+    anticipatesNetBounce: true,
+  }),
+};
+
+/**
+ * Names of the difficulty levels of the computer from the easiest one
+ * @constant @type {string[]}
+ */
+export const COMPUTER_DIFFICULTY_NAMES = ['easy', 'normal', 'hard', 'expert'];
+
+/** @constant @type {string} difficulty level of the computer of the original game */
+export const DEFAULT_COMPUTER_DIFFICULTY = 'normal';
+
+/**
+ * Add a difficulty level of the computer, or replace one which is added before.
+ * The level can be used by the players, but it is not listed in {@link COMPUTER_DIFFICULTY_NAMES},
+ * so it can not be chosen in the game or recorded in replays.
+ * @param {string} name
+ * @param {Object} parameters parameters of {@link ComputerDifficulty}. The missing ones are the ones of
+ *                            {@link ORIGINAL_COMPUTER_DIFFICULTY}.
+ */
+export function addComputerDifficulty(name, parameters) {
+  if (COMPUTER_DIFFICULTY_NAMES.includes(name)) {
+    throw new Error(`The difficulty level can not be replaced: ${name}`);
+  }
+  const difficulty = Object.assign({}, ORIGINAL_COMPUTER_DIFFICULTY);
+  for (const key of Object.keys(parameters)) {
+    if (!(key in ORIGINAL_COMPUTER_DIFFICULTY)) {
+      throw new Error(`Unknown parameter of the computer: ${key}`);
+    }
+    if (
+      typeof parameters[key] !== typeof ORIGINAL_COMPUTER_DIFFICULTY[key] ||
+      (typeof parameters[key] === 'number' && !Number.isFinite(parameters[key]))
+    ) {
+      throw new Error(`Invalid parameter of the computer: ${key}`);
+    }
+    difficulty[key] = parameters[key];
+  }
+  if (
+    !Number.isInteger(difficulty.minBoldness) ||
+    !Number.isInteger(difficulty.maxBoldness) ||
+    difficulty.minBoldness < 0 ||
+    difficulty.minBoldness > difficulty.maxBoldness ||
+    !Number.isInteger(difficulty.reactionDelay) ||
+    difficulty.reactionDelay < 0
+  ) {
+    throw new Error(`Invalid parameters of the computer: ${name}`);
+  }
+  COMPUTER_DIFFICULTIES[name] = difficulty;
+}
+
+/**
+ * Names of the properties of a player which are included in the snapshot of the player
+ * @constant @type {string[]}
+ */
+const PLAYER_SNAPSHOT_PROPERTIES = [
+  'isPlayer2',
+  'isComputer',
+  'x',
+  'y',
+  'yVelocity',
+  'isCollisionWithBallHappened',
+  'state',
+  'frameNumber',
+  'normalStatusArmSwingDirection',
+  'delayBeforeNextFrame',
+  'computerBoldness',
+  'divingDirection',
+  'lyingDownDurationLeft',
+  'isWinner',
+  'gameEnded',
+  'computerWhereToStandBy',
+  'computerBallMemory',
+];
+
+/**
+ * Names of the properties of a ball which are included in the snapshot of the ball
+ * @constant @type {string[]}
+ */
+const BALL_SNAPSHOT_PROPERTIES = [
+  'x',
+  'y',
+  'xVelocity',
+  'yVelocity',
+  'punchEffectRadius',
+  'isPowerHit',
+  'expectedLandingPointX',
+  'rotation',
+  'fineRotation',
+  'punchEffectX',
+  'punchEffectY',
+  'previousX',
+  'previousPreviousX',
+  'previousY',
+  'previousPreviousY',
+];
+
+/**
+ * Copy the properties of the given names from source to target
+ * @param {Object} target
+ * @param {Object} source
+ * @param {string[]} propertyNames
+ */
+function copyProperties(target, source, propertyNames) {
+  for (const name of propertyNames) {
+    target[name] = source[name];
+  }
+}
+
 /**
  * Class representing a pack of physical objects i.e. players and ball
  * whose physical values are calculated and set by {@link physicsEngine} function
@@ -94,6 +274,28 @@ export class PikaPhysics {
     );
     return isBallTouchingGround;
   }
+
+  /**
+   * Get the snapshot of the players and the ball
+   * @return {Object} plain object which can be converted to JSON
+   */
+  toJSON() {
+    return {
+      player1: this.player1.toJSON(),
+      player2: this.player2.toJSON(),
+      ball: this.ball.toJSON(),
+    };
+  }
+
+  /**
+   * Restore the players and the ball from the snapshot
+   * @param {Object} snapshot snapshot gained by {@link PikaPhysics#toJSON}
+   */
+  fromJSON(snapshot) {
+    this.player1.fromJSON(snapshot.player1);
+    this.player2.fromJSON(snapshot.player2);
+    this.ball.fromJSON(snapshot.ball);
+  }
 }
 
 /**
@@ -110,6 +312,110 @@ export class PikaUserInput {
   }
 }
 
+/**
+ * Number of the possible combinations of (xDirection, yDirection, powerHit) of a user input
+ * @constant @type {number}
+ */
+export const NUM_OF_USER_INPUT_CODES = 18;
+
+/**
+ * Encode the user input to an integer in [0, 17]
+ * code = (xDirection + 1) + 3 * (yDirection + 1) + 9 * powerHit
+ * @param {PikaUserInput} userInput
+ * @return {number} integer in [0, 17]
+ */
+export function encodeUserInput(userInput) {
+  return (
+    userInput.xDirection +
+    1 +
+    3 * (userInput.yDirection + 1) +
+    9 * userInput.powerHit
+  );
+}
+
+/**
+ * Decode the code gained by {@link encodeUserInput} to the user input
+ * @param {number} code integer in [0, 17]
+ * @param {PikaUserInput} userInput user input object to which the decoded values are set
+ */
+export function decodeUserInput(code, userInput) {
+  userInput.xDirection = (code % 3) - 1;
+  userInput.yDirection = (((code / 3) | 0) % 3) - 1;
+  userInput.powerHit = (code / 9) | 0;
+}
+
+/**
+ * The computer of the original game as a bot which can be registered in "bots.js".
+ * Unlike the other bots, it keeps its state in the computer properties of the player it controls
+ * (e.g. {@link Player#computerWhereToStandBy}), so the state is included in the snapshot of the player.
+ * @constant @type {Bot}
+ */
+export const ORIGINAL_COMPUTER_BOT = {
+  decide(player, ball, theOtherPlayer) {
+    const userInput = new PikaUserInput();
+    letComputerDecideUserInput(player, ball, theOtherPlayer, userInput);
+    return userInput;
+  },
+};
+
+/**
+ * Fields of a player which the bots other than the original computer can see
+ * ({@link PlayerState} in "bots.js")
+ * @constant @type {string[]}
+ */
+const PLAYER_VIEW_FIELDS = [
+  'isPlayer2',
+  'x',
+  'y',
+  'yVelocity',
+  'state',
+  'divingDirection',
+  'lyingDownDurationLeft',
+];
+
+/**
+ * Fields of the ball which the bots other than the original computer can see ({@link BallState} in "bots.js")
+ * @constant @type {string[]}
+ */
+const BALL_VIEW_FIELDS = [
+  'x',
+  'y',
+  'xVelocity',
+  'yVelocity',
+  'isPowerHit',
+  'expectedLandingPointX',
+];
+
+/**
+ * Read-only views of the players and the balls by the objects, made by {@link getBotView}
+ * @type {WeakMap<Object, Object>}
+ */
+const botViews = new WeakMap();
+
+/**
+ * Get the read-only view of a player or a ball which is given to a bot other than the original computer,
+ * so that the bot can not change the physics engine (and break the determinism of the replays).
+ * A view is frozen and reads the current values of the object through getters, so it is made once for each object.
+ * @param {Object} object player or ball
+ * @param {string[]} fields {@link PLAYER_VIEW_FIELDS} or {@link BALL_VIEW_FIELDS}
+ * @return {Object}
+ */
+function getBotView(object, fields) {
+  let view = botViews.get(object);
+  if (view === undefined) {
+    view = {};
+    for (const field of fields) {
+      Object.defineProperty(view, field, {
+        get: () => object[field],
+        enumerable: true,
+      });
+    }
+    Object.freeze(view);
+    botViews.set(object, view);
+  }
+  return view;
+}
+
 /**
  * Class representing a player
  *
@@ -132,6 +438,18 @@ class Player {
     this.isPlayer2 = isPlayer2; // 0xA0
     /** @type {boolean} Is controlled by computer? */
     this.isComputer = isComputer; // 0xA4
+    /**
+     * Difficulty level of the computer, a key of {@link COMPUTER_DIFFICULTIES}.
+     * This property is not in the original game. It is an option, so it is not included in the snapshot.
+     * @type {string}
+     */
+    this.computerDifficulty = DEFAULT_COMPUTER_DIFFICULTY;
+    /**
+     * Bot which decides the user input of this player if it is controlled by computer.
+     * This property is not in the original game. It is an option, so it is not included in the snapshot.
+     * @type {Bot}
+     */
+    this.computerBot = ORIGINAL_COMPUTER_BOT;
     this.initializeForNewRound();
 
     /** @type {number} -1: left, 0: no diving, 1: right */
@@ -197,8 +515,10 @@ class Player {
     /** @type {number} */
     this.delayBeforeNextFrame = 0; // 0xCC  // initialized to 0
 
+    const difficulty = COMPUTER_DIFFICULTIES[this.computerDifficulty];
     /**
      * This value is initialized to (_rand() % 5) before the start of every round.
+     * (On the difficulty levels other than "normal", it is in the range of the level.)
      * The greater the number, the bolder the computer player.
      *
      * If computer has higher boldness,
@@ -210,7 +530,42 @@ class Player {
      *
      * @type {number} 0, 1, 2, 3 or 4
      */
-    this.computerBoldness = rand() % 5; // 0xD8  // initialized to (_rand() % 5)
+    this.computerBoldness =
+      difficulty.minBoldness +
+      (rand() % (difficulty.maxBoldness - difficulty.minBoldness + 1)); // 0xD8  // initialized to (_rand() % 5)
+
+    /**
+     * The balls which the computer has seen on the last frames, from the oldest one.
+     * It is used for the reaction delay of the difficulty level, and it is not in the original game.
+     * @type {{x: number, y: number, xVelocity: number, yVelocity: number, expectedLandingPointX: number}[]}
+     */
+    this.computerBallMemory = [];
+  }
+
+  /**
+   * Get the snapshot of this player
+   * @return {Object} plain object which can be converted to JSON
+   */
+  toJSON() {
+    const snapshot = {};
+    copyProperties(snapshot, this, PLAYER_SNAPSHOT_PROPERTIES);
+    snapshot.computerBallMemory = this.computerBallMemory.map((seenBall) =>
+      Object.assign({}, seenBall)
+    );
+    snapshot.sound = Object.assign({}, this.sound);
+    return snapshot;
+  }
+
+  /**
+   * Restore this player from the snapshot
+   * @param {Object} snapshot snapshot gained by {@link Player#toJSON}
+   */
+  fromJSON(snapshot) {
+    copyProperties(this, snapshot, PLAYER_SNAPSHOT_PROPERTIES);
+    this.computerBallMemory = snapshot.computerBallMemory.map((seenBall) =>
+      Object.assign({}, seenBall)
+    );
+    Object.assign(this.sound, snapshot.sound);
   }
 }
 
@@ -287,6 +642,26 @@ class Ball {
     /** @type {boolean} is power hit */
     this.isPowerHit = false; // 0x68  // initialized to 0 i.e. false
   }
+
+  /**
+   * Get the snapshot of this ball
+   * @return {Object} plain object which can be converted to JSON
+   */
+  toJSON() {
+    const snapshot = {};
+    copyProperties(snapshot, this, BALL_SNAPSHOT_PROPERTIES);
+    snapshot.sound = Object.assign({}, this.sound);
+    return snapshot;
+  }
+
+  /**
+   * Restore this ball from the snapshot
+   * @param {Object} snapshot snapshot gained by {@link Ball#toJSON}
+   */
+  fromJSON(snapshot) {
+    copyProperties(this, snapshot, BALL_SNAPSHOT_PROPERTIES);
+    Object.assign(this.sound, snapshot.sound);
+  }
 }
 
 /**
@@ -389,6 +764,20 @@ function isCollisionBetweenBallAndPlayerHappened(ball, playerX, playerY) {
   return false;
 }
 
+/**
+ * Is the ball touching the net pillar? If it is so at the start of a frame,
+ * the ball bounces off the net pillar on the frame.
+ * This function is not in the original machine code. It is separated so that it can be used for the statistics.
+ * @param {Ball} ball
+ * @return {boolean}
+ */
+export function isBallTouchingNetPillar(ball) {
+  return (
+    Math.abs(ball.x - GROUND_HALF_WIDTH) < NET_PILLAR_HALF_WIDTH &&
+    ball.y > NET_PILLAR_TOP_TOP_Y_COORD
+  );
+}
+
 /**
  * FUN_00402dc0
  * Process collision between ball and world and set ball position
@@ -444,10 +833,7 @@ function processCollisionBetweenBallAndWorldAndSetBallPosition(ball) {
   }
 
   // If ball touches net
-  if (
-    Math.abs(ball.x - GROUND_HALF_WIDTH) < NET_PILLAR_HALF_WIDTH &&
-    ball.y > NET_PILLAR_TOP_TOP_Y_COORD
-  ) {
+  if (isBallTouchingNetPillar(ball)) {
     if (ball.y <= NET_PILLAR_TOP_BOTTOM_Y_COORD) {
       if (ball.yVelocity > 0) {
         ball.yVelocity = -ball.yVelocity;
@@ -500,7 +886,18 @@ function processPlayerMovementAndSetPlayerPosition(
   ball
 ) {
   if (player.isComputer === true) {
-    letComputerDecideUserInput(player, ball, theOtherPlayer, userInput);
+    // The original computer keeps its state in the player it controls, so only it is given the objects.
+    const decidedUserInput =
+      player.computerBot === ORIGINAL_COMPUTER_BOT
+        ? ORIGINAL_COMPUTER_BOT.decide(player, ball, theOtherPlayer)
+        : player.computerBot.decide(
+            getBotView(player, PLAYER_VIEW_FIELDS),
+            getBotView(ball, BALL_VIEW_FIELDS),
+            getBotView(theOtherPlayer, PLAYER_VIEW_FIELDS)
+          );
+    userInput.xDirection = decidedUserInput.xDirection;
+    userInput.yDirection = decidedUserInput.yDirection;
+    userInput.powerHit = decidedUserInput.powerHit;
   }
 
   // if player is lying down.. don't move
@@ -795,12 +1192,27 @@ function calculateExpectedLandingPointXFor(ball) {
  * by the given parameters (player, ball and theOtherPlayer),
  * and reflects these to the given user input object.
  *
+ * The difficulty level of the computer ({@link Player#computerDifficulty}) is not in the original game.
+ * On the "normal" level, this function works exactly as the original one.
+ *
  * @param {Player} player The player whom computer controls
- * @param {Ball} ball ball
+ * @param {Ball} actualBall ball
  * @param {Player} theOtherPlayer The other player
  * @param {PikaUserInput} userInput user input of the player whom computer controls
  */
-function letComputerDecideUserInput(player, ball, theOtherPlayer, userInput) {
+function letComputerDecideUserInput(
+  player,
+  actualBall,
+  theOtherPlayer,
+  userInput
+) {
+  const difficulty = COMPUTER_DIFFICULTIES[player.computerDifficulty];
+  const ball = seeBallWithReactionDelay(
+    player,
+    actualBall,
+    difficulty.reactionDelay
+  );
+
   userInput.xDirection = 0;
   userInput.yDirection = 0;
   userInput.powerHit = 0;
@@ -808,7 +1220,8 @@ function letComputerDecideUserInput(player, ball, theOtherPlayer, userInput) {
   let virtualExpectedLandingPointX = ball.expectedLandingPointX;
   if (
     Math.abs(ball.x - player.x) > 100 &&
-    Math.abs(ball.xVelocity) < player.computerBoldness + 5
+    Math.abs(ball.xVelocity) <
+      player.computerBoldness + difficulty.standByBallSpeedSlack
   ) {
     const leftBoundary = Number(player.isPlayer2) * GROUND_HALF_WIDTH;
     if (
@@ -825,7 +1238,7 @@ function letComputerDecideUserInput(player, ball, theOtherPlayer, userInput) {
 
   if (
     Math.abs(virtualExpectedLandingPointX - player.x) >
-    player.computerBoldness + 8
+    player.computerBoldness + difficulty.movementSlack
   ) {
     if (player.x < virtualExpectedLandingPointX) {
       userInput.xDirection = 1;
@@ -838,10 +1251,13 @@ function letComputerDecideUserInput(player, ball, theOtherPlayer, userInput) {
 
   if (player.state === 0) {
     if (
-      Math.abs(ball.xVelocity) < player.computerBoldness + 3 &&
+      Math.abs(ball.xVelocity) <
+        player.computerBoldness + difficulty.jumpBallSpeedSlack &&
       Math.abs(ball.x - player.x) < PLAYER_HALF_LENGTH &&
       ball.y > -36 &&
-      ball.y < 10 * player.computerBoldness + 84 &&
+      ball.y <
+        difficulty.jumpHeightPerBoldness * player.computerBoldness +
+          difficulty.jumpHeightBase &&
       ball.yVelocity > 0
     ) {
       userInput.yDirection = -1;
@@ -853,10 +1269,11 @@ function letComputerDecideUserInput(player, ball, theOtherPlayer, userInput) {
       ball.expectedLandingPointX > leftBoundary &&
       ball.expectedLandingPointX < rightBoundary &&
       Math.abs(ball.x - player.x) >
-        player.computerBoldness * 5 + PLAYER_LENGTH &&
+        difficulty.diveDistancePerBoldness * player.computerBoldness +
+          PLAYER_LENGTH &&
       ball.x > leftBoundary &&
       ball.x < rightBoundary &&
-      ball.y > 174
+      ball.y > difficulty.diveBallYThreshold
     ) {
       // If conditions above met, the computer decides to dive!
       userInput.powerHit = 1;
@@ -892,6 +1309,42 @@ function letComputerDecideUserInput(player, ball, theOtherPlayer, userInput) {
       }
     }
   }
+
+  if (
+    difficulty.inputErrorRate > 0 &&
+    rand() % 100 < difficulty.inputErrorRate
+  ) {
+    userInput.xDirection = (rand() % 3) - 1;
+    userInput.yDirection = (rand() % 3) - 1;
+  }
+}
+
+/**
+ * Get the ball which the computer sees, with the reaction delay of the difficulty level.
+ * This function is not in the original game.
+ * @param {Player} player The player whom computer controls
+ * @param {Ball} ball ball
+ * @param {number} reactionDelay number of frames by which the computer sees the ball late
+ * @return {{x: number, y: number, xVelocity: number, yVelocity: number, expectedLandingPointX: number}}
+ *         the ball of the frame which is reactionDelay frames before (or the oldest one in this round)
+ */
+function seeBallWithReactionDelay(player, ball, reactionDelay) {
+  const memory = player.computerBallMemory;
+  if (reactionDelay === 0) {
+    memory.length = 0;
+    return ball;
+  }
+  memory.push({
+    x: ball.x,
+    y: ball.y,
+    xVelocity: ball.xVelocity,
+    yVelocity: ball.yVelocity,
+    expectedLandingPointX: ball.expectedLandingPointX,
+  });
+  while (memory.length > reactionDelay + 1) {
+    memory.shift();
+  }
+  return memory[0];
 }
 
 /**
@@ -906,13 +1359,16 @@ function letComputerDecideUserInput(player, ball, theOtherPlayer, userInput) {
  * @return {boolean} Will input power hit?
  */
 function decideWhetherInputPowerHit(player, ball, theOtherPlayer, userInput) {
+  const anticipatesNetBounce =
+    COMPUTER_DIFFICULTIES[player.computerDifficulty].anticipatesNetBounce;
   if (rand() % 2 === 0) {
     for (let xDirection = 1; xDirection > -1; xDirection--) {
       for (let yDirection = -1; yDirection < 2; yDirection++) {
         const expectedLandingPointX = expectedLandingPointXWhenPowerHit(
           xDirection,
           yDirection,
-          ball
+          ball,
+          anticipatesNetBounce
         );
         if (
           (expectedLandingPointX <=
@@ -933,7 +1389,8 @@ function decideWhetherInputPowerHit(player, ball, theOtherPlayer, userInput) {
         const expectedLandingPointX = expectedLandingPointXWhenPowerHit(
           xDirection,
           yDirection,
-          ball
+          ball,
+          anticipatesNetBounce
         );
         if (
           (expectedLandingPointX <=
@@ -960,12 +1417,15 @@ function decideWhetherInputPowerHit(player, ball, theOtherPlayer, userInput) {
  * @param {PikaUserInput["xDirection"]} userInputXDirection
  * @param {PikaUserInput["yDirection"]} userInputYDirection
  * @param {Ball} ball
+ * @param {boolean} anticipatesNetBounce Use the alternative code below which anticipates the bounce back
+ *                                       by the net pillar? (It is not used in the original game.)
  * @return {number} x coord of expected landing point when power hit the ball
  */
 function expectedLandingPointXWhenPowerHit(
   userInputXDirection,
   userInputYDirection,
-  ball
+  ball,
+  anticipatesNetBounce
 ) {
   const copyBall = {
     x: ball.x,
@@ -995,29 +1455,29 @@ function expectedLandingPointXWhenPowerHit(
       Math.abs(copyBall.x - GROUND_HALF_WIDTH) < NET_PILLAR_HALF_WIDTH &&
       copyBall.y > NET_PILLAR_TOP_TOP_Y_COORD
     ) {
-      /*
-        The code below maybe is intended to make computer do mistakes.
-        The player controlled by computer occasionally power hit ball that is bounced back by the net pillar,
-        since code below do not anticipate the bounce back.
-      */
-      if (copyBall.yVelocity > 0) {
-        copyBall.yVelocity = -copyBall.yVelocity;
-      }
-      /*
-      An alternative code for making the computer not do those mistakes is as below.
-
-      if (copyBall.y <= NET_PILLAR_TOP_BOTTOM_Y_COORD) {
+      if (!anticipatesNetBounce) {
+        /*
+          The code below maybe is intended to make computer do mistakes.
+          The player controlled by computer occasionally power hit ball that is bounced back by the net pillar,
+          since code below do not anticipate the bounce back.
+        */
         if (copyBall.yVelocity > 0) {
           copyBall.yVelocity = -copyBall.yVelocity;
         }
       } else {
-        if (copyBall.x < GROUND_HALF_WIDTH) {
-          copyBall.xVelocity = -Math.abs(copyBall.xVelocity);
+        // An alternative code for making the computer not do those mistakes is as below.
+        if (copyBall.y <= NET_PILLAR_TOP_BOTTOM_Y_COORD) {
+          if (copyBall.yVelocity > 0) {
+            copyBall.yVelocity = -copyBall.yVelocity;
+          }
         } else {
-          copyBall.xVelocity = Math.abs(copyBall.xVelocity);
+          if (copyBall.x < GROUND_HALF_WIDTH) {
+            copyBall.xVelocity = -Math.abs(copyBall.xVelocity);
+          } else {
+            copyBall.xVelocity = Math.abs(copyBall.xVelocity);
+          }
         }
       }
-      */
     }
     copyBall.y = copyBall.y + copyBall.yVelocity;
     if (
@@ -1,54 +1,92 @@
 /**
  * The Controller part in MVC pattern
+ *
+ * The view objects, the audio and the keyboards are injected to the controller,
+ * so the controller does not depend on pixi.js or the browser. On the web page, the ones in
+ * "view.js", "audio.js" and "keyboard.js" are injected (see "main.js"). To run the game on Node.js,
+ * the stubs in "stubs.js" can be injected instead, and the game can be driven by scripted keyboards.
  */
 'use strict';
-import { GROUND_HALF_WIDTH, PikaPhysics } from './physics.js';
-import { MenuView, GameView, FadeInOut, IntroView } from './view.js';
-import { PikaKeyboard } from './keyboard.js';
-import { PikaAudio } from './audio.js';
+import {
+  GROUND_HALF_WIDTH,
+  SNAPSHOT_VERSION,
+  ORIGINAL_COMPUTER_BOT,
+  PikaPhysics,
+} from './physics.js';
+import { ORIGINAL_BOT_NAME, createBot, disposeBot } from './bots.js';
+import { processScoreAtEndOfRound } from './headless_match.js';
+import { generateSeed, srand, getRandState, setRandState } from './rand.js';
+import { ReplayRecorder } from './replay.js';
+import { RingBuffer } from './utils/ring_buffer.js';
+import { TimeTravel } from './time_travel.js';
+import { computeStateHash, formatStateHash } from './state_hash.js';
+
+/** @typedef {import('./view.js').IntroView} IntroView */
+/** @typedef {import('./view.js').MenuView} MenuView */
+/** @typedef {import('./view.js').GameView} GameView */
+/** @typedef {import('./view.js').FadeInOut} FadeInOut */
+/** @typedef {import('./view.js').DebugHUD} DebugHUD */
+/** @typedef {import('./audio.js').PikaAudio} PikaAudio */
+/** @typedef {import('./keyboard.js').PikaKeyboard} PikaKeyboard */
 
-/** @typedef {import('@pixi/display').Container} Container */
-/** @typedef {import('@pixi/loaders').LoaderResource} LoaderResource */
+/**
+ * View objects of the game
+ * @typedef {Object} PikaView
+ * @property {IntroView} intro
+ * @property {MenuView} menu
+ * @property {GameView} game
+ * @property {FadeInOut} fadeInOut
+ * @property {DebugHUD} hud
+ */
 
 /** @typedef GameState @type {function():void} */
 
+/**
+ * Names of the game states of {@link PikachuVolleyball}.
+ * They are used for storing the game state in a snapshot.
+ * @constant @type {string[]}
+ */
+const GAME_STATE_NAMES = [
+  'intro',
+  'menu',
+  'afterMenuSelection',
+  'beforeStartOfNewGame',
+  'startOfNewGame',
+  'round',
+  'afterEndOfRound',
+  'beforeStartOfNextRound',
+];
+
+/**
+ * Maximum number of frames of a rally kept for the instant replay (30 seconds at the fast speed).
+ * If a rally is longer than this, only the last part of it is replayed.
+ * @constant @type {number}
+ */
+const INSTANT_REPLAY_MAX_FRAMES = 900;
+
 /**
  * Class representing Pikachu Volleyball game
  */
 export class PikachuVolleyball {
   /**
    * Create a Pikachu Volleyball game which includes physics, view, audio
-   * @param {Container} stage container which is rendered by PIXI.Renderer or PIXI.CanvasRenderer
-   * @param {Object.<string,LoaderResource>} resources resources property of the PIXI.Loader object which is used for loading the game resources
+   * @param {PikaView} view view objects (or stubs of them which have the same methods)
+   * @param {PikaAudio} audio audio (or a stub of it which has the same methods)
+   * @param {PikaKeyboard[]} keyboardArray [0] for player 1, [1] for player 2 (or stubs of them which have the "getInput" method)
    */
-  constructor(stage, resources) {
-    this.view = {
-      intro: new IntroView(resources),
-      menu: new MenuView(resources),
-      game: new GameView(resources),
-      fadeInOut: new FadeInOut(resources),
-    };
-    stage.addChild(this.view.intro.container);
-    stage.addChild(this.view.menu.container);
-    stage.addChild(this.view.game.container);
-    stage.addChild(this.view.fadeInOut.black);
+  constructor(view, audio, keyboardArray) {
+    /** @type {PikaView} */
+    this.view = view;
     this.view.intro.visible = false;
     this.view.menu.visible = false;
     this.view.game.visible = false;
     this.view.fadeInOut.visible = false;
 
-    this.audio = new PikaAudio(resources);
+    /** @type {PikaAudio} */
+    this.audio = audio;
     this.physics = new PikaPhysics(true, true);
-    this.keyboardArray = [
-      new PikaKeyboard('KeyD', 'KeyG', 'KeyR', 'KeyV', 'KeyZ', 'KeyF'), // for player1
-      new PikaKeyboard( // for player2
-        'ArrowLeft',
-        'ArrowRight',
-        'ArrowUp',
-        'ArrowDown',
-        'Enter'
-      ),
-    ];
+    /** @type {PikaKeyboard[]} */
+    this.keyboardArray = keyboardArray;
 
     /** @type {number} game fps */
     this.normalFPS = 25;
@@ -62,13 +100,25 @@ export class PikachuVolleyball {
     /** @type {number} number of elapsed normal fps frames for rendering slow motion */
     this.slowMotionNumOfSkippedFrames = 0;
 
-    /** @type {number} 0: with computer, 1: with friend */
+    /** @type {number} 0: with computer, 1: with friend, 2: play online */
     this.selectedWithWho = 0;
+    /**
+     * Called when "play online" is selected on the menu, e.g. to show the box for joining an online match.
+     * If it is null, "play online" can not be selected.
+     * @type {function():void}
+     */
+    this.onPlayOnlineSelected = null;
 
     /** @type {number[]} [0] for player 1 score, [1] for player 2 score */
     this.scores = [0, 0];
     /** @type {number} winning score: if either one of the players reaches this score, game ends */
-    this.winningScore = 15;
+    this._winningScore = 15;
+    /**
+     * Names of the bots ("bots.js") which control the players controlled by computer: [0] for player 1, [1] for player 2.
+     * A change of them is applied from the start of the next game.
+     * @type {string[]}
+     */
+    this.computerBotNames = [ORIGINAL_BOT_NAME, ORIGINAL_BOT_NAME];
 
     /** @type {boolean} Is the game ended? */
     this.gameEnded = false;
@@ -106,6 +156,34 @@ export class PikachuVolleyball {
     /** @type {boolean} true: practice mode on, false: practice mode off */
     this._isPracticeMode = false;
 
+    /** @type {ReplayRecorder} recorder which records each game as a replay */
+    this.replayRecorder = new ReplayRecorder();
+
+    /**
+     * Instant replay of the rally after each round
+     *   "off": no instant replay (as in the original game)
+     *   "on": instant replay
+     *   "slow": instant replay whose final second is played in slow motion
+     * @type {string}
+     */
+    this.instantReplayMode = 'off';
+    /** @type {RingBuffer<Object>} physics snapshots of the frames of the current rally for the instant replay */
+    this.rallyFrames = new RingBuffer(INSTANT_REPLAY_MAX_FRAMES);
+
+    /** @type {TimeTravel} time travel debug mode which can rewind the current match */
+    this.timeTravel = new TimeTravel();
+
+    /** @type {number} number of the game states processed so far, shown on the debug HUD */
+    this.frameIndex = 0;
+    /** @type {boolean} true: the game loop is frozen and advances only one frame per step request */
+    this.isStepMode = false;
+    /** @type {number} number of frames requested to be advanced in the step mode */
+    this.numOfStepsLeft = 0;
+    /** @type {number} state hash ("state_hash.js") computed after the last processed frame */
+    this.stateHash = computeStateHash(this.physics);
+    /** @type {boolean} true: the state hash of every frame is logged to the console */
+    this.isStateHashLogged = false;
+
     /**
      * The game state which is being rendered now
      * @type {GameState}
@@ -121,7 +199,17 @@ export class PikachuVolleyball {
     if (this.paused === true) {
       return;
     }
-    if (this.slowMotionFramesLeft > 0) {
+    if (this.isStepMode) {
+      if (this.numOfStepsLeft === 0) {
+        return;
+      }
+      this.numOfStepsLeft--;
+      // a step is a frame of the game state even in slow motion
+      if (this.slowMotionFramesLeft > 0) {
+        this.slowMotionFramesLeft--;
+        this.slowMotionNumOfSkippedFrames = 0;
+      }
+    } else if (this.slowMotionFramesLeft > 0) {
       this.slowMotionNumOfSkippedFrames++;
       if (
         this.slowMotionNumOfSkippedFrames %
@@ -137,6 +225,41 @@ export class PikachuVolleyball {
     this.keyboardArray[0].getInput();
     this.keyboardArray[1].getInput();
     this.state();
+    this.stateHash = computeStateHash(this.physics);
+    this.replayRecorder.recordStateHash(this.stateHash);
+    if (this.isStateHashLogged) {
+      console.log(
+        `${this.frameIndex} ${this.stateName} ${formatStateHash(
+          this.stateHash
+        )}`
+      );
+    }
+    if (this.state === this.round) {
+      this.timeTravel.record(this);
+    }
+    this.frameIndex++;
+    if (this.view.hud.visible) {
+      this.drawHUD();
+    }
+  }
+
+  /** @return {string} name of the current game state */
+  get stateName() {
+    return this.state === this.instantReplay
+      ? 'instantReplay'
+      : GAME_STATE_NAMES.find((name) => this[name] === this.state);
+  }
+
+  /**
+   * Draw the debug HUD with the current frame
+   */
+  drawHUD() {
+    this.view.hud.draw(
+      this.frameIndex,
+      this.stateName,
+      this.physics,
+      this.stateHash
+    );
   }
 
   /**
@@ -184,7 +307,10 @@ export class PikachuVolleyball {
     this.view.menu.drawSittingPikachuTiles(this.frameCounter);
     this.view.menu.drawPikachuVolleyballMessage(this.frameCounter);
     this.view.menu.drawPokemonMessage(this.frameCounter);
-    this.view.menu.drawWithWhoMessages(this.frameCounter);
+    this.view.menu.drawWithWhoMessages(
+      this.frameCounter,
+      this.onPlayOnlineSelected !== null
+    );
     this.frameCounter++;
 
     if (
@@ -200,22 +326,23 @@ export class PikachuVolleyball {
       return;
     }
 
+    const lastWithWho = this.onPlayOnlineSelected === null ? 1 : 2;
     if (
       (this.keyboardArray[0].yDirection === -1 ||
         this.keyboardArray[1].yDirection === -1) &&
-      this.selectedWithWho === 1
+      this.selectedWithWho > 0
     ) {
       this.noInputFrameCounter = 0;
-      this.selectedWithWho = 0;
+      this.selectedWithWho--;
       this.view.menu.selectWithWho(this.selectedWithWho);
       this.audio.sounds.pi.play();
     } else if (
       (this.keyboardArray[0].yDirection === 1 ||
         this.keyboardArray[1].yDirection === 1) &&
-      this.selectedWithWho === 0
+      this.selectedWithWho < lastWithWho
     ) {
       this.noInputFrameCounter = 0;
-      this.selectedWithWho = 1;
+      this.selectedWithWho++;
       this.view.menu.selectWithWho(this.selectedWithWho);
       this.audio.sounds.pi.play();
     } else {
@@ -226,6 +353,13 @@ export class PikachuVolleyball {
       this.keyboardArray[0].powerHit === 1 ||
       this.keyboardArray[1].powerHit === 1
     ) {
+      if (this.selectedWithWho === 2) {
+        // The menu stays until an online match starts.
+        this.noInputFrameCounter = 0;
+        this.audio.sounds.pi.play();
+        this.onPlayOnlineSelected();
+        return;
+      }
       if (this.selectedWithWho === 1) {
         this.physics.player1.isComputer = false;
         this.physics.player2.isComputer = false;
@@ -299,10 +433,34 @@ export class PikachuVolleyball {
       this.scores[1] = 0;
       this.view.game.drawScoresToScoreBoards(this.scores);
 
+      // Each player gets its own bot, and the bots of the last game are released.
+      disposeBot(this.physics.player1.computerBot);
+      disposeBot(this.physics.player2.computerBot);
+      this.physics.player1.computerBot = createBot(this.computerBotNames[0]);
+      this.physics.player2.computerBot = createBot(this.computerBotNames[1]);
+
+      // Seed the RNG so that this game can be reproduced from the replay
+      const seed = generateSeed();
+      srand(seed);
+      this.replayRecorder.start(
+        seed,
+        this.normalFPS,
+        this.winningScore,
+        this.isPracticeMode,
+        [this.physics.player1.isComputer, this.physics.player2.isComputer],
+        this.computerDifficulty,
+        [
+          this.physics.player1.computerBot !== ORIGINAL_COMPUTER_BOT,
+          this.physics.player2.computerBot !== ORIGINAL_COMPUTER_BOT,
+        ]
+      );
+
       this.physics.player1.initializeForNewRound();
       this.physics.player2.initializeForNewRound();
       this.physics.ball.initializeForNewRound(this.isPlayer2Serve);
       this.view.game.drawPlayersAndBall(this.physics);
+      this.rallyFrames.clear();
+      this.timeTravel.clear();
 
       this.view.fadeInOut.setBlackAlphaTo(1); // set black screen
       this.audio.sounds.bgm.play();
@@ -337,6 +495,7 @@ export class PikachuVolleyball {
       this.physics.player2.isComputer === true &&
       pressedPowerHit
     ) {
+      this.replayRecorder.stop();
       this.frameCounter = 0;
       this.view.game.visible = false;
       this.state = this.intro;
@@ -346,6 +505,10 @@ export class PikachuVolleyball {
     const isBallTouchingGround = this.physics.runEngineForNextFrame(
       this.keyboardArray
     );
+    this.replayRecorder.recordFrame(this.keyboardArray);
+    if (this.instantReplayMode !== 'off') {
+      this.rallyFrames.push(this.physics.toJSON());
+    }
 
     this.playSoundEffect();
     this.view.game.drawPlayersAndBall(this.physics);
@@ -358,6 +521,7 @@ export class PikachuVolleyball {
         this.frameCounter >= this.frameTotal.gameEnd ||
         (this.frameCounter >= 70 && pressedPowerHit)
       ) {
+        this.replayRecorder.stop();
         this.frameCounter = 0;
         this.view.game.visible = false;
         this.state = this.intro;
@@ -371,27 +535,8 @@ export class PikachuVolleyball {
       this.roundEnded === false &&
       this.gameEnded === false
     ) {
-      if (this.physics.ball.punchEffectX < GROUND_HALF_WIDTH) {
-        this.isPlayer2Serve = true;
-        this.scores[1] += 1;
-        if (this.scores[1] >= this.winningScore) {
-          this.gameEnded = true;
-          this.physics.player1.isWinner = false;
-          this.physics.player2.isWinner = true;
-          this.physics.player1.gameEnded = true;
-          this.physics.player2.gameEnded = true;
-        }
-      } else {
-        this.isPlayer2Serve = false;
-        this.scores[0] += 1;
-        if (this.scores[0] >= this.winningScore) {
-          this.gameEnded = true;
-          this.physics.player1.isWinner = true;
-          this.physics.player2.isWinner = false;
-          this.physics.player1.gameEnded = true;
-          this.physics.player2.gameEnded = true;
-        }
-      }
+      processScoreAtEndOfRound(this);
+      this.replayRecorder.recordScores(this.scores);
       this.view.game.drawScoresToScoreBoards(this.scores);
       if (this.roundEnded === false && this.gameEnded === false) {
         this.slowMotionFramesLeft = this.SLOW_MOTION_FRAMES_NUM;
@@ -416,6 +561,49 @@ export class PikachuVolleyball {
     this.view.fadeInOut.changeBlackAlphaBy(1 / 16);
     this.frameCounter++;
     if (this.frameCounter >= this.frameTotal.afterEndOfRound) {
+      this.frameCounter = 0;
+      if (this.instantReplayMode !== 'off' && this.rallyFrames.length > 0) {
+        this.state = this.instantReplay;
+      } else {
+        this.state = this.beforeStartOfNextRound;
+      }
+    }
+  }
+
+  /**
+   * Instant replay of the rally which has just ended.
+   * The rally is drawn from the physics snapshots kept on {@link round}, so the physics engine is not run.
+   * It can be skipped by pressing the power hit key.
+   * @type {GameState}
+   */
+  instantReplay() {
+    const rallyFrames = this.rallyFrames;
+    if (this.frameCounter === 0) {
+      this.view.fadeInOut.setBlackAlphaTo(0);
+    }
+
+    const pressedPowerHit =
+      this.keyboardArray[0].powerHit === 1 ||
+      this.keyboardArray[1].powerHit === 1;
+    if (pressedPowerHit) {
+      this.slowMotionFramesLeft = 0;
+      this.frameCounter = 0;
+      this.state = this.beforeStartOfNextRound;
+      return;
+    }
+
+    // The frames of the final second are played in slow motion (by the game loop)
+    if (
+      this.instantReplayMode === 'slow' &&
+      this.frameCounter === Math.max(0, rallyFrames.length - this.normalFPS)
+    ) {
+      this.slowMotionFramesLeft = rallyFrames.length - this.frameCounter - 1;
+    }
+
+    this.view.game.drawPlayersAndBall(rallyFrames.get(this.frameCounter));
+    this.view.game.drawCloudsAndWave();
+    this.frameCounter++;
+    if (this.frameCounter >= rallyFrames.length) {
       this.frameCounter = 0;
       this.state = this.beforeStartOfNextRound;
     }
@@ -434,6 +622,7 @@ export class PikachuVolleyball {
       this.physics.player2.initializeForNewRound();
       this.physics.ball.initializeForNewRound(this.isPlayer2Serve);
       this.view.game.drawPlayersAndBall(this.physics);
+      this.rallyFrames.clear();
     }
 
     this.view.game.drawCloudsAndWave();
@@ -455,11 +644,12 @@ export class PikachuVolleyball {
 
   /**
    * Play sound effect on {@link round}
+   * @param {PikaPhysics} [physics] physics whose sound flags are checked (the one of an online match ("netplay.js") can be given)
    */
-  playSoundEffect() {
+  playSoundEffect(physics = this.physics) {
     const audio = this.audio;
     for (let i = 0; i < 2; i++) {
-      const player = this.physics[`player${i + 1}`];
+      const player = physics[`player${i + 1}`];
       const sound = player.sound;
       let leftOrCenterOrRight = 0;
       if (this.isStereoSound) {
@@ -478,7 +668,7 @@ export class PikachuVolleyball {
         sound.chu = false;
       }
     }
-    const ball = this.physics.ball;
+    const ball = physics.ball;
     const sound = ball.sound;
     let leftOrCenterOrRight = 0;
     if (this.isStereoSound) {
@@ -498,10 +688,70 @@ export class PikachuVolleyball {
     }
   }
 
+  /**
+   * Get the snapshot of the game.
+   * It includes the state of the built-in RNG for the gameplay ("rand.js").
+   * The options (winning score, practice mode, etc.) and the views are not included.
+   * @return {Object} plain object which can be converted to JSON
+   */
+  toJSON() {
+    // The instant replay is not included in the snapshot: it is skipped when restored.
+    const isInstantReplay = this.state === this.instantReplay;
+    return {
+      version: SNAPSHOT_VERSION,
+      rngState: getRandState(),
+      physics: this.physics.toJSON(),
+      state: isInstantReplay
+        ? 'beforeStartOfNextRound'
+        : GAME_STATE_NAMES.find((name) => this[name] === this.state),
+      frameCounter: isInstantReplay ? 0 : this.frameCounter,
+      noInputFrameCounter: this.noInputFrameCounter,
+      slowMotionFramesLeft: isInstantReplay ? 0 : this.slowMotionFramesLeft,
+      slowMotionNumOfSkippedFrames: this.slowMotionNumOfSkippedFrames,
+      selectedWithWho: this.selectedWithWho,
+      scores: this.scores.slice(),
+      gameEnded: this.gameEnded,
+      roundEnded: this.roundEnded,
+      isPlayer2Serve: this.isPlayer2Serve,
+    };
+  }
+
+  /**
+   * Restore the game from the snapshot.
+   * It also restores the state of the built-in RNG for the gameplay ("rand.js").
+   * The views are updated as the game proceeds from the restored state,
+   * except the score boards which are updated here.
+   * @param {Object} snapshot snapshot gained by {@link PikachuVolleyball#toJSON}
+   */
+  fromJSON(snapshot) {
+    if (snapshot.version !== SNAPSHOT_VERSION) {
+      throw new Error(`Unsupported snapshot version: ${snapshot.version}`);
+    }
+    if (!GAME_STATE_NAMES.includes(snapshot.state)) {
+      throw new Error(`Unknown game state in snapshot: ${snapshot.state}`);
+    }
+    setRandState(snapshot.rngState);
+    this.physics.fromJSON(snapshot.physics);
+    this.state = this[snapshot.state];
+    this.frameCounter = snapshot.frameCounter;
+    this.noInputFrameCounter = snapshot.noInputFrameCounter;
+    this.slowMotionFramesLeft = snapshot.slowMotionFramesLeft;
+    this.slowMotionNumOfSkippedFrames = snapshot.slowMotionNumOfSkippedFrames;
+    this.selectedWithWho = snapshot.selectedWithWho;
+    this.scores[0] = snapshot.scores[0];
+    this.scores[1] = snapshot.scores[1];
+    this.gameEnded = snapshot.gameEnded;
+    this.roundEnded = snapshot.roundEnded;
+    this.isPlayer2Serve = snapshot.isPlayer2Serve;
+    this.view.game.drawScoresToScoreBoards(this.scores);
+  }
+
   /**
    * Called if restart button clicked
    */
   restart() {
+    this.replayRecorder.stop();
+    this.timeTravel.clear();
     this.frameCounter = 0;
     this.noInputFrameCounter = 0;
     this.slowMotionFramesLeft = 0;
@@ -511,6 +761,21 @@ export class PikachuVolleyball {
     this.state = this.intro;
   }
 
+  /** @return {number} */
+  get winningScore() {
+    return this._winningScore;
+  }
+
+  /**
+   * @param {number} score winning score: if either one of the players reaches this score, game ends
+   */
+  set winningScore(score) {
+    if (score !== this._winningScore) {
+      this.replayRecorder.recordOptionChange('winningScore', score);
+    }
+    this._winningScore = score;
+  }
+
   /** @return {boolean} */
   get isPracticeMode() {
     return this._isPracticeMode;
@@ -520,8 +785,27 @@ export class PikachuVolleyball {
    * @param {boolean} bool true: turn on practice mode, false: turn off practice mode
    */
   set isPracticeMode(bool) {
+    if (bool !== this._isPracticeMode) {
+      this.replayRecorder.recordOptionChange('isPracticeMode', bool);
+    }
     this._isPracticeMode = bool;
     this.view.game.scoreBoards[0].visible = !bool;
     this.view.game.scoreBoards[1].visible = !bool;
   }
+
+  /** @return {string} difficulty level of the computer */
+  get computerDifficulty() {
+    return this.physics.player1.computerDifficulty;
+  }
+
+  /**
+   * @param {string} difficulty difficulty level of the computer, a key of COMPUTER_DIFFICULTIES in "physics.js"
+   */
+  set computerDifficulty(difficulty) {
+    if (difficulty !== this.computerDifficulty) {
+      this.replayRecorder.recordOptionChange('computerDifficulty', difficulty);
+    }
+    this.physics.player1.computerDifficulty = difficulty;
+    this.physics.player2.computerDifficulty = difficulty;
+  }
 }
@@ -7,29 +7,121 @@
 /** @type {RNG} custom RNG (random number generator) function which generates a random number in [0, 1] */
 let customRng = null;
 
+/**
+ * Class representing the random number generator of "rand()" function in Visual C++ Library.
+ *
+ * It is a linear congruential generator:
+ *   state = state * 214013 + 2531011 (mod 2^32)
+ *   return value = (state >> 16) & 0x7fff
+ * So the same seed always generates the same sequence of random numbers.
+ */
+export class MSVCRand {
+  /**
+   * Create a random number generator
+   * @param {number} seed unsigned 32-bit integer
+   */
+  constructor(seed) {
+    /** @type {number} internal state, unsigned 32-bit integer */
+    this.state = seed >>> 0;
+  }
+
+  /**
+   * Same as "srand(seed)" in Visual C++ Library
+   * @param {number} seed unsigned 32-bit integer
+   */
+  srand(seed) {
+    this.state = seed >>> 0;
+  }
+
+  /**
+   * Same as "rand()" in Visual C++ Library
+   * @return {number} random integer in [0, 32767]
+   */
+  rand() {
+    // Math.imul is used since the result of 32-bit integer multiplication
+    // can exceed the range where a javascript number can exactly represent an integer.
+    this.state = (Math.imul(this.state, 214013) + 2531011) >>> 0;
+    return (this.state >>> 16) & 0x7fff;
+  }
+}
+
+/**
+ * Generate a seed for the random number generator
+ * @return {number} random unsigned 32-bit integer
+ */
+export function generateSeed() {
+  return Math.floor(4294967296 * Math.random());
+}
+
+/** @type {MSVCRand} built-in RNG for the gameplay which is used if the custom RNG is not set */
+const builtInRng = new MSVCRand(generateSeed());
+
+/**
+ * RNG for the things which do not affect the gameplay (clouds and wave).
+ * It is separated from the RNG for the gameplay so that the random sequence for the gameplay
+ * does not depend on how many frames of clouds and wave are rendered.
+ * @type {MSVCRand}
+ */
+const cosmeticRng = new MSVCRand(generateSeed());
+
 /**
  * Return random integer in [0, 32767]
  *
  * The machine code of the original game use "_rand()" function in Visual Studio 1988 Library.
- * I could't find out how this function works exactly.
- * But, anyhow, it should be a function that generate a random number.
- * I decided to use custom rand function which generates random integer in [0, 32767]
- * which follows rand() function in Visual Studio 2017 Library.
+ * The built-in RNG used here reproduces the sequence of "rand()" function in Visual C++ Library,
+ * whose algorithm is known to be unchanged from old versions of the library.
+ * It is seeded with a random seed when this module is loaded.
+ * Use {@link srand} to make the sequence reproducible.
  *
- * By default, it uses the function "Math.random" for generating a random number.
  * A custom RNG function can used by setting the "customRng" as the custom RNG function.
  *
+ * This function is for the gameplay ("physics.js").
+ * For the things which do not affect the gameplay, use {@link cosmeticRand}.
+ *
  * @return {number} random integer
  */
 export function rand() {
   if (customRng === null) {
-    return Math.floor(32768 * Math.random());
+    return builtInRng.rand();
   }
   return Math.floor(32768 * customRng());
 }
 
 /**
- * Set custom RNG function
+ * Return random integer in [0, 32767] for the things which do not affect the gameplay
+ * (clouds and wave in "cloud_and_wave.js"). It is not affected by {@link srand} or the custom RNG.
+ * @return {number} random integer
+ */
+export function cosmeticRand() {
+  return cosmeticRng.rand();
+}
+
+/**
+ * Seed the built-in RNG. Same as "srand(seed)" in Visual C++ Library.
+ * @param {number} seed unsigned 32-bit integer
+ */
+export function srand(seed) {
+  builtInRng.srand(seed);
+}
+
+/**
+ * Get the internal state of the built-in RNG
+ * @return {number} unsigned 32-bit integer
+ */
+export function getRandState() {
+  return builtInRng.state;
+}
+
+/**
+ * Set the internal state of the built-in RNG
+ * @param {number} state unsigned 32-bit integer which is gained by {@link getRandState}
+ */
+export function setRandState(state) {
+  builtInRng.state = state >>> 0;
+}
+
+/**
+ * Set custom RNG function for the gameplay
  * @param {RNG} rng
  */
 export function setCustomRng(rng) {
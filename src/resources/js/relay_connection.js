@@ -0,0 +1,234 @@
+/**
+ * This module takes charge of the connection to the relay server ("tools/relay_server.mjs") for an online match.
+ *
+ * It is an alternative to the peer-to-peer connection ("webrtc_connection.js") for the networks on which WebRTC
+ * does not work. The messages of the rollback netcode ("netcode.js") are relayed by the server to the other player.
+ *   1. The host creates a room ({@link RelayConnection#createRoom}) and tells the room code to the guest.
+ *   2. The guest joins the room with the code ({@link RelayConnection#joinRoom}), and the match starts.
+ * Whoever joins the room after that is a spectator, who gets the snapshot of the match and the confirmed user inputs
+ * of both players ("spectator.js").
+ *
+ * The messages between the server and the clients are JSON texts with a "type" property:
+ *   client -> server
+ *    - {type: "create", settings}: create a room with the settings of the match, and join it as player 1
+ *    - {type: "join", room, protocolVersion}: join the room as player 2, or as a spectator if player 2 is taken
+ *    - {type: "netcode", data}: message of the rollback netcode for the other player (from players only)
+ *   server -> client
+ *    - {type: "joined", room, role, settings, snapshot}: the client has joined the room.
+ *                                                        role is "player1", "player2" or "spectator",
+ *                                                        and snapshot is given to a spectator only.
+ *    - {type: "start"}: both players are in the room, so the match starts (to players only)
+ *    - {type: "netcode", data}: message of the rollback netcode from the other player (to players only)
+ *    - {type: "inputs", start, inputs}: confirmed user inputs of both players from the start frame
+ *                                       (to spectators only)
+ *    - {type: "viewers", count}: number of the spectators in the room, sent when it changes
+ *    - {type: "left", role, isMatchFinished}: a player has left the room. If the match is not finished,
+ *                                             it is over.
+ *    - {type: "error", reason}: the request failed. reason is "not-found", "version" or "invalid".
+ */
+'use strict';
+import { NETCODE_PROTOCOL_VERSION } from './netcode.js';
+
+/** @typedef {import('./netcode.js').NetplaySettings} NetplaySettings */
+/** @typedef {import('./spectator.js').MatchSnapshot} MatchSnapshot */
+
+/**
+ * The result of joining a room
+ * @typedef {Object} JoinedRoom
+ * @property {string} room room code
+ * @property {string} role "player1", "player2" or "spectator"
+ * @property {NetplaySettings} settings settings of the match
+ * @property {MatchSnapshot} [snapshot] snapshot of the match, for a spectator
+ */
+
+/**
+ * Error of a request which is rejected by the relay server
+ */
+export class RelayError extends Error {
+  /**
+   * @param {string} reason reason sent by the server: "not-found", "version" or "invalid"
+   */
+  constructor(reason) {
+    super(`The relay server rejected the request: ${reason}`);
+    this.name = 'RelayError';
+    /** @type {string} */
+    this.reason = reason;
+  }
+}
+
+/**
+ * Class representing a WebSocket connection to the relay server.
+ * It is also a transport of the rollback netcode ("netcode.js").
+ */
+export class RelayConnection {
+  /**
+   * @param {string} url URL of the relay server, e.g. "ws://192.168.0.2:8080"
+   */
+  constructor(url) {
+    /** @type {WebSocket} */
+    this.socket = new WebSocket(url);
+    /** @type {boolean} Is closed? */
+    this.isClosed = false;
+    /** @type {{resolve: function(JoinedRoom):void, reject: function(Error):void}} request waiting for the reply */
+    this.pendingRequest = null;
+
+    /** @type {function():void} called when the match starts (on players) */
+    this.onopen = null;
+    /** @type {function(string):void} called with each message of the rollback netcode from the other player */
+    this.onmessage = null;
+    /** @type {function(number, number[][]):void} called with the confirmed user inputs (on spectators) */
+    this.oninputs = null;
+    /** @type {function(number):void} called with the number of the spectators in the room when it changes */
+    this.onviewers = null;
+    /** @type {function():void} called when the connection is lost or the other player has left */
+    this.onclose = null;
+
+    /** @type {Promise<void>} resolved when the socket opens */
+    this.opened = new Promise((resolve, reject) => {
+      this.socket.addEventListener('open', () => resolve());
+      this.socket.addEventListener('close', () =>
+        reject(new Error('Could not connect to the relay server'))
+      );
+    });
+    this.socket.addEventListener('message', (event) => {
+      this.receive(JSON.parse(event.data));
+    });
+    this.socket.addEventListener('close', () => {
+      this.handleClose();
+    });
+  }
+
+  /**
+   * Create a room and join it as player 1 (on the host)
+   * @param {NetplaySettings} settings settings of the match which are sent to the guest
+   * @return {Promise<JoinedRoom>}
+   */
+  createRoom(settings) {
+    return this.request({ type: 'create', settings: settings });
+  }
+
+  /**
+   * Join the room as player 2, or as a spectator if the room is full (on the guest)
+   * @param {string} room room code
+   * @return {Promise<JoinedRoom>}
+   */
+  joinRoom(room) {
+    return this.request({
+      type: 'join',
+      room: room.trim().toUpperCase(),
+      protocolVersion: NETCODE_PROTOCOL_VERSION,
+    }).then((joined) => {
+      if (joined.settings.protocolVersion !== NETCODE_PROTOCOL_VERSION) {
+        // The host runs another version of the game, with which the match would desync.
+        throw new RelayError('version');
+      }
+      return joined;
+    });
+  }
+
+  /**
+   * Send the request to the server and wait for the reply
+   * @param {Object} message
+   * @return {Promise<JoinedRoom>}
+   */
+  request(message) {
+    return this.opened.then(
+      () =>
+        new Promise((resolve, reject) => {
+          this.pendingRequest = { resolve, reject };
+          this.socket.send(JSON.stringify(message));
+        })
+    );
+  }
+
+  /**
+   * Send the message of the rollback netcode to the other player. It is dropped if the socket is not open.
+   * @param {string} message
+   */
+  send(message) {
+    if (this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify({ type: 'netcode', data: message }));
+    }
+  }
+
+  /**
+   * Close the connection. {@link RelayConnection#onclose} is not called by this.
+   */
+  close() {
+    this.isClosed = true;
+    this.socket.close();
+  }
+
+  /**
+   * Receive the message from the server
+   * @param {Object} message
+   */
+  receive(message) {
+    switch (message.type) {
+      case 'joined':
+      case 'error':
+        if (this.pendingRequest !== null) {
+          const request = this.pendingRequest;
+          this.pendingRequest = null;
+          if (message.type === 'joined') {
+            request.resolve({
+              room: message.room,
+              role: message.role,
+              settings: message.settings,
+              snapshot: message.snapshot,
+            });
+          } else {
+            request.reject(new RelayError(message.reason));
+          }
+        }
+        break;
+      case 'start':
+        if (this.onopen !== null) {
+          this.onopen();
+        }
+        break;
+      case 'netcode':
+        if (this.onmessage !== null) {
+          this.onmessage(message.data);
+        }
+        break;
+      case 'inputs':
+        if (this.oninputs !== null) {
+          this.oninputs(message.start, message.inputs);
+        }
+        break;
+      case 'viewers':
+        if (this.onviewers !== null) {
+          this.onviewers(message.count);
+        }
+        break;
+      case 'left':
+        if (message.isMatchFinished) {
+          // The user inputs to the end of the match have been received, so the match can be played to the end.
+          this.close();
+        } else {
+          this.handleClose();
+        }
+        break;
+    }
+  }
+
+  /**
+   * Close the connection and notify it, if it is lost or the other player has left
+   */
+  handleClose() {
+    if (this.isClosed) {
+      return;
+    }
+    this.close();
+    if (this.pendingRequest !== null) {
+      this.pendingRequest.reject(
+        new Error('The relay server closed the connection')
+      );
+      this.pendingRequest = null;
+    }
+    if (this.onclose !== null) {
+      this.onclose();
+    }
+  }
+}
@@ -0,0 +1,502 @@
+/**
+ * This module takes charge of recording a match as a replay, and reproducing the match from the replay.
+ *
+ * Since the gameplay random sequence depends only on the seed of the RNG ("rand.js"),
+ * a match can be reproduced by the seed, the options affecting the gameplay,
+ * which players are controlled by computer and the user inputs of each frame of the rounds.
+ * So only these are recorded in a replay.
+ * (The user inputs of a player controlled by the original computer are decided again on playback,
+ * but the ones of a player controlled by any other bot ("bots.js") are recorded, since the bot may not be
+ * registered on the playback.)
+ * The state hashes ("state_hash.js") of the periodic frames are also recorded,
+ * so that it can be detected on which frame the playback diverges from the recorded match.
+ */
+'use strict';
+import {
+  PikaUserInput,
+  encodeUserInput,
+  decodeUserInput,
+  NUM_OF_USER_INPUT_CODES,
+  COMPUTER_DIFFICULTY_NAMES,
+  DEFAULT_COMPUTER_DIFFICULTY,
+} from './physics.js';
+import { HeadlessMatch } from './headless_match.js';
+import { srand } from './rand.js';
+import { computeStateHash } from './state_hash.js';
+
+/**
+ * A change of an option which affects the gameplay during a match
+ * @typedef {Object} OptionChange
+ * @property {number} frame index of the input frame (in {@link Replay#inputs}) before which the change is applied
+ * @property {string} name "winningScore", "isPracticeMode" or "computerDifficulty"
+ * @property {number|boolean|string} value
+ */
+
+/**
+ * Replay file format
+ * @typedef {Object} Replay
+ * @property {string} format always {@link REPLAY_FORMAT}
+ * @property {number} version {@link REPLAY_FORMAT_VERSION}
+ * @property {string} recordedAt the date and time when the recording started (ISO 8601)
+ * @property {number} seed seed of the RNG for the gameplay
+ * @property {number} normalFPS game fps (speed option)
+ * @property {number} winningScore winning score at the start of the match
+ * @property {boolean} isPracticeMode practice mode at the start of the match
+ * @property {boolean[]} isComputer [0] for player 1, [1] for player 2: Is controlled by computer?
+ * @property {string} [computerDifficulty] difficulty level of the computer at the start of the match.
+ *                                         It is absent in the replays recorded before the levels were added,
+ *                                         which are played on {@link DEFAULT_COMPUTER_DIFFICULTY}.
+ * @property {boolean[]} [isComputerInputRecorded] [0] for player 1, [1] for player 2: Is controlled by a bot other than
+ *                                               the original computer, so the user inputs decided by the bot are
+ *                                               recorded in {@link Replay#inputs}? It is absent in the replays
+ *                                               recorded before the bots were added, which means [false, false].
+ * @property {number[]} inputs user inputs of each frame of the rounds: (code for player 1) * 18 + (code for player 2)
+ *                             where the code for each player is gained by encodeUserInput in "physics.js"
+ * @property {OptionChange[]} optionChanges
+ * @property {number[]} scores scores at the end of the recording (or the current scores if it is being recorded)
+ * @property {number[]} [stateHashes] stateHashes[i] is the state hash after the input frame
+ *                                    (i + 1) * {@link STATE_HASH_INTERVAL} - 1 is processed.
+ *                                    It is absent in the replays which are decoded from links.
+ */
+
+/** @constant @type {string} value of the "format" property of a replay */
+export const REPLAY_FORMAT = 'pikachu-volleyball-replay';
+
+/**
+ * Version of the replay format. It should be increased if the format is changed.
+ * @constant @type {number}
+ */
+export const REPLAY_FORMAT_VERSION = 1;
+
+/**
+ * The state hash is recorded at every this number of input frames.
+ * If it is changed, {@link REPLAY_FORMAT_VERSION} should be increased.
+ * @constant @type {number}
+ */
+export const STATE_HASH_INTERVAL = 30;
+
+/**
+ * Class representing a recorder which records a match as a replay
+ */
+export class ReplayRecorder {
+  constructor() {
+    /** @type {Replay} replay which is being recorded or the last recorded replay */
+    this.replay = null;
+    /** @type {boolean} Is recording now? */
+    this.isRecording = false;
+    /**
+     * It is called with the recorded replay when a recording which has any input frame is stopped
+     * @type {function(Replay):void}
+     */
+    this.onRecordingStopped = null;
+  }
+
+  /**
+   * Start recording a new match
+   * @param {number} seed seed of the RNG for the gameplay which is set at the start of the match
+   * @param {number} normalFPS
+   * @param {number} winningScore
+   * @param {boolean} isPracticeMode
+   * @param {boolean[]} isComputer [0] for player 1, [1] for player 2
+   * @param {string} computerDifficulty
+   * @param {boolean[]} isComputerInputRecorded [0] for player 1, [1] for player 2
+   */
+  start(
+    seed,
+    normalFPS,
+    winningScore,
+    isPracticeMode,
+    isComputer,
+    computerDifficulty,
+    isComputerInputRecorded
+  ) {
+    this.replay = {
+      format: REPLAY_FORMAT,
+      version: REPLAY_FORMAT_VERSION,
+      recordedAt: new Date().toISOString(),
+      seed: seed,
+      normalFPS: normalFPS,
+      winningScore: winningScore,
+      isPracticeMode: isPracticeMode,
+      isComputer: isComputer.slice(),
+      computerDifficulty: computerDifficulty,
+      isComputerInputRecorded: isComputerInputRecorded.slice(),
+      inputs: [],
+      optionChanges: [],
+      scores: [0, 0],
+      stateHashes: [],
+    };
+    this.isRecording = true;
+  }
+
+  /**
+   * Record the user inputs of a frame of a round.
+   * It should be called after the user inputs are passed to the physics engine,
+   * since the user input of a player controlled by computer is overwritten by the physics engine
+   * with the one decided by the bot.
+   * @param {PikaUserInput[]} userInputArray [0] for player 1, [1] for player 2
+   */
+  recordFrame(userInputArray) {
+    if (!this.isRecording) {
+      return;
+    }
+    // The user input of a player controlled by the original computer is recorded as no input,
+    // since it is decided again by the computer on playback. It makes the replay more compressible.
+    const codes = [0, 0];
+    for (let i = 0; i < 2; i++) {
+      if (
+        this.replay.isComputer[i] === false ||
+        this.replay.isComputerInputRecorded[i] === true
+      ) {
+        codes[i] = encodeUserInput(userInputArray[i]);
+      }
+    }
+    this.replay.inputs.push(codes[0] * NUM_OF_USER_INPUT_CODES + codes[1]);
+  }
+
+  /**
+   * Record the state hash if the number of recorded input frames has reached the next multiple of {@link STATE_HASH_INTERVAL}.
+   * It should be called with the state hash computed after each frame of the game is processed.
+   * @param {number} stateHash state hash gained by "computeStateHash" in "state_hash.js"
+   */
+  recordStateHash(stateHash) {
+    if (!this.isRecording) {
+      return;
+    }
+    const stateHashes = this.replay.stateHashes;
+    if (
+      this.replay.inputs.length ===
+      (stateHashes.length + 1) * STATE_HASH_INTERVAL
+    ) {
+      stateHashes.push(stateHash);
+    }
+  }
+
+  /**
+   * Record a change of an option which affects the gameplay
+   * @param {string} name "winningScore", "isPracticeMode" or "computerDifficulty"
+   * @param {number|boolean|string} value
+   */
+  recordOptionChange(name, value) {
+    if (!this.isRecording) {
+      return;
+    }
+    this.replay.optionChanges.push({
+      frame: this.replay.inputs.length,
+      name: name,
+      value: value,
+    });
+  }
+
+  /**
+   * Record the scores. It should be called whenever the scores are changed.
+   * @param {number[]} scores [0] for player 1 score, [1] for player 2 score
+   */
+  recordScores(scores) {
+    if (!this.isRecording) {
+      return;
+    }
+    this.replay.scores = scores.slice();
+  }
+
+  /**
+   * Drop the input frames recorded after the number of input frames.
+   * It is used when the game is rewound to an earlier frame of the match being recorded.
+   * @param {number} numOfInputs number of input frames to keep
+   */
+  rewind(numOfInputs) {
+    if (!this.isRecording) {
+      return;
+    }
+    const replay = this.replay;
+    replay.inputs.length = Math.min(replay.inputs.length, numOfInputs);
+    replay.stateHashes.length = Math.min(
+      replay.stateHashes.length,
+      Math.floor(numOfInputs / STATE_HASH_INTERVAL)
+    );
+    // The options are not rewound with the game,
+    // so the option changes made after the frame are moved to the frame.
+    for (const optionChange of replay.optionChanges) {
+      optionChange.frame = Math.min(optionChange.frame, numOfInputs);
+    }
+  }
+
+  /**
+   * Stop recording
+   */
+  stop() {
+    if (!this.isRecording) {
+      return;
+    }
+    this.isRecording = false;
+    if (this.onRecordingStopped !== null && this.replay.inputs.length > 0) {
+      this.onRecordingStopped(this.replay);
+    }
+  }
+}
+
+/**
+ * Parse the JSON text of a replay and check whether it is a valid replay
+ * @param {string} text
+ * @return {Replay}
+ */
+export function parseReplay(text) {
+  return validateReplay(JSON.parse(text));
+}
+
+/**
+ * Check whether the object is a valid replay, e.g. one decoded from a replay link ("replay_link.js")
+ * @param {*} replay
+ * @return {Replay} the replay itself
+ * @throws {Error} if it is not a valid replay
+ */
+export function validateReplay(replay) {
+  if (
+    replay === null ||
+    typeof replay !== 'object' ||
+    replay.format !== REPLAY_FORMAT
+  ) {
+    throw new Error('Not a replay of Pikachu Volleyball');
+  }
+  if (replay.version !== REPLAY_FORMAT_VERSION) {
+    throw new Error(`Unsupported replay version: ${replay.version}`);
+  }
+  if (
+    !Array.isArray(replay.isComputer) ||
+    !Array.isArray(replay.inputs) ||
+    !Array.isArray(replay.optionChanges) ||
+    (replay.stateHashes !== undefined && !Array.isArray(replay.stateHashes)) ||
+    (replay.computerDifficulty !== undefined &&
+      !COMPUTER_DIFFICULTY_NAMES.includes(replay.computerDifficulty)) ||
+    (replay.isComputerInputRecorded !== undefined &&
+      !Array.isArray(replay.isComputerInputRecorded)) ||
+    !replay.inputs.every(isValidInput) ||
+    !replay.optionChanges.every((optionChange) =>
+      isValidOptionChange(optionChange, replay.inputs.length)
+    )
+  ) {
+    throw new Error('Invalid replay');
+  }
+  return replay;
+}
+
+/**
+ * @param {*} input
+ * @return {boolean} Is it the user inputs of an input frame (see {@link Replay#inputs})?
+ */
+function isValidInput(input) {
+  return (
+    Number.isInteger(input) &&
+    input >= 0 &&
+    input < NUM_OF_USER_INPUT_CODES * NUM_OF_USER_INPUT_CODES
+  );
+}
+
+/**
+ * @param {*} optionChange
+ * @param {number} numOfInputs number of the input frames of the replay
+ * @return {boolean} Is it an {@link OptionChange} of an option which a match can have?
+ */
+function isValidOptionChange(optionChange, numOfInputs) {
+  if (
+    typeof optionChange !== 'object' ||
+    optionChange === null ||
+    !Number.isInteger(optionChange.frame) ||
+    optionChange.frame < 0 ||
+    optionChange.frame > numOfInputs
+  ) {
+    return false;
+  }
+  const value = optionChange.value;
+  switch (optionChange.name) {
+    case 'winningScore':
+      return Number.isInteger(value) && value > 0;
+    case 'isPracticeMode':
+      return typeof value === 'boolean';
+    case 'computerDifficulty':
+      return COMPUTER_DIFFICULTY_NAMES.includes(value);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Class representing a bot which decides the user input recorded in a replay,
+ * in place of the bot which controlled the player in the recorded match.
+ * The player stays controlled by computer, so the state hashes are the same as the recorded ones.
+ */
+class RecordedInputBot {
+  /**
+   * @param {PikaUserInput} userInput user input object to which the recorded user input of each frame is decoded
+   */
+  constructor(userInput) {
+    /** @type {PikaUserInput} */
+    this.userInput = userInput;
+  }
+
+  /**
+   * @return {PikaUserInput}
+   */
+  decide() {
+    return this.userInput;
+  }
+}
+
+/**
+ * Class representing a match reproduced from a replay.
+ * The recorded user inputs are fed to a {@link HeadlessMatch} on each frame of the rounds.
+ */
+export class ReplayMatch {
+  /**
+   * Create a match reproduced from the replay
+   * @param {Replay} replay
+   */
+  constructor(replay) {
+    /** @type {Replay} */
+    this.replay = replay;
+    /** @type {HeadlessMatch} */
+    this.match = new HeadlessMatch(
+      replay.isComputer[0],
+      replay.isComputer[1],
+      replay.winningScore
+    );
+    this.match.isPracticeMode = replay.isPracticeMode;
+    this.match.computerDifficulty =
+      replay.computerDifficulty !== undefined
+        ? replay.computerDifficulty
+        : DEFAULT_COMPUTER_DIFFICULTY;
+    /** @type {PikaUserInput[]} */
+    this.userInputArray = [new PikaUserInput(), new PikaUserInput()];
+    if (replay.isComputerInputRecorded !== undefined) {
+      for (let i = 0; i < 2; i++) {
+        if (replay.isComputerInputRecorded[i] === true) {
+          this.match.setComputerBot(
+            i,
+            new RecordedInputBot(this.userInputArray[i])
+          );
+        }
+      }
+    }
+
+    /** @type {number} number of processed frames */
+    this.frame = 0;
+    /** @type {number} index of the next input frame in replay.inputs */
+    this.inputIndex = 0;
+    /** @type {number} index of the next option change in replay.optionChanges */
+    this.optionChangeIndex = 0;
+    /**
+     * Number of processed frames when the state hash was found to be different from the recorded one
+     * for the first time, -1 if not found. It is kept when this replay match is restored from a snapshot.
+     * @type {number}
+     */
+    this.divergedFrame = -1;
+
+    // As in the controller, the RNG is seeded right before the start of new game.
+    srand(replay.seed);
+  }
+
+  /** @return {boolean} Is the end of the replay reached? */
+  get isEnded() {
+    const match = this.match;
+    return (
+      match.isFinished ||
+      (match.state === match.round &&
+        this.inputIndex >= this.replay.inputs.length)
+    );
+  }
+
+  /**
+   * Process one frame with the recorded user inputs
+   */
+  step() {
+    const match = this.match;
+    if (match.state === match.round) {
+      this.applyOptionChanges();
+      const code = this.replay.inputs[this.inputIndex];
+      decodeUserInput(
+        (code / NUM_OF_USER_INPUT_CODES) | 0,
+        this.userInputArray[0]
+      );
+      decodeUserInput(code % NUM_OF_USER_INPUT_CODES, this.userInputArray[1]);
+      this.inputIndex++;
+      match.step(this.userInputArray);
+      this.frame++;
+      this.checkStateHash();
+    } else {
+      // user inputs are not used on the other game states
+      for (const userInput of this.userInputArray) {
+        userInput.xDirection = 0;
+        userInput.yDirection = 0;
+        userInput.powerHit = 0;
+      }
+      match.step(this.userInputArray);
+      this.frame++;
+    }
+  }
+
+  /**
+   * Compare the state hash with the recorded one if it is recorded after the last processed input frame
+   */
+  checkStateHash() {
+    const stateHashes = this.replay.stateHashes;
+    if (
+      stateHashes === undefined ||
+      this.divergedFrame !== -1 ||
+      this.inputIndex % STATE_HASH_INTERVAL !== 0
+    ) {
+      return;
+    }
+    const index = this.inputIndex / STATE_HASH_INTERVAL - 1;
+    if (
+      index < stateHashes.length &&
+      computeStateHash(this.match.physics) !== stateHashes[index]
+    ) {
+      this.divergedFrame = this.frame;
+    }
+  }
+
+  /**
+   * Apply the option changes which were made before the next input frame
+   */
+  applyOptionChanges() {
+    const optionChanges = this.replay.optionChanges;
+    while (
+      this.optionChangeIndex < optionChanges.length &&
+      optionChanges[this.optionChangeIndex].frame <= this.inputIndex
+    ) {
+      const optionChange = optionChanges[this.optionChangeIndex];
+      if (optionChange.name === 'winningScore') {
+        this.match.winningScore = Number(optionChange.value);
+      } else if (optionChange.name === 'isPracticeMode') {
+        this.match.isPracticeMode = Boolean(optionChange.value);
+      } else if (optionChange.name === 'computerDifficulty') {
+        this.match.computerDifficulty = String(optionChange.value);
+      }
+      this.optionChangeIndex++;
+    }
+  }
+
+  /**
+   * Get the snapshot of this replay match
+   * @return {Object} plain object which can be converted to JSON
+   */
+  toJSON() {
+    return {
+      match: this.match.toJSON(),
+      frame: this.frame,
+      inputIndex: this.inputIndex,
+      optionChangeIndex: this.optionChangeIndex,
+    };
+  }
+
+  /**
+   * Restore this replay match from the snapshot
+   * @param {Object} snapshot snapshot gained by {@link ReplayMatch#toJSON}
+   */
+  fromJSON(snapshot) {
+    this.match.fromJSON(snapshot.match);
+    this.frame = snapshot.frame;
+    this.inputIndex = snapshot.inputIndex;
+    this.optionChangeIndex = snapshot.optionChangeIndex;
+  }
+}
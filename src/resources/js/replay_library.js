@@ -0,0 +1,189 @@
+/**
+ * This module takes charge of the replay library which keeps replays in IndexedDB of the browser.
+ *
+ * The replays of the last {@link MAX_NUM_OF_UNSTARRED_ENTRIES} matches are kept automatically,
+ * and older ones are deleted unless they are starred.
+ * Each entry of the library has the replay itself and its metadata (name, final score, date, player types, duration).
+ * All the methods of {@link ReplayLibrary} return a Promise since IndexedDB works asynchronously.
+ */
+'use strict';
+
+/** @typedef {import('./replay.js').Replay} Replay */
+
+/**
+ * An entry of the replay library
+ * @typedef {Object} ReplayLibraryEntry
+ * @property {number} [id] key of the entry in the database (assigned when it is added)
+ * @property {string} name name given by the user ('' if not given)
+ * @property {boolean} starred starred entries are not deleted automatically
+ * @property {string} savedAt the date and time when the entry is added to the library (ISO 8601)
+ * @property {string} recordedAt the date and time when the match started (ISO 8601)
+ * @property {number[]} scores final scores: [0] for player 1, [1] for player 2
+ * @property {boolean[]} isComputer [0] for player 1, [1] for player 2: Is controlled by computer?
+ * @property {number} duration play time of the rounds in seconds
+ * @property {Replay} replay
+ */
+
+/** @constant @type {string} name of the database */
+const DB_NAME = 'pv-offline-replay-library';
+/** @constant @type {number} version of the database. It should be increased if the object store is changed. */
+const DB_VERSION = 1;
+/** @constant @type {string} name of the object store for the entries */
+const STORE_NAME = 'replays';
+
+/** @constant @type {number} number of unstarred entries which are kept in the library */
+export const MAX_NUM_OF_UNSTARRED_ENTRIES = 30;
+
+/**
+ * Make an entry of the replay library from the replay
+ * @param {Replay} replay
+ * @param {string} [name]
+ * @return {ReplayLibraryEntry}
+ */
+export function makeReplayLibraryEntry(replay, name = '') {
+  return {
+    name: name,
+    starred: false,
+    savedAt: new Date().toISOString(),
+    recordedAt: replay.recordedAt,
+    scores: replay.scores.slice(),
+    isComputer: replay.isComputer.slice(),
+    duration: replay.inputs.length / replay.normalFPS,
+    replay: replay,
+  };
+}
+
+/**
+ * Wrap the IndexedDB request with a Promise
+ * @param {IDBRequest} request
+ * @return {Promise<any>} resolved with the result of the request
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Class representing the replay library
+ */
+export class ReplayLibrary {
+  constructor() {
+    /** @type {Promise<IDBDatabase>} the database which is opened when it is first used */
+    this._dbPromise = null;
+  }
+
+  /**
+   * Open the database if it is not opened yet
+   * @return {Promise<IDBDatabase>}
+   */
+  _openDB() {
+    if (this._dbPromise === null) {
+      this._dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+          reject(new Error('IndexedDB is not supported'));
+          return;
+        }
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(STORE_NAME, {
+            keyPath: 'id',
+            autoIncrement: true,
+          });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      // let it be tried again next time if it failed
+      this._dbPromise.catch(() => {
+        this._dbPromise = null;
+      });
+    }
+    return this._dbPromise;
+  }
+
+  /**
+   * Get the object store of the entries in a new transaction
+   * @param {IDBTransactionMode} mode
+   * @return {Promise<IDBObjectStore>}
+   */
+  _getStore(mode) {
+    return this._openDB().then((db) =>
+      db.transaction(STORE_NAME, mode).objectStore(STORE_NAME)
+    );
+  }
+
+  /**
+   * Get all the entries, the most recently added first
+   * @return {Promise<ReplayLibraryEntry[]>}
+   */
+  getAll() {
+    return this._getStore('readonly')
+      .then((store) => promisifyRequest(store.getAll()))
+      .then((entries) => entries.sort((a, b) => b.id - a.id));
+  }
+
+  /**
+   * Add the entry to the library, and delete old unstarred entries
+   * @param {ReplayLibraryEntry} entry
+   * @return {Promise<number>} resolved with the id of the added entry
+   */
+  add(entry) {
+    return this._getStore('readwrite')
+      .then((store) => promisifyRequest(store.add(entry)))
+      .then((id) => this.deleteOldEntries().then(() => id));
+  }
+
+  /**
+   * Change the properties of the entry
+   * @param {number} id
+   * @param {{name?: string, starred?: boolean}} changes
+   * @return {Promise<void>}
+   */
+  update(id, changes) {
+    return this._getStore('readwrite').then(
+      (store) =>
+        new Promise((resolve, reject) => {
+          // get and put in the same transaction
+          const request = store.get(id);
+          request.onsuccess = () => {
+            const entry = request.result;
+            if (entry === undefined) {
+              reject(new Error(`No replay library entry: ${id}`));
+              return;
+            }
+            for (const prop in changes) {
+              entry[prop] = changes[prop];
+            }
+            promisifyRequest(store.put(entry)).then(() => resolve(), reject);
+          };
+          request.onerror = () => reject(request.error);
+        })
+    );
+  }
+
+  /**
+   * Delete the entry
+   * @param {number} id
+   * @return {Promise<void>}
+   */
+  delete(id) {
+    return this._getStore('readwrite').then((store) =>
+      promisifyRequest(store.delete(id))
+    );
+  }
+
+  /**
+   * Delete the unstarred entries except the {@link MAX_NUM_OF_UNSTARRED_ENTRIES} most recently added ones
+   * @return {Promise<void>}
+   */
+  deleteOldEntries() {
+    return this.getAll().then((entries) => {
+      const oldEntries = entries
+        .filter((entry) => !entry.starred)
+        .slice(MAX_NUM_OF_UNSTARRED_ENTRIES);
+      return Promise.all(oldEntries.map((entry) => this.delete(entry.id)));
+    });
+  }
+}
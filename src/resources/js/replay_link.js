@@ -0,0 +1,355 @@
+/**
+ * This module takes charge of sharing a replay as a link.
+ *
+ * A replay is encoded into the fragment (hash) of the page URL: "#replay=<encoded replay>",
+ * so the replay can be shared without any server.
+ * The replay is encoded as a sequence of unsigned integers each of which is written as
+ * a variable-length quantity (7 bits per byte, the most significant bit is set if more bytes follow),
+ * and the bytes are encoded to base64url. In the sequence,
+ *  - the user inputs are run-length encoded: (input, number of consecutive frames with the input), ...
+ *  - the frame of each option change is delta encoded from the frame of the previous option change
+ * since the user inputs tend to be unchanged for many frames and the option changes are rare.
+ */
+'use strict';
+import {
+  REPLAY_FORMAT,
+  REPLAY_FORMAT_VERSION,
+  validateReplay,
+} from './replay.js';
+
+/** @typedef {import('./replay.js').Replay} Replay */
+
+/** @constant @type {string} prefix of the URL fragment for a replay */
+export const REPLAY_LINK_HASH_PREFIX = '#replay=';
+
+/**
+ * Version of the encoding of a replay in a link. It should be increased if the encoding is changed.
+ * @constant @type {number}
+ */
+const REPLAY_LINK_VERSION = 1;
+
+/**
+ * Names of the options which can be changed during a match.
+ * An option name is encoded as the index in this array.
+ * @constant @type {string[]}
+ */
+const OPTION_NAMES = ['winningScore', 'isPracticeMode', 'computerDifficulty'];
+
+/**
+ * Difficulty levels of the computer. A level is encoded as the index in this array,
+ * and "normal" is the first one so that the links made before the levels were added are decoded as "normal".
+ * @constant @type {string[]}
+ */
+const COMPUTER_DIFFICULTIES = ['normal', 'easy', 'hard', 'expert'];
+
+/**
+ * Maximum number of the frames of a replay in a link: two hours at the normal speed, which is much longer
+ * than a match to 15 points. A link is opened as soon as the page is, so a crafted link should not be able
+ * to make the page decode and run an endless replay.
+ * @constant @type {number}
+ */
+export const MAX_REPLAY_LINK_FRAMES = 25 * 60 * 60 * 2;
+
+/** @constant @type {string} characters of base64url encoding */
+const BASE64URL_CHARS =
+  'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+/**
+ * Make a link to the replay
+ * @param {Replay} replay
+ * @param {string} pageURL URL of the page on which the replay is played (the fragment in it is ignored)
+ * @return {string}
+ * @throws {Error} if the replay is longer than {@link MAX_REPLAY_LINK_FRAMES}, or has an unknown difficulty level
+ */
+export function makeReplayLink(replay, pageURL) {
+  return `${pageURL.split('#')[0]}${REPLAY_LINK_HASH_PREFIX}${encodeReplay(
+    replay
+  )}`;
+}
+
+/**
+ * Get the replay from the fragment of the page URL
+ * @param {string} hash fragment of the page URL (location.hash)
+ * @return {Replay} null if the fragment is not for a replay
+ */
+export function getReplayFromHash(hash) {
+  if (!hash.startsWith(REPLAY_LINK_HASH_PREFIX)) {
+    return null;
+  }
+  return decodeReplay(hash.slice(REPLAY_LINK_HASH_PREFIX.length));
+}
+
+/**
+ * Encode the replay to a base64url string
+ * @param {Replay} replay
+ * @return {string}
+ * @throws {Error} if the replay is longer than {@link MAX_REPLAY_LINK_FRAMES}, or has an unknown difficulty level
+ */
+export function encodeReplay(replay) {
+  if (replay.inputs.length > MAX_REPLAY_LINK_FRAMES) {
+    throw new Error('The replay is too long for a link');
+  }
+  /** @type {number[]} */
+  const values = [
+    REPLAY_LINK_VERSION,
+    replay.seed,
+    Math.floor(Date.parse(replay.recordedAt) / 1000),
+    replay.normalFPS,
+    replay.winningScore,
+    (replay.isPracticeMode ? 1 : 0) |
+      (replay.isComputer[0] ? 2 : 0) |
+      (replay.isComputer[1] ? 4 : 0) |
+      (encodeComputerDifficulty(replay.computerDifficulty) << 3) |
+      (isComputerInputRecorded(replay, 0) ? 32 : 0) |
+      (isComputerInputRecorded(replay, 1) ? 64 : 0),
+    replay.scores[0],
+    replay.scores[1],
+  ];
+
+  values.push(replay.optionChanges.length);
+  let previousFrame = 0;
+  for (const optionChange of replay.optionChanges) {
+    values.push(optionChange.frame - previousFrame);
+    values.push(OPTION_NAMES.indexOf(optionChange.name));
+    values.push(
+      optionChange.name === 'computerDifficulty'
+        ? encodeComputerDifficulty(String(optionChange.value))
+        : Number(optionChange.value)
+    );
+    previousFrame = optionChange.frame;
+  }
+
+  /** @type {number[]} */
+  const runs = [];
+  const inputs = replay.inputs;
+  let i = 0;
+  while (i < inputs.length) {
+    let j = i + 1;
+    while (j < inputs.length && inputs[j] === inputs[i]) {
+      j++;
+    }
+    runs.push(inputs[i], j - i);
+    i = j;
+  }
+  values.push(runs.length / 2);
+  for (const value of runs) {
+    values.push(value);
+  }
+
+  return bytesToBase64url(writeVarints(values));
+}
+
+/**
+ * Decode the replay from a base64url string gained by {@link encodeReplay}
+ * @param {string} text
+ * @return {Replay}
+ * @throws {Error} if the link is broken, or the replay in it is not valid (see validateReplay in "replay.js")
+ */
+export function decodeReplay(text) {
+  const reader = new VarintReader(base64urlToBytes(text));
+  const version = reader.read();
+  if (version !== REPLAY_LINK_VERSION) {
+    throw new Error(`Unsupported replay link version: ${version}`);
+  }
+  const seed = reader.read();
+  const recordedAt = new Date(reader.read() * 1000).toISOString();
+  const normalFPS = reader.read();
+  const winningScore = reader.read();
+  const flags = reader.read();
+  const scores = [reader.read(), reader.read()];
+
+  const optionChanges = [];
+  const numOfOptionChanges = reader.read();
+  let frame = 0;
+  for (let i = 0; i < numOfOptionChanges; i++) {
+    frame += reader.read();
+    const name = OPTION_NAMES[reader.read()];
+    if (name === undefined) {
+      throw new Error('Unknown option in replay link');
+    }
+    const value = reader.read();
+    let decodedValue = value;
+    // (Any other value is left as it is, so that it is rejected as an invalid replay below.)
+    if (name === 'isPracticeMode' && value <= 1) {
+      decodedValue = value === 1;
+    } else if (name === 'computerDifficulty') {
+      decodedValue = decodeComputerDifficulty(value);
+    }
+    optionChanges.push({
+      frame: frame,
+      name: name,
+      value: decodedValue,
+    });
+  }
+
+  const inputs = [];
+  const numOfRuns = reader.read();
+  for (let i = 0; i < numOfRuns; i++) {
+    const input = reader.read();
+    const runLength = reader.read();
+    if (inputs.length + runLength > MAX_REPLAY_LINK_FRAMES) {
+      throw new Error('Too many frames in replay link');
+    }
+    for (let j = 0; j < runLength; j++) {
+      inputs.push(input);
+    }
+  }
+  if (!reader.isEnded) {
+    throw new Error('Trailing data in replay link');
+  }
+
+  return validateReplay({
+    format: REPLAY_FORMAT,
+    version: REPLAY_FORMAT_VERSION,
+    recordedAt: recordedAt,
+    seed: seed,
+    normalFPS: normalFPS,
+    winningScore: winningScore,
+    isPracticeMode: (flags & 1) !== 0,
+    isComputer: [(flags & 2) !== 0, (flags & 4) !== 0],
+    computerDifficulty: decodeComputerDifficulty((flags >> 3) & 3),
+    isComputerInputRecorded: [(flags & 32) !== 0, (flags & 64) !== 0],
+    inputs: inputs,
+    optionChanges: optionChanges,
+    scores: scores,
+  });
+}
+
+/**
+ * @param {Replay} replay
+ * @param {number} playerIndex 0 for player 1, 1 for player 2
+ * @return {boolean} Are the user inputs of the player decided by a bot recorded in the replay?
+ */
+function isComputerInputRecorded(replay, playerIndex) {
+  return (
+    replay.isComputerInputRecorded !== undefined &&
+    replay.isComputerInputRecorded[playerIndex] === true
+  );
+}
+
+/**
+ * @param {string} [difficulty] difficulty level of the computer (absent in an old replay: "normal")
+ * @return {number} index in {@link COMPUTER_DIFFICULTIES}
+ */
+function encodeComputerDifficulty(difficulty) {
+  if (difficulty === undefined) {
+    return 0;
+  }
+  const index = COMPUTER_DIFFICULTIES.indexOf(difficulty);
+  if (index === -1) {
+    throw new Error(`Unknown difficulty level: ${difficulty}`);
+  }
+  return index;
+}
+
+/**
+ * @param {number} index index in {@link COMPUTER_DIFFICULTIES}
+ * @return {string} difficulty level of the computer
+ */
+function decodeComputerDifficulty(index) {
+  const difficulty = COMPUTER_DIFFICULTIES[index];
+  if (difficulty === undefined) {
+    throw new Error('Unknown difficulty level in replay link');
+  }
+  return difficulty;
+}
+
+/**
+ * Write the unsigned integers as variable-length quantities
+ * @param {number[]} values unsigned integers less than 2^53
+ * @return {number[]} bytes
+ */
+function writeVarints(values) {
+  const bytes = [];
+  for (let value of values) {
+    while (value >= 0x80) {
+      bytes.push(value % 0x80 | 0x80);
+      value = Math.floor(value / 0x80);
+    }
+    bytes.push(value);
+  }
+  return bytes;
+}
+
+/**
+ * Class representing a reader of variable-length quantities written by {@link writeVarints}
+ */
+class VarintReader {
+  /**
+   * @param {number[]} bytes
+   */
+  constructor(bytes) {
+    this.bytes = bytes;
+    /** @type {number} index of the next byte to read */
+    this.index = 0;
+  }
+
+  /** @return {boolean} Are all the bytes read? */
+  get isEnded() {
+    return this.index >= this.bytes.length;
+  }
+
+  /**
+   * Read an unsigned integer
+   * @return {number}
+   */
+  read() {
+    let value = 0;
+    let multiplier = 1;
+    while (true) {
+      if (this.isEnded) {
+        throw new Error('Unexpected end of replay link');
+      }
+      const byte = this.bytes[this.index];
+      this.index++;
+      value += (byte & 0x7f) * multiplier;
+      if ((byte & 0x80) === 0) {
+        return value;
+      }
+      multiplier *= 0x80;
+    }
+  }
+}
+
+/**
+ * Encode the bytes to base64url (without padding)
+ * @param {number[]} bytes
+ * @return {string}
+ */
+function bytesToBase64url(bytes) {
+  let text = '';
+  for (let i = 0; i < bytes.length; i += 3) {
+    // 3 bytes (24 bits) are encoded to 4 characters (6 bits each)
+    const n =
+      (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+    const numOfChars = Math.min(4, Math.ceil(((bytes.length - i) * 8) / 6));
+    for (let j = 0; j < numOfChars; j++) {
+      text += BASE64URL_CHARS[(n >> (18 - 6 * j)) & 0x3f];
+    }
+  }
+  return text;
+}
+
+/**
+ * Decode the base64url (without padding) to bytes
+ * @param {string} text
+ * @return {number[]} bytes
+ */
+function base64urlToBytes(text) {
+  const bytes = [];
+  let bits = 0;
+  let numOfBits = 0;
+  for (const char of text) {
+    const sextet = BASE64URL_CHARS.indexOf(char);
+    if (sextet === -1) {
+      throw new Error('Invalid character in replay link');
+    }
+    bits = ((bits << 6) | sextet) & 0xffffff;
+    numOfBits += 6;
+    if (numOfBits >= 8) {
+      numOfBits -= 8;
+      bytes.push((bits >> numOfBits) & 0xff);
+    }
+  }
+  return bytes;
+}
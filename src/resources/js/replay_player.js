@@ -0,0 +1,217 @@
+/**
+ * This module takes charge of playing a replay on the game view.
+ *
+ * The match is reproduced from the replay by {@link ReplayMatch} and drawn by the view objects of "view.js".
+ * The view objects are drawn as the controller ("pikavolley.js") draws them on each game state,
+ * but the drawing is done only by the state of the match on the frame,
+ * so that the frame can be drawn properly right after seeking.
+ * Sound effects are not played on the replay player.
+ */
+'use strict';
+import { ReplayMatch } from './replay.js';
+
+/** @typedef {import('./replay.js').Replay} Replay */
+/** @typedef {import('./headless_match.js').HeadlessMatch} HeadlessMatch */
+/** @typedef {import('./view.js').GameView} GameView */
+/** @typedef {import('./view.js').FadeInOut} FadeInOut */
+
+/**
+ * A snapshot of the replay match is kept at every this number of frames for seeking
+ * @constant @type {number}
+ */
+const KEYFRAME_INTERVAL = 100;
+
+/** @constant @type {number} fps for slow motion (same as the one in the controller) */
+const SLOW_MOTION_FPS = 5;
+
+/**
+ * Class representing a replay player
+ */
+export class ReplayPlayer {
+  /**
+   * Create a replay player
+   * @param {{game: GameView, fadeInOut: FadeInOut}} view view objects on which the replay is drawn
+   * @param {Replay} replay
+   */
+  constructor(view, replay) {
+    this.view = view;
+    this.replayMatch = new ReplayMatch(replay);
+
+    // Run the whole replay in advance to get the total number of frames
+    // and the snapshots (keyframes) used for seeking.
+    /** @type {Object[]} keyframes[i] is the snapshot at the frame i * KEYFRAME_INTERVAL */
+    this.keyframes = [];
+    while (!this.replayMatch.isEnded) {
+      if (this.replayMatch.frame % KEYFRAME_INTERVAL === 0) {
+        this.keyframes.push(this.replayMatch.toJSON());
+      }
+      this.replayMatch.step();
+    }
+    /** @type {number} total number of frames of the replay */
+    this.totalFrames = this.replayMatch.frame;
+    this.replayMatch.fromJSON(this.keyframes[0]);
+
+    /** @type {boolean} Is playback paused? */
+    this.paused = false;
+    /** @type {number} playback speed: 1 for the speed at which the match was played */
+    this.playbackRate = 1;
+    /**
+     * elapsed time which is not yet consumed by processing frames, in units of a normal frame.
+     * A frame in slow motion consumes more than one unit.
+     * @type {number}
+     */
+    this.timeToProcess = 0;
+
+    this.view.fadeInOut.setBlackAlphaTo(1);
+  }
+
+  /** @return {number} number of frames played */
+  get frame() {
+    return this.replayMatch.frame;
+  }
+
+  /** @return {boolean} Is the end of the replay reached? */
+  get isEnded() {
+    return this.replayMatch.isEnded;
+  }
+
+  /**
+   * Play frames according to the elapsed time.
+   * This function should be called on every tick of a ticker.
+   * @param {number} elapsedMS elapsed time from the last update in milliseconds
+   */
+  update(elapsedMS) {
+    if (this.paused) {
+      return;
+    }
+    const normalFPS = this.replayMatch.replay.normalFPS;
+    this.timeToProcess += (elapsedMS / 1000) * normalFPS * this.playbackRate;
+    while (!this.isEnded) {
+      // As in the controller, a frame is processed slowly in slow motion.
+      const cost =
+        this.replayMatch.match.slowMotionFramesLeft > 0
+          ? Math.round(normalFPS / SLOW_MOTION_FPS)
+          : 1;
+      if (this.timeToProcess < cost) {
+        break;
+      }
+      this.stepAndDraw();
+      this.timeToProcess -= cost;
+    }
+    if (this.isEnded) {
+      this.timeToProcess = 0;
+      this.paused = true;
+    }
+  }
+
+  /**
+   * Play just one frame forward
+   */
+  stepForward() {
+    if (!this.isEnded) {
+      this.stepAndDraw();
+    }
+  }
+
+  /**
+   * Go to the frame
+   * @param {number} frame number of frames played after seeking
+   */
+  seek(frame) {
+    frame = Math.max(0, Math.min(this.totalFrames, Math.floor(frame)));
+    this.timeToProcess = 0;
+    this.replayMatch.fromJSON(
+      this.keyframes[Math.floor(Math.max(0, frame - 1) / KEYFRAME_INTERVAL)]
+    );
+    if (frame === 0) {
+      this.view.fadeInOut.setBlackAlphaTo(1);
+      return;
+    }
+    while (this.replayMatch.frame < frame - 1) {
+      this.replayMatch.step();
+    }
+    // The last frame is drawn.
+    this.stepAndDraw();
+  }
+
+  /**
+   * Process one frame and draw it
+   */
+  stepAndDraw() {
+    const match = this.replayMatch.match;
+    const state = match.state;
+    const frameCounter = match.frameCounter;
+    const wasGameEnded = match.gameEnded;
+    this.replayMatch.step();
+    this.draw(state, frameCounter, wasGameEnded);
+  }
+
+  /**
+   * Draw the frame processed on the game state
+   * @param {function():void} state game state of the match on which the frame was processed
+   * @param {number} frameCounter frame counter of the match before the frame was processed
+   * @param {boolean} wasGameEnded Was the game ended before the frame was processed?
+   */
+  draw(state, frameCounter, wasGameEnded) {
+    drawMatchFrame(
+      this.view,
+      this.replayMatch.match,
+      state,
+      frameCounter,
+      wasGameEnded
+    );
+  }
+}
+
+/**
+ * Draw the frame of the headless match which has just been processed.
+ * It is also used for drawing an online match ("netplay.js").
+ * @param {{game: GameView, fadeInOut: FadeInOut}} view view objects on which the frame is drawn
+ * @param {HeadlessMatch} match
+ * @param {function():void} state game state of the match on which the frame was processed
+ * @param {number} frameCounter frame counter of the match before the frame was processed
+ * @param {boolean} wasGameEnded Was the game ended before the frame was processed?
+ */
+export function drawMatchFrame(view, match, state, frameCounter, wasGameEnded) {
+  const game = view.game;
+  const fadeInOut = view.fadeInOut;
+  const frameTotal = match.frameTotal;
+
+  game.visible = true;
+  game.initializeVisibles();
+  game.scoreBoards[0].visible = !match.isPracticeMode;
+  game.scoreBoards[1].visible = !match.isPracticeMode;
+  game.drawScoresToScoreBoards(match.scores);
+  game.drawPlayersAndBall(match.physics);
+
+  if (state === match.startOfNewGame) {
+    if (frameCounter < frameTotal.startOfNewGame - 1) {
+      game.messages.gameStart.visible = true;
+      game.drawGameStartMessage(frameCounter, frameTotal.startOfNewGame);
+    }
+    game.drawCloudsAndWave();
+    fadeInOut.setBlackAlphaTo(Math.max(0, 1 - (frameCounter + 1) / 17));
+  } else if (state === match.round) {
+    if (wasGameEnded) {
+      game.messages.gameEnd.visible = true;
+      game.drawGameEndMessage(frameCounter);
+    }
+    game.drawCloudsAndWave();
+    // fade out begins on the last frame of the round
+    fadeInOut.setBlackAlphaTo(
+      match.state === match.afterEndOfRound ? 1 / 16 : 0
+    );
+  } else if (state === match.afterEndOfRound) {
+    fadeInOut.setBlackAlphaTo(Math.min(1, (frameCounter + 2) / 16));
+  } else if (state === match.beforeStartOfNextRound) {
+    const framesDone = frameCounter + 1;
+    if (framesDone < frameTotal.beforeStartOfNextRound) {
+      // ready message is toggled on every 5 frames
+      game.drawReadyMessage(Math.floor(framesDone / 5) % 2 === 1);
+      fadeInOut.setBlackAlphaTo(Math.max(0, 1 - framesDone / 16));
+    } else {
+      fadeInOut.setBlackAlphaTo(0);
+    }
+    game.drawCloudsAndWave();
+  }
+}
@@ -0,0 +1,293 @@
+/**
+ * This module takes charge of the bots which are written by the users as script files.
+ *
+ * A bot script is a plain JavaScript file which defines the global function "decide".
+ * It is called with the state of a frame ({@link BotState} in "bots.js") and returns the user input for the player.
+ *
+ * ex) A bot script which runs toward the ball and jumps when the ball is above
+ *
+ *   function decide(state) {
+ *     const player = state.player;
+ *     const ball = state.ball;
+ *     return {
+ *       xDirection: Math.sign(ball.x - player.x), // -1: left, 0: none, 1: right
+ *       yDirection: Math.abs(ball.x - player.x) < 20 ? -1 : 0, // -1: up (jump), 0: none, 1: down
+ *       powerHit: 0, // 1: power hit (or dive if the player is on the ground), 0: none
+ *     };
+ *   }
+ *
+ * The script is run in a Web Worker, so it can not access the page or the game, and the state given to it is frozen.
+ * Before the script is run, the worker removes the globals for the network, the storages shared with the page
+ * (IndexedDB and the caches) and the messaging, so a shared bot script can not leak or damage the data of the user.
+ * Since the game can not wait for the worker, the user input decided from the state of a frame is used on
+ * the next frame (see AsyncBot in "bots.js"). If the "decide" function takes longer than the time budget,
+ * or its reply does not arrive until the next frame, the player gets no input on the next frame.
+ * If the worker does not reply for a while (e.g. the script is in an infinite loop), it is restarted.
+ * Each player controlled by the script gets its own bot and worker ({@link createScriptBot}),
+ * so the players never share the state of the script, and a restart affects only one of them.
+ *
+ * Since the user inputs decided by the bot are recorded in replays ("replay.js"), the replays can be played
+ * without the script.
+ */
+'use strict';
+import { AsyncBot } from './bots.js';
+
+/** @typedef {import('./bots.js').BotState} BotState */
+
+/**
+ * Default time budget in milliseconds for the "decide" function on a frame
+ * @constant @type {number}
+ */
+export const DEFAULT_SCRIPT_BOT_TIME_BUDGET = 10;
+
+/**
+ * The function run in the worker. It is converted to the source code of the worker,
+ * so it should not refer to anything outside of it.
+ *
+ * Messages from the bot to the worker:
+ *  - {type: "load", source, timeBudget}: load the bot script
+ *  - {type: "decide", frame, state}: call the "decide" function with the state of the frame
+ * Messages from the worker to the bot:
+ *  - {type: "ready"}: the script is loaded
+ *  - {type: "error", message}: the script could not be loaded
+ *  - {type: "input", frame, userInput}: the user input decided from the state of the frame,
+ *                                       null if the "decide" function failed or took longer than the time budget
+ */
+function runBotWorker() {
+  /**
+   * Globals which the script should not use: the ones for loading scripts, the network, the storages shared
+   * with the page (e.g. the replay library and the cache of the service worker), and the ones for messaging,
+   * so that the script can not talk to the page or take over the messages to the worker.
+   */
+  const blockedGlobals = [
+    'importScripts',
+    'fetch',
+    'XMLHttpRequest',
+    'WebSocket',
+    'EventSource',
+    'indexedDB',
+    'caches',
+    'BroadcastChannel',
+    'Worker',
+    'SharedWorker',
+    'onmessage',
+    'postMessage',
+    'addEventListener',
+    'removeEventListener',
+  ];
+
+  // They are kept before the script is run, since the script can replace the globals.
+  const postMessage = self.postMessage.bind(self);
+  const now = performance.now.bind(performance);
+  const freeze = Object.freeze;
+  const keys = Object.keys;
+
+  let decide = null;
+  let timeBudget = 0;
+
+  const deepFreeze = (object) => {
+    for (const key of keys(object)) {
+      if (typeof object[key] === 'object' && object[key] !== null) {
+        deepFreeze(object[key]);
+      }
+    }
+    return freeze(object);
+  };
+
+  const toDirection = (value) => (value > 0 ? 1 : value < 0 ? -1 : 0);
+
+  /**
+   * Remove the blocked globals from the global object and its prototypes, so that they can not be
+   * reached even through the prototypes, and make them undefined for good.
+   */
+  const blockGlobals = () => {
+    for (const name of blockedGlobals) {
+      for (
+        let object = self;
+        object !== null;
+        object = Object.getPrototypeOf(object)
+      ) {
+        if (
+          Object.prototype.hasOwnProperty.call(object, name) &&
+          !Reflect.deleteProperty(object, name)
+        ) {
+          throw new Error(`The bot script can not be sandboxed: ${name}`);
+        }
+      }
+      Object.defineProperty(self, name, {
+        value: undefined,
+        writable: false,
+        configurable: false,
+      });
+    }
+  };
+
+  /**
+   * Run the source code of the script with the blocked globals shadowed
+   * @param {string} source
+   * @return {*} "decide" defined by the script
+   */
+  const evaluate = (source) => {
+    const run = new Function(
+      ...blockedGlobals,
+      `${source}\n;return typeof decide === 'undefined' ? undefined : decide;`
+    );
+    return run();
+  };
+
+  const onMessage = (event) => {
+    const message = event.data;
+    if (message.type === 'load') {
+      try {
+        blockGlobals();
+        decide = evaluate(message.source);
+        if (typeof decide !== 'function') {
+          throw new Error('The script does not define the "decide" function');
+        }
+      } catch (error) {
+        postMessage({ type: 'error', message: String(error) });
+        return;
+      }
+      timeBudget = message.timeBudget;
+      postMessage({ type: 'ready' });
+    } else if (message.type === 'decide') {
+      const start = now();
+      let decided = null;
+      try {
+        decided = decide(deepFreeze(message.state));
+      } catch (error) {
+        console.error(error);
+      }
+      let userInput = null;
+      if (
+        now() - start <= timeBudget &&
+        typeof decided === 'object' &&
+        decided !== null
+      ) {
+        userInput = {
+          xDirection: toDirection(decided.xDirection),
+          yDirection: toDirection(decided.yDirection),
+          powerHit: decided.powerHit === 1 ? 1 : 0,
+        };
+      }
+      postMessage({
+        type: 'input',
+        frame: message.frame,
+        userInput: userInput,
+      });
+    }
+  };
+  // The handler stays registered after "onmessage" is removed by blockGlobals.
+  self.onmessage = onMessage;
+}
+
+/**
+ * Class representing a bot which runs a bot script in a Web Worker.
+ * It can be registered in "bots.js".
+ */
+export class ScriptBot extends AsyncBot {
+  /**
+   * Create a bot. The bot gives no input until a script is loaded.
+   * @param {number} [timeBudget] time budget in milliseconds for the "decide" function on a frame
+   */
+  constructor(timeBudget = DEFAULT_SCRIPT_BOT_TIME_BUDGET) {
+    super();
+    /** @type {number} */
+    this.timeBudget = timeBudget;
+    /** @type {string} source code of the loaded script */
+    this.source = null;
+    /** @type {Worker} */
+    this.worker = null;
+  }
+
+  /**
+   * Load the script in a new worker. The worker running the previous script is terminated.
+   * @param {string} source source code of the bot script
+   * @return {Promise<void>} resolved when the script is loaded, rejected if the script could not be loaded
+   */
+  load(source) {
+    this.terminate();
+    this.source = source;
+    const workerURL = URL.createObjectURL(
+      new Blob([`(${runBotWorker.toString()})();`], {
+        type: 'text/javascript',
+      })
+    );
+    const worker = new Worker(workerURL);
+    URL.revokeObjectURL(workerURL);
+    this.worker = worker;
+    return new Promise((resolve, reject) => {
+      worker.onmessage = (event) => {
+        const message = event.data;
+        if (message.type === 'ready') {
+          this.isReady = true;
+          resolve();
+        } else if (message.type === 'error') {
+          this.terminate();
+          reject(new Error(message.message));
+        } else if (message.type === 'input') {
+          this.receive(message.frame, message.userInput);
+        }
+      };
+      worker.onerror = (event) => {
+        event.preventDefault();
+        this.terminate();
+        reject(new Error(event.message));
+      };
+      worker.postMessage({
+        type: 'load',
+        source: source,
+        timeBudget: this.timeBudget,
+      });
+    });
+  }
+
+  /**
+   * Terminate the worker
+   */
+  terminate() {
+    if (this.worker !== null) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.isReady = false;
+    this.clear();
+  }
+
+  /**
+   * Terminate the worker when the bot is not used anymore
+   */
+  dispose() {
+    this.terminate();
+  }
+
+  /**
+   * Send the state of the frame to the worker
+   * @param {number} frame
+   * @param {BotState} state
+   */
+  send(frame, state) {
+    this.worker.postMessage({ type: 'decide', frame: frame, state: state });
+  }
+
+  /**
+   * Restart the worker, since the script may be in an infinite loop
+   */
+  onHung() {
+    console.error('The bot script does not reply, so it is restarted.');
+    this.load(this.source).catch((error) => console.error(error));
+  }
+}
+
+/**
+ * Make a bot which runs the script in its own worker, for a player.
+ * The bot gives no input until the script is loaded, and none at all if the script could not be loaded.
+ * @param {string} source source code of the bot script
+ * @param {number} [timeBudget] time budget in milliseconds for the "decide" function on a frame
+ * @return {ScriptBot}
+ */
+export function createScriptBot(source, timeBudget) {
+  const bot = new ScriptBot(timeBudget);
+  bot.load(source).catch((error) => console.error(error));
+  return bot;
+}
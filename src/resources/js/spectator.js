@@ -0,0 +1,525 @@
+/**
+ * This module contains the sessions of a spectator who watches a live match, and the feed of the match
+ * being played on this page for the spectators on the other tabs of the browser.
+ *
+ * A spectator is read-only: it never sends any user input. It processes the match with the user inputs of
+ * both players received from the source of the match. Each frame is processed a short delay (e.g. 1 second)
+ * after its user inputs are received, so that the match is drawn smoothly even if they arrive irregularly.
+ * There are two kinds of sources.
+ *  - {@link RelaySpectatorSession}: an online match played through the relay server ("tools/relay_server.mjs").
+ *    The server keeps the match processed with the confirmed user inputs (i.e. the ones received from both
+ *    players). A spectator who joins the room gets the snapshot of the match on the last confirmed frame,
+ *    and the confirmed user inputs of the following frames.
+ *  - {@link LocalSpectatorSession}: a match played on another tab of the browser (e.g. for a second monitor),
+ *    fed by {@link SpectatorFeed} over a BroadcastChannel. The feed sends the replay ("replay.js")
+ *    being recorded on the tab and the user inputs added to it, and the spectator follows the replay.
+ */
+'use strict';
+import { PikaUserInput, decodeUserInput } from './physics.js';
+import { HeadlessMatch } from './headless_match.js';
+import { ReplayMatch } from './replay.js';
+import { clearSoundFlags } from './netcode.js';
+import { getRandState, setRandState } from './rand.js';
+
+/** @typedef {import('./netcode.js').NetplaySettings} NetplaySettings */
+/** @typedef {import('./netcode.js').ProcessedFrame} ProcessedFrame */
+/** @typedef {import('./replay.js').Replay} Replay */
+/** @typedef {import('./replay.js').ReplayRecorder} ReplayRecorder */
+
+/**
+ * The snapshot of the match on a frame, sent by the relay server to a spectator who joins the room
+ * @typedef {Object} MatchSnapshot
+ * @property {number} frame number of the frames processed before the snapshot was taken
+ * @property {Object} match snapshot of the match ({@link HeadlessMatch#toJSON})
+ */
+
+/** @constant @type {number} default delay of a spectator in milliseconds */
+export const DEFAULT_SPECTATOR_DELAY = 1000;
+
+/** @constant @type {string} name of the BroadcastChannel between the feed and the local spectators */
+const SPECTATOR_CHANNEL_NAME = 'pikachu-volleyball-spectator';
+
+/**
+ * If a spectator is behind the delay by more than this (in milliseconds), e.g. after the page was frozen,
+ * it processes two frames on a tick until it catches up.
+ * @constant @type {number}
+ */
+const MAX_EXTRA_LAG = 1000;
+
+/** @constant @type {number} the "received time" of a frame which does not need any user input */
+const NO_USER_INPUT_NEEDED = -Infinity;
+
+/**
+ * Class representing the session of a spectator.
+ * It has the same properties as the rollback session ("netcode.js") which are used for drawing the match,
+ * and the subclasses provide the match and the user inputs.
+ */
+export class SpectatorSession {
+  /**
+   * @param {NetplaySettings} settings
+   * @param {number} delay delay in milliseconds from receiving the user inputs of a frame to processing it
+   */
+  constructor(settings, delay) {
+    /** @type {number} -1 since the spectator plays neither player */
+    this.localPlayerIndex = -1;
+    /** @type {NetplaySettings} */
+    this.settings = settings;
+    /** @type {number} */
+    this.delay = delay;
+    /** @type {HeadlessMatch} */
+    this.match = null;
+    /**
+     * State of the RNG of the match. The RNG is shared by all the matches in the page,
+     * so it is restored before and kept after the frames of the match are processed.
+     * @type {number}
+     */
+    this.rngState = getRandState();
+    /** @type {ProcessedFrame} */
+    this.processedFrame = null;
+    /** @type {number} the first frame on which the match is found to differ from the source, -1 if not found */
+    this.desyncedFrame = -1;
+  }
+
+  /** @return {boolean} Is the match finished? */
+  get isFinished() {
+    return this.match !== null && this.match.isFinished;
+  }
+
+  /**
+   * Get ready for processing the next frame
+   * @return {number} the time (performance.now()) when the user inputs of the next frame were received,
+   *                  null if they are not received yet, or {@link NO_USER_INPUT_NEEDED}
+   */
+  prepareNextFrame() {
+    return null;
+  }
+
+  /**
+   * Process the next frame
+   */
+  stepFrame() {}
+
+  /**
+   * Process a new frame if its user inputs were received the delay ago.
+   * This function should be called on every tick of the game loop.
+   * @return {boolean} Is a new frame processed?
+   */
+  advance() {
+    const now = performance.now();
+    setRandState(this.rngState);
+    let isAdvanced = false;
+    for (let i = 0; i < 2 && !this.isFinished; i++) {
+      const receivedTime = this.prepareNextFrame();
+      if (receivedTime === null) {
+        break;
+      }
+      if (i === 0 && now - receivedTime < this.delay) {
+        break;
+      }
+      // The second frame on a tick is processed only to catch up.
+      if (
+        i === 1 &&
+        (receivedTime === NO_USER_INPUT_NEEDED ||
+          now - receivedTime < this.delay + MAX_EXTRA_LAG)
+      ) {
+        break;
+      }
+      const match = this.match;
+      this.processedFrame = {
+        state: match.state,
+        frameCounter: match.frameCounter,
+        wasGameEnded: match.gameEnded,
+      };
+      // Only the sounds of the frame to be drawn are played.
+      clearSoundFlags(match);
+      this.stepFrame();
+      isAdvanced = true;
+    }
+    this.rngState = getRandState();
+    return isAdvanced;
+  }
+}
+
+/**
+ * Class representing the session of a spectator of an online match played through the relay server
+ */
+export class RelaySpectatorSession extends SpectatorSession {
+  /**
+   * Create a spectator session which starts from the snapshot
+   * @param {NetplaySettings} settings
+   * @param {MatchSnapshot} snapshot
+   * @param {number} [delay] delay in milliseconds
+   */
+  constructor(settings, snapshot, delay = DEFAULT_SPECTATOR_DELAY) {
+    super(settings, delay);
+    this.match = new HeadlessMatch(false, false, settings.winningScore);
+    this.match.fromJSON(snapshot.match);
+    this.rngState = getRandState();
+
+    /** @type {number} number of processed frames */
+    this.frame = snapshot.frame;
+    /** @type {number} the frame of the first code in this.codesArray */
+    this.firstFrameOfCodes = snapshot.frame;
+    /** @type {number[][]} [0] for player 1, [1] for player 2: codes of the confirmed user inputs from this.firstFrameOfCodes */
+    this.codesArray = [[], []];
+    /** @type {number[]} receivedTimes[i] is the time when the codes of the index i in this.codesArray were received */
+    this.receivedTimes = [];
+    /** @type {PikaUserInput[]} [0] for player 1, [1] for player 2 */
+    this.userInputArray = [new PikaUserInput(), new PikaUserInput()];
+  }
+
+  /** @return {number} number of the frames whose user inputs of both players are received */
+  get numOfReceivedFrames() {
+    return this.firstFrameOfCodes + this.receivedTimes.length;
+  }
+
+  /**
+   * Receive the confirmed user inputs from the relay server
+   * @param {number} start the frame of the first codes
+   * @param {number[][]} codesArray [0] for player 1, [1] for player 2: codes of the user inputs from the start frame
+   */
+  receive(start, codesArray) {
+    // The relay server sends the user inputs in order without a gap or an overlap.
+    if (start !== this.numOfReceivedFrames) {
+      throw new Error(
+        `Unexpected user inputs from frame ${start} (expected ${this.numOfReceivedFrames})`
+      );
+    }
+    const now = performance.now();
+    for (let i = 0; i < 2; i++) {
+      this.codesArray[i].push(...codesArray[i]);
+    }
+    for (let i = 0; i < codesArray[0].length; i++) {
+      this.receivedTimes.push(now);
+    }
+  }
+
+  prepareNextFrame() {
+    if (this.frame >= this.numOfReceivedFrames) {
+      return null;
+    }
+    return this.receivedTimes[this.frame - this.firstFrameOfCodes];
+  }
+
+  stepFrame() {
+    const index = this.frame - this.firstFrameOfCodes;
+    for (let i = 0; i < 2; i++) {
+      decodeUserInput(this.codesArray[i][index], this.userInputArray[i]);
+    }
+    this.match.step(this.userInputArray);
+    this.frame++;
+  }
+}
+
+/**
+ * Class representing the session of a spectator of a match played on another tab of the browser.
+ * It follows the matches on the tab one after another until the tab is closed.
+ */
+export class LocalSpectatorSession extends SpectatorSession {
+  /**
+   * Create a local spectator session and ask the feeds on the other tabs for their matches
+   * @param {number} normalFPS game fps until the first replay is received
+   * @param {number} [delay] delay in milliseconds
+   */
+  constructor(normalFPS, delay = DEFAULT_SPECTATOR_DELAY) {
+    super({ normalFPS: normalFPS }, delay);
+    /** @type {string} ID of this spectator for the feed, which counts the spectators */
+    this.id = Math.random().toString(36).slice(2);
+    /** @type {string} ID of the feed which this spectator follows, null until a replay is received */
+    this.feedID = null;
+    /** @type {boolean} Has the tab of the feed been closed? */
+    this.isFeedClosed = false;
+
+    /** @type {Replay} the replay which is being watched, null until a replay is received */
+    this.replay = null;
+    /** @type {number[]} receivedTimes[i] is the time when replay.inputs[i] was received */
+    this.receivedTimes = [];
+    /** @type {ReplayMatch} match reproduced from this.replay, null until it is started */
+    this.replayMatch = null;
+    /** @type {Replay} the replay of the next match on the tab of the feed, or null */
+    this.nextReplay = null;
+    /** @type {number[]} receivedTimes of this.nextReplay */
+    this.nextReceivedTimes = [];
+
+    /** @type {function(number):void} called with the number of the spectators of the feed when it changes */
+    this.onviewers = null;
+
+    /** @type {BroadcastChannel} */
+    this.channel = new BroadcastChannel(SPECTATOR_CHANNEL_NAME);
+    this.channel.onmessage = (event) => this.receive(event.data);
+    this.channel.postMessage({ type: 'hello', id: this.id });
+  }
+
+  /** @return {boolean} Is the last match on the tab of the feed finished? */
+  get isFinished() {
+    return (
+      this.isFeedClosed &&
+      this.nextReplay === null &&
+      (this.replayMatch === null || this.replayMatch.isEnded)
+    );
+  }
+
+  /**
+   * Stop watching
+   */
+  close() {
+    this.channel.postMessage({ type: 'bye', id: this.id });
+    this.channel.close();
+  }
+
+  /**
+   * Receive the message from the feeds
+   * @param {Object} message
+   */
+  receive(message) {
+    if (message.type === 'hello' || message.type === 'bye') {
+      // from the other spectators
+      return;
+    }
+    if (message.type === 'replay') {
+      if (message.to !== null && message.to !== this.id) {
+        // for another spectator who has just come
+        return;
+      }
+      if (this.feedID === null) {
+        this.feedID = message.feedID;
+      }
+    }
+    if (message.feedID !== this.feedID) {
+      return;
+    }
+    const now = performance.now();
+    switch (message.type) {
+      case 'replay':
+        // The user inputs which are already in the replay are regarded as received the delay ago,
+        // so that the spectator starts the delay behind the match on the tab (see startNextReplay).
+        this.nextReplay = message.replay;
+        this.nextReceivedTimes = message.replay.inputs.map(
+          () => now - this.delay
+        );
+        if (message.isRewound) {
+          // The match being watched is rewound on the tab: start it again at once.
+          this.replayMatch = null;
+        }
+        break;
+      case 'inputs': {
+        const replay = this.nextReplay !== null ? this.nextReplay : this.replay;
+        const receivedTimes =
+          this.nextReplay !== null
+            ? this.nextReceivedTimes
+            : this.receivedTimes;
+        if (replay === null || message.start !== replay.inputs.length) {
+          break;
+        }
+        replay.inputs.push(...message.inputs);
+        replay.optionChanges.push(...message.optionChanges);
+        replay.stateHashes.push(...message.stateHashes);
+        replay.scores = message.scores;
+        for (let i = 0; i < message.inputs.length; i++) {
+          receivedTimes.push(now);
+        }
+        break;
+      }
+      case 'viewers':
+        if (this.onviewers !== null) {
+          this.onviewers(message.count);
+        }
+        break;
+      case 'closed':
+        this.isFeedClosed = true;
+        break;
+    }
+  }
+
+  prepareNextFrame() {
+    if (
+      this.nextReplay !== null &&
+      (this.replayMatch === null || this.replayMatch.isEnded)
+    ) {
+      this.startNextReplay();
+    }
+    if (this.replayMatch === null || this.replayMatch.isEnded) {
+      return null;
+    }
+    const match = this.replayMatch.match;
+    if (match.state !== match.round) {
+      return NO_USER_INPUT_NEEDED;
+    }
+    return this.receivedTimes[this.replayMatch.inputIndex];
+  }
+
+  stepFrame() {
+    this.replayMatch.step();
+    this.desyncedFrame = this.replayMatch.divergedFrame;
+  }
+
+  /**
+   * Start watching the next replay. If the match on the tab of the feed is far ahead,
+   * the frames are processed at once until the spectator is the delay behind it.
+   */
+  startNextReplay() {
+    this.replay = this.nextReplay;
+    this.receivedTimes = this.nextReceivedTimes;
+    this.nextReplay = null;
+    this.nextReceivedTimes = [];
+    this.settings = { normalFPS: this.replay.normalFPS };
+    this.replayMatch = new ReplayMatch(this.replay);
+    this.match = this.replayMatch.match;
+    this.desyncedFrame = -1;
+
+    const numOfDelayedInputs = Math.ceil(
+      (this.delay / 1000) * this.replay.normalFPS
+    );
+    while (
+      !this.replayMatch.isEnded &&
+      this.replayMatch.inputIndex <
+        this.replay.inputs.length - numOfDelayedInputs
+    ) {
+      this.replayMatch.step();
+    }
+  }
+}
+
+/**
+ * Class representing the feed of the matches played on this page for the local spectators on the other tabs.
+ * It sends the replay being recorded by the controller, and the user inputs added to it.
+ */
+export class SpectatorFeed {
+  /**
+   * Create a feed which answers the spectators on the other tabs
+   * @param {ReplayRecorder} replayRecorder replay recorder of the controller
+   */
+  constructor(replayRecorder) {
+    /** @type {ReplayRecorder} */
+    this.replayRecorder = replayRecorder;
+    /** @type {string} ID of this feed, which tells it from the feeds on the other tabs */
+    this.id = Math.random().toString(36).slice(2);
+    /** @type {Set<string>} IDs of the spectators */
+    this.viewerIDs = new Set();
+    /** @type {Replay} the replay which was sent last */
+    this.sentReplay = null;
+    /** @type {{inputs: number, optionChanges: number, stateHashes: number}} numbers of the sent items of the replay */
+    this.numOfSent = { inputs: 0, optionChanges: 0, stateHashes: 0 };
+
+    /** @type {function(number):void} called with the number of the spectators when it changes */
+    this.onviewers = null;
+
+    /** @type {BroadcastChannel} */
+    this.channel = new BroadcastChannel(SPECTATOR_CHANNEL_NAME);
+    this.channel.onmessage = (event) => this.receive(event.data);
+  }
+
+  /** @return {number} number of the spectators */
+  get numOfViewers() {
+    return this.viewerIDs.size;
+  }
+
+  /**
+   * Receive the message from the spectators
+   * @param {Object} message
+   */
+  receive(message) {
+    switch (message.type) {
+      case 'hello':
+        this.viewerIDs.add(message.id);
+        // The replay goes first, from which the spectator knows this feed.
+        if (this.replayRecorder.replay !== null) {
+          this.sendReplay(false, message.id);
+        }
+        this.sendViewers();
+        break;
+      case 'bye':
+        this.viewerIDs.delete(message.id);
+        this.sendViewers();
+        break;
+    }
+  }
+
+  /**
+   * Send the new user inputs of the replay being recorded.
+   * This function should be called on every tick of the game loop.
+   */
+  update() {
+    const replay = this.replayRecorder.replay;
+    if (this.viewerIDs.size === 0 || replay === null) {
+      return;
+    }
+    if (replay !== this.sentReplay) {
+      this.sendReplay(false, null);
+      // for the spectators who have been waiting for the first replay
+      this.sendViewers();
+      return;
+    }
+    if (replay.inputs.length < this.numOfSent.inputs) {
+      // rewound by the time travel debug mode
+      this.sendReplay(true, null);
+      return;
+    }
+    if (
+      replay.inputs.length === this.numOfSent.inputs &&
+      replay.optionChanges.length === this.numOfSent.optionChanges
+    ) {
+      return;
+    }
+    this.channel.postMessage({
+      type: 'inputs',
+      feedID: this.id,
+      start: this.numOfSent.inputs,
+      inputs: replay.inputs.slice(this.numOfSent.inputs),
+      optionChanges: replay.optionChanges.slice(this.numOfSent.optionChanges),
+      stateHashes: replay.stateHashes.slice(this.numOfSent.stateHashes),
+      scores: replay.scores,
+    });
+    this.countSentItems(replay);
+  }
+
+  /**
+   * Send the whole replay being recorded (or recorded last)
+   * @param {boolean} isRewound Is it sent since the replay has been rewound?
+   * @param {string} to ID of the spectator who has just come, or null for all the spectators
+   */
+  sendReplay(isRewound, to) {
+    const replay = this.replayRecorder.replay;
+    this.channel.postMessage({
+      type: 'replay',
+      feedID: this.id,
+      to: to,
+      replay: replay,
+      isRewound: isRewound,
+    });
+    this.sentReplay = replay;
+    this.countSentItems(replay);
+  }
+
+  /**
+   * Keep the numbers of the items of the replay which have been sent
+   * @param {Replay} replay
+   */
+  countSentItems(replay) {
+    this.numOfSent.inputs = replay.inputs.length;
+    this.numOfSent.optionChanges = replay.optionChanges.length;
+    this.numOfSent.stateHashes = replay.stateHashes.length;
+  }
+
+  /**
+   * Send the number of the spectators, and notify it
+   */
+  sendViewers() {
+    this.channel.postMessage({
+      type: 'viewers',
+      feedID: this.id,
+      count: this.viewerIDs.size,
+    });
+    if (this.onviewers !== null) {
+      this.onviewers(this.viewerIDs.size);
+    }
+  }
+
+  /**
+   * Tell the spectators that this page is being closed
+   */
+  close() {
+    this.channel.postMessage({ type: 'closed', feedID: this.id });
+    this.channel.close();
+  }
+}
@@ -0,0 +1,118 @@
+/**
+ * This module contains the state hash: a checksum of the gameplay state of a frame.
+ *
+ * The state hash is computed from all the properties of the players and the ball ("physics.js")
+ * which affect the gameplay, and the state of the built-in RNG for the gameplay ("rand.js").
+ * If two runs of the game have the same state hash on a frame, they are (almost certainly) in the same state,
+ * so comparing the state hashes frame by frame can detect the exact frame where the runs diverge.
+ * It is used for checking that a replay is played back as it was recorded,
+ * and for catching behavior changes of the physics engine after refactoring.
+ *
+ * The punch effect radius of the ball is excluded since it is changed by the view ("view.js") on drawing.
+ * The custom RNG (set by "setCustomRng" in "rand.js") is not covered.
+ */
+'use strict';
+import { getRandState } from './rand.js';
+
+/** @typedef {import('./physics.js').PikaPhysics} PikaPhysics */
+
+/**
+ * Names of the properties of a player which are included in the state hash
+ * @constant @type {string[]}
+ */
+const PLAYER_HASH_PROPERTIES = [
+  'isPlayer2',
+  'isComputer',
+  'x',
+  'y',
+  'yVelocity',
+  'isCollisionWithBallHappened',
+  'state',
+  'frameNumber',
+  'normalStatusArmSwingDirection',
+  'delayBeforeNextFrame',
+  'computerBoldness',
+  'divingDirection',
+  'lyingDownDurationLeft',
+  'isWinner',
+  'gameEnded',
+  'computerWhereToStandBy',
+];
+
+/**
+ * Names of the properties of a ball which are included in the state hash
+ * @constant @type {string[]}
+ */
+const BALL_HASH_PROPERTIES = [
+  'x',
+  'y',
+  'xVelocity',
+  'yVelocity',
+  'isPowerHit',
+  'expectedLandingPointX',
+  'rotation',
+  'fineRotation',
+  'punchEffectX',
+  'punchEffectY',
+  'previousX',
+  'previousPreviousX',
+  'previousY',
+  'previousPreviousY',
+];
+
+/** @constant @type {number} offset basis of 32-bit FNV-1a hash */
+const FNV_OFFSET_BASIS = 0x811c9dc5;
+/** @constant @type {number} prime of 32-bit FNV-1a hash */
+const FNV_PRIME = 0x01000193;
+
+/**
+ * Mix a 32-bit integer into the hash (32-bit FNV-1a, byte by byte from the least significant byte)
+ * @param {number} hash
+ * @param {number} value 32-bit integer (the fractional part is dropped if any)
+ * @return {number} new hash
+ */
+function mix(hash, value) {
+  for (let i = 0; i < 4; i++) {
+    hash = Math.imul(hash ^ ((value >>> (8 * i)) & 0xff), FNV_PRIME);
+  }
+  return hash;
+}
+
+/**
+ * Mix the properties of the object into the hash
+ * @param {number} hash
+ * @param {Object} object
+ * @param {string[]} propertyNames
+ * @return {number} new hash
+ */
+function mixProperties(hash, object, propertyNames) {
+  for (const name of propertyNames) {
+    const value = object[name];
+    // booleans are mixed as 0 or 1
+    hash = mix(hash, typeof value === 'boolean' ? Number(value) : value | 0);
+  }
+  return hash;
+}
+
+/**
+ * Compute the state hash of the physics and the current state of the built-in RNG for the gameplay
+ * @param {PikaPhysics} physics
+ * @return {number} unsigned 32-bit integer
+ */
+export function computeStateHash(physics) {
+  let hash = FNV_OFFSET_BASIS;
+  hash = mixProperties(hash, physics.player1, PLAYER_HASH_PROPERTIES);
+  hash = mixProperties(hash, physics.player2, PLAYER_HASH_PROPERTIES);
+  hash = mixProperties(hash, physics.ball, BALL_HASH_PROPERTIES);
+  hash = mix(hash, getRandState());
+  return hash >>> 0;
+}
+
+/**
+ * Format the state hash as a fixed-length hexadecimal string for logging and displaying
+ * @param {number} hash state hash gained by {@link computeStateHash}
+ * @return {string} 8 hexadecimal digits
+ */
+export function formatStateHash(hash) {
+  return hash.toString(16).padStart(8, '0');
+}
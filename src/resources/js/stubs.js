@@ -0,0 +1,469 @@
+/**
+ * This module contains the stubs of the view objects ("view.js"), the audio ("audio.js") and the keyboards ("keyboard.js").
+ *
+ * The stubs do not depend on pixi.js or the browser, so the controller ("pikavolley.js") with these stubs
+ * injected can be run on Node.js. The stubs do nothing except keeping the states which the controller sets
+ * (visibility, black alpha, ...). If a {@link CallRecorder} is given, the calls of their methods are recorded,
+ * so that what the controller would have drawn or played can be checked.
+ *
+ * ex) Run the game from the intro to the menu and select to play with computer on Node.js
+ *
+ *   const recorder = new CallRecorder();
+ *   const keyboardArray = [new ScriptedKeyboard(), new ScriptedKeyboard()];
+ *   const game = new PikachuVolleyball(
+ *     makeStubView(recorder),
+ *     new StubAudio(recorder),
+ *     keyboardArray
+ *   );
+ *   keyboardArray[0].keyDown('powerHit'); // skip the intro
+ *   game.gameLoop();
+ *   keyboardArray[0].keyUp('powerHit');
+ *   while (game.state !== game.menu) {
+ *     game.gameLoop();
+ *   }
+ *   ...
+ *   console.log(recorder.count('audio.pi.play'));
+ */
+'use strict';
+import { PikaUserInput } from './physics.js';
+
+/** @typedef {import('./pikavolley.js').PikaView} PikaView */
+
+/**
+ * A recorded call of a method of a stub
+ * @typedef {Object} RecordedCall
+ * @property {string} name name of the stub and the method, e.g. "game.drawScoresToScoreBoards", "audio.pi.play"
+ * @property {Array} args arguments of the call (arrays are copied, the other objects are kept as they are)
+ */
+
+/**
+ * Class representing a recorder of the calls of the methods of the stubs
+ */
+export class CallRecorder {
+  constructor() {
+    /** @type {RecordedCall[]} recorded calls, the oldest first */
+    this.calls = [];
+  }
+
+  /**
+   * Record a call
+   * @param {string} name
+   * @param {Array} args
+   */
+  record(name, args) {
+    this.calls.push({
+      name: name,
+      args: args.map((arg) => (Array.isArray(arg) ? arg.slice() : arg)),
+    });
+  }
+
+  /**
+   * Get the recorded calls of the name
+   * @param {string} name
+   * @return {RecordedCall[]}
+   */
+  filter(name) {
+    return this.calls.filter((call) => call.name === name);
+  }
+
+  /**
+   * Get the number of the recorded calls of the name
+   * @param {string} name
+   * @return {number}
+   */
+  count(name) {
+    return this.filter(name).length;
+  }
+
+  /**
+   * Remove all the recorded calls
+   */
+  clear() {
+    this.calls = [];
+  }
+}
+
+/**
+ * Class representing a base of the stubs which records the calls of its methods
+ */
+class Stub {
+  /**
+   * @param {string} name name of the stub used for recording, e.g. "game"
+   * @param {CallRecorder} recorder null if the calls are not recorded
+   */
+  constructor(name, recorder) {
+    this.name = name;
+    this.recorder = recorder;
+    /** @type {boolean} */
+    this.visible = true;
+  }
+
+  /**
+   * Record a call of the method
+   * @param {string} methodName
+   * @param {Array} args
+   */
+  record(methodName, args) {
+    if (this.recorder !== null) {
+      this.recorder.record(`${this.name}.${methodName}`, args);
+    }
+  }
+}
+
+/**
+ * Class representing a stub of IntroView
+ */
+export class StubIntroView extends Stub {
+  /**
+   * @param {CallRecorder} [recorder]
+   */
+  constructor(recorder = null) {
+    super('intro', recorder);
+  }
+
+  /** @param {number} frameCounter */
+  drawMark(frameCounter) {
+    this.record('drawMark', [frameCounter]);
+  }
+}
+
+/**
+ * Class representing a stub of MenuView
+ */
+export class StubMenuView extends Stub {
+  /**
+   * @param {CallRecorder} [recorder]
+   */
+  constructor(recorder = null) {
+    super('menu', recorder);
+    /** @type {number} -1: not selected, 0: with computer, 1: with friend, 2: play online */
+    this.selectedWithWho = -1;
+  }
+
+  initializeVisibles() {
+    this.record('initializeVisibles', []);
+  }
+
+  /** @param {number} frameCounter */
+  drawFightMessage(frameCounter) {
+    this.record('drawFightMessage', [frameCounter]);
+  }
+
+  /** @param {number} frameCounter */
+  drawSachisoft(frameCounter) {
+    this.record('drawSachisoft', [frameCounter]);
+  }
+
+  /** @param {number} frameCounter */
+  drawSittingPikachuTiles(frameCounter) {
+    this.record('drawSittingPikachuTiles', [frameCounter]);
+  }
+
+  /** @param {number} frameCounter */
+  drawPikachuVolleyballMessage(frameCounter) {
+    this.record('drawPikachuVolleyballMessage', [frameCounter]);
+  }
+
+  /** @param {number} frameCounter */
+  drawPokemonMessage(frameCounter) {
+    this.record('drawPokemonMessage', [frameCounter]);
+  }
+
+  /**
+   * @param {number} frameCounter
+   * @param {boolean} isPlayOnlineShown
+   */
+  drawWithWhoMessages(frameCounter, isPlayOnlineShown) {
+    this.record('drawWithWhoMessages', [frameCounter, isPlayOnlineShown]);
+  }
+
+  /** @param {number} i 0: with computer, 1: with friend, 2: play online */
+  selectWithWho(i) {
+    this.selectedWithWho = i;
+    this.record('selectWithWho', [i]);
+  }
+}
+
+/**
+ * Class representing a stub of GameView
+ */
+export class StubGameView extends Stub {
+  /**
+   * @param {CallRecorder} [recorder]
+   */
+  constructor(recorder = null) {
+    super('game', recorder);
+    /** @type {{visible: boolean}[]} [0] for player 1, [1] for player 2 */
+    this.scoreBoards = [{ visible: true }, { visible: true }];
+    /** @type {Object.<string,{visible: boolean}>} */
+    this.messages = {
+      gameStart: { visible: false },
+      ready: { visible: false },
+      gameEnd: { visible: false },
+    };
+    /** @type {number[]} scores drawn on the score boards */
+    this.scores = [0, 0];
+  }
+
+  initializeVisibles() {
+    this.record('initializeVisibles', []);
+  }
+
+  /** @param {Object} physics PikaPhysics object or its snapshot */
+  drawPlayersAndBall(physics) {
+    this.record('drawPlayersAndBall', [physics]);
+  }
+
+  /** @param {number[]} scores */
+  drawScoresToScoreBoards(scores) {
+    this.scores = scores.slice();
+    this.record('drawScoresToScoreBoards', [scores]);
+  }
+
+  drawCloudsAndWave() {
+    this.record('drawCloudsAndWave', []);
+  }
+
+  /**
+   * @param {number} frameCounter
+   * @param {number} frameTotal
+   */
+  drawGameStartMessage(frameCounter, frameTotal) {
+    this.record('drawGameStartMessage', [frameCounter, frameTotal]);
+  }
+
+  /** @param {boolean} bool */
+  drawReadyMessage(bool) {
+    this.messages.ready.visible = bool;
+    this.record('drawReadyMessage', [bool]);
+  }
+
+  toggleReadyMessage() {
+    this.messages.ready.visible = !this.messages.ready.visible;
+    this.record('toggleReadyMessage', []);
+  }
+
+  /** @param {number} frameCounter */
+  drawGameEndMessage(frameCounter) {
+    this.messages.gameEnd.visible = true;
+    this.record('drawGameEndMessage', [frameCounter]);
+  }
+}
+
+/**
+ * Class representing a stub of FadeInOut
+ */
+export class StubFadeInOut extends Stub {
+  /**
+   * @param {CallRecorder} [recorder]
+   */
+  constructor(recorder = null) {
+    super('fadeInOut', recorder);
+    /** @type {number} alpha of the black screen, number in [0, 1] */
+    this.blackAlpha = 1;
+  }
+
+  /** @param {number} alpha number in [0, 1] */
+  setBlackAlphaTo(alpha) {
+    this.blackAlpha = alpha;
+    this.visible = alpha !== 0;
+    this.record('setBlackAlphaTo', [alpha]);
+  }
+
+  /** @param {number} alphaIncrement if alphaIncrement > 0: fade out, else fade in */
+  changeBlackAlphaBy(alphaIncrement) {
+    this.blackAlpha = Math.max(
+      0,
+      Math.min(1, this.blackAlpha + alphaIncrement)
+    );
+    this.visible = this.blackAlpha !== 0;
+    this.record('changeBlackAlphaBy', [alphaIncrement]);
+  }
+}
+
+/**
+ * Class representing a stub of DebugHUD
+ */
+export class StubDebugHUD extends Stub {
+  /**
+   * @param {CallRecorder} [recorder]
+   */
+  constructor(recorder = null) {
+    super('hud', recorder);
+    this.visible = false;
+  }
+
+  /**
+   * @param {number} frameIndex
+   * @param {string} stateName
+   * @param {Object} physics
+   * @param {number} stateHash
+   */
+  draw(frameIndex, stateName, physics, stateHash) {
+    this.record('draw', [frameIndex, stateName, physics, stateHash]);
+  }
+}
+
+/**
+ * Stubs of all the view objects, which have the same methods as the ones of {@link PikaView}
+ * @typedef {Object} StubView
+ * @property {StubIntroView} intro
+ * @property {StubMenuView} menu
+ * @property {StubGameView} game
+ * @property {StubFadeInOut} fadeInOut
+ * @property {StubDebugHUD} hud
+ */
+
+/**
+ * Make the stubs of all the view objects
+ * @param {CallRecorder} [recorder]
+ * @return {StubView}
+ */
+export function makeStubView(recorder = null) {
+  return {
+    intro: new StubIntroView(recorder),
+    menu: new StubMenuView(recorder),
+    game: new StubGameView(recorder),
+    fadeInOut: new StubFadeInOut(recorder),
+    hud: new StubDebugHUD(recorder),
+  };
+}
+
+/**
+ * Class representing a stub of a sound of PikaAudio
+ */
+class StubSound extends Stub {
+  /**
+   * @param {string} name name of the sound, e.g. "pi"
+   * @param {CallRecorder} recorder
+   */
+  constructor(name, recorder) {
+    super(`audio.${name}`, recorder);
+    /** @type {number} */
+    this.volume = 1;
+    /** @type {boolean} */
+    this.loop = false;
+  }
+
+  /** @param {number} [leftOrCenterOrRight] -1: left, 0: center, 1: right */
+  play(leftOrCenterOrRight = 0) {
+    this.record('play', [leftOrCenterOrRight]);
+  }
+
+  stop() {
+    this.record('stop', []);
+  }
+}
+
+/**
+ * Class representing a stub of PikaAudio
+ */
+export class StubAudio {
+  /**
+   * @param {CallRecorder} [recorder]
+   */
+  constructor(recorder = null) {
+    /** @type {Object.<string,StubSound>} sounds pack */
+    this.sounds = {};
+    for (const name of [
+      'bgm',
+      'pipikachu',
+      'pika',
+      'chu',
+      'pi',
+      'pikachu',
+      'powerHit',
+      'ballTouchesGround',
+    ]) {
+      this.sounds[name] = new StubSound(name, recorder);
+    }
+    this.sounds.bgm.loop = true;
+    /** @type {boolean} */
+    this.isMuted = false;
+  }
+
+  /** @param {boolean} turnOn */
+  turnBGMVolume(turnOn) {
+    this.sounds.bgm.volume = turnOn ? 1 : 0;
+  }
+
+  /** @param {boolean} turnOn */
+  turnSFXVolume(turnOn) {
+    for (const name in this.sounds) {
+      if (name !== 'bgm') {
+        this.sounds[name].volume = turnOn ? 1 : 0;
+      }
+    }
+  }
+
+  muteAll() {
+    this.isMuted = true;
+  }
+
+  unmuteAll() {
+    this.isMuted = false;
+  }
+}
+
+/**
+ * Class representing a keyboard whose keys are pressed and released by a script instead of the user.
+ * As PikaKeyboard in "keyboard.js", the input is frozen by {@link ScriptedKeyboard#getInput} for each frame
+ * and the power hit key works only at the moment it is pressed down.
+ */
+export class ScriptedKeyboard extends PikaUserInput {
+  constructor() {
+    super();
+    /** @type {Object.<string,boolean>} Is each key down? */
+    this.keys = {
+      left: false,
+      right: false,
+      up: false,
+      down: false,
+      powerHit: false,
+    };
+    /** @type {boolean} */
+    this.powerHitKeyIsDownPrevious = false;
+  }
+
+  /**
+   * Press the key down
+   * @param {string} key "left", "right", "up", "down" or "powerHit"
+   */
+  keyDown(key) {
+    if (!(key in this.keys)) {
+      throw new Error(`Unknown key: ${key}`);
+    }
+    this.keys[key] = true;
+  }
+
+  /**
+   * Release the key
+   * @param {string} key "left", "right", "up", "down" or "powerHit"
+   */
+  keyUp(key) {
+    if (!(key in this.keys)) {
+      throw new Error(`Unknown key: ${key}`);
+    }
+    this.keys[key] = false;
+  }
+
+  /**
+   * Release all the keys
+   */
+  releaseAll() {
+    for (const key in this.keys) {
+      this.keys[key] = false;
+    }
+  }
+
+  /**
+   * Get xDirection, yDirection, powerHit input from the keys.
+   */
+  getInput() {
+    const keys = this.keys;
+    this.xDirection = keys.left ? -1 : keys.right ? 1 : 0;
+    this.yDirection = keys.up ? -1 : keys.down ? 1 : 0;
+    this.powerHit = keys.powerHit && !this.powerHitKeyIsDownPrevious ? 1 : 0;
+    this.powerHitKeyIsDownPrevious = keys.powerHit;
+  }
+}
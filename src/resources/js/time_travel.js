@@ -0,0 +1,123 @@
+/**
+ * This module takes charge of the time travel debug mode.
+ *
+ * While it is enabled, the snapshot of the game ("pikavolley.js") is kept on every frame of the rounds
+ * for the last {@link TIME_TRAVEL_MAX_FRAMES} frames, so the game can be rewound to any of these frames,
+ * and be resumed from there. It is for investigating the physics quirks (hyper ball, net-pillar bounces, ...).
+ */
+'use strict';
+import { RingBuffer } from './utils/ring_buffer.js';
+import { computeStateHash } from './state_hash.js';
+
+/** @typedef {import('./pikavolley.js').PikachuVolleyball} PikachuVolleyball */
+
+/**
+ * A snapshot kept by the time travel
+ * @typedef {Object} TimeTravelSnapshot
+ * @property {Object} game snapshot of the game gained by PikachuVolleyball#toJSON
+ * @property {number} numOfRecordedInputs number of the input frames which had been recorded to the replay
+ * @property {number} frameIndex frame index of the game shown on the debug HUD
+ */
+
+/**
+ * Maximum number of the frames which can be traveled (about 30 seconds at the fast speed)
+ * @constant @type {number}
+ */
+export const TIME_TRAVEL_MAX_FRAMES = 900;
+
+/**
+ * Class representing the time travel debug mode
+ */
+export class TimeTravel {
+  constructor() {
+    /** @type {boolean} Is the snapshots being kept? */
+    this.isEnabled = false;
+    /** @type {RingBuffer<TimeTravelSnapshot>} snapshots of the recent frames, the oldest first */
+    this.history = new RingBuffer(TIME_TRAVEL_MAX_FRAMES);
+    /** @type {number} index of the frame in the history to which the game is rewound, -1 if not rewound */
+    this.cursor = -1;
+  }
+
+  /** @return {boolean} Is the game rewound to a frame in the history? */
+  get isTraveling() {
+    return this.cursor !== -1;
+  }
+
+  /**
+   * Keep the snapshot of the current frame of the game.
+   * It is called by the game after each frame of the rounds is processed.
+   * @param {PikachuVolleyball} game
+   */
+  record(game) {
+    if (!this.isEnabled || this.isTraveling) {
+      return;
+    }
+    const replay = game.replayRecorder.replay;
+    this.history.push({
+      game: game.toJSON(),
+      numOfRecordedInputs: replay === null ? 0 : replay.inputs.length,
+      frameIndex: game.frameIndex,
+    });
+  }
+
+  /**
+   * Rewind (or fast-forward) the game to the frame in the history and draw it.
+   * The game should be paused while traveling.
+   * @param {PikachuVolleyball} game
+   * @param {number} index index of the frame in the history
+   */
+  travelTo(game, index) {
+    if (this.history.length === 0) {
+      return;
+    }
+    this.cursor = Math.max(0, Math.min(this.history.length - 1, index));
+    const snapshot = this.history.get(this.cursor);
+    game.fromJSON(snapshot.game);
+    game.frameIndex = snapshot.frameIndex;
+    game.stateHash = computeStateHash(game.physics);
+
+    const view = game.view;
+    view.intro.visible = false;
+    view.menu.visible = false;
+    view.game.visible = true;
+    view.game.initializeVisibles();
+    view.fadeInOut.setBlackAlphaTo(0);
+    // A copy is drawn since drawing changes the punch effect radius of the ball.
+    view.game.drawPlayersAndBall(game.physics.toJSON());
+    view.game.drawCloudsAndWave();
+    if (game.gameEnded) {
+      view.game.messages.gameEnd.visible = true;
+      view.game.drawGameEndMessage(game.frameCounter);
+    }
+    if (view.hud.visible) {
+      game.drawHUD();
+    }
+  }
+
+  /**
+   * Resume the game from the frame to which the game is rewound.
+   * The frames after it are dropped from the history and the replay being recorded.
+   * @param {PikachuVolleyball} game
+   */
+  resume(game) {
+    if (!this.isTraveling) {
+      return;
+    }
+    this.history.truncate(this.cursor);
+    game.replayRecorder.rewind(
+      this.history.get(this.cursor).numOfRecordedInputs
+    );
+    game.replayRecorder.recordScores(game.scores);
+    // The kept frames of the rally may include the dropped frames.
+    game.rallyFrames.clear();
+    this.cursor = -1;
+  }
+
+  /**
+   * Drop all the snapshots
+   */
+  clear() {
+    this.history.clear();
+    this.cursor = -1;
+  }
+}
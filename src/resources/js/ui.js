@@ -3,11 +3,43 @@
  */
 'use strict';
 
+import { UPDATE_PRIORITY } from '@pixi/ticker';
 import { localStorageWrapper } from './utils/local_storage_wrapper.js';
+import { parseReplay, validateReplay } from './replay.js';
+import { ReplayPlayer } from './replay_player.js';
+import {
+  REPLAY_LINK_HASH_PREFIX,
+  makeReplayLink,
+  getReplayFromHash,
+} from './replay_link.js';
+import { ReplayLibrary, makeReplayLibraryEntry } from './replay_library.js';
+import { NETCODE_PROTOCOL_VERSION, RollbackSession } from './netcode.js';
+import {
+  DEFAULT_SPECTATOR_DELAY,
+  RelaySpectatorSession,
+  LocalSpectatorSession,
+  SpectatorFeed,
+} from './spectator.js';
+import { Netplay } from './netplay.js';
+import { DataChannelConnection } from './webrtc_connection.js';
+import { RelayConnection, RelayError } from './relay_connection.js';
+import { generateSeed } from './rand.js';
+import {
+  ORIGINAL_BOT_NAME,
+  registerBot,
+  getBotNames,
+  isBotRegistered,
+} from './bots.js';
+import { ScriptBot, createScriptBot } from './script_bot.js';
+import { ExternalBot, createExternalBot } from './external_bot.js';
+import { MLPBot } from './mlp_bot.js';
 
 /** @typedef {import('./pikavolley.js').PikachuVolleyball} PikachuVolleyball */
 /** @typedef {import('@pixi/ticker').Ticker} Ticker */
-/** @typedef {{bgm?: string, sfx?: string, speed?: string, winningScore?: string}} Options */
+/** @typedef {import('./replay.js').Replay} Replay */
+/** @typedef {import('./replay_library.js').ReplayLibraryEntry} ReplayLibraryEntry */
+/** @typedef {import('./netcode.js').NetplaySettings} NetplaySettings */
+/** @typedef {{bgm?: string, sfx?: string, speed?: string, winningScore?: string, instantReplay?: string, spectatorDelay?: string, difficulty?: string, player1Bot?: string, player2Bot?: string}} Options */
 
 /**
  * Enum for "game paused by what?".
@@ -17,6 +49,9 @@ import { localStorageWrapper } from './utils/local_storage_wrapper.js';
  * @enum {number}
  */
 const PauseResumePrecedence = {
+  netplay: 6,
+  replayPlayer: 5,
+  timeTravel: 4,
   pauseBtn: 3,
   messageBox: 2,
   dropdown: 1,
@@ -54,6 +89,35 @@ const pauseResumeManager = {
   },
 };
 
+/**
+ * Options for watching a match as a spectator
+ */
+const spectatorOptions = {
+  /** @type {number} delay in milliseconds from receiving the user inputs of a frame to drawing it */
+  delay: DEFAULT_SPECTATOR_DELAY,
+};
+
+/**
+ * Source code of the bot scripts loaded by the user by their names.
+ * A script loaded again with the same name replaces the previous one from the next game.
+ * @type {Map<string, string>}
+ */
+const botScripts = new Map();
+
+/**
+ * Time budgets of the external bots connected by the user by the URLs of their bot servers.
+ * A bot server connected again replaces the time budget from the next game.
+ * @type {Map<string, number>}
+ */
+const externalBots = new Map();
+
+/**
+ * AI models loaded by the user by their names.
+ * A model loaded again with the same name is reloaded in place.
+ * @type {Map<string, MLPBot>}
+ */
+const aiModels = new Map();
+
 /**
  * Set up the user interface: menu bar, buttons, dropdowns, submenus, etc.
  * @param {PikachuVolleyball} pikaVolley
@@ -112,6 +176,37 @@ export function setUpUI(pikaVolley, ticker) {
         pikaVolley.winningScore = 15;
         break;
     }
+    switch (options.difficulty) {
+      case 'easy':
+      case 'normal':
+      case 'hard':
+      case 'expert':
+        pikaVolley.computerDifficulty = options.difficulty;
+        break;
+    }
+    // The bots are applied from the start of the next game.
+    // (A saved bot which is not registered anymore is ignored.)
+    if (options.player1Bot && isBotRegistered(options.player1Bot)) {
+      pikaVolley.computerBotNames[0] = options.player1Bot;
+    }
+    if (options.player2Bot && isBotRegistered(options.player2Bot)) {
+      pikaVolley.computerBotNames[1] = options.player2Bot;
+    }
+    switch (options.instantReplay) {
+      case 'off':
+      case 'on':
+      case 'slow':
+        pikaVolley.instantReplayMode = options.instantReplay;
+        break;
+    }
+    switch (options.spectatorDelay) {
+      case '0':
+      case '1':
+      case '3':
+        // It is applied when the next match is watched.
+        spectatorOptions.delay = Number(options.spectatorDelay) * 1000;
+        break;
+    }
   };
 
   /**
@@ -132,6 +227,27 @@ export function setUpUI(pikaVolley, ticker) {
     if (options.winningScore) {
       localStorageWrapper.set('pv-offline-winningScore', options.winningScore);
     }
+    if (options.difficulty) {
+      localStorageWrapper.set('pv-offline-difficulty', options.difficulty);
+    }
+    if (options.player1Bot) {
+      localStorageWrapper.set('pv-offline-player1Bot', options.player1Bot);
+    }
+    if (options.player2Bot) {
+      localStorageWrapper.set('pv-offline-player2Bot', options.player2Bot);
+    }
+    if (options.instantReplay) {
+      localStorageWrapper.set(
+        'pv-offline-instantReplay',
+        options.instantReplay
+      );
+    }
+    if (options.spectatorDelay) {
+      localStorageWrapper.set(
+        'pv-offline-spectatorDelay',
+        options.spectatorDelay
+      );
+    }
   };
 
   /**
@@ -143,6 +259,11 @@ export function setUpUI(pikaVolley, ticker) {
     sfx: localStorageWrapper.get('pv-offline-sfx'),
     speed: localStorageWrapper.get('pv-offline-speed'),
     winningScore: localStorageWrapper.get('pv-offline-winningScore'),
+    difficulty: localStorageWrapper.get('pv-offline-difficulty'),
+    player1Bot: localStorageWrapper.get('pv-offline-player1Bot'),
+    player2Bot: localStorageWrapper.get('pv-offline-player2Bot'),
+    instantReplay: localStorageWrapper.get('pv-offline-instantReplay'),
+    spectatorDelay: localStorageWrapper.get('pv-offline-spectatorDelay'),
   });
 
   /**
@@ -155,9 +276,20 @@ export function setUpUI(pikaVolley, ticker) {
   };
 
   // Load and apply saved options
+  // (The buttons for the bots are added first, so that the saved bots are shown as selected.)
+  addBotBtns(applyAndSaveOptions);
   applyOptions(loadOptions());
 
   setUpBtns(pikaVolley, applyAndSaveOptions);
+  setUpLoadingBots(pikaVolley, applyAndSaveOptions);
+  const startReplay = setUpReplayPlayer(pikaVolley, ticker);
+  setUpReplayLibrary(pikaVolley, startReplay);
+  setUpNetplay(pikaVolley, ticker);
+  setUpTimeTravel(pikaVolley, ticker);
+  // The debug keys are on only if the page is opened with "?debug", so that they are not pressed by mistake.
+  if (new URLSearchParams(window.location.search).has('debug')) {
+    setUpFrameStep(pikaVolley);
+  }
   setUpToShowDropdownsAndSubmenus(pikaVolley);
 
   // hide or show menubar if the user presses the "esc" key
@@ -223,6 +355,62 @@ function setUpBtns(pikaVolley, applyAndSaveOptions) {
     pikaVolley.restart();
   });
 
+  const saveReplayBtn = document.getElementById('save-replay-btn');
+  saveReplayBtn.addEventListener('click', () => {
+    // the replay of the current game, or the last game if no game is being played
+    const replay = pikaVolley.replayRecorder.replay;
+    if (replay !== null) {
+      downloadReplay(replay);
+    }
+  });
+
+  const shareReplayBtn = document.getElementById('share-replay-btn');
+  const noticeBox4 = document.getElementById('notice-box-4');
+  const noticeOKBtn4 = document.getElementById('notice-ok-btn-4');
+  const replayLinkInput = document.getElementById('replay-link-input');
+  shareReplayBtn.addEventListener('click', () => {
+    const replay = pikaVolley.replayRecorder.replay;
+    if (replay === null) {
+      return;
+    }
+    let link;
+    try {
+      link = makeReplayLink(replay, window.location.href);
+    } catch (error) {
+      // The replay can still be saved as a file.
+      console.error(error);
+      return;
+    }
+    // @ts-ignore
+    replayLinkInput.value = link;
+    noticeBox4.classList.remove('hidden');
+    // @ts-ignore
+    gameDropdownBtn.disabled = true;
+    // @ts-ignore
+    optionsDropdownBtn.disabled = true;
+    // @ts-ignore
+    aboutBtn.disabled = true;
+    pauseResumeManager.pause(pikaVolley, PauseResumePrecedence.messageBox);
+    // @ts-ignore
+    replayLinkInput.select();
+    if (navigator.clipboard) {
+      // If it fails, the user can still copy the link from the input box.
+      navigator.clipboard.writeText(link).catch(() => {});
+    }
+  });
+  noticeOKBtn4.addEventListener('click', () => {
+    if (!noticeBox4.classList.contains('hidden')) {
+      noticeBox4.classList.add('hidden');
+      // @ts-ignore
+      gameDropdownBtn.disabled = false;
+      // @ts-ignore
+      optionsDropdownBtn.disabled = false;
+      // @ts-ignore
+      aboutBtn.disabled = false;
+      pauseResumeManager.resume(pikaVolley, PauseResumePrecedence.messageBox);
+    }
+  });
+
   const bgmOnBtn = document.getElementById('bgm-on-btn');
   const bgmOffBtn = document.getElementById('bgm-off-btn');
   bgmOnBtn.addEventListener('click', () => {
@@ -411,6 +599,64 @@ function setUpBtns(pikaVolley, applyAndSaveOptions) {
     pikaVolley.isPracticeMode = false;
   });
 
+  const difficultyEasyBtn = document.getElementById('difficulty-easy-btn');
+  const difficultyNormalBtn = document.getElementById('difficulty-normal-btn');
+  const difficultyHardBtn = document.getElementById('difficulty-hard-btn');
+  const difficultyExpertBtn = document.getElementById('difficulty-expert-btn');
+  difficultyEasyBtn.addEventListener('click', () => {
+    applyAndSaveOptions({ difficulty: 'easy' });
+  });
+  difficultyNormalBtn.addEventListener('click', () => {
+    applyAndSaveOptions({ difficulty: 'normal' });
+  });
+  difficultyHardBtn.addEventListener('click', () => {
+    applyAndSaveOptions({ difficulty: 'hard' });
+  });
+  difficultyExpertBtn.addEventListener('click', () => {
+    applyAndSaveOptions({ difficulty: 'expert' });
+  });
+
+  const player1BotOriginalBtn = document.getElementById(
+    'player1-bot-original-btn'
+  );
+  const player2BotOriginalBtn = document.getElementById(
+    'player2-bot-original-btn'
+  );
+  player1BotOriginalBtn.addEventListener('click', () => {
+    applyAndSaveOptions({ player1Bot: ORIGINAL_BOT_NAME });
+  });
+  player2BotOriginalBtn.addEventListener('click', () => {
+    applyAndSaveOptions({ player2Bot: ORIGINAL_BOT_NAME });
+  });
+
+  const instantReplayOnBtn = document.getElementById('instant-replay-on-btn');
+  const instantReplaySlowBtn = document.getElementById(
+    'instant-replay-slow-btn'
+  );
+  const instantReplayOffBtn = document.getElementById('instant-replay-off-btn');
+  instantReplayOnBtn.addEventListener('click', () => {
+    applyAndSaveOptions({ instantReplay: 'on' });
+  });
+  instantReplaySlowBtn.addEventListener('click', () => {
+    applyAndSaveOptions({ instantReplay: 'slow' });
+  });
+  instantReplayOffBtn.addEventListener('click', () => {
+    applyAndSaveOptions({ instantReplay: 'off' });
+  });
+
+  const spectatorDelay0Btn = document.getElementById('spectator-delay-0-btn');
+  const spectatorDelay1Btn = document.getElementById('spectator-delay-1-btn');
+  const spectatorDelay3Btn = document.getElementById('spectator-delay-3-btn');
+  spectatorDelay0Btn.addEventListener('click', () => {
+    applyAndSaveOptions({ spectatorDelay: '0' });
+  });
+  spectatorDelay1Btn.addEventListener('click', () => {
+    applyAndSaveOptions({ spectatorDelay: '1' });
+  });
+  spectatorDelay3Btn.addEventListener('click', () => {
+    applyAndSaveOptions({ spectatorDelay: '3' });
+  });
+
   const aboutBox = document.getElementById('about-box');
   const closeAboutBtn = document.getElementById('close-about-btn');
   aboutBtn.addEventListener('click', () => {
@@ -452,149 +698,1623 @@ function setUpBtns(pikaVolley, applyAndSaveOptions) {
       sfx: 'stereo',
       speed: 'medium',
       winningScore: '15',
+      difficulty: 'normal',
+      player1Bot: ORIGINAL_BOT_NAME,
+      player2Bot: ORIGINAL_BOT_NAME,
+      instantReplay: 'off',
+      spectatorDelay: '1',
     };
     applyAndSaveOptions(defaultOptions);
   });
 }
 
 /**
- * Set selected (checked) options btn fit to options
- * @param {Options} options
+ * Attach event listeners for loading a bot script ("script_bot.js") or an AI model ("mlp_bot.js")
+ * and connecting an external bot ("external_bot.js").
+ * A bot script or an AI model is registered with the name of the file, and loading a file with the same name again
+ * reloads the bot.
+ * An external bot is registered with the address of the bot server, and connecting to it again reconnects the bot.
+ * @param {PikachuVolleyball} pikaVolley
+ * @param {function(Options):void} applyAndSaveOptions
  */
-function setSelectedOptionsBtn(options) {
-  if (options.bgm) {
-    const bgmOnBtn = document.getElementById('bgm-on-btn');
-    const bgmOffBtn = document.getElementById('bgm-off-btn');
-    switch (options.bgm) {
-      case 'on':
-        bgmOffBtn.classList.remove('selected');
-        bgmOnBtn.classList.add('selected');
-        break;
-      case 'off':
-        bgmOnBtn.classList.remove('selected');
-        bgmOffBtn.classList.add('selected');
-        break;
+function setUpLoadingBots(pikaVolley, applyAndSaveOptions) {
+  const gameDropdownBtn = document.getElementById('game-dropdown-btn');
+  const optionsDropdownBtn = document.getElementById('options-dropdown-btn');
+  const aboutBtn = document.getElementById('about-btn');
+  const loadBotScriptBtn = document.getElementById('load-bot-script-btn');
+  const botScriptFileInput = document.getElementById('bot-script-file-input');
+  const noticeBox6 = document.getElementById('notice-box-6');
+  const noticeOKBtn6 = document.getElementById('notice-ok-btn-6');
+  const botNameInNoticeBox6 = document.getElementById(
+    'bot-name-in-notice-box-6'
+  );
+  const noticeBox7 = document.getElementById('notice-box-7');
+  const noticeOKBtn7 = document.getElementById('notice-ok-btn-7');
+  const loadAIModelBtn = document.getElementById('load-ai-model-btn');
+  const aiModelFileInput = document.getElementById('ai-model-file-input');
+  const noticeBox8 = document.getElementById('notice-box-8');
+  const noticeOKBtn8 = document.getElementById('notice-ok-btn-8');
+  const externalBotBtn = document.getElementById('external-bot-btn');
+  const externalBotBox = document.getElementById('external-bot-box');
+  const externalBotURLInput = document.getElementById('external-bot-url-input');
+  const externalBotTimeBudgetSelect = document.getElementById(
+    'external-bot-time-budget-select'
+  );
+  const externalBotFailedText = document.getElementById(
+    'external-bot-failed-text'
+  );
+  const externalBotConnectBtn = document.getElementById(
+    'external-bot-connect-btn'
+  );
+  const closeExternalBotBtn = document.getElementById('close-external-bot-btn');
+
+  /**
+   * Show or hide the notice box
+   * @param {HTMLElement} noticeBox
+   * @param {boolean} bool show?
+   */
+  const showNoticeBox = (noticeBox, bool) => {
+    if (bool === !noticeBox.classList.contains('hidden')) {
+      return;
     }
-  }
-  if (options.sfx) {
-    const stereoBtn = document.getElementById('stereo-btn');
-    const monoBtn = document.getElementById('mono-btn');
-    const sfxOffBtn = document.getElementById('sfx-off-btn');
-    switch (options.sfx) {
-      case 'stereo':
-        monoBtn.classList.remove('selected');
-        sfxOffBtn.classList.remove('selected');
-        stereoBtn.classList.add('selected');
-        break;
-      case 'mono':
-        sfxOffBtn.classList.remove('selected');
-        stereoBtn.classList.remove('selected');
-        monoBtn.classList.add('selected');
-        break;
-      case 'off':
-        stereoBtn.classList.remove('selected');
-        monoBtn.classList.remove('selected');
-        sfxOffBtn.classList.add('selected');
-        break;
+    if (bool) {
+      noticeBox.classList.remove('hidden');
+      pauseResumeManager.pause(pikaVolley, PauseResumePrecedence.messageBox);
+    } else {
+      noticeBox.classList.add('hidden');
+      pauseResumeManager.resume(pikaVolley, PauseResumePrecedence.messageBox);
     }
-  }
-  if (options.speed) {
-    const slowSpeedBtn = document.getElementById('slow-speed-btn');
-    const mediumSpeedBtn = document.getElementById('medium-speed-btn');
-    const fastSpeedBtn = document.getElementById('fast-speed-btn');
-    switch (options.speed) {
-      case 'slow':
-        mediumSpeedBtn.classList.remove('selected');
-        fastSpeedBtn.classList.remove('selected');
-        slowSpeedBtn.classList.add('selected');
-        break;
-      case 'medium':
-        fastSpeedBtn.classList.remove('selected');
-        slowSpeedBtn.classList.remove('selected');
-        mediumSpeedBtn.classList.add('selected');
-        break;
-      case 'fast':
-        slowSpeedBtn.classList.remove('selected');
-        mediumSpeedBtn.classList.remove('selected');
-        fastSpeedBtn.classList.add('selected');
-        break;
+    // @ts-ignore
+    gameDropdownBtn.disabled = bool;
+    // @ts-ignore
+    optionsDropdownBtn.disabled = bool;
+    // @ts-ignore
+    aboutBtn.disabled = bool;
+  };
+
+  loadBotScriptBtn.addEventListener('click', () => {
+    botScriptFileInput.click();
+  });
+  botScriptFileInput.addEventListener('change', () => {
+    // @ts-ignore
+    const file = botScriptFileInput.files[0];
+    // reset so that the same file can be chosen again
+    // @ts-ignore
+    botScriptFileInput.value = '';
+    if (!file) {
+      return;
     }
-  }
-  if (options.winningScore) {
-    const winningScore5Btn = document.getElementById('winning-score-5-btn');
-    const winningScore10Btn = document.getElementById('winning-score-10-btn');
-    const winningScore15Btn = document.getElementById('winning-score-15-btn');
-    switch (options.winningScore) {
-      case '5':
-        winningScore10Btn.classList.remove('selected');
-        winningScore15Btn.classList.remove('selected');
-        winningScore5Btn.classList.add('selected');
-        break;
-      case '10':
-        winningScore15Btn.classList.remove('selected');
-        winningScore5Btn.classList.remove('selected');
-        winningScore10Btn.classList.add('selected');
-        break;
-      case '15':
-        winningScore5Btn.classList.remove('selected');
-        winningScore10Btn.classList.remove('selected');
-        winningScore15Btn.classList.add('selected');
-        break;
+    const name = file.name;
+    file
+      .text()
+      .then((source) => {
+        if (isBotRegistered(name) && !botScripts.has(name)) {
+          throw new Error(`A bot which is not a script is named ${name}`);
+        }
+        // The script is loaded once to check it. Each player gets its own bot from the next game.
+        const bot = new ScriptBot();
+        return bot.load(source).then(() => {
+          bot.terminate();
+          botScripts.set(name, source);
+          if (!isBotRegistered(name)) {
+            registerBot(name, () => createScriptBot(botScripts.get(name)));
+            addBotBtns(applyAndSaveOptions);
+          }
+          botNameInNoticeBox6.textContent = name;
+          showNoticeBox(noticeBox6, true);
+        });
+      })
+      .catch((error) => {
+        console.error(error);
+        showNoticeBox(noticeBox7, true);
+      });
+  });
+  noticeOKBtn6.addEventListener('click', () => {
+    showNoticeBox(noticeBox6, false);
+  });
+  noticeOKBtn7.addEventListener('click', () => {
+    showNoticeBox(noticeBox7, false);
+  });
+
+  loadAIModelBtn.addEventListener('click', () => {
+    aiModelFileInput.click();
+  });
+  aiModelFileInput.addEventListener('change', () => {
+    // @ts-ignore
+    const file = aiModelFileInput.files[0];
+    // reset so that the same file can be chosen again
+    // @ts-ignore
+    aiModelFileInput.value = '';
+    if (!file) {
+      return;
     }
-  }
+    const name = file.name;
+    file
+      .text()
+      .then((text) => {
+        const model = JSON.parse(text);
+        if (isBotRegistered(name)) {
+          const bot = aiModels.get(name);
+          if (!(bot instanceof MLPBot)) {
+            throw new Error(`A bot which is not an AI model is named ${name}`);
+          }
+          bot.load(model);
+        } else {
+          // It decides only from the given objects, so the players can share it.
+          const bot = new MLPBot(model);
+          aiModels.set(name, bot);
+          registerBot(name, () => bot);
+          addBotBtns(applyAndSaveOptions);
+        }
+        botNameInNoticeBox6.textContent = name;
+        showNoticeBox(noticeBox6, true);
+      })
+      .catch((error) => {
+        console.error(error);
+        showNoticeBox(noticeBox8, true);
+      });
+  });
+  noticeOKBtn8.addEventListener('click', () => {
+    showNoticeBox(noticeBox8, false);
+  });
+
+  externalBotBtn.addEventListener('click', () => {
+    externalBotFailedText.classList.add('hidden');
+    showNoticeBox(externalBotBox, true);
+  });
+  externalBotConnectBtn.addEventListener('click', () => {
+    // @ts-ignore
+    const url = externalBotURLInput.value.trim();
+    // @ts-ignore
+    const timeBudget = Number(externalBotTimeBudgetSelect.value);
+    externalBotFailedText.classList.add('hidden');
+    // @ts-ignore
+    externalBotConnectBtn.disabled = true;
+    Promise.resolve()
+      .then(() => {
+        if (isBotRegistered(url) && !externalBots.has(url)) {
+          throw new Error(`A bot which is not external is named ${url}`);
+        }
+        // It connects once to check the bot server. Each player gets its own connection from the next game.
+        const bot = new ExternalBot(pikaVolley, timeBudget);
+        return bot.connect(url).then(() => {
+          bot.close();
+          externalBots.set(url, timeBudget);
+          if (!isBotRegistered(url)) {
+            registerBot(url, () =>
+              createExternalBot(pikaVolley, url, externalBots.get(url))
+            );
+            addBotBtns(applyAndSaveOptions);
+          }
+          showNoticeBox(externalBotBox, false);
+          botNameInNoticeBox6.textContent = url;
+          showNoticeBox(noticeBox6, true);
+        });
+      })
+      .catch((error) => {
+        console.error(error);
+        externalBotFailedText.classList.remove('hidden');
+      })
+      .then(() => {
+        // @ts-ignore
+        externalBotConnectBtn.disabled = false;
+      });
+  });
+  closeExternalBotBtn.addEventListener('click', () => {
+    showNoticeBox(externalBotBox, false);
+  });
 }
 
 /**
- * Attach event listeners to show dropdowns and submenus properly
+ * Attach event listeners for watching a replay file on the replay player.
+ * While a replay is played, the game is paused and the game view is used by the replay player.
  * @param {PikachuVolleyball} pikaVolley
+ * @param {Ticker} ticker
+ * @return {(replay: Replay) => void} function which starts playing the replay on the replay player,
+ *                                     or shows the notice if the replay could not be loaded
  */
-function setUpToShowDropdownsAndSubmenus(pikaVolley) {
-  // hide dropdowns and submenus if the user clicks outside of these
-  window.addEventListener('click', (event) => {
+function setUpReplayPlayer(pikaVolley, ticker) {
+  const gameDropdownBtn = document.getElementById('game-dropdown-btn');
+  const optionsDropdownBtn = document.getElementById('options-dropdown-btn');
+  const aboutBtn = document.getElementById('about-btn');
+  const pauseBtn = document.getElementById('pause-btn');
+  const timeTravelBtn = document.getElementById('time-travel-btn');
+  const watchReplayBtn = document.getElementById('watch-replay-btn');
+  const replayFileInput = document.getElementById('replay-file-input');
+  const noticeBox3 = document.getElementById('notice-box-3');
+  const noticeOKBtn3 = document.getElementById('notice-ok-btn-3');
+  const replayControls = document.getElementById('replay-controls');
+  const playPauseBtn = document.getElementById('replay-play-pause-btn');
+  const stepBtn = document.getElementById('replay-step-btn');
+  const speedSelect = document.getElementById('replay-speed-select');
+  const seekRange = document.getElementById('replay-seek-range');
+  const frameText = document.getElementById('replay-frame-text');
+  const divergedText = document.getElementById('replay-diverged-text');
+  const exitBtn = document.getElementById('replay-exit-btn');
+
+  /** @type {ReplayPlayer} the replay player which is playing now, or null */
+  let replayPlayer = null;
+
+  /**
+   * Enable or disable the buttons on the menu bar
+   * @param {boolean} bool disable?
+   */
+  const disableMenuBarBtns = (bool) => {
     // @ts-ignore
-    if (!event.target.matches('.dropdown-btn, .submenu-btn')) {
-      hideSubmenus();
-      hideDropdownsExcept('');
-      pauseResumeManager.resume(pikaVolley, PauseResumePrecedence.dropdown);
+    gameDropdownBtn.disabled = bool;
+    // @ts-ignore
+    optionsDropdownBtn.disabled = bool;
+    // @ts-ignore
+    aboutBtn.disabled = bool;
+  };
+
+  /**
+   * Update the replay controls according to the replay player
+   */
+  const updateReplayControls = () => {
+    const textPause = playPauseBtn.getElementsByClassName('text-pause')[0];
+    const textPlay = playPauseBtn.getElementsByClassName('text-play')[0];
+    if (replayPlayer.paused) {
+      textPause.classList.add('hidden');
+      textPlay.classList.remove('hidden');
+    } else {
+      textPause.classList.remove('hidden');
+      textPlay.classList.add('hidden');
     }
-  });
+    // @ts-ignore
+    seekRange.value = String(replayPlayer.frame);
+    frameText.textContent = `${replayPlayer.frame} / ${replayPlayer.totalFrames}`;
+  };
 
-  // set up to show dropdowns
-  document.getElementById('game-dropdown-btn').addEventListener('click', () => {
-    toggleDropdown('game-dropdown', pikaVolley);
-  });
-  document
-    .getElementById('options-dropdown-btn')
-    .addEventListener('click', () => {
-      toggleDropdown('options-dropdown', pikaVolley);
-    });
+  // It is called on every tick of the ticker while a replay is played.
+  const update = () => {
+    replayPlayer.update(ticker.deltaMS);
+    updateReplayControls();
+  };
 
-  // set up to show submenus on mouseover event
-  document
-    .getElementById('bgm-submenu-btn')
-    .addEventListener('mouseover', () => {
-      showSubmenu('bgm-submenu-btn', 'bgm-submenu');
-    });
-  document
-    .getElementById('sfx-submenu-btn')
-    .addEventListener('mouseover', () => {
-      showSubmenu('sfx-submenu-btn', 'sfx-submenu');
-    });
-  document
-    .getElementById('speed-submenu-btn')
-    .addEventListener('mouseover', () => {
-      showSubmenu('speed-submenu-btn', 'speed-submenu');
-    });
-  document
-    .getElementById('winning-score-submenu-btn')
-    .addEventListener('mouseover', () => {
-      showSubmenu('winning-score-submenu-btn', 'winning-score-submenu');
-    });
-  document
-    .getElementById('practice-mode-submenu-btn')
-    .addEventListener('mouseover', () => {
-      showSubmenu('practice-mode-submenu-btn', 'practice-mode-submenu');
-    });
+  /**
+   * Start playing the replay
+   * @param {Replay} replay
+   */
+  const startReplay = (replay) => {
+    if (replayPlayer !== null) {
+      ticker.remove(update);
+    }
+    replayPlayer = new ReplayPlayer(pikaVolley.view, replay);
+    if (timeTravelBtn.classList.contains('selected')) {
+      // turn off the time travel debug mode
+      timeTravelBtn.click();
+    }
+    if (pauseBtn.classList.contains('selected')) {
+      pauseBtn.classList.remove('selected');
+      pauseResumeManager.resume(pikaVolley, PauseResumePrecedence.pauseBtn);
+    }
+    pauseResumeManager.pause(pikaVolley, PauseResumePrecedence.replayPlayer);
+    pikaVolley.view.intro.visible = false;
+    pikaVolley.view.menu.visible = false;
+    disableMenuBarBtns(true);
+    // @ts-ignore
+    seekRange.max = String(replayPlayer.totalFrames);
+    // @ts-ignore
+    speedSelect.value = '1';
+    // The whole replay has been run by the replay player, so the divergence is already detected if any.
+    const divergedFrame = replayPlayer.replayMatch.divergedFrame;
+    if (divergedFrame === -1) {
+      divergedText.classList.add('hidden');
+    } else {
+      console.warn(`Replay playback diverged at frame ${divergedFrame}`);
+      divergedText.getElementsByClassName('frame')[0].textContent =
+        String(divergedFrame);
+      divergedText.classList.remove('hidden');
+    }
+    replayControls.classList.remove('hidden');
+    updateReplayControls();
+    // The replay should be drawn before the stage is rendered on the same tick.
+    ticker.add(update, null, UPDATE_PRIORITY.HIGH);
+  };
+
+  /**
+   * Stop playing the replay and go back to the intro
+   */
+  const exitReplay = () => {
+    ticker.remove(update);
+    replayPlayer = null;
+    if (window.location.hash.startsWith(REPLAY_LINK_HASH_PREFIX)) {
+      // remove the replay link from the address bar so that reloading the page does not play it again
+      window.history.replaceState(
+        null,
+        '',
+        window.location.pathname + window.location.search
+      );
+    }
+    replayControls.classList.add('hidden');
+    disableMenuBarBtns(false);
+    pauseResumeManager.resume(pikaVolley, PauseResumePrecedence.replayPlayer);
+    pikaVolley.restart();
+  };
+
+  /**
+   * Show the notice that the replay could not be loaded
+   */
+  const showInvalidReplayNotice = () => {
+    noticeBox3.classList.remove('hidden');
+    disableMenuBarBtns(true);
+    pauseResumeManager.pause(pikaVolley, PauseResumePrecedence.messageBox);
+  };
+
+  /**
+   * Play the replay in the fragment of the page URL (replay link) if there is
+   */
+  const playReplayInHash = () => {
+    try {
+      const replay = getReplayFromHash(window.location.hash);
+      if (replay !== null) {
+        // It is in the try block since the replay player throws on a replay which is not consistent.
+        startReplay(replay);
+      }
+    } catch (error) {
+      console.error(error);
+      showInvalidReplayNotice();
+    }
+  };
+
+  watchReplayBtn.addEventListener('click', () => {
+    replayFileInput.click();
+  });
+  replayFileInput.addEventListener('change', () => {
+    // @ts-ignore
+    const file = replayFileInput.files[0];
+    // reset so that the same file can be chosen again
+    // @ts-ignore
+    replayFileInput.value = '';
+    if (!file) {
+      return;
+    }
+    file
+      .text()
+      .then((text) => {
+        startReplay(parseReplay(text));
+      })
+      .catch((error) => {
+        console.error(error);
+        showInvalidReplayNotice();
+      });
+  });
+  noticeOKBtn3.addEventListener('click', () => {
+    if (!noticeBox3.classList.contains('hidden')) {
+      noticeBox3.classList.add('hidden');
+      disableMenuBarBtns(false);
+      pauseResumeManager.resume(pikaVolley, PauseResumePrecedence.messageBox);
+    }
+  });
+
+  playPauseBtn.addEventListener('click', () => {
+    if (replayPlayer.paused && replayPlayer.isEnded) {
+      // play again from the start
+      replayPlayer.seek(0);
+    }
+    replayPlayer.paused = !replayPlayer.paused;
+    updateReplayControls();
+  });
+  stepBtn.addEventListener('click', () => {
+    replayPlayer.paused = true;
+    replayPlayer.stepForward();
+    updateReplayControls();
+  });
+  speedSelect.addEventListener('change', () => {
+    // @ts-ignore
+    replayPlayer.playbackRate = Number(speedSelect.value);
+  });
+  seekRange.addEventListener('input', () => {
+    // @ts-ignore
+    replayPlayer.seek(Number(seekRange.value));
+    updateReplayControls();
+  });
+  exitBtn.addEventListener('click', exitReplay);
+
+  window.addEventListener('hashchange', playReplayInHash);
+  playReplayInHash();
+
+  /**
+   * Start playing the replay, or show the notice if it could not be loaded
+   * (e.g. a replay in the replay library which is broken)
+   * @param {Replay} replay
+   */
+  const tryStartReplay = (replay) => {
+    try {
+      startReplay(validateReplay(replay));
+    } catch (error) {
+      console.error(error);
+      showInvalidReplayNotice();
+    }
+  };
+  return tryStartReplay;
+}
+
+/**
+ * Attach event listeners for the replay library panel,
+ * and set up to save the replay of each game to the replay library automatically.
+ * @param {PikachuVolleyball} pikaVolley
+ * @param {(replay: Replay) => void} startReplay function which starts playing the replay on the replay player,
+ *                                              or shows the notice if the replay could not be loaded
+ */
+function setUpReplayLibrary(pikaVolley, startReplay) {
+  const gameDropdownBtn = document.getElementById('game-dropdown-btn');
+  const optionsDropdownBtn = document.getElementById('options-dropdown-btn');
+  const aboutBtn = document.getElementById('about-btn');
+  const replayLibraryBtn = document.getElementById('replay-library-btn');
+  const replayLibraryBox = document.getElementById('replay-library-box');
+  const closeReplayLibraryBtn = document.getElementById(
+    'close-replay-library-btn'
+  );
+  const importBtn = document.getElementById('replay-library-import-btn');
+  const fileInput = document.getElementById('replay-library-file-input');
+  const unavailableMessage = document.getElementById(
+    'replay-library-unavailable'
+  );
+  const importErrorMessage = document.getElementById(
+    'replay-library-import-error'
+  );
+  const emptyMessage = document.getElementById('replay-library-empty');
+  const list = document.getElementById('replay-library-list');
+  const entryTemplate = document.getElementById(
+    'replay-library-entry-template'
+  );
+
+  const replayLibrary = new ReplayLibrary();
+
+  pikaVolley.replayRecorder.onRecordingStopped = (replay) => {
+    replayLibrary
+      .add(makeReplayLibraryEntry(replay))
+      .then(() => {
+        if (!replayLibraryBox.classList.contains('hidden')) {
+          refreshList();
+        }
+      })
+      .catch((error) => console.error(error));
+  };
+
+  /**
+   * Refresh the list of the entries in the replay library panel
+   * @return {Promise<void>}
+   */
+  const refreshList = () =>
+    replayLibrary
+      .getAll()
+      .then((entries) => {
+        unavailableMessage.classList.add('hidden');
+        if (entries.length === 0) {
+          emptyMessage.classList.remove('hidden');
+        } else {
+          emptyMessage.classList.add('hidden');
+        }
+        list.textContent = '';
+        for (const entry of entries) {
+          list.appendChild(makeEntryElement(entry));
+        }
+      })
+      .catch((error) => {
+        console.error(error);
+        unavailableMessage.classList.remove('hidden');
+      });
+
+  /**
+   * Make the element which shows the entry in the list
+   * @param {ReplayLibraryEntry} entry
+   * @return {HTMLElement}
+   */
+  const makeEntryElement = (entry) => {
+    // @ts-ignore
+    const element = entryTemplate.content.firstElementChild.cloneNode(true);
+    const getChild = (className) =>
+      element.getElementsByClassName(className)[0];
+
+    const starBtn = getChild('star-btn');
+    if (entry.starred) {
+      starBtn.classList.add('starred');
+    }
+    starBtn.addEventListener('click', () => {
+      replayLibrary
+        .update(entry.id, { starred: !entry.starred })
+        .then(refreshList)
+        .catch((error) => console.error(error));
+    });
+
+    const nameInput = getChild('name-input');
+    nameInput.value = entry.name;
+    nameInput.addEventListener('change', () => {
+      replayLibrary
+        .update(entry.id, { name: nameInput.value })
+        .catch((error) => console.error(error));
+    });
+
+    getChild('recorded-at').textContent = new Date(
+      entry.recordedAt
+    ).toLocaleString();
+    const players = getChild('players');
+    const playerTypes = entry.isComputer.map((isComputer) =>
+      isComputer ? players.dataset.computer : players.dataset.human
+    );
+    players.textContent = `${playerTypes[0]} vs ${playerTypes[1]}`;
+    getChild('scores').textContent = `${entry.scores[0]} : ${entry.scores[1]}`;
+    const seconds = Math.round(entry.duration);
+    getChild('duration').textContent = `${Math.floor(seconds / 60)}:${String(
+      seconds % 60
+    ).padStart(2, '0')}`;
+
+    getChild('watch-btn').addEventListener('click', () => {
+      closeReplayLibrary();
+      startReplay(entry.replay);
+    });
+    getChild('export-btn').addEventListener('click', () => {
+      downloadReplay(entry.replay);
+    });
+    const deleteBtn = getChild('delete-btn');
+    deleteBtn.addEventListener('click', () => {
+      if (window.confirm(deleteBtn.dataset.confirm)) {
+        replayLibrary
+          .delete(entry.id)
+          .then(refreshList)
+          .catch((error) => console.error(error));
+      }
+    });
+    return element;
+  };
+
+  const openReplayLibrary = () => {
+    importErrorMessage.classList.add('hidden');
+    replayLibraryBox.classList.remove('hidden');
+    // @ts-ignore
+    gameDropdownBtn.disabled = true;
+    // @ts-ignore
+    optionsDropdownBtn.disabled = true;
+    // @ts-ignore
+    aboutBtn.disabled = true;
+    pauseResumeManager.pause(pikaVolley, PauseResumePrecedence.messageBox);
+    refreshList();
+  };
+
+  const closeReplayLibrary = () => {
+    if (!replayLibraryBox.classList.contains('hidden')) {
+      replayLibraryBox.classList.add('hidden');
+      // @ts-ignore
+      gameDropdownBtn.disabled = false;
+      // @ts-ignore
+      optionsDropdownBtn.disabled = false;
+      // @ts-ignore
+      aboutBtn.disabled = false;
+      pauseResumeManager.resume(pikaVolley, PauseResumePrecedence.messageBox);
+    }
+  };
+
+  replayLibraryBtn.addEventListener('click', openReplayLibrary);
+  closeReplayLibraryBtn.addEventListener('click', closeReplayLibrary);
+
+  importBtn.addEventListener('click', () => {
+    fileInput.click();
+  });
+  fileInput.addEventListener('change', () => {
+    // @ts-ignore
+    const files = Array.from(fileInput.files);
+    // reset so that the same files can be chosen again
+    // @ts-ignore
+    fileInput.value = '';
+    importErrorMessage.classList.add('hidden');
+    const imports = files.map((file) =>
+      file
+        .text()
+        .then((text) =>
+          replayLibrary.add(
+            makeReplayLibraryEntry(
+              parseReplay(text),
+              file.name.replace(/\.json$/, '')
+            )
+          )
+        )
+        .then(
+          () => true,
+          (error) => {
+            console.error(error);
+            return false;
+          }
+        )
+    );
+    Promise.all(imports).then((results) => {
+      if (results.includes(false)) {
+        importErrorMessage.classList.remove('hidden');
+      }
+      refreshList();
+    });
+  });
+}
+
+/**
+ * Attach event listeners for playing (or watching) an online match with a friend,
+ * over a peer-to-peer connection or through a relay server.
+ * While an online match is played, the game is paused and the game view is used by the online match.
+ * @param {PikachuVolleyball} pikaVolley
+ * @param {Ticker} ticker
+ */
+function setUpNetplay(pikaVolley, ticker) {
+  const gameDropdownBtn = document.getElementById('game-dropdown-btn');
+  const optionsDropdownBtn = document.getElementById('options-dropdown-btn');
+  const aboutBtn = document.getElementById('about-btn');
+  const pauseBtn = document.getElementById('pause-btn');
+  const timeTravelBtn = document.getElementById('time-travel-btn');
+  const onlineBtn = document.getElementById('online-btn');
+  const onlineBox = document.getElementById('online-box');
+  const choice = document.getElementById('online-choice');
+  const p2pBtns = document.getElementById('online-p2p-btns');
+  const hostBtn = document.getElementById('online-host-btn');
+  const guestBtn = document.getElementById('online-guest-btn');
+  const serverInput = document.getElementById('online-server-input');
+  const createRoomBtn = document.getElementById('online-create-room-btn');
+  const roomInput = document.getElementById('online-room-input');
+  const joinRoomBtn = document.getElementById('online-join-room-btn');
+  const roomStep = document.getElementById('online-room-step');
+  const roomCode = document.getElementById('online-room-code');
+  const hostStep = document.getElementById('online-host-step');
+  const guestStep = document.getElementById('online-guest-step');
+  const invitationOutput = document.getElementById('online-invitation-output');
+  const replyInput = document.getElementById('online-reply-input');
+  const connectBtn = document.getElementById('online-connect-btn');
+  const invitationInput = document.getElementById('online-invitation-input');
+  const replyBtn = document.getElementById('online-reply-btn');
+  const replyOutput = document.getElementById('online-reply-output');
+  const status = document.getElementById('online-status');
+  const closeOnlineBtn = document.getElementById('close-online-btn');
+  const noticeBox5 = document.getElementById('notice-box-5');
+  const noticeOKBtn5 = document.getElementById('notice-ok-btn-5');
+  const onlineControls = document.getElementById('online-controls');
+  const playerText = document.getElementById('online-player-text');
+  const desyncedText = document.getElementById('online-desynced-text');
+  const leaveBtn = document.getElementById('online-leave-btn');
+  const viewersText = document.getElementById('online-viewers-text');
+  const viewersBadge = document.getElementById('viewers-badge');
+  const watchInAnotherTabBtn = document.getElementById(
+    'watch-in-another-tab-btn'
+  );
+
+  /** @type {DataChannelConnection|RelayConnection} the connection being made or used, or null */
+  let connection = null;
+  /** @type {Netplay} the online match which is being played now, or null */
+  let netplay = null;
+  /** @type {SpectatorFeed} feed of the matches on this page for the other tabs, or null if it is not available */
+  let feed = null;
+
+  /**
+   * Enable or disable the buttons on the menu bar
+   * @param {boolean} bool disable?
+   */
+  const disableMenuBarBtns = (bool) => {
+    // @ts-ignore
+    gameDropdownBtn.disabled = bool;
+    // @ts-ignore
+    optionsDropdownBtn.disabled = bool;
+    // @ts-ignore
+    aboutBtn.disabled = bool;
+  };
+
+  /**
+   * Show the status message
+   * @param {string} name data-status value of the message, or null to hide the messages
+   */
+  const showStatus = (name) => {
+    for (const element of status.children) {
+      // @ts-ignore
+      if (element.dataset.status === name) {
+        element.classList.remove('hidden');
+      } else {
+        element.classList.add('hidden');
+      }
+    }
+  };
+
+  /**
+   * Close the connection being made if any
+   */
+  const closeConnection = () => {
+    if (connection !== null) {
+      connection.close();
+      connection = null;
+    }
+  };
+
+  /**
+   * Show the choice between the ways to connect, hiding the steps
+   */
+  const showChoice = () => {
+    choice.classList.remove('hidden');
+    roomStep.classList.add('hidden');
+    hostStep.classList.add('hidden');
+    guestStep.classList.add('hidden');
+  };
+
+  const openOnlineBox = () => {
+    closeConnection();
+    showChoice();
+    for (const textarea of [
+      invitationOutput,
+      replyInput,
+      invitationInput,
+      replyOutput,
+    ]) {
+      // @ts-ignore
+      textarea.value = '';
+    }
+    // @ts-ignore
+    roomInput.value = '';
+    showStatus(null);
+    if (typeof RTCPeerConnection === 'undefined') {
+      // only the relay server can be used
+      p2pBtns.classList.add('hidden');
+      showStatus('unavailable');
+    }
+    onlineBox.classList.remove('hidden');
+    disableMenuBarBtns(true);
+    pauseResumeManager.pause(pikaVolley, PauseResumePrecedence.messageBox);
+    // The keyboards of the game would block typing and pasting the codes.
+    for (const keyboard of pikaVolley.keyboardArray) {
+      keyboard.unsubscribe();
+    }
+  };
+
+  /**
+   * Show the number of the spectators, or hide it if there is none
+   * @param {HTMLElement} element text which shows the number
+   * @param {number} count number of the spectators
+   */
+  const showViewers = (element, count) => {
+    element.getElementsByClassName('count')[0].textContent = String(count);
+    if (count > 0) {
+      element.classList.remove('hidden');
+    } else {
+      element.classList.add('hidden');
+    }
+  };
+
+  /**
+   * Show the number of the spectators on the other tabs, unless an online match is on the game view
+   */
+  const updateViewersBadge = () => {
+    showViewers(
+      viewersBadge,
+      feed !== null && netplay === null ? feed.numOfViewers : 0
+    );
+  };
+
+  const closeOnlineBox = () => {
+    if (!onlineBox.classList.contains('hidden')) {
+      onlineBox.classList.add('hidden');
+      disableMenuBarBtns(false);
+      pauseResumeManager.resume(pikaVolley, PauseResumePrecedence.messageBox);
+      for (const keyboard of pikaVolley.keyboardArray) {
+        keyboard.subscribe();
+      }
+    }
+  };
+
+  // It is called on every tick of the ticker while an online match is played.
+  const update = () => {
+    netplay.update(ticker.deltaMS);
+    const desyncedFrame = netplay.session.desyncedFrame;
+    if (desyncedFrame !== -1 && desyncedText.classList.contains('hidden')) {
+      console.warn(`Online match desynced at frame ${desyncedFrame}`);
+      desyncedText.getElementsByClassName('frame')[0].textContent =
+        String(desyncedFrame);
+      desyncedText.classList.remove('hidden');
+    }
+    if (netplay.isEnded) {
+      exitNetplay();
+    }
+  };
+
+  /**
+   * Start the online match on the connection which has just opened,
+   * or start watching the match on another tab (then there is no connection)
+   * @param {RollbackSession|SpectatorSession} session session of the match on the connection
+   */
+  const startNetplay = (session) => {
+    closeOnlineBox();
+    if (timeTravelBtn.classList.contains('selected')) {
+      // turn off the time travel debug mode
+      timeTravelBtn.click();
+    }
+    if (pauseBtn.classList.contains('selected')) {
+      pauseBtn.classList.remove('selected');
+      pauseResumeManager.resume(pikaVolley, PauseResumePrecedence.pauseBtn);
+    }
+    pauseResumeManager.pause(pikaVolley, PauseResumePrecedence.netplay);
+    pikaVolley.view.intro.visible = false;
+    pikaVolley.view.menu.visible = false;
+    disableMenuBarBtns(true);
+    netplay = new Netplay(pikaVolley, session);
+    if (connection !== null) {
+      connection.onclose = () => {
+        if (netplay.session.isFinished) {
+          // The other peer has left after the end of the match, which is still played for some ticks.
+          return;
+        }
+        exitNetplay();
+        noticeBox5.classList.remove('hidden');
+        disableMenuBarBtns(true);
+        pauseResumeManager.pause(pikaVolley, PauseResumePrecedence.messageBox);
+      };
+    }
+    if (connection instanceof RelayConnection) {
+      connection.onviewers = (count) => showViewers(viewersText, count);
+    } else if (session instanceof LocalSpectatorSession) {
+      session.onviewers = (count) => showViewers(viewersText, count);
+    }
+    const playerTexts = [
+      playerText.getElementsByClassName('spectator')[0],
+      playerText.getElementsByClassName('player-1')[0],
+      playerText.getElementsByClassName('player-2')[0],
+      playerText.getElementsByClassName('local-spectator')[0],
+    ];
+    // localPlayerIndex is -1 for a spectator
+    const playerTextIndex =
+      session instanceof LocalSpectatorSession
+        ? 3
+        : session.localPlayerIndex + 1;
+    playerTexts.forEach((text, i) => {
+      if (i === playerTextIndex) {
+        text.classList.remove('hidden');
+      } else {
+        text.classList.add('hidden');
+      }
+    });
+    desyncedText.classList.add('hidden');
+    showViewers(viewersText, 0);
+    updateViewersBadge();
+    onlineControls.classList.remove('hidden');
+    ticker.maxFPS = session.settings.normalFPS;
+    // The match should be drawn before the stage is rendered on the same tick.
+    ticker.add(update, null, UPDATE_PRIORITY.HIGH);
+  };
+
+  /**
+   * Stop the online match and go back to the intro
+   */
+  const exitNetplay = () => {
+    ticker.remove(update);
+    if (netplay.session instanceof LocalSpectatorSession) {
+      netplay.session.close();
+    }
+    netplay = null;
+    if (connection !== null) {
+      connection.onclose = null;
+    }
+    closeConnection();
+    updateViewersBadge();
+    ticker.maxFPS = pikaVolley.normalFPS;
+    onlineControls.classList.add('hidden');
+    disableMenuBarBtns(false);
+    pauseResumeManager.resume(pikaVolley, PauseResumePrecedence.netplay);
+    pikaVolley.restart();
+  };
+
+  /**
+   * Show that making the connection failed, and get ready for trying again
+   * @param {Error} error
+   */
+  const handleFailure = (error) => {
+    console.error(error);
+    closeConnection();
+    showStatus('failed');
+  };
+
+  /**
+   * Show that connecting to the relay server or joining the room failed, and get ready for trying again
+   * @param {Error} error
+   */
+  const handleRelayFailure = (error) => {
+    console.error(error);
+    closeConnection();
+    showChoice();
+    showStatus(
+      error instanceof RelayError && error.reason === 'not-found'
+        ? 'room-not-found'
+        : 'server-failed'
+    );
+  };
+
+  /**
+   * @return {NetplaySettings} settings of a new match hosted by this peer
+   */
+  const makeSettings = () => ({
+    protocolVersion: NETCODE_PROTOCOL_VERSION,
+    seed: generateSeed(),
+    winningScore: pikaVolley.winningScore,
+    normalFPS: pikaVolley.normalFPS,
+  });
+
+  /**
+   * Connect to the relay server whose address is in the input
+   * @return {RelayConnection} the new connection, or null if the address is invalid
+   */
+  const connectToRelayServer = () => {
+    closeConnection();
+    // @ts-ignore
+    const url = serverInput.value.trim();
+    let newConnection;
+    try {
+      newConnection = new RelayConnection(url);
+    } catch (error) {
+      handleRelayFailure(error);
+      return null;
+    }
+    localStorageWrapper.set('pv-offline-relayServer', url);
+    connection = newConnection;
+    newConnection.onclose = () =>
+      handleRelayFailure(
+        new Error('The connection to the relay server is lost')
+      );
+    choice.classList.add('hidden');
+    showStatus('connecting');
+    return newConnection;
+  };
+
+  onlineBtn.addEventListener('click', openOnlineBox);
+  pikaVolley.onPlayOnlineSelected = () => {
+    openOnlineBox();
+    roomInput.focus();
+  };
+  closeOnlineBtn.addEventListener('click', () => {
+    closeConnection();
+    closeOnlineBox();
+  });
+
+  hostBtn.addEventListener('click', () => {
+    choice.classList.add('hidden');
+    hostStep.classList.remove('hidden');
+    showStatus('preparing');
+    const settings = makeSettings();
+    const newConnection = new DataChannelConnection();
+    connection = newConnection;
+    newConnection.onopen = () =>
+      startNetplay(new RollbackSession(0, settings, newConnection));
+    newConnection
+      .createInvitation(settings)
+      .then((invitation) => {
+        if (connection !== newConnection) {
+          return;
+        }
+        // @ts-ignore
+        invitationOutput.value = invitation;
+        // @ts-ignore
+        invitationOutput.select();
+        showStatus(null);
+      })
+      .catch(handleFailure);
+  });
+  connectBtn.addEventListener('click', () => {
+    if (connection === null) {
+      // the invitation code is no longer valid: make a new one
+      hostBtn.click();
+      return;
+    }
+    showStatus('waiting');
+    connection
+      // @ts-ignore
+      .acceptReply(replyInput.value)
+      .catch(handleFailure);
+  });
+
+  guestBtn.addEventListener('click', () => {
+    choice.classList.add('hidden');
+    guestStep.classList.remove('hidden');
+  });
+  replyBtn.addEventListener('click', () => {
+    closeConnection();
+    // @ts-ignore
+    replyOutput.value = '';
+    showStatus('preparing');
+    const newConnection = new DataChannelConnection();
+    connection = newConnection;
+    newConnection
+      // @ts-ignore
+      .acceptInvitation(invitationInput.value)
+      .then(({ reply, settings }) => {
+        if (connection !== newConnection) {
+          return;
+        }
+        newConnection.onopen = () =>
+          startNetplay(new RollbackSession(1, settings, newConnection));
+        // @ts-ignore
+        replyOutput.value = reply;
+        // @ts-ignore
+        replyOutput.select();
+        showStatus('waiting');
+      })
+      .catch(handleFailure);
+  });
+
+  // A page served by the relay server connects to it by default.
+  // @ts-ignore
+  serverInput.value =
+    localStorageWrapper.get('pv-offline-relayServer') ||
+    (window.location.protocol === 'http:'
+      ? `ws://${window.location.host}`
+      : '');
+  createRoomBtn.addEventListener('click', () => {
+    const newConnection = connectToRelayServer();
+    if (newConnection === null) {
+      return;
+    }
+    const settings = makeSettings();
+    newConnection
+      .createRoom(settings)
+      .then(({ room }) => {
+        if (connection !== newConnection) {
+          return;
+        }
+        newConnection.onopen = () =>
+          startNetplay(new RollbackSession(0, settings, newConnection));
+        roomCode.textContent = room;
+        roomStep.classList.remove('hidden');
+        showStatus('waiting');
+      })
+      .catch((error) => {
+        if (connection === newConnection) {
+          handleRelayFailure(error);
+        }
+      });
+  });
+  joinRoomBtn.addEventListener('click', () => {
+    const newConnection = connectToRelayServer();
+    if (newConnection === null) {
+      return;
+    }
+    newConnection
+      // @ts-ignore
+      .joinRoom(roomInput.value)
+      .then(({ role, settings, snapshot }) => {
+        if (connection !== newConnection) {
+          return;
+        }
+        if (role === 'spectator') {
+          const session = new RelaySpectatorSession(
+            settings,
+            snapshot,
+            spectatorOptions.delay
+          );
+          newConnection.oninputs = (start, inputs) =>
+            session.receive(start, inputs);
+          startNetplay(session);
+        } else {
+          newConnection.onopen = () =>
+            startNetplay(new RollbackSession(1, settings, newConnection));
+          showStatus('waiting');
+        }
+      })
+      .catch((error) => {
+        if (connection === newConnection) {
+          handleRelayFailure(error);
+        }
+      });
+  });
+  roomInput.addEventListener('keydown', (event) => {
+    if (event.code === 'Enter') {
+      joinRoomBtn.click();
+    }
+  });
+
+  leaveBtn.addEventListener('click', exitNetplay);
+  noticeOKBtn5.addEventListener('click', () => {
+    if (!noticeBox5.classList.contains('hidden')) {
+      noticeBox5.classList.add('hidden');
+      disableMenuBarBtns(false);
+      pauseResumeManager.resume(pikaVolley, PauseResumePrecedence.messageBox);
+    }
+  });
+
+  if (typeof BroadcastChannel === 'undefined') {
+    watchInAnotherTabBtn.classList.add('hidden');
+  } else if (new URLSearchParams(window.location.search).has('spectate')) {
+    // This page was opened by the "watch in another tab" button, so it watches the match on that tab.
+    // It has no feed, which would answer this page itself.
+    watchInAnotherTabBtn.classList.add('hidden');
+    startNetplay(
+      new LocalSpectatorSession(pikaVolley.normalFPS, spectatorOptions.delay)
+    );
+  } else {
+    feed = new SpectatorFeed(pikaVolley.replayRecorder);
+    feed.onviewers = updateViewersBadge;
+    // The user inputs are sent after the game loop has processed the frame on the same tick.
+    ticker.add(() => feed.update(), null, UPDATE_PRIORITY.LOW);
+    watchInAnotherTabBtn.addEventListener('click', () => {
+      const url = new URL(window.location.href);
+      url.search = '?spectate';
+      url.hash = '';
+      window.open(url.href, '_blank');
+    });
+  }
+  window.addEventListener('pagehide', () => {
+    if (feed !== null) {
+      feed.close();
+    }
+    if (netplay !== null && netplay.session instanceof LocalSpectatorSession) {
+      netplay.session.close();
+    }
+  });
+}
+
+/**
+ * Attach event listeners for the time travel debug mode
+ * @param {PikachuVolleyball} pikaVolley
+ * @param {Ticker} ticker
+ */
+function setUpTimeTravel(pikaVolley, ticker) {
+  const timeTravel = pikaVolley.timeTravel;
+  const timeTravelBtn = document.getElementById('time-travel-btn');
+  const controls = document.getElementById('time-travel-controls');
+  const pauseBtn = document.getElementById('time-travel-pause-btn');
+  const backBtn = document.getElementById('time-travel-back-btn');
+  const forwardBtn = document.getElementById('time-travel-forward-btn');
+  const range = document.getElementById('time-travel-range');
+  const frameText = document.getElementById('time-travel-frame-text');
+
+  /** @type {boolean} Is the game paused by the time travel? */
+  let paused = false;
+
+  /** @return {number} index of the frame in the history which is shown now */
+  const getCurrentIndex = () =>
+    timeTravel.isTraveling ? timeTravel.cursor : timeTravel.history.length - 1;
+
+  /**
+   * Update the time travel controls.
+   * It is called on every tick of the ticker while the time travel is on.
+   */
+  const updateControls = () => {
+    const textPause = pauseBtn.getElementsByClassName('text-pause')[0];
+    const textResume = pauseBtn.getElementsByClassName('text-resume')[0];
+    if (paused) {
+      textPause.classList.add('hidden');
+      textResume.classList.remove('hidden');
+    } else {
+      textPause.classList.remove('hidden');
+      textResume.classList.add('hidden');
+    }
+    const numOfFrames = timeTravel.history.length;
+    const currentIndex = getCurrentIndex();
+    // @ts-ignore
+    range.max = String(Math.max(0, numOfFrames - 1));
+    // @ts-ignore
+    range.value = String(Math.max(0, currentIndex));
+    // @ts-ignore
+    range.disabled = !paused || numOfFrames === 0;
+    // @ts-ignore
+    backBtn.disabled = !paused || currentIndex <= 0;
+    // @ts-ignore
+    forwardBtn.disabled = !paused || currentIndex >= numOfFrames - 1;
+    frameText.textContent = `${currentIndex + 1} / ${numOfFrames}`;
+  };
+
+  const pause = () => {
+    paused = true;
+    pauseResumeManager.pause(pikaVolley, PauseResumePrecedence.timeTravel);
+  };
+
+  const resume = () => {
+    timeTravel.resume(pikaVolley);
+    paused = false;
+    pauseResumeManager.resume(pikaVolley, PauseResumePrecedence.timeTravel);
+  };
+
+  timeTravelBtn.addEventListener('click', () => {
+    if (timeTravelBtn.classList.contains('selected')) {
+      if (paused) {
+        resume();
+      }
+      timeTravelBtn.classList.remove('selected');
+      timeTravel.isEnabled = false;
+      timeTravel.clear();
+      controls.classList.add('hidden');
+      ticker.remove(updateControls);
+    } else {
+      timeTravelBtn.classList.add('selected');
+      timeTravel.isEnabled = true;
+      controls.classList.remove('hidden');
+      ticker.add(updateControls);
+    }
+  });
+  pauseBtn.addEventListener('click', () => {
+    if (paused) {
+      resume();
+    } else {
+      pause();
+    }
+    updateControls();
+  });
+  backBtn.addEventListener('click', () => {
+    timeTravel.travelTo(pikaVolley, getCurrentIndex() - 1);
+    updateControls();
+  });
+  forwardBtn.addEventListener('click', () => {
+    timeTravel.travelTo(pikaVolley, getCurrentIndex() + 1);
+    updateControls();
+  });
+  range.addEventListener('input', () => {
+    // @ts-ignore
+    timeTravel.travelTo(pikaVolley, Number(range.value));
+    updateControls();
+  });
+}
+
+/**
+ * Attach keyboard event listeners for the frame step mode and the debug HUD
+ *   "P" key: turn on/off the frame step mode (the debug HUD is shown when it is turned on)
+ *   "." key: advance one frame in the frame step mode
+ *   "H" key: show/hide the debug HUD, which shows the state hash of the frame
+ *   "L" key: turn on/off logging the state hash of every frame to the console
+ * @param {PikachuVolleyball} pikaVolley
+ */
+function setUpFrameStep(pikaVolley) {
+  const hud = pikaVolley.view.hud;
+  window.addEventListener('keydown', (event) => {
+    // @ts-ignore
+    const tagName = event.target.tagName;
+    if (tagName === 'INPUT' || tagName === 'SELECT') {
+      return;
+    }
+    // holding down the "." key advances frames repeatedly
+    if (event.repeat && event.code !== 'Period') {
+      return;
+    }
+    switch (event.code) {
+      case 'KeyP':
+        pikaVolley.isStepMode = !pikaVolley.isStepMode;
+        pikaVolley.numOfStepsLeft = 0;
+        if (pikaVolley.isStepMode) {
+          hud.visible = true;
+          pikaVolley.drawHUD();
+        }
+        break;
+      case 'Period':
+        if (pikaVolley.isStepMode) {
+          pikaVolley.numOfStepsLeft++;
+        }
+        break;
+      case 'KeyH':
+        hud.visible = !hud.visible;
+        if (hud.visible) {
+          pikaVolley.drawHUD();
+        }
+        break;
+      case 'KeyL':
+        pikaVolley.isStateHashLogged = !pikaVolley.isStateHashLogged;
+        break;
+    }
+  });
+}
+
+/**
+ * Download the replay as a JSON file
+ * @param {Replay} replay
+ */
+function downloadReplay(replay) {
+  const blob = new Blob([JSON.stringify(replay)], {
+    type: 'application/json',
+  });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  // ":" can not be used in file names on some OS
+  const date = replay.recordedAt.replace(/[:.]/g, '-');
+  a.download = `pikachu-volleyball-replay-${date}.json`;
+  a.click();
+  // revoke the object URL after the download has started
+  window.setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Add the buttons for the registered bots which are not in the submenus for choosing the bots yet.
+ * (The button for the original computer is in the html page.)
+ * @param {function(Options):void} applyAndSaveOptions
+ */
+function addBotBtns(applyAndSaveOptions) {
+  for (let i = 0; i < 2; i++) {
+    const submenu = document.getElementById(`player${i + 1}-bot-submenu`);
+    const btns = submenu.getElementsByClassName('btn');
+    const names = [];
+    for (let j = 0; j < btns.length; j++) {
+      // @ts-ignore
+      names.push(btns[j].dataset.bot);
+    }
+    for (const name of getBotNames()) {
+      if (names.includes(name)) {
+        continue;
+      }
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'btn';
+      btn.dataset.bot = name;
+      const check = document.createElement('span');
+      check.className = 'check';
+      check.textContent = '\u2713 ';
+      btn.appendChild(check);
+      btn.appendChild(document.createTextNode(name));
+      btn.addEventListener('click', () => {
+        applyAndSaveOptions(
+          i === 0 ? { player1Bot: name } : { player2Bot: name }
+        );
+      });
+      submenu.appendChild(btn);
+    }
+  }
+}
+
+/**
+ * Select the button for the bot in the submenu for choosing the bot of a player
+ * @param {string} submenuID html element id of the submenu
+ * @param {string} name name of the bot
+ */
+function selectBotBtn(submenuID, name) {
+  const btns = document.getElementById(submenuID).getElementsByClassName('btn');
+  for (let i = 0; i < btns.length; i++) {
+    // @ts-ignore
+    if (btns[i].dataset.bot === name) {
+      btns[i].classList.add('selected');
+    } else {
+      btns[i].classList.remove('selected');
+    }
+  }
+}
+
+/**
+ * Set selected (checked) options btn fit to options
+ * @param {Options} options
+ */
+function setSelectedOptionsBtn(options) {
+  if (options.bgm) {
+    const bgmOnBtn = document.getElementById('bgm-on-btn');
+    const bgmOffBtn = document.getElementById('bgm-off-btn');
+    switch (options.bgm) {
+      case 'on':
+        bgmOffBtn.classList.remove('selected');
+        bgmOnBtn.classList.add('selected');
+        break;
+      case 'off':
+        bgmOnBtn.classList.remove('selected');
+        bgmOffBtn.classList.add('selected');
+        break;
+    }
+  }
+  if (options.sfx) {
+    const stereoBtn = document.getElementById('stereo-btn');
+    const monoBtn = document.getElementById('mono-btn');
+    const sfxOffBtn = document.getElementById('sfx-off-btn');
+    switch (options.sfx) {
+      case 'stereo':
+        monoBtn.classList.remove('selected');
+        sfxOffBtn.classList.remove('selected');
+        stereoBtn.classList.add('selected');
+        break;
+      case 'mono':
+        sfxOffBtn.classList.remove('selected');
+        stereoBtn.classList.remove('selected');
+        monoBtn.classList.add('selected');
+        break;
+      case 'off':
+        stereoBtn.classList.remove('selected');
+        monoBtn.classList.remove('selected');
+        sfxOffBtn.classList.add('selected');
+        break;
+    }
+  }
+  if (options.speed) {
+    const slowSpeedBtn = document.getElementById('slow-speed-btn');
+    const mediumSpeedBtn = document.getElementById('medium-speed-btn');
+    const fastSpeedBtn = document.getElementById('fast-speed-btn');
+    switch (options.speed) {
+      case 'slow':
+        mediumSpeedBtn.classList.remove('selected');
+        fastSpeedBtn.classList.remove('selected');
+        slowSpeedBtn.classList.add('selected');
+        break;
+      case 'medium':
+        fastSpeedBtn.classList.remove('selected');
+        slowSpeedBtn.classList.remove('selected');
+        mediumSpeedBtn.classList.add('selected');
+        break;
+      case 'fast':
+        slowSpeedBtn.classList.remove('selected');
+        mediumSpeedBtn.classList.remove('selected');
+        fastSpeedBtn.classList.add('selected');
+        break;
+    }
+  }
+  if (options.winningScore) {
+    const winningScore5Btn = document.getElementById('winning-score-5-btn');
+    const winningScore10Btn = document.getElementById('winning-score-10-btn');
+    const winningScore15Btn = document.getElementById('winning-score-15-btn');
+    switch (options.winningScore) {
+      case '5':
+        winningScore10Btn.classList.remove('selected');
+        winningScore15Btn.classList.remove('selected');
+        winningScore5Btn.classList.add('selected');
+        break;
+      case '10':
+        winningScore15Btn.classList.remove('selected');
+        winningScore5Btn.classList.remove('selected');
+        winningScore10Btn.classList.add('selected');
+        break;
+      case '15':
+        winningScore5Btn.classList.remove('selected');
+        winningScore10Btn.classList.remove('selected');
+        winningScore15Btn.classList.add('selected');
+        break;
+    }
+  }
+  if (options.difficulty) {
+    const difficultyEasyBtn = document.getElementById('difficulty-easy-btn');
+    const difficultyNormalBtn = document.getElementById(
+      'difficulty-normal-btn'
+    );
+    const difficultyHardBtn = document.getElementById('difficulty-hard-btn');
+    const difficultyExpertBtn = document.getElementById(
+      'difficulty-expert-btn'
+    );
+    switch (options.difficulty) {
+      case 'easy':
+        difficultyNormalBtn.classList.remove('selected');
+        difficultyHardBtn.classList.remove('selected');
+        difficultyExpertBtn.classList.remove('selected');
+        difficultyEasyBtn.classList.add('selected');
+        break;
+      case 'normal':
+        difficultyEasyBtn.classList.remove('selected');
+        difficultyHardBtn.classList.remove('selected');
+        difficultyExpertBtn.classList.remove('selected');
+        difficultyNormalBtn.classList.add('selected');
+        break;
+      case 'hard':
+        difficultyEasyBtn.classList.remove('selected');
+        difficultyNormalBtn.classList.remove('selected');
+        difficultyExpertBtn.classList.remove('selected');
+        difficultyHardBtn.classList.add('selected');
+        break;
+      case 'expert':
+        difficultyEasyBtn.classList.remove('selected');
+        difficultyNormalBtn.classList.remove('selected');
+        difficultyHardBtn.classList.remove('selected');
+        difficultyExpertBtn.classList.add('selected');
+        break;
+    }
+  }
+  if (options.player1Bot && isBotRegistered(options.player1Bot)) {
+    selectBotBtn('player1-bot-submenu', options.player1Bot);
+  }
+  if (options.player2Bot && isBotRegistered(options.player2Bot)) {
+    selectBotBtn('player2-bot-submenu', options.player2Bot);
+  }
+  if (options.instantReplay) {
+    const instantReplayOnBtn = document.getElementById('instant-replay-on-btn');
+    const instantReplaySlowBtn = document.getElementById(
+      'instant-replay-slow-btn'
+    );
+    const instantReplayOffBtn = document.getElementById(
+      'instant-replay-off-btn'
+    );
+    switch (options.instantReplay) {
+      case 'on':
+        instantReplaySlowBtn.classList.remove('selected');
+        instantReplayOffBtn.classList.remove('selected');
+        instantReplayOnBtn.classList.add('selected');
+        break;
+      case 'slow':
+        instantReplayOffBtn.classList.remove('selected');
+        instantReplayOnBtn.classList.remove('selected');
+        instantReplaySlowBtn.classList.add('selected');
+        break;
+      case 'off':
+        instantReplayOnBtn.classList.remove('selected');
+        instantReplaySlowBtn.classList.remove('selected');
+        instantReplayOffBtn.classList.add('selected');
+        break;
+    }
+  }
+  if (options.spectatorDelay) {
+    const spectatorDelay0Btn = document.getElementById('spectator-delay-0-btn');
+    const spectatorDelay1Btn = document.getElementById('spectator-delay-1-btn');
+    const spectatorDelay3Btn = document.getElementById('spectator-delay-3-btn');
+    switch (options.spectatorDelay) {
+      case '0':
+        spectatorDelay1Btn.classList.remove('selected');
+        spectatorDelay3Btn.classList.remove('selected');
+        spectatorDelay0Btn.classList.add('selected');
+        break;
+      case '1':
+        spectatorDelay3Btn.classList.remove('selected');
+        spectatorDelay0Btn.classList.remove('selected');
+        spectatorDelay1Btn.classList.add('selected');
+        break;
+      case '3':
+        spectatorDelay0Btn.classList.remove('selected');
+        spectatorDelay1Btn.classList.remove('selected');
+        spectatorDelay3Btn.classList.add('selected');
+        break;
+    }
+  }
+}
+
+/**
+ * Attach event listeners to show dropdowns and submenus properly
+ * @param {PikachuVolleyball} pikaVolley
+ */
+function setUpToShowDropdownsAndSubmenus(pikaVolley) {
+  // hide dropdowns and submenus if the user clicks outside of these
+  window.addEventListener('click', (event) => {
+    // @ts-ignore
+    if (!event.target.matches('.dropdown-btn, .submenu-btn')) {
+      hideSubmenus();
+      hideDropdownsExcept('');
+      pauseResumeManager.resume(pikaVolley, PauseResumePrecedence.dropdown);
+    }
+  });
+
+  // set up to show dropdowns
+  document.getElementById('game-dropdown-btn').addEventListener('click', () => {
+    toggleDropdown('game-dropdown', pikaVolley);
+  });
+  document
+    .getElementById('options-dropdown-btn')
+    .addEventListener('click', () => {
+      toggleDropdown('options-dropdown', pikaVolley);
+    });
+
+  // set up to show submenus on mouseover event
+  document
+    .getElementById('bgm-submenu-btn')
+    .addEventListener('mouseover', () => {
+      showSubmenu('bgm-submenu-btn', 'bgm-submenu');
+    });
+  document
+    .getElementById('sfx-submenu-btn')
+    .addEventListener('mouseover', () => {
+      showSubmenu('sfx-submenu-btn', 'sfx-submenu');
+    });
+  document
+    .getElementById('speed-submenu-btn')
+    .addEventListener('mouseover', () => {
+      showSubmenu('speed-submenu-btn', 'speed-submenu');
+    });
+  document
+    .getElementById('winning-score-submenu-btn')
+    .addEventListener('mouseover', () => {
+      showSubmenu('winning-score-submenu-btn', 'winning-score-submenu');
+    });
+  document
+    .getElementById('difficulty-submenu-btn')
+    .addEventListener('mouseover', () => {
+      showSubmenu('difficulty-submenu-btn', 'difficulty-submenu');
+    });
+  document
+    .getElementById('player1-bot-submenu-btn')
+    .addEventListener('mouseover', () => {
+      showSubmenu('player1-bot-submenu-btn', 'player1-bot-submenu');
+    });
+  document
+    .getElementById('player2-bot-submenu-btn')
+    .addEventListener('mouseover', () => {
+      showSubmenu('player2-bot-submenu-btn', 'player2-bot-submenu');
+    });
+  document
+    .getElementById('practice-mode-submenu-btn')
+    .addEventListener('mouseover', () => {
+      showSubmenu('practice-mode-submenu-btn', 'practice-mode-submenu');
+    });
+  document
+    .getElementById('instant-replay-submenu-btn')
+    .addEventListener('mouseover', () => {
+      showSubmenu('instant-replay-submenu-btn', 'instant-replay-submenu');
+    });
+  document
+    .getElementById('spectator-delay-submenu-btn')
+    .addEventListener('mouseover', () => {
+      showSubmenu('spectator-delay-submenu-btn', 'spectator-delay-submenu');
+    });
   document
     .getElementById('reset-to-default-btn')
     .addEventListener('mouseover', () => {
@@ -617,11 +2337,36 @@ function setUpToShowDropdownsAndSubmenus(pikaVolley) {
     .addEventListener('click', () => {
       showSubmenu('winning-score-submenu-btn', 'winning-score-submenu');
     });
+  document
+    .getElementById('difficulty-submenu-btn')
+    .addEventListener('click', () => {
+      showSubmenu('difficulty-submenu-btn', 'difficulty-submenu');
+    });
+  document
+    .getElementById('player1-bot-submenu-btn')
+    .addEventListener('click', () => {
+      showSubmenu('player1-bot-submenu-btn', 'player1-bot-submenu');
+    });
+  document
+    .getElementById('player2-bot-submenu-btn')
+    .addEventListener('click', () => {
+      showSubmenu('player2-bot-submenu-btn', 'player2-bot-submenu');
+    });
   document
     .getElementById('practice-mode-submenu-btn')
     .addEventListener('click', () => {
       showSubmenu('practice-mode-submenu-btn', 'practice-mode-submenu');
     });
+  document
+    .getElementById('instant-replay-submenu-btn')
+    .addEventListener('click', () => {
+      showSubmenu('instant-replay-submenu-btn', 'instant-replay-submenu');
+    });
+  document
+    .getElementById('spectator-delay-submenu-btn')
+    .addEventListener('click', () => {
+      showSubmenu('spectator-delay-submenu-btn', 'spectator-delay-submenu');
+    });
   document
     .getElementById('reset-to-default-btn')
     .addEventListener('click', () => {
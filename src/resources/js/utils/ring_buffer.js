@@ -0,0 +1,77 @@
+/**
+ * This module takes charge of the ring buffer which keeps the snapshots of the recent frames
+ * for the time travel debug mode ("time_travel.js") and the rollback of the netcode ("netcode.js").
+ *
+ * The buffer is a fixed size array used circularly, so pushing an item never allocates nor shifts the items.
+ * The slots of the dropped items are cleared, so that the buffer keeps no reference to them.
+ */
+'use strict';
+
+/**
+ * Class representing a ring buffer which keeps the most recent items up to its capacity.
+ * If an item is pushed when it is full, the oldest item is dropped.
+ * @template T
+ */
+export class RingBuffer {
+  /**
+   * Create a ring buffer
+   * @param {number} capacity maximum number of items
+   */
+  constructor(capacity) {
+    /** @type {number} maximum number of items */
+    this.capacity = capacity;
+    /** @type {T[]} */
+    this._items = new Array(capacity);
+    /** @type {number} index of the oldest item in this._items */
+    this._start = 0;
+    /** @type {number} number of items */
+    this.length = 0;
+  }
+
+  /**
+   * Push the item as the most recent one
+   * @param {T} item
+   */
+  push(item) {
+    if (this.length < this.capacity) {
+      this._items[(this._start + this.length) % this.capacity] = item;
+      this.length++;
+    } else {
+      this._items[this._start] = item;
+      this._start = (this._start + 1) % this.capacity;
+    }
+  }
+
+  /**
+   * Get the item at the index
+   * @param {number} index 0 for the oldest item, length - 1 for the most recent item
+   * @return {T} undefined if the index is out of range
+   */
+  get(index) {
+    if (index < 0 || index >= this.length) {
+      return undefined;
+    }
+    return this._items[(this._start + index) % this.capacity];
+  }
+
+  /**
+   * Drop the items more recent than the item at the index
+   * @param {number} index
+   */
+  truncate(index) {
+    const length = Math.max(0, Math.min(this.length, index + 1));
+    for (let i = length; i < this.length; i++) {
+      this._items[(this._start + i) % this.capacity] = undefined;
+    }
+    this.length = length;
+  }
+
+  /**
+   * Remove all the items
+   */
+  clear() {
+    this._items = new Array(this.capacity);
+    this._start = 0;
+    this.length = 0;
+  }
+}
@@ -9,8 +9,10 @@
 import { AnimatedSprite } from '@pixi/sprite-animated';
 import { Sprite } from '@pixi/sprite';
 import { Container } from '@pixi/display';
+import { Text } from '@pixi/text';
 import { Cloud, Wave, cloudAndWaveEngine } from './cloud_and_wave.js';
 import { ASSETS_PATH } from './assets_path.js';
+import { formatStateHash } from './state_hash.js';
 
 /** @typedef {import('@pixi/loaders').LoaderResource} LoaderResource */
 /** @typedef {import('@pixi/core').Texture} Texture */
@@ -89,6 +91,7 @@ export class MenuView {
       withWho: [
         makeSpriteWithAnchorXY(textures, TEXTURES.WITH_COMPUTER, 0, 0),
         makeSpriteWithAnchorXY(textures, TEXTURES.WITH_FRIEND, 0, 0),
+        makePlayOnlineMessage(),
       ],
       sachisoft: makeSpriteWithAnchorXY(textures, TEXTURES.SACHISOFT, 0, 0),
       fight: makeSpriteWithAnchorXY(textures, TEXTURES.FIGHT, 0, 0),
@@ -110,14 +113,15 @@ export class MenuView {
     this.container.addChild(this.sittingPikachuTilesContainer);
     this.container.addChild(this.messages.pokemon);
     this.container.addChild(this.messages.pikachuVolleyball);
-    this.container.addChild(this.messages.withWho[0]);
-    this.container.addChild(this.messages.withWho[1]);
+    for (const withWhoMessage of this.messages.withWho) {
+      this.container.addChild(withWhoMessage);
+    }
     this.container.addChild(this.messages.sachisoft);
     this.container.addChild(this.messages.fight);
     this.initializeVisibles();
 
     this.sittingPikachuTilesDisplacement = 0;
-    this.selectedWithWho = -1; // 0: with computer, 1: with friend, -1: not selected
+    this.selectedWithWho = -1; // 0: with computer, 1: with friend, 2: play online, -1: not selected
     this.selectedWithWhoMessageSizeIncrement = 2;
   }
 
@@ -278,16 +282,18 @@ export class MenuView {
 
   /**
    * referred to FUN_00405ec0
-   * Draw with who messages (with computer or with friend) as frame goes
+   * Draw with who messages (with computer, with friend or play online) as frame goes
    * @param {number} frameCounter
+   * @param {boolean} isPlayOnlineShown Is the play online message shown? It is not if online matches can not be played.
    */
-  drawWithWhoMessages(frameCounter) {
+  drawWithWhoMessages(frameCounter, isPlayOnlineShown) {
     const withWho = this.messages.withWho;
+    // The play online message, which is not in the original game, is drawn in the same size as the others.
     const w = withWho[0].texture.width;
     const h = withWho[0].texture.height;
 
     if (frameCounter === 0) {
-      for (let i = 0; i < 2; i++) {
+      for (let i = 0; i < withWho.length; i++) {
         withWho[i].visible = false;
       }
       return;
@@ -297,14 +303,15 @@ export class MenuView {
       if (this.selectedWithWhoMessageSizeIncrement < 10) {
         this.selectedWithWhoMessageSizeIncrement += 1;
       }
-      for (let i = 0; i < 2; i++) {
+      for (let i = 0; i < withWho.length; i++) {
         const selected = Number(this.selectedWithWho === i); // 1 if selected, 0 otherwise
         const halfWidthIncrement =
           selected * (this.selectedWithWhoMessageSizeIncrement + 2);
         const halfHeightIncrement =
           selected * this.selectedWithWhoMessageSizeIncrement;
 
-        withWho[i].visible = true;
+        // The play online message is the last one.
+        withWho[i].visible = isPlayOnlineShown || i < withWho.length - 1;
         withWho[i].x = 216 - w / 2 - halfWidthIncrement;
         withWho[i].y = 184 + 30 * i - halfHeightIncrement;
         withWho[i].width = w + 2 * halfWidthIncrement;
@@ -315,7 +322,7 @@ export class MenuView {
 
   /**
    * Select with who for the effect that selected option gets bigger
-   * @param {number} i 0: with computer, 1: with friend
+   * @param {number} i 0: with computer, 1: with friend, 2: play online
    */
   selectWithWho(i) {
     this.selectedWithWho = i;
@@ -700,6 +707,75 @@ export class FadeInOut {
   }
 }
 
+/**
+ * Class representing the HUD (heads-up display) which shows the frame and the physical values for debugging
+ */
+export class DebugHUD {
+  constructor() {
+    this.text = new Text('', {
+      fontFamily: 'monospace',
+      fontSize: 10,
+      fill: 0xffffff,
+      stroke: 0x000000,
+      strokeThickness: 2,
+      lineHeight: 11,
+    });
+    this.text.x = 216;
+    this.text.y = 4;
+    this.text.anchor.x = 0.5;
+    this.text.visible = false;
+  }
+
+  /** @return {boolean} Is visible? */
+  get visible() {
+    return this.text.visible;
+  }
+
+  /** @param {boolean} bool Is visible? */
+  set visible(bool) {
+    this.text.visible = bool;
+  }
+
+  /**
+   * Draw the frame and the physical values
+   * @param {number} frameIndex index of the frame
+   * @param {string} stateName name of the game state
+   * @param {PikaPhysics} physics
+   * @param {number} stateHash state hash ("state_hash.js") of the frame
+   */
+  draw(frameIndex, stateName, physics, stateHash) {
+    const player1 = physics.player1;
+    const player2 = physics.player2;
+    const ball = physics.ball;
+    this.text.text = [
+      `frame ${frameIndex} (${stateName})`,
+      `P1 state ${player1.state} frame ${player1.frameNumber}`,
+      `P2 state ${player2.state} frame ${player2.frameNumber}`,
+      `ball vx ${ball.xVelocity} vy ${ball.yVelocity}`,
+      `hash ${formatStateHash(stateHash)}`,
+    ].join('\n');
+  }
+}
+
+/**
+ * Make the play online message on the menu.
+ * There is no texture for it in the original game, so it is a text which looks like the other with who messages.
+ * @return {Text}
+ */
+function makePlayOnlineMessage() {
+  const message = new Text('ネットでぴかちゅ～', {
+    fontFamily: 'sans-serif',
+    fontSize: 16,
+    fontStyle: 'italic',
+    fontWeight: 'bold',
+    fill: 0xff0000,
+    stroke: 0xffff00,
+    strokeThickness: 3,
+  });
+  message.anchor.set(0, 0);
+  return message;
+}
+
 /**
  * Make sitting pikachu tiles
  * @param {Object.<string,Texture>} textures
@@ -0,0 +1,243 @@
+/**
+ * This module takes charge of the peer-to-peer connection between two browsers for an online match.
+ *
+ * The connection is a WebRTC data channel which is unordered and unreliable, since the rollback netcode
+ * ("netcode.js") makes up for the lost messages by itself and a late message is useless.
+ * No signaling server is needed: the peers exchange the connection information by copying and pasting
+ * the codes (e.g. via a messenger).
+ *   1. The host makes an invitation code ({@link DataChannelConnection#createInvitation}) and sends it to the guest.
+ *   2. The guest pastes it and makes a reply code ({@link DataChannelConnection#acceptInvitation}),
+ *      and sends it back to the host.
+ *   3. The host pastes the reply code ({@link DataChannelConnection#acceptReply}), and the data channel opens.
+ * The ICE candidates are gathered before a code is made, so that a code contains all of them.
+ * It also works between two tabs of a browser on one machine.
+ */
+'use strict';
+import { NETCODE_PROTOCOL_VERSION } from './netcode.js';
+
+/** @typedef {import('./netcode.js').NetplaySettings} NetplaySettings */
+
+/**
+ * STUN servers for finding the public addresses of the peers
+ * @constant @type {RTCIceServer[]}
+ */
+const ICE_SERVERS = [{ urls: 'stun:stun.l.google.com:19302' }];
+
+/**
+ * Maximum time to wait for gathering the ICE candidates in milliseconds.
+ * If it takes longer (e.g. the STUN server is unreachable), the code is made with the candidates gathered so far.
+ * @constant @type {number}
+ */
+const ICE_GATHERING_TIMEOUT = 5000;
+
+/** @constant @type {string} prefix of the codes, which tells them from other texts */
+const CODE_PREFIX = 'pikavolley:';
+
+/**
+ * Class representing a WebRTC data channel connection to the other peer.
+ * It is also a transport of the rollback netcode ("netcode.js").
+ */
+export class DataChannelConnection {
+  constructor() {
+    /** @type {RTCPeerConnection} */
+    this.peerConnection = new RTCPeerConnection({ iceServers: ICE_SERVERS });
+    /** @type {RTCDataChannel} null until the data channel is made */
+    this.dataChannel = null;
+    /** @type {boolean} Is closed? */
+    this.isClosed = false;
+
+    /** @type {function():void} called when the data channel opens */
+    this.onopen = null;
+    /** @type {function(string):void} called with each message received from the other peer */
+    this.onmessage = null;
+    /** @type {function():void} called when the connection is lost or closed by the other peer */
+    this.onclose = null;
+
+    this.peerConnection.addEventListener('connectionstatechange', () => {
+      // "disconnected" is not handled since it may be recovered soon
+      const state = this.peerConnection.connectionState;
+      if (state === 'failed' || state === 'closed') {
+        this.handleClose();
+      }
+    });
+  }
+
+  /**
+   * Make the invitation code for the guest (on the host)
+   * @param {NetplaySettings} settings settings of the match which are sent to the guest
+   * @return {Promise<string>} invitation code
+   */
+  createInvitation(settings) {
+    this.setUpDataChannel(
+      this.peerConnection.createDataChannel('pikavolley', {
+        ordered: false,
+        maxRetransmits: 0,
+      })
+    );
+    return this.peerConnection
+      .createOffer()
+      .then((offer) => this.peerConnection.setLocalDescription(offer))
+      .then(() => this.waitForIceGathering())
+      .then(() =>
+        encodeCode({
+          sdp: this.peerConnection.localDescription.sdp,
+          settings: settings,
+        })
+      );
+  }
+
+  /**
+   * Accept the invitation code from the host and make the reply code for the host (on the guest)
+   * @param {string} invitation invitation code
+   * @return {Promise<{reply: string, settings: NetplaySettings}>} reply code, and settings of the match
+   */
+  acceptInvitation(invitation) {
+    let decoded;
+    try {
+      decoded = decodeCode(invitation);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+    if (decoded.settings.protocolVersion !== NETCODE_PROTOCOL_VERSION) {
+      // The host runs another version of the game, with which the match would desync.
+      return Promise.reject(
+        new Error(
+          `Unsupported netcode protocol version: ${decoded.settings.protocolVersion}`
+        )
+      );
+    }
+    this.peerConnection.addEventListener('datachannel', (event) => {
+      this.setUpDataChannel(event.channel);
+    });
+    return this.peerConnection
+      .setRemoteDescription({ type: 'offer', sdp: decoded.sdp })
+      .then(() => this.peerConnection.createAnswer())
+      .then((answer) => this.peerConnection.setLocalDescription(answer))
+      .then(() => this.waitForIceGathering())
+      .then(() => ({
+        reply: encodeCode({ sdp: this.peerConnection.localDescription.sdp }),
+        settings: decoded.settings,
+      }));
+  }
+
+  /**
+   * Accept the reply code from the guest (on the host). The data channel opens after this.
+   * @param {string} reply reply code
+   * @return {Promise<void>}
+   */
+  acceptReply(reply) {
+    let decoded;
+    try {
+      decoded = decodeCode(reply);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+    return this.peerConnection.setRemoteDescription({
+      type: 'answer',
+      sdp: decoded.sdp,
+    });
+  }
+
+  /**
+   * Send the message to the other peer. It is dropped if the data channel is not open.
+   * @param {string} message
+   */
+  send(message) {
+    if (this.dataChannel !== null && this.dataChannel.readyState === 'open') {
+      this.dataChannel.send(message);
+    }
+  }
+
+  /**
+   * Close the connection. {@link DataChannelConnection#onclose} is not called by this.
+   */
+  close() {
+    this.isClosed = true;
+    if (this.dataChannel !== null) {
+      this.dataChannel.close();
+    }
+    this.peerConnection.close();
+  }
+
+  /**
+   * Attach the event listeners to the data channel
+   * @param {RTCDataChannel} dataChannel
+   */
+  setUpDataChannel(dataChannel) {
+    this.dataChannel = dataChannel;
+    dataChannel.addEventListener('open', () => {
+      if (this.onopen !== null) {
+        this.onopen();
+      }
+    });
+    dataChannel.addEventListener('message', (event) => {
+      if (this.onmessage !== null) {
+        this.onmessage(event.data);
+      }
+    });
+    dataChannel.addEventListener('close', () => {
+      this.handleClose();
+    });
+  }
+
+  /**
+   * Close the connection and notify it, if it is lost or closed by the other peer
+   */
+  handleClose() {
+    if (this.isClosed) {
+      return;
+    }
+    this.close();
+    if (this.onclose !== null) {
+      this.onclose();
+    }
+  }
+
+  /**
+   * Wait until all the ICE candidates are gathered (or the time is out)
+   * @return {Promise<void>}
+   */
+  waitForIceGathering() {
+    const peerConnection = this.peerConnection;
+    return new Promise((resolve) => {
+      if (peerConnection.iceGatheringState === 'complete') {
+        resolve();
+        return;
+      }
+      const timeoutID = window.setTimeout(resolve, ICE_GATHERING_TIMEOUT);
+      peerConnection.addEventListener('icegatheringstatechange', () => {
+        if (peerConnection.iceGatheringState === 'complete') {
+          window.clearTimeout(timeoutID);
+          resolve();
+        }
+      });
+    });
+  }
+}
+
+/**
+ * Encode the object into a code which can be copied and pasted as a line of text
+ * @param {Object} object
+ * @return {string}
+ */
+function encodeCode(object) {
+  // SDP consists of ASCII characters only
+  return CODE_PREFIX + window.btoa(JSON.stringify(object));
+}
+
+/**
+ * Decode the code made by {@link encodeCode}
+ * @param {string} code
+ * @return {Object}
+ */
+function decodeCode(code) {
+  code = code.trim();
+  if (!code.startsWith(CODE_PREFIX)) {
+    throw new Error('Not a code for an online match');
+  }
+  const object = JSON.parse(window.atob(code.slice(CODE_PREFIX.length)));
+  if (typeof object.sdp !== 'string') {
+    throw new Error('Invalid code for an online match');
+  }
+  return object;
+}
@@ -0,0 +1,220 @@
+/**
+ * Reference bot server for the external bots ("src/resources/js/external_bot.js")
+ *
+ * It controls a player by the computer of the original game behind the protocol of the external bots,
+ * so it can be used as a starting point for writing a bot server in another language, or as an opponent.
+ * See the comments on "src/resources/js/external_bot.js" for the messages.
+ *
+ * The computer only sees the observations. So it sees the state on the start of a frame, one frame late,
+ * and it does not know the boldness of the computer of the game, which is drawn again on every round by this server.
+ * Therefore it plays a little worse than the computer of the game.
+ *
+ * Usage:
+ *   node tools/bot_server.mjs [--port=n] [--difficulty=level]
+ *   --port: port to listen on (default: 8765)
+ *   --difficulty: difficulty level of the computer, "easy", "normal", "hard" or "expert" (default: normal)
+ * Then choose "Options → Connect external bot" in the game and connect to "ws://localhost:<port>".
+ * The server listens on both of the IPv4 and IPv6 loopback addresses (127.0.0.1 and ::1, if it is available),
+ * so "localhost" works whichever of them it is resolved to. Messages which are not valid observations are ignored.
+ */
+'use strict';
+import { WebSocketServer } from 'ws';
+import {
+  COMPUTER_DIFFICULTIES,
+  ORIGINAL_COMPUTER_BOT,
+  PikaPhysics,
+} from '../src/resources/js/physics.js';
+import { parseOptions } from './tool_util.mjs';
+
+/** @typedef {import('../src/resources/js/bots.js').PlayerState} PlayerState */
+
+/** @constant @type {string[]} numeric fields of a player in an observation */
+const PLAYER_FIELDS = [
+  'x',
+  'y',
+  'yVelocity',
+  'state',
+  'divingDirection',
+  'lyingDownDurationLeft',
+];
+
+/** @constant @type {string[]} numeric fields of the ball in an observation */
+const BALL_FIELDS = [
+  'x',
+  'y',
+  'xVelocity',
+  'yVelocity',
+  'expectedLandingPointX',
+];
+
+/** @constant @type {string[]} loopback addresses to listen on */
+const LOOPBACK_HOSTS = ['127.0.0.1', '::1'];
+
+/**
+ * Class representing the computer which controls a player for a connected game
+ */
+class ComputerBehindProtocol {
+  /**
+   * Create a computer
+   * @param {string} difficulty difficulty level of the computer
+   */
+  constructor(difficulty) {
+    /** @type {PikaPhysics} physics objects which the computer sees, copied from the observations */
+    this.physics = new PikaPhysics(true, true);
+    this.physics.player1.computerDifficulty = difficulty;
+    this.physics.player2.computerDifficulty = difficulty;
+    /** @type {string} scores of the last observation, as a key to find the start of a round */
+    this.lastScores = null;
+  }
+
+  /**
+   * Decide the user input from the observation
+   * @param {Object} observation {type: "observation", frame, player, theOtherPlayer, ball, scores}
+   * @return {{frame: number, xDirection: number, yDirection: number, powerHit: number}} reply to the observation
+   */
+  decide(observation) {
+    const isPlayer2 = observation.player.isPlayer2 === true;
+    const player = isPlayer2 ? this.physics.player2 : this.physics.player1;
+    const theOtherPlayer = isPlayer2
+      ? this.physics.player1
+      : this.physics.player2;
+    const ball = this.physics.ball;
+
+    // The scores change at the end of a round, so the next round starts with other scores.
+    const scores = String(observation.scores);
+    if (scores !== this.lastScores) {
+      this.lastScores = scores;
+      player.initializeForNewRound();
+    }
+
+    copyPlayerState(player, observation.player);
+    copyPlayerState(theOtherPlayer, observation.theOtherPlayer);
+    ball.x = observation.ball.x;
+    ball.y = observation.ball.y;
+    ball.xVelocity = observation.ball.xVelocity;
+    ball.yVelocity = observation.ball.yVelocity;
+    ball.isPowerHit = observation.ball.isPowerHit;
+    ball.expectedLandingPointX = observation.ball.expectedLandingPointX;
+
+    const userInput = ORIGINAL_COMPUTER_BOT.decide(
+      player,
+      ball,
+      theOtherPlayer
+    );
+    return {
+      frame: observation.frame,
+      xDirection: userInput.xDirection,
+      yDirection: userInput.yDirection,
+      powerHit: userInput.powerHit,
+    };
+  }
+}
+
+/**
+ * Copy the observed state to the player
+ * @param {Object} player player of the physics engine
+ * @param {PlayerState} playerState
+ */
+function copyPlayerState(player, playerState) {
+  player.x = playerState.x;
+  player.y = playerState.y;
+  player.yVelocity = playerState.yVelocity;
+  player.state = playerState.state;
+  player.divingDirection = playerState.divingDirection;
+  player.lyingDownDurationLeft = playerState.lyingDownDurationLeft;
+}
+
+/**
+ * @param {*} object
+ * @param {string[]} fields
+ * @return {boolean} Is it an object whose fields are all finite numbers?
+ */
+function hasNumberFields(object, fields) {
+  return (
+    typeof object === 'object' &&
+    object !== null &&
+    fields.every((field) => Number.isFinite(object[field]))
+  );
+}
+
+/**
+ * @param {*} message message parsed from JSON
+ * @return {boolean} Is it an observation which the computer can decide from?
+ */
+function isValidObservation(message) {
+  return (
+    typeof message === 'object' &&
+    message !== null &&
+    message.type === 'observation' &&
+    Number.isInteger(message.frame) &&
+    hasNumberFields(message.player, PLAYER_FIELDS) &&
+    hasNumberFields(message.theOtherPlayer, PLAYER_FIELDS) &&
+    hasNumberFields(message.ball, BALL_FIELDS) &&
+    Array.isArray(message.scores) &&
+    message.scores.length === 2
+  );
+}
+
+/**
+ * Parse the command line arguments of the form "--name=value"
+ * @param {string[]} args
+ * @return {{port: number, difficulty: string}}
+ */
+function parseArgs(args) {
+  const options = parseOptions(args, { port: 8765, difficulty: 'normal' });
+  if (!Number.isInteger(options.port)) {
+    throw new Error(`Invalid port: ${options.port}`);
+  }
+  if (!(options.difficulty in COMPUTER_DIFFICULTIES)) {
+    throw new Error(`Unknown difficulty level: ${options.difficulty}`);
+  }
+  return options;
+}
+
+/**
+ * Start the bot server
+ * @param {string[]} args command line arguments
+ */
+function main(args) {
+  const options = parseArgs(args);
+  const onConnection = (socket) => {
+    const computer = new ComputerBehindProtocol(options.difficulty);
+    socket.on('message', (data) => {
+      let observation;
+      try {
+        observation = JSON.parse(String(data));
+      } catch (error) {
+        return;
+      }
+      if (!isValidObservation(observation)) {
+        return;
+      }
+      socket.send(JSON.stringify(computer.decide(observation)));
+    });
+  };
+  // Only the games on this computer can connect.
+  for (const host of LOOPBACK_HOSTS) {
+    const webSocketServer = new WebSocketServer({
+      port: options.port,
+      host: host,
+    });
+    webSocketServer.on('connection', onConnection);
+    webSocketServer.on('listening', () => {
+      console.log(
+        `Bot server listening on ws://${
+          host.includes(':') ? `[${host}]` : host
+        }:${options.port} (difficulty: ${options.difficulty})`
+      );
+    });
+    webSocketServer.on('error', (error) => {
+      if (host === '::1') {
+        // IPv6 may be disabled on this computer, and then "localhost" is resolved to 127.0.0.1.
+        console.log(`Bot server could not listen on [::1]: ${error.message}`);
+        return;
+      }
+      throw error;
+    });
+  }
+}
+
+main(process.argv.slice(2));
@@ -0,0 +1,64 @@
+/**
+ * Benchmark of the environment for reinforcement learning ("src/resources/js/environment.js")
+ *
+ * It steps a batch of environments with random actions against the computer of the original game,
+ * and prints the number of steps and frames processed per second.
+ *
+ * Usage:
+ *   node tools/environment_benchmark.mjs [--envs=n] [--frameskip=n] [--steps=n]
+ *   --envs: number of the environments in the batch (default: 16)
+ *   --frameskip: number of frames for which an action is repeated (default: 4)
+ *   --steps: number of the steps of the batch (default: 10000)
+ */
+'use strict';
+import {
+  NUM_OF_ACTIONS,
+  PikaVectorEnvironment,
+} from '../src/resources/js/environment.js';
+import { parseOptions, checkIntegers } from './tool_util.mjs';
+
+/**
+ * Parse the command line arguments of the form "--name=value"
+ * @param {string[]} args
+ * @return {{envs: number, frameskip: number, steps: number}}
+ */
+function parseArgs(args) {
+  const options = parseOptions(args, { envs: 16, frameskip: 4, steps: 10000 });
+  checkIntegers(options, ['envs', 'frameskip', 'steps'], 1);
+  return options;
+}
+
+/**
+ * Run the benchmark
+ * @param {string[]} args command line arguments
+ */
+function main(args) {
+  const options = parseArgs(args);
+  const vectorEnvironment = new PikaVectorEnvironment(options.envs, {
+    frameSkip: options.frameskip,
+  });
+  vectorEnvironment.reset(0);
+  const actions = new Array(options.envs).fill(0);
+  let episodes = 0;
+  const start = Date.now();
+  for (let step = 0; step < options.steps; step++) {
+    for (let i = 0; i < options.envs; i++) {
+      actions[i] = Math.floor(NUM_OF_ACTIONS * Math.random());
+    }
+    const result = vectorEnvironment.step(actions);
+    for (const done of result.dones) {
+      if (done) {
+        episodes++;
+      }
+    }
+  }
+  const seconds = (Date.now() - start) / 1000;
+  const steps = options.steps * options.envs;
+  console.log(
+    `${steps} steps (${episodes} episodes) in ${seconds.toFixed(1)} s: ` +
+      `${Math.round(steps / seconds)} steps/s, ` +
+      `${Math.round((steps * options.frameskip) / seconds)} frames/s`
+  );
+}
+
+main(process.argv.slice(2));
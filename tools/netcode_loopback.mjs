@@ -0,0 +1,324 @@
+/**
+ * Loopback harness for the rollback netcode ("src/resources/js/netcode.js")
+ *
+ * It plays an online match between two rollback sessions in one process. The sessions are connected by
+ * an in-memory transport which delays, drops and reorders the messages as a real network does,
+ * and they are driven by a virtual clock, so a run is reproducible and takes no real time.
+ * The user inputs of both players are generated randomly (but reproducibly) from the seed.
+ *
+ * After the match, it checks that
+ *  - both sessions finished the match on the same frame without a desync,
+ *  - each session received exactly the user inputs the other session sent,
+ *  - the final state equals the one of a match processed without the network (no prediction, no rollback)
+ * and prints the statistics of the rollbacks of each session.
+ *
+ * Usage:
+ *   node tools/netcode_loopback.mjs [--latency=ms] [--jitter=ms] [--loss=rate] [--drift=rate]
+ *                                   [--input-delay=frames] [--max-rollback=frames] [--seed=n] [--winning-score=n]
+ *   --latency: one-way latency of the messages in milliseconds (default: 60)
+ *   --jitter: maximum random additional latency in milliseconds, which reorders the messages (default: 20)
+ *   --loss: probability that a message is lost (default: 0.05)
+ *   --drift: how much faster the clock of the second peer runs than the one of the first peer (default: 0.01)
+ *   --input-delay, --max-rollback: options of the rollback sessions (default: the defaults of the netcode)
+ *   --seed: seed for the match and the random user inputs (default: random)
+ *   --winning-score: winning score of the match (default: 15)
+ */
+'use strict';
+import {
+  NETCODE_PROTOCOL_VERSION,
+  DEFAULT_INPUT_DELAY,
+  DEFAULT_MAX_ROLLBACK_FRAMES,
+  RollbackSession,
+} from '../src/resources/js/netcode.js';
+import { PikaUserInput, decodeUserInput } from '../src/resources/js/physics.js';
+import { HeadlessMatch } from '../src/resources/js/headless_match.js';
+import { MSVCRand, generateSeed, srand } from '../src/resources/js/rand.js';
+import { computeStateHash } from '../src/resources/js/state_hash.js';
+import { parseOptions } from './tool_util.mjs';
+
+/** @constant @type {number} game fps of the match (medium speed) */
+const NORMAL_FPS = 25;
+
+/** @constant @type {number} the run is given up after this virtual time in milliseconds (1 hour) */
+const MAX_TIME = 60 * 60 * 1000;
+
+/**
+ * Class representing one direction of an in-memory network link
+ */
+class LoopbackLink {
+  /**
+   * @param {Object} options
+   * @param {MSVCRand} rng RNG for the latency and the loss
+   */
+  constructor(options, rng) {
+    this.options = options;
+    this.rng = rng;
+    /** @type {{deliverAt: number, message: string}[]} messages on the way */
+    this.queue = [];
+    /** @type {function(string):void} */
+    this.onmessage = null;
+    /** @type {number} current virtual time in milliseconds */
+    this.now = 0;
+    /** @type {number} */
+    this.numOfSentMessages = 0;
+    /** @type {number} */
+    this.numOfLostMessages = 0;
+  }
+
+  /**
+   * @return {number} random number in [0, 1)
+   */
+  random() {
+    return this.rng.rand() / 32768;
+  }
+
+  /**
+   * Send the message to the other end (transport interface of the netcode)
+   * @param {string} message
+   */
+  send(message) {
+    this.numOfSentMessages++;
+    if (this.random() < this.options.loss) {
+      this.numOfLostMessages++;
+      return;
+    }
+    this.queue.push({
+      deliverAt:
+        this.now + this.options.latency + this.random() * this.options.jitter,
+      message: message,
+    });
+  }
+
+  /**
+   * Deliver the messages which have arrived by the time
+   * @param {number} now
+   */
+  deliver(now) {
+    this.now = now;
+    const arrived = this.queue.filter((item) => item.deliverAt <= now);
+    this.queue = this.queue.filter((item) => item.deliverAt > now);
+    arrived.sort((a, b) => a.deliverAt - b.deliverAt);
+    for (const item of arrived) {
+      this.onmessage(item.message);
+    }
+  }
+}
+
+/**
+ * Class representing a random player who holds a random direction for a while
+ * and presses the power hit key sometimes
+ */
+class RandomPlayer {
+  /**
+   * @param {number} seed
+   */
+  constructor(seed) {
+    this.rng = new MSVCRand(seed);
+    this.userInput = new PikaUserInput();
+    this.framesLeft = 0;
+  }
+
+  /**
+   * @return {PikaUserInput} user input of the next frame
+   */
+  read() {
+    if (this.framesLeft === 0) {
+      decodeUserInput(this.rng.rand() % 9, this.userInput);
+      this.framesLeft = 1 + (this.rng.rand() % 20);
+    }
+    this.framesLeft--;
+    this.userInput.powerHit = this.rng.rand() % 10 === 0 ? 1 : 0;
+    return this.userInput;
+  }
+}
+
+/**
+ * Parse the command line arguments of the form "--name=value"
+ * @param {string[]} args
+ * @return {Object.<string,number>}
+ */
+function parseArgs(args) {
+  const options = parseOptions(args, {
+    latency: 60,
+    jitter: 20,
+    loss: 0.05,
+    drift: 0.01,
+    'input-delay': DEFAULT_INPUT_DELAY,
+    'max-rollback': DEFAULT_MAX_ROLLBACK_FRAMES,
+    seed: generateSeed(),
+    'winning-score': 15,
+  });
+  return options;
+}
+
+/**
+ * Process the match without the network from the user inputs of both players
+ * @param {Object} settings netplay settings of the match
+ * @param {number[][]} codesArray [0] for player 1, [1] for player 2: codes of the user inputs of each frame
+ * @param {number} numOfFrames
+ * @return {number} state hash after the last frame
+ */
+function runReferenceMatch(settings, codesArray, numOfFrames) {
+  const match = new HeadlessMatch(false, false, settings.winningScore);
+  srand(settings.seed);
+  const userInputArray = [new PikaUserInput(), new PikaUserInput()];
+  for (let frame = 0; frame < numOfFrames; frame++) {
+    decodeUserInput(codesArray[0][frame], userInputArray[0]);
+    decodeUserInput(codesArray[1][frame], userInputArray[1]);
+    match.step(userInputArray);
+  }
+  return computeStateHash(match.physics);
+}
+
+/**
+ * Check whether the first items of the arrays are the same
+ * @param {number[]} a
+ * @param {number[]} b
+ * @param {number} length number of the items to compare
+ * @return {boolean}
+ */
+function isSamePrefix(a, b, length) {
+  for (let i = 0; i < length; i++) {
+    if (a[i] !== b[i]) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Run the match over the loopback links and print the result
+ * @param {string[]} args command line arguments
+ * @return {number} exit code: 0 if all the checks passed, 1 otherwise
+ */
+function main(args) {
+  const options = parseArgs(args);
+  const settings = {
+    protocolVersion: NETCODE_PROTOCOL_VERSION,
+    seed: options.seed,
+    winningScore: options['winning-score'],
+    normalFPS: NORMAL_FPS,
+  };
+  const rng = new MSVCRand(options.seed);
+  const links = [
+    new LoopbackLink(options, rng),
+    new LoopbackLink(options, rng),
+  ];
+  // links[0]: from peer 0 to peer 1, links[1]: from peer 1 to peer 0
+  const transports = [
+    { send: (message) => links[0].send(message), onmessage: null },
+    { send: (message) => links[1].send(message), onmessage: null },
+  ];
+  const sessions = [0, 1].map(
+    (i) =>
+      new RollbackSession(
+        i,
+        settings,
+        transports[i],
+        options['input-delay'],
+        options['max-rollback']
+      )
+  );
+  links[0].onmessage = (message) => transports[1].onmessage(message);
+  links[1].onmessage = (message) => transports[0].onmessage(message);
+  const players = [
+    new RandomPlayer(options.seed + 1),
+    new RandomPlayer(options.seed + 2),
+  ];
+
+  // Peer 1 starts when the first message of peer 0 arrives, as when the data channel opens.
+  const tickIntervals = [
+    1000 / NORMAL_FPS,
+    1000 / NORMAL_FPS / (1 + options.drift),
+  ];
+  const nextTickTimes = [0, options.latency];
+  let now = 0;
+  while (
+    !(sessions[0].isFinished && sessions[1].isFinished) &&
+    now < MAX_TIME
+  ) {
+    links[0].deliver(now);
+    links[1].deliver(now);
+    for (let i = 0; i < 2; i++) {
+      if (now >= nextTickTimes[i]) {
+        sessions[i].advance(() => players[i].read());
+        nextTickTimes[i] += tickIntervals[i];
+      }
+    }
+    now++;
+  }
+
+  console.log(
+    `seed ${options.seed}, latency ${options.latency}+${options.jitter}ms, ` +
+      `loss ${options.loss}, drift ${options.drift}, ` +
+      `input delay ${options['input-delay']}, max rollback ${options['max-rollback']}`
+  );
+  for (let i = 0; i < 2; i++) {
+    const session = sessions[i];
+    const stats = session.stats;
+    console.log(
+      `player ${i + 1}: ${
+        session.frame
+      } frames, scores ${session.match.scores.join(':')}, ` +
+        `rollbacks ${stats.rollbacks} (${stats.resimulatedFrames} frames, max ${stats.maxRollbackFrames}), ` +
+        `stalled ${stats.stalledTicks} ticks, waited ${stats.waitedTicks} ticks, ` +
+        `messages ${links[i].numOfSentMessages} (${links[i].numOfLostMessages} lost)`
+    );
+  }
+
+  const errors = [];
+  if (!sessions[0].isFinished || !sessions[1].isFinished) {
+    errors.push(`The match did not finish in ${MAX_TIME / 1000} seconds`);
+  }
+  const numOfFrames = sessions[0].frame;
+  if (sessions[1].frame !== numOfFrames) {
+    errors.push(
+      `The match finished on different frames: ${numOfFrames}, ${sessions[1].frame}`
+    );
+  }
+  for (let i = 0; i < 2; i++) {
+    if (sessions[i].desyncedFrame !== -1) {
+      errors.push(
+        `Player ${i + 1} detected a desync at frame ${
+          sessions[i].desyncedFrame
+        }`
+      );
+    }
+    const other = sessions[1 - i];
+    if (
+      !isSamePrefix(
+        sessions[i].localCodes,
+        other.remoteUserInput.codes,
+        numOfFrames
+      )
+    ) {
+      errors.push(
+        `The user inputs of player ${i + 1} were not received correctly`
+      );
+    }
+  }
+  const referenceStateHash = runReferenceMatch(
+    settings,
+    [sessions[0].localCodes, sessions[1].localCodes],
+    numOfFrames
+  );
+  for (let i = 0; i < 2; i++) {
+    if (sessions[i].stateHash !== referenceStateHash) {
+      errors.push(
+        `The final state of player ${
+          i + 1
+        } differs from the one processed without the network`
+      );
+    }
+  }
+
+  for (const error of errors) {
+    console.log(`FAIL ${error}`);
+  }
+  if (errors.length === 0) {
+    console.log('PASS');
+  }
+  return errors.length === 0 ? 0 : 1;
+}
+
+process.exitCode = main(process.argv.slice(2));
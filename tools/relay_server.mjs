@@ -0,0 +1,611 @@
+/**
+ * Relay server for online matches, for the networks on which the peer-to-peer connection (WebRTC) does not work
+ *
+ * The players connect to this server by WebSocket instead of connecting to each other, and the server relays
+ * the messages of the rollback netcode ("src/resources/js/netcode.js") between them.
+ * See the comments on "src/resources/js/relay_connection.js" for the rooms and the messages.
+ *
+ * The server also processes the match with the confirmed user inputs of both players (i.e. the user inputs of
+ * the frames which are received from both players), so that a spectator who joins the room in the middle of
+ * the match can start from the snapshot of the match instead of all the user inputs from the start.
+ * The server can reproduce only the match which is decided by the netplay settings of "netcode.js" (the seed,
+ * the winning score and the speed), so a room is not created with any other settings.
+ *
+ * It serves the game itself from the directory of the build ("dist", made by "npm run build") too, so that
+ * the game and the relay server can be hosted on a LAN by one command. The web page then connects to the server
+ * which serves it by default. (A page served over HTTPS can not connect to a relay server without TLS.)
+ *
+ * Usage:
+ *   node tools/relay_server.mjs [--port=n] [--host=address] [--static=directory]
+ *   --port: port to listen on (default: 8080)
+ *   --host: address to listen on (default: all addresses)
+ *   --static: directory of the game to serve (default: "dist" if it exists), or "none" to serve nothing
+ */
+'use strict';
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { WebSocketServer } from 'ws';
+import { NETCODE_PROTOCOL_VERSION } from '../src/resources/js/netcode.js';
+import {
+  PikaUserInput,
+  decodeUserInput,
+  NUM_OF_USER_INPUT_CODES,
+} from '../src/resources/js/physics.js';
+import { HeadlessMatch } from '../src/resources/js/headless_match.js';
+import { srand, getRandState, setRandState } from '../src/resources/js/rand.js';
+import { parseOptions } from './tool_util.mjs';
+
+/** @constant @type {string} characters of the room codes, without the ones which are confused with others */
+const ROOM_CODE_CHARACTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/** @constant @type {number} length of the room codes */
+const ROOM_CODE_LENGTH = 4;
+
+/**
+ * Interval of the pings in milliseconds. A client which does not answer the ping
+ * until the next one is regarded as lost, even if the connection is not closed (e.g. the machine is asleep).
+ * @constant @type {number}
+ */
+const PING_INTERVAL = 30000;
+
+/**
+ * Maximum size of a message from a client in bytes. The messages are small: the largest one is a message of
+ * the netcode with the user inputs which are not yet acknowledged.
+ * @constant @type {number}
+ */
+const MAX_MESSAGE_SIZE = 64 * 1024;
+
+/**
+ * Maximum number of the user inputs in a message of the netcode. A peer does not run ahead of the other peer
+ * by more than the frames of the rollback and the input delay, so the user inputs which are not yet acknowledged
+ * are much fewer than this.
+ * @constant @type {number}
+ */
+const MAX_INPUTS_PER_MESSAGE = 256;
+
+/**
+ * Maximum number of the frames whose user inputs of a player are received but not yet processed, since the user
+ * inputs of the other player are not received. A peer does not run ahead of the user inputs received from
+ * the other peer by more than the frames of the rollback, so this is reached only by a client which sends
+ * the user inputs of the frames which are not played (e.g. after the end of the match). The client is closed then.
+ * @constant @type {number}
+ */
+const MAX_UNPROCESSED_FRAMES = 1024;
+
+/** @constant @type {string[]} names of the netplay settings ("netcode.js") which the server can process */
+const SETTINGS_NAMES = ['protocolVersion', 'seed', 'winningScore', 'normalFPS'];
+
+/** @constant @type {Object.<string,string>} content types of the files of the game */
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json',
+  '.webmanifest': 'application/manifest+json',
+  '.txt': 'text/plain; charset=utf-8',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon',
+  '.svg': 'image/svg+xml',
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+};
+
+/** @constant @type {string[]} roles of the clients in a room: index 0 for player 1 and index 1 for player 2 */
+const PLAYER_ROLES = ['player1', 'player2'];
+
+/**
+ * Class representing a room where an online match is played
+ */
+class Room {
+  /**
+   * Create a room
+   * @param {string} code room code
+   * @param {Object} settings netplay settings of the match ("netcode.js")
+   */
+  constructor(code, settings) {
+    /** @type {string} */
+    this.code = code;
+    /** @type {Object} */
+    this.settings = settings;
+    /** @type {WebSocket[]} [0] for player 1, [1] for player 2: the sockets of the players, null before joining */
+    this.players = [null, null];
+    /** @type {Set<WebSocket>} */
+    this.spectators = new Set();
+    /** @type {boolean} Has a player left? The match is over then. */
+    this.isClosed = false;
+
+    /** @type {number[]} [0] for player 1, [1] for player 2: number of the frames whose user inputs are received */
+    this.numOfReceivedFrames = [0, 0];
+    /**
+     * [0] for player 1, [1] for player 2: the received codes (encodeUserInput in "physics.js") of the user inputs
+     * of the frames from the next frame to process. The codes of the processed frames are dropped.
+     * @type {number[][]}
+     */
+    this.unprocessedCodes = [[], []];
+    /** @type {HeadlessMatch} the match processed with the confirmed user inputs */
+    this.match = new HeadlessMatch(false, false, settings.winningScore);
+    // As in the rollback session, the RNG is seeded right after the match is made.
+    srand(settings.seed);
+    /** @type {number} state of the RNG of the match, which is shared by all the rooms */
+    this.rngState = getRandState();
+    /** @type {number} number of processed frames */
+    this.frame = 0;
+    /** @type {PikaUserInput[]} */
+    this.userInputArray = [new PikaUserInput(), new PikaUserInput()];
+  }
+
+  /** @return {boolean} Is nobody in the room? */
+  get isEmpty() {
+    return (
+      this.players[0] === null &&
+      this.players[1] === null &&
+      this.spectators.size === 0
+    );
+  }
+
+  /**
+   * Receive the message of the rollback netcode from the player, and relay it to the other player
+   * @param {number} playerIndex 0: player 1, 1: player 2
+   * @param {string} data
+   */
+  receiveNetcodeMessage(playerIndex, data) {
+    const message = JSON.parse(data);
+    if (
+      !Number.isInteger(message.start) ||
+      message.start < 0 ||
+      !Array.isArray(message.inputs) ||
+      message.inputs.length > MAX_INPUTS_PER_MESSAGE ||
+      !message.inputs.every(
+        (code) =>
+          Number.isInteger(code) && code >= 0 && code < NUM_OF_USER_INPUT_CODES
+      )
+    ) {
+      throw new Error('Invalid netcode message');
+    }
+    this.receiveInputs(playerIndex, message.start, message.inputs);
+    // The messages are relayed even after the end of the match, since the peers exchange them to confirm the end.
+    const other = this.players[1 - playerIndex];
+    if (other !== null) {
+      send(other, { type: 'netcode', data: data });
+    }
+    this.processConfirmedFrames();
+  }
+
+  /**
+   * Receive the codes of the user inputs of the consecutive frames from the player.
+   * The codes of the frames which have already been received are ignored, and so are the ones received after
+   * the end of the match, which are of the frames not processed.
+   * @param {number} playerIndex 0: player 1, 1: player 2
+   * @param {number} start the frame of codes[0]
+   * @param {number[]} codes
+   */
+  receiveInputs(playerIndex, start, codes) {
+    const numOfReceivedFrames = this.numOfReceivedFrames[playerIndex];
+    const end = start + codes.length;
+    // If some codes before these are missing, they will come with a later message.
+    if (start > numOfReceivedFrames || end <= numOfReceivedFrames) {
+      return;
+    }
+    if (end - this.frame > MAX_UNPROCESSED_FRAMES) {
+      throw new Error('Too many unprocessed frames');
+    }
+    this.numOfReceivedFrames[playerIndex] = end;
+    if (!this.match.isFinished) {
+      for (let frame = numOfReceivedFrames; frame < end; frame++) {
+        this.unprocessedCodes[playerIndex].push(codes[frame - start]);
+      }
+    }
+  }
+
+  /**
+   * Process the newly confirmed frames and send their user inputs to the spectators
+   */
+  processConfirmedFrames() {
+    const codesArray = this.unprocessedCodes;
+    const numOfConfirmedFrames = Math.min(
+      codesArray[0].length,
+      codesArray[1].length
+    );
+    let numOfProcessedFrames = 0;
+    setRandState(this.rngState);
+    // As on the peers, the frames after the end of the match are not processed.
+    while (
+      numOfProcessedFrames < numOfConfirmedFrames &&
+      !this.match.isFinished
+    ) {
+      decodeUserInput(
+        codesArray[0][numOfProcessedFrames],
+        this.userInputArray[0]
+      );
+      decodeUserInput(
+        codesArray[1][numOfProcessedFrames],
+        this.userInputArray[1]
+      );
+      this.match.step(this.userInputArray);
+      numOfProcessedFrames++;
+    }
+    this.rngState = getRandState();
+    if (this.match.isFinished) {
+      // The codes after the end of the match are not needed anymore.
+      this.unprocessedCodes = [[], []];
+    }
+    if (numOfProcessedFrames === 0) {
+      return;
+    }
+    const message = {
+      type: 'inputs',
+      start: this.frame,
+      inputs: codesArray.map((codes) => codes.splice(0, numOfProcessedFrames)),
+    };
+    this.frame += numOfProcessedFrames;
+    for (const spectator of this.spectators) {
+      send(spectator, message);
+    }
+  }
+
+  /**
+   * @return {{frame: number, match: Object}} snapshot of the match on the last processed frame
+   */
+  takeSnapshot() {
+    setRandState(this.rngState);
+    return { frame: this.frame, match: this.match.toJSON() };
+  }
+
+  /**
+   * Remove the client from the room. If it is a player, the match is over.
+   * @param {WebSocket} socket
+   */
+  leave(socket) {
+    if (this.spectators.delete(socket)) {
+      this.sendViewers();
+      return;
+    }
+    const playerIndex = this.players.indexOf(socket);
+    if (playerIndex === -1) {
+      return;
+    }
+    this.players[playerIndex] = null;
+    this.isClosed = true;
+    // If the match is finished, the others have all the user inputs to the end, so they can watch it to the end.
+    this.broadcast({
+      type: 'left',
+      role: PLAYER_ROLES[playerIndex],
+      isMatchFinished: this.match.isFinished,
+    });
+  }
+
+  /**
+   * Send the number of the spectators to everyone in the room
+   */
+  sendViewers() {
+    this.broadcast({ type: 'viewers', count: this.spectators.size });
+  }
+
+  /**
+   * Send the message to everyone in the room
+   * @param {Object} message
+   */
+  broadcast(message) {
+    for (const client of [...this.players, ...this.spectators]) {
+      if (client !== null) {
+        send(client, message);
+      }
+    }
+  }
+}
+
+/**
+ * Send the message to the client if the socket is open
+ * @param {WebSocket} socket
+ * @param {Object} message
+ */
+function send(socket, message) {
+  if (socket.readyState === socket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+}
+
+/**
+ * Make a room code which is not used by the rooms
+ * @param {Map<string,Room>} rooms
+ * @return {string}
+ */
+function makeRoomCode(rooms) {
+  let code;
+  do {
+    code = '';
+    for (let i = 0; i < ROOM_CODE_LENGTH; i++) {
+      code +=
+        ROOM_CODE_CHARACTERS[crypto.randomInt(ROOM_CODE_CHARACTERS.length)];
+    }
+  } while (rooms.has(code));
+  return code;
+}
+
+/**
+ * Check whether the object is valid netplay settings which the server can process
+ * @param {Object} settings
+ * @return {boolean}
+ */
+function isValidSettings(settings) {
+  return (
+    typeof settings === 'object' &&
+    settings !== null &&
+    Object.keys(settings).every((name) => SETTINGS_NAMES.includes(name)) &&
+    Number.isInteger(settings.seed) &&
+    Number.isInteger(settings.winningScore) &&
+    settings.winningScore > 0 &&
+    typeof settings.normalFPS === 'number' &&
+    settings.normalFPS > 0
+  );
+}
+
+/**
+ * Class representing the relay server which keeps the rooms
+ */
+class RelayServer {
+  constructor() {
+    /** @type {Map<string,Room>} rooms by room code */
+    this.rooms = new Map();
+    /** @type {Map<WebSocket,Room>} the room which each client is in */
+    this.roomOfClient = new Map();
+  }
+
+  /**
+   * Handle a new client
+   * @param {WebSocket} socket
+   * @param {string} address address of the client for the log
+   */
+  connect(socket, address) {
+    socket.on('message', (data) => {
+      try {
+        this.receive(socket, JSON.parse(String(data)));
+      } catch (error) {
+        console.log(`${address}: ${error.message}`);
+        send(socket, { type: 'error', reason: 'invalid' });
+        socket.close();
+      }
+    });
+    socket.on('close', () => this.disconnect(socket));
+  }
+
+  /**
+   * Receive the message from the client
+   * @param {WebSocket} socket
+   * @param {Object} message
+   */
+  receive(socket, message) {
+    const room = this.roomOfClient.get(socket);
+    switch (message.type) {
+      case 'create':
+        if (room !== undefined || !isValidSettings(message.settings)) {
+          throw new Error('Invalid create request');
+        }
+        if (message.settings.protocolVersion !== NETCODE_PROTOCOL_VERSION) {
+          send(socket, { type: 'error', reason: 'version' });
+          break;
+        }
+        this.createRoom(socket, message.settings);
+        break;
+      case 'join':
+        if (room !== undefined) {
+          throw new Error('Invalid join request');
+        }
+        if (message.protocolVersion !== NETCODE_PROTOCOL_VERSION) {
+          send(socket, { type: 'error', reason: 'version' });
+          break;
+        }
+        this.joinRoom(socket, String(message.room));
+        break;
+      case 'netcode': {
+        const playerIndex =
+          room === undefined ? -1 : room.players.indexOf(socket);
+        if (playerIndex === -1 || typeof message.data !== 'string') {
+          throw new Error('Invalid netcode message');
+        }
+        room.receiveNetcodeMessage(playerIndex, message.data);
+        break;
+      }
+      default:
+        throw new Error(`Unknown message type: ${message.type}`);
+    }
+  }
+
+  /**
+   * Create a room and let the client join it as player 1
+   * @param {WebSocket} socket
+   * @param {Object} settings
+   */
+  createRoom(socket, settings) {
+    const room = new Room(makeRoomCode(this.rooms), settings);
+    room.players[0] = socket;
+    this.rooms.set(room.code, room);
+    this.roomOfClient.set(socket, room);
+    send(socket, {
+      type: 'joined',
+      room: room.code,
+      role: PLAYER_ROLES[0],
+      settings: settings,
+    });
+    console.log(`room ${room.code}: created`);
+  }
+
+  /**
+   * Let the client join the room as player 2, or as a spectator if player 2 has joined
+   * @param {WebSocket} socket
+   * @param {string} code room code
+   */
+  joinRoom(socket, code) {
+    const room = this.rooms.get(code);
+    if (room === undefined || room.isClosed) {
+      send(socket, { type: 'error', reason: 'not-found' });
+      return;
+    }
+    this.roomOfClient.set(socket, room);
+    if (room.players[1] === null) {
+      room.players[1] = socket;
+      send(socket, {
+        type: 'joined',
+        room: room.code,
+        role: PLAYER_ROLES[1],
+        settings: room.settings,
+      });
+      for (const player of room.players) {
+        send(player, { type: 'start' });
+      }
+      console.log(`room ${room.code}: started`);
+    } else {
+      room.spectators.add(socket);
+      send(socket, {
+        type: 'joined',
+        room: room.code,
+        role: 'spectator',
+        settings: room.settings,
+        snapshot: room.takeSnapshot(),
+      });
+      room.sendViewers();
+      console.log(
+        `room ${room.code}: a spectator joined on frame ${room.frame} (${room.spectators.size} spectators)`
+      );
+    }
+  }
+
+  /**
+   * Remove the client which has disconnected from its room
+   * @param {WebSocket} socket
+   */
+  disconnect(socket) {
+    const room = this.roomOfClient.get(socket);
+    if (room === undefined) {
+      return;
+    }
+    this.roomOfClient.delete(socket);
+    room.leave(socket);
+    if (room.isEmpty) {
+      this.rooms.delete(room.code);
+      console.log(`room ${room.code}: closed on frame ${room.frame}`);
+    }
+  }
+}
+
+/**
+ * Make the handler of the HTTP requests which serves the files in the directory
+ * @param {string} root directory of the game, or null to serve nothing
+ * @return {function(http.IncomingMessage, http.ServerResponse):void}
+ */
+function makeStaticFileHandler(root) {
+  return (request, response) => {
+    if (root === null || request.method !== 'GET') {
+      response.writeHead(404);
+      response.end();
+      return;
+    }
+    let pathname;
+    try {
+      pathname = decodeURIComponent(
+        new URL(request.url, 'http://localhost').pathname
+      );
+    } catch (error) {
+      response.writeHead(400);
+      response.end();
+      return;
+    }
+    let filePath = path.join(root, pathname);
+    if (filePath !== root && !filePath.startsWith(root + path.sep)) {
+      response.writeHead(403);
+      response.end();
+      return;
+    }
+    if (pathname.endsWith('/')) {
+      filePath = path.join(filePath, 'index.html');
+    }
+    fs.readFile(filePath, (error, content) => {
+      if (error) {
+        response.writeHead(404);
+        response.end();
+        return;
+      }
+      response.writeHead(200, {
+        'Content-Type':
+          CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream',
+      });
+      response.end(content);
+    });
+  };
+}
+
+/**
+ * Parse the command line arguments of the form "--name=value"
+ * @param {string[]} args
+ * @return {{port: number, host: string, static: string}}
+ */
+function parseArgs(args) {
+  const options = parseOptions(args, {
+    port: 8080,
+    host: undefined,
+    static: undefined,
+  });
+  if (!Number.isInteger(options.port)) {
+    throw new Error(`Invalid port: ${options.port}`);
+  }
+  return options;
+}
+
+/**
+ * Start the relay server
+ * @param {string[]} args command line arguments
+ */
+function main(args) {
+  const options = parseArgs(args);
+  let root = null;
+  if (options.static === undefined) {
+    const dist = path.resolve('dist');
+    root = fs.existsSync(dist) ? dist : null;
+  } else if (options.static !== 'none') {
+    root = path.resolve(options.static);
+  }
+
+  const httpServer = http.createServer(makeStaticFileHandler(root));
+  const webSocketServer = new WebSocketServer({
+    server: httpServer,
+    maxPayload: MAX_MESSAGE_SIZE,
+  });
+  const relayServer = new RelayServer();
+  /** @type {Set<WebSocket>} clients which have not answered the last ping */
+  const unansweredClients = new Set();
+  webSocketServer.on('connection', (socket, request) => {
+    socket.on('pong', () => unansweredClients.delete(socket));
+    socket.on('close', () => unansweredClients.delete(socket));
+    // e.g. a message larger than MAX_MESSAGE_SIZE: the connection is closed by the library then.
+    socket.on('error', (error) =>
+      console.log(`${request.socket.remoteAddress}: ${error.message}`)
+    );
+    relayServer.connect(socket, request.socket.remoteAddress);
+  });
+  setInterval(() => {
+    for (const socket of webSocketServer.clients) {
+      if (unansweredClients.has(socket)) {
+        unansweredClients.delete(socket);
+        socket.terminate();
+        continue;
+      }
+      unansweredClients.add(socket);
+      socket.ping();
+    }
+  }, PING_INTERVAL);
+
+  httpServer.listen(options.port, options.host, () => {
+    console.log(
+      `Relay server listening on port ${options.port} (protocol version ${NETCODE_PROTOCOL_VERSION})`
+    );
+    if (root !== null) {
+      console.log(
+        `Serving the game in ${root} at http://localhost:${options.port}/en/`
+      );
+    }
+  });
+}
+
+main(process.argv.slice(2));
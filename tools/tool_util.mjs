@@ -0,0 +1,121 @@
+/**
+ * Utilities shared by the tools: parsing the command line arguments, and running the checks of the verifiers
+ *
+ * A verifier is a list of checks run in order. Each check has a name and a function which takes
+ * the context shared by the checks (e.g. the options, or what an earlier check made for the later ones)
+ * and throws if the check fails. {@link runChecks} prints "PASS <name>" or "FAIL <name>: <message>"
+ * for each check, and stops on the first failure.
+ */
+'use strict';
+
+/**
+ * A check of a verifier
+ * @typedef {Object} Check
+ * @property {string} name
+ * @property {function(Object):void} run it is called with the context and throws if the check fails
+ */
+
+/**
+ * Parse the command line arguments of the form "--name=value".
+ * A value is converted to a number if the default value of the option is a number.
+ * @param {string[]} args
+ * @param {Object} defaults default values of the options by their names
+ * @return {Object} options
+ */
+export function parseOptions(args, defaults) {
+  const options = Object.assign({}, defaults);
+  for (const arg of args) {
+    const match = /^--([a-z-]+)=(.+)$/.exec(arg);
+    if (
+      match === null ||
+      !Object.prototype.hasOwnProperty.call(defaults, match[1])
+    ) {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+    const name = match[1];
+    if (typeof defaults[name] === 'number') {
+      options[name] = Number(match[2]);
+      if (Number.isNaN(options[name])) {
+        throw new Error(`Invalid ${name}: ${match[2]}`);
+      }
+    } else {
+      options[name] = match[2];
+    }
+  }
+  return options;
+}
+
+/**
+ * Check that the options are integers which are not less than the minimum
+ * @param {Object} options
+ * @param {string[]} names names of the options to check
+ * @param {number} min
+ */
+export function checkIntegers(options, names, min) {
+  for (const name of names) {
+    if (!Number.isInteger(options[name]) || options[name] < min) {
+      throw new Error(`Invalid ${name}: ${options[name]}`);
+    }
+  }
+}
+
+/**
+ * @param {boolean} condition
+ * @param {string} message
+ */
+export function assert(condition, message) {
+  if (!condition) {
+    throw new Error(message);
+  }
+}
+
+/**
+ * Check that the values are the same when they are converted to JSON
+ * @param {*} actual
+ * @param {*} expected
+ * @param {string} name name of the value in the message
+ */
+export function assertEqual(actual, expected, name) {
+  assert(
+    JSON.stringify(actual) === JSON.stringify(expected),
+    `${name} is ${JSON.stringify(actual)}, not ${JSON.stringify(expected)}`
+  );
+}
+
+/**
+ * @param {function():void} func
+ * @param {string} message expected error message
+ */
+export function assertThrows(func, message) {
+  try {
+    func();
+  } catch (error) {
+    assertEqual(error.message, message, 'error message');
+    return;
+  }
+  throw new Error(`No error is thrown: ${message}`);
+}
+
+/**
+ * Run the checks in order until one of them fails
+ * @param {Check[]} checks
+ * @param {Object} context
+ * @param {function(Object):void} [onFailure] called with the context after a failure is printed,
+ *                                            e.g. to print more about the failure
+ * @return {number} exit code: 0 if all the checks pass, 1 otherwise
+ */
+export function runChecks(checks, context, onFailure) {
+  for (const check of checks) {
+    try {
+      check.run(context);
+    } catch (error) {
+      console.log(`FAIL ${check.name}: ${error.message}`);
+      if (onFailure !== undefined) {
+        onFailure(context);
+      }
+      return 1;
+    }
+    console.log(`PASS ${check.name}`);
+  }
+  return 0;
+}
@@ -0,0 +1,348 @@
+/**
+ * Tournament between two AIs
+ *
+ * It plays headless matches ("src/resources/js/headless_match.js") between two AIs with the seeds
+ * seed, seed + 1, ..., and reports the win rates with the 95% confidence intervals, the points by cause,
+ * the average rally length and the average game length. The AIs swap the sides on every match,
+ * since the computer of the original game is stronger on the left side.
+ *
+ * An AI is given as one of:
+ *   name: a bot registered in "src/resources/js/bots.js", e.g. "original"
+ *   name:level: a bot with the difficulty level of the computer of the original game, e.g. "original:hard"
+ *   path of a JSON file: a neural network for "src/resources/js/mlp_bot.js", e.g. "models/agent.json"
+ *
+ * The level can also be one of the difficulty levels in the presets file written by "tools/tune_computer.mjs".
+ *
+ * The cause of a point is the first one which applies of:
+ *   netPillarBounce: the ball bounced off the net pillar after the last hit
+ *   powerHitWinner: the last hit was a power hit by the player who got the point
+ *   diveMiss: the player who lost the point was diving or lying down after diving when the ball landed
+ *   other
+ *
+ * Usage:
+ *   node tools/tournament.mjs --a=ai --b=ai [--matches=n] [--seed=n] [--score=n] [--maxframes=n] [--format=f]
+ *                             [--presets=file]
+ *   --a, --b: the AIs (default: original)
+ *   --matches: number of the matches (default: 100)
+ *   --seed: seed of the first match (default: 0)
+ *   --score: winning score (default: 15)
+ *   --maxframes: a match which is not finished in this number of frames is counted as unfinished (default: 200000)
+ *   --format: "table" for a readable table, or "json" (default: table)
+ *   --presets: presets file of difficulty levels written by "tools/tune_computer.mjs" (default: none)
+ */
+'use strict';
+import fs from 'fs';
+import {
+  COMPUTER_DIFFICULTIES,
+  PikaUserInput,
+  addComputerDifficulty,
+  isBallTouchingNetPillar,
+} from '../src/resources/js/physics.js';
+import { HeadlessMatch } from '../src/resources/js/headless_match.js';
+import { createBot } from '../src/resources/js/bots.js';
+import { MLPBot } from '../src/resources/js/mlp_bot.js';
+import { srand } from '../src/resources/js/rand.js';
+import { parseOptions, checkIntegers } from './tool_util.mjs';
+
+/** @typedef {import('../src/resources/js/bots.js').Bot} Bot */
+/** @typedef {{name: string, bot: Bot, difficulty: string}} AI */
+
+/** @constant @type {string[]} causes of the points */
+const CAUSES = ['powerHitWinner', 'diveMiss', 'netPillarBounce', 'other'];
+
+/** @constant @type {Object.<string,string>} names of the causes in the table */
+const CAUSE_NAMES = {
+  powerHitWinner: 'Power hit winners',
+  diveMiss: 'Dive misses',
+  netPillarBounce: 'Net pillar bounces',
+  other: 'Other',
+};
+
+/** @constant @type {number} z-score of the 95% confidence interval */
+const Z_95 = 1.96;
+
+/**
+ * Load the AI
+ * @param {string} spec see the comment on top of this file
+ * @return {AI}
+ */
+function loadAI(spec) {
+  if (spec.endsWith('.json')) {
+    const model = JSON.parse(fs.readFileSync(spec, 'utf8'));
+    return { name: spec, bot: new MLPBot(model), difficulty: 'normal' };
+  }
+  const parts = spec.split(':');
+  const difficulty = parts.length > 1 ? parts[1] : 'normal';
+  if (parts.length > 2 || !(difficulty in COMPUTER_DIFFICULTIES)) {
+    throw new Error(`Invalid AI: ${spec}`);
+  }
+  return { name: spec, bot: createBot(parts[0]), difficulty: difficulty };
+}
+
+/**
+ * Class representing the statistics of a tournament
+ */
+class TournamentStatistics {
+  constructor() {
+    /** @type {number[]} number of the matches won by each AI */
+    this.wins = [0, 0];
+    /** @type {number} number of the matches which are not finished */
+    this.unfinished = 0;
+    /** @type {Object.<string,number>[]} number of the points got by each AI, by cause */
+    this.pointsByCause = [0, 1].map(() => {
+      const points = {};
+      CAUSES.forEach((cause) => (points[cause] = 0));
+      return points;
+    });
+    /** @type {number} number of the rounds */
+    this.rounds = 0;
+    /** @type {number} number of the hits in all the rounds */
+    this.hits = 0;
+    /** @type {number} number of the frames of the finished matches */
+    this.framesOfFinishedMatches = 0;
+  }
+}
+
+/**
+ * Play a match and add its statistics
+ * @param {AI[]} ais [0]: AI on the left side (player 1), [1]: AI on the right side (player 2)
+ * @param {number[]} aiIndexes indexes of the AIs in the statistics, by side
+ * @param {number} seed
+ * @param {{score: number, maxframes: number}} options
+ * @param {TournamentStatistics} statistics
+ */
+function playMatch(ais, aiIndexes, seed, options, statistics) {
+  srand(seed);
+  const match = new HeadlessMatch(true, true, options.score);
+  const players = [match.physics.player1, match.physics.player2];
+  const ball = match.physics.ball;
+  for (let i = 0; i < 2; i++) {
+    match.setComputerBot(i, ais[i].bot);
+    players[i].computerDifficulty = ais[i].difficulty;
+  }
+  const userInputArray = [new PikaUserInput(), new PikaUserInput()];
+
+  let frames = 0;
+  let hits = 0;
+  /** @type {number} side of the player who hit the ball last, -1 if nobody hit it in this round */
+  let lastHitter = -1;
+  let isNetPillarTouchedAfterLastHit = false;
+  while (match.gameEnded === false && frames < options.maxframes) {
+    const isInPlay = match.state === match.round && match.roundEnded === false;
+    const scores = match.scores.slice();
+    const wasColliding = players.map(
+      (player) => player.isCollisionWithBallHappened
+    );
+    // (The ball bounces off the net pillar before the collisions with the players on a frame.)
+    if (isInPlay && isBallTouchingNetPillar(ball)) {
+      isNetPillarTouchedAfterLastHit = true;
+    }
+    match.step(userInputArray);
+    frames++;
+    if (!isInPlay) {
+      continue;
+    }
+    for (let i = 0; i < 2; i++) {
+      if (!wasColliding[i] && players[i].isCollisionWithBallHappened) {
+        hits++;
+        lastHitter = i;
+        isNetPillarTouchedAfterLastHit = false;
+      }
+    }
+    if (match.roundEnded) {
+      const winner = match.scores[0] > scores[0] ? 0 : 1;
+      const loser = players[1 - winner];
+      let cause = 'other';
+      if (isNetPillarTouchedAfterLastHit) {
+        cause = 'netPillarBounce';
+      } else if (ball.isPowerHit && lastHitter === winner) {
+        cause = 'powerHitWinner';
+      } else if (loser.state === 3 || loser.state === 4) {
+        cause = 'diveMiss';
+      }
+      statistics.pointsByCause[aiIndexes[winner]][cause]++;
+      statistics.rounds++;
+      statistics.hits += hits;
+      hits = 0;
+      lastHitter = -1;
+      isNetPillarTouchedAfterLastHit = false;
+    }
+  }
+
+  if (match.gameEnded) {
+    const winner = match.scores[0] > match.scores[1] ? 0 : 1;
+    statistics.wins[aiIndexes[winner]]++;
+    statistics.framesOfFinishedMatches += frames;
+  } else {
+    statistics.unfinished++;
+  }
+}
+
+/**
+ * Wilson score interval of a proportion
+ * @param {number} successes
+ * @param {number} trials
+ * @return {number[]} [lower bound, upper bound] of the 95% confidence interval
+ */
+function wilsonInterval(successes, trials) {
+  if (trials === 0) {
+    return [0, 1];
+  }
+  const p = successes / trials;
+  const z2 = Z_95 * Z_95;
+  const denominator = 1 + z2 / trials;
+  const center = (p + z2 / (2 * trials)) / denominator;
+  const halfWidth =
+    (Z_95 * Math.sqrt((p * (1 - p)) / trials + z2 / (4 * trials * trials))) /
+    denominator;
+  return [Math.max(0, center - halfWidth), Math.min(1, center + halfWidth)];
+}
+
+/**
+ * Make the report of the tournament
+ * @param {AI[]} ais
+ * @param {Object} options
+ * @param {TournamentStatistics} statistics
+ * @return {Object} plain object which can be converted to JSON
+ */
+function makeReport(ais, options, statistics) {
+  const finished = statistics.wins[0] + statistics.wins[1];
+  return {
+    ais: ais.map((ai) => ai.name),
+    matches: options.matches,
+    seed: options.seed,
+    winningScore: options.score,
+    unfinished: statistics.unfinished,
+    wins: statistics.wins.slice(),
+    winRates: statistics.wins.map((wins) =>
+      finished === 0 ? null : wins / finished
+    ),
+    winRateIntervals: statistics.wins.map((wins) =>
+      wilsonInterval(wins, finished)
+    ),
+    points: statistics.pointsByCause.map((points) =>
+      CAUSES.reduce((sum, cause) => sum + points[cause], 0)
+    ),
+    pointsByCause: statistics.pointsByCause,
+    averageRallyLength:
+      statistics.rounds === 0 ? null : statistics.hits / statistics.rounds,
+    averageGameLength:
+      finished === 0 ? null : statistics.framesOfFinishedMatches / finished,
+  };
+}
+
+/**
+ * Format the report as a readable table
+ * @param {Object} report
+ * @return {string}
+ */
+function formatReport(report) {
+  const percent = (value) =>
+    value === null ? '-' : `${(100 * value).toFixed(1)}%`;
+  const rows = [
+    ['', report.ais[0], report.ais[1]],
+    ['Wins', ...report.wins.map(String)],
+    ['Win rate', ...report.winRates.map(percent)],
+    [
+      '95% confidence interval',
+      ...report.winRateIntervals.map(
+        (interval) => `${percent(interval[0])} - ${percent(interval[1])}`
+      ),
+    ],
+    ['Points', ...report.points.map(String)],
+    ...CAUSES.map((cause) => [
+      `  ${CAUSE_NAMES[cause]}`,
+      ...report.pointsByCause.map((points) => String(points[cause])),
+    ]),
+  ];
+  const widths = [0, 1, 2].map((column) =>
+    Math.max(...rows.map((row) => row[column].length))
+  );
+  const lines = [
+    `${report.matches} matches (seeds ${report.seed} to ${
+      report.seed + report.matches - 1
+    }), winning score ${report.winningScore}`,
+    '',
+    ...rows.map(
+      (row) =>
+        `${row[0].padEnd(widths[0])}  ${row[1].padStart(
+          widths[1]
+        )}  ${row[2].padStart(widths[2])}`
+    ),
+    '',
+    `Average rally length: ${
+      report.averageRallyLength === null
+        ? '-'
+        : report.averageRallyLength.toFixed(2)
+    } hits`,
+    `Average game length: ${
+      report.averageGameLength === null
+        ? '-'
+        : Math.round(report.averageGameLength)
+    } frames`,
+    `Unfinished matches: ${report.unfinished}`,
+  ];
+  return lines.join('\n');
+}
+
+/**
+ * Parse the command line arguments of the form "--name=value"
+ * @param {string[]} args
+ * @return {{a: string, b: string, matches: number, seed: number, score: number, maxframes: number, format: string,
+ *           presets: string}}
+ */
+function parseArgs(args) {
+  const options = parseOptions(args, {
+    a: 'original',
+    b: 'original',
+    matches: 100,
+    seed: 0,
+    score: 15,
+    maxframes: 200000,
+    format: 'table',
+    presets: '',
+  });
+  checkIntegers(options, ['matches', 'seed', 'score', 'maxframes'], 0);
+  if (options.format !== 'table' && options.format !== 'json') {
+    throw new Error(`Unknown format: ${options.format}`);
+  }
+  return options;
+}
+
+/**
+ * Run the tournament
+ * @param {string[]} args command line arguments
+ */
+function main(args) {
+  const options = parseArgs(args);
+  if (options.presets !== '') {
+    const presets = JSON.parse(fs.readFileSync(options.presets, 'utf8'));
+    for (const name of Object.keys(presets)) {
+      addComputerDifficulty(name, presets[name]);
+    }
+  }
+  const ais = [loadAI(options.a), loadAI(options.b)];
+  const statistics = new TournamentStatistics();
+  for (let i = 0; i < options.matches; i++) {
+    // AI A plays on the left side on the even matches, and on the right side on the odd matches.
+    if (i % 2 === 0) {
+      playMatch(ais, [0, 1], options.seed + i, options, statistics);
+    } else {
+      playMatch(
+        [ais[1], ais[0]],
+        [1, 0],
+        options.seed + i,
+        options,
+        statistics
+      );
+    }
+  }
+  const report = makeReport(ais, options, statistics);
+  if (options.format === 'json') {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    console.log(formatReport(report));
+  }
+}
+
+main(process.argv.slice(2));
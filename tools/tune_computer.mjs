@@ -0,0 +1,476 @@
+/**
+ * Tuner of the parameters of the computer
+ *
+ * It evolves sets of the parameters of the computer ("ComputerDifficulty" in "src/resources/js/physics.js")
+ * by a genetic algorithm. Every generation, each parameter set plays headless matches against the computer
+ * of the original game, with the seeds which are common to the generation, swapping the sides on every match.
+ * The best parameter sets are kept to the next generation (and are evaluated again on the new seeds), and
+ * the others are replaced by the children made by tournament selection, uniform crossover and mutation.
+ *
+ * The fitness is the average point difference per match against the opponent. If a target point share
+ * is given, the fitness is how close the share of the points got by the parameter set is to the target,
+ * so easier (e.g. --target=0.3) or harder (e.g. --target=0.7) levels than the original can be tuned.
+ *
+ * After every generation, the best parameter sets are written to the output file as named presets:
+ *
+ *   { "tuned-1": { "minBoldness": 1, "maxBoldness": 4, ... }, "tuned-2": { ... }, ... }
+ *
+ * The presets are for the headless tools: they are added as difficulty levels by
+ * "tools/tournament.mjs --presets=file", so that they can be played as e.g. "--a=original:tuned-1".
+ * They are not difficulty levels of the game, so they can not be chosen in the game or recorded in replays
+ * (a preset worth shipping has to be added to COMPUTER_DIFFICULTIES in "src/resources/js/physics.js",
+ * to the menus and to the replay formats by hand).
+ * If a checkpoint file is given, the state is also written to it after every generation,
+ * and the tuning is resumed from it when it exists, so a long run can be stopped and continued.
+ * The number of the generations counts the ones run before the tuning is resumed.
+ * A tuning is resumed only with the same options which affect the result ({@link CHECKPOINT_OPTION_NAMES}).
+ * The files are written to temporary files which replace them, so a stop while writing does not break them.
+ *
+ * Usage:
+ *   node tools/tune_computer.mjs [--population=n] [--elites=n] [--matches=n] [--generations=n] [--hours=h]
+ *                                [--seed=n] [--score=n] [--maxframes=n] [--opponent=level] [--target=share]
+ *                                [--name=prefix] [--presets=n] [--out=file] [--checkpoint=file]
+ *   --population: number of the parameter sets in a generation (default: 24)
+ *   --elites: number of the best parameter sets kept to the next generation (default: 4)
+ *   --matches: number of the matches played by each parameter set in a generation (default: 20)
+ *   --generations: the tuning stops after this number of generations in total, 0 for no limit (default: 100)
+ *   --hours: the tuning also stops after the generation on which this time has passed, 0 for no limit (default: 0)
+ *   --seed: seed of the tuner (default: 0)
+ *   --score: winning score (default: 15)
+ *   --maxframes: a match is stopped after this number of frames and scored as it is (default: 200000)
+ *   --opponent: difficulty level of the opponent (default: normal)
+ *   --target: target point share in (0, 1), or 0 for maximizing the point difference (default: 0)
+ *   --name: prefix of the names of the difficulty levels written (default: tuned)
+ *   --presets: number of the difficulty levels written (default: 3)
+ *   --out: output file (default: computer_presets.json)
+ *   --checkpoint: checkpoint file (default: none)
+ */
+'use strict';
+import fs from 'fs';
+import {
+  COMPUTER_DIFFICULTIES,
+  ORIGINAL_COMPUTER_DIFFICULTY,
+  PikaUserInput,
+  addComputerDifficulty,
+} from '../src/resources/js/physics.js';
+import { HeadlessMatch } from '../src/resources/js/headless_match.js';
+import { MSVCRand, srand } from '../src/resources/js/rand.js';
+import { parseOptions, checkIntegers } from './tool_util.mjs';
+
+/**
+ * Names of the options which affect the result of the tuning. They are written to the checkpoint,
+ * and the tuning is not resumed with other values of them.
+ * @constant @type {string[]}
+ */
+const CHECKPOINT_OPTION_NAMES = [
+  'population',
+  'elites',
+  'matches',
+  'seed',
+  'score',
+  'maxframes',
+  'opponent',
+  'target',
+];
+
+/** @typedef {import('../src/resources/js/physics.js').ComputerDifficulty} ComputerDifficulty */
+/** @typedef {{parameters: ComputerDifficulty, fitness: number}} Individual */
+
+/**
+ * Ranges of the parameters which are tuned. All the parameters are integers,
+ * and anticipatesNetBounce is tuned as 0 (false) or 1 (true).
+ * @constant @type {Object.<string, number[]>} [minimum, maximum] by the name of the parameter
+ */
+const GENES = {
+  minBoldness: [0, 4],
+  maxBoldness: [0, 4],
+  reactionDelay: [0, 4],
+  inputErrorRate: [0, 20],
+  anticipatesNetBounce: [0, 1],
+  standByBallSpeedSlack: [0, 15],
+  movementSlack: [0, 20],
+  jumpBallSpeedSlack: [0, 10],
+  jumpHeightBase: [40, 160],
+  jumpHeightPerBoldness: [0, 20],
+  diveDistancePerBoldness: [0, 15],
+  diveBallYThreshold: [120, 220],
+};
+
+/** @constant @type {number} probability that a gene of a child is mutated */
+const MUTATION_RATE = 0.25;
+
+/** @constant @type {number} standard deviation of a mutation, relative to the range of the gene */
+const MUTATION_SCALE = 0.15;
+
+/** @constant @type {number} number of the individuals compared in a tournament selection */
+const SELECTION_SIZE = 3;
+
+/** @constant @type {string} name under which the parameter set being evaluated is added */
+const CANDIDATE_NAME = 'tuner-candidate';
+
+/**
+ * Class representing the random numbers used by the tuner, apart from the ones of the game
+ */
+class TunerRandom {
+  /**
+   * @param {number} seed
+   */
+  constructor(seed) {
+    /** @type {MSVCRand} */
+    this.rng = new MSVCRand(seed);
+  }
+
+  /**
+   * @return {number} random number in [0, 1)
+   */
+  uniform() {
+    // Two rand() calls make a 30-bit random number, since one makes only 15 bits.
+    return (this.rng.rand() * 32768 + this.rng.rand()) / 1073741824;
+  }
+
+  /**
+   * @param {number} n
+   * @return {number} random integer in [0, n)
+   */
+  integer(n) {
+    return Math.floor(n * this.uniform());
+  }
+
+  /**
+   * @return {number} random number from the standard normal distribution (Box-Muller transform)
+   */
+  normal() {
+    const u = 1 - this.uniform();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * this.uniform());
+  }
+}
+
+/**
+ * Make the parameters valid: round them into their ranges, and order the boldness range
+ * @param {Object.<string, number>} genes
+ * @return {ComputerDifficulty}
+ */
+function toParameters(genes) {
+  const parameters = Object.assign({}, ORIGINAL_COMPUTER_DIFFICULTY);
+  for (const name of Object.keys(GENES)) {
+    const range = GENES[name];
+    parameters[name] = Math.min(
+      range[1],
+      Math.max(range[0], Math.round(Number(genes[name])))
+    );
+  }
+  if (parameters.minBoldness > parameters.maxBoldness) {
+    const minBoldness = parameters.maxBoldness;
+    parameters.maxBoldness = parameters.minBoldness;
+    parameters.minBoldness = minBoldness;
+  }
+  parameters.anticipatesNetBounce = parameters.anticipatesNetBounce === 1;
+  return parameters;
+}
+
+/**
+ * Make a child of two parameter sets by uniform crossover and mutation
+ * @param {ComputerDifficulty} parent1
+ * @param {ComputerDifficulty} parent2
+ * @param {TunerRandom} random
+ * @return {ComputerDifficulty}
+ */
+function makeChild(parent1, parent2, random) {
+  const genes = {};
+  for (const name of Object.keys(GENES)) {
+    const range = GENES[name];
+    let gene = Number(random.uniform() < 0.5 ? parent1[name] : parent2[name]);
+    if (random.uniform() < MUTATION_RATE) {
+      // A mutation moves the gene by at least 1, so that the small ranges are explored too.
+      const step = MUTATION_SCALE * (range[1] - range[0]) * random.normal();
+      gene += step >= 0 ? Math.max(1, step) : Math.min(-1, step);
+    }
+    genes[name] = gene;
+  }
+  return toParameters(genes);
+}
+
+/**
+ * Choose a parent by tournament selection
+ * @param {Individual[]} population evaluated population
+ * @param {TunerRandom} random
+ * @return {ComputerDifficulty}
+ */
+function selectParent(population, random) {
+  let best = population[random.integer(population.length)];
+  for (let i = 1; i < SELECTION_SIZE; i++) {
+    const individual = population[random.integer(population.length)];
+    if (individual.fitness > best.fitness) {
+      best = individual;
+    }
+  }
+  return best.parameters;
+}
+
+/**
+ * Play a match of the computers and return the scores
+ * @param {string[]} difficulties [0]: difficulty level of player 1, [1]: difficulty level of player 2
+ * @param {number} seed
+ * @param {{score: number, maxframes: number}} options
+ * @return {number[]} scores of player 1 and player 2
+ */
+function playMatch(difficulties, seed, options) {
+  srand(seed);
+  const match = new HeadlessMatch(true, true, options.score);
+  match.physics.player1.computerDifficulty = difficulties[0];
+  match.physics.player2.computerDifficulty = difficulties[1];
+  const userInputArray = [new PikaUserInput(), new PikaUserInput()];
+  let frames = 0;
+  while (match.gameEnded === false && frames < options.maxframes) {
+    match.step(userInputArray);
+    frames++;
+  }
+  return match.scores.slice();
+}
+
+/**
+ * Evaluate a parameter set against the opponent
+ * @param {ComputerDifficulty} parameters
+ * @param {number} firstSeed seed of the first match
+ * @param {Object} options
+ * @return {number} fitness
+ */
+function evaluate(parameters, firstSeed, options) {
+  addComputerDifficulty(CANDIDATE_NAME, parameters);
+  let points = 0;
+  let opponentPoints = 0;
+  for (let i = 0; i < options.matches; i++) {
+    // The parameter set plays on the left side on the even matches, and on the right side on the odd matches.
+    if (i % 2 === 0) {
+      const scores = playMatch(
+        [CANDIDATE_NAME, options.opponent],
+        firstSeed + i,
+        options
+      );
+      points += scores[0];
+      opponentPoints += scores[1];
+    } else {
+      const scores = playMatch(
+        [options.opponent, CANDIDATE_NAME],
+        firstSeed + i,
+        options
+      );
+      points += scores[1];
+      opponentPoints += scores[0];
+    }
+  }
+  if (options.target === 0) {
+    return (points - opponentPoints) / options.matches;
+  }
+  const share =
+    points + opponentPoints === 0 ? 0.5 : points / (points + opponentPoints);
+  return -Math.abs(share - options.target);
+}
+
+/**
+ * Make the first generation: the original parameters and their mutants
+ * @param {number} size
+ * @param {TunerRandom} random
+ * @return {ComputerDifficulty[]}
+ */
+function makeFirstGeneration(size, random) {
+  const original = toParameters(ORIGINAL_COMPUTER_DIFFICULTY);
+  const generation = [original];
+  while (generation.length < size) {
+    generation.push(makeChild(original, original, random));
+  }
+  return generation;
+}
+
+/**
+ * Make the next generation from the evaluated population sorted from the fittest
+ * @param {Individual[]} population
+ * @param {number} elites
+ * @param {TunerRandom} random
+ * @return {ComputerDifficulty[]}
+ */
+function makeNextGeneration(population, elites, random) {
+  const generation = population
+    .slice(0, elites)
+    .map((individual) => individual.parameters);
+  while (generation.length < population.length) {
+    generation.push(
+      makeChild(
+        selectParent(population, random),
+        selectParent(population, random),
+        random
+      )
+    );
+  }
+  return generation;
+}
+
+/**
+ * Write the best parameter sets as named difficulty levels
+ * @param {Individual[]} population evaluated population sorted from the fittest
+ * @param {Object} options
+ */
+function writePresets(population, options) {
+  const presets = {};
+  population.slice(0, options.presets).forEach((individual, i) => {
+    presets[`${options.name}-${i + 1}`] = individual.parameters;
+  });
+  writeFileSafely(options.out, `${JSON.stringify(presets, null, 2)}\n`);
+}
+
+/**
+ * Write the file by writing a temporary file and renaming it to the file,
+ * so that the file is not left half written if the tuner is stopped while writing
+ * @param {string} file
+ * @param {string} text
+ */
+function writeFileSafely(file, text) {
+  const temporaryFile = `${file}.tmp`;
+  fs.writeFileSync(temporaryFile, text);
+  fs.renameSync(temporaryFile, file);
+}
+
+/**
+ * Check that the checkpoint is of a tuning with the same options which affect the result
+ * @param {Object} checkpoint
+ * @param {Object} options
+ */
+function checkCheckpointOptions(checkpoint, options) {
+  for (const name of CHECKPOINT_OPTION_NAMES) {
+    if (
+      checkpoint.options === undefined ||
+      checkpoint.options[name] !== options[name]
+    ) {
+      const value =
+        checkpoint.options === undefined ? 'unknown' : checkpoint.options[name];
+      throw new Error(
+        `The checkpoint is of a tuning with ${name}=${value}, not ${options[name]}. ` +
+          'Give the same options to resume it, or another checkpoint file to start a new tuning.'
+      );
+    }
+  }
+}
+
+/**
+ * Parse the command line arguments of the form "--name=value"
+ * @param {string[]} args
+ * @return {Object}
+ */
+function parseArgs(args) {
+  const options = parseOptions(args, {
+    population: 24,
+    elites: 4,
+    matches: 20,
+    generations: 100,
+    hours: 0,
+    seed: 0,
+    score: 15,
+    maxframes: 200000,
+    opponent: 'normal',
+    target: 0,
+    name: 'tuned',
+    presets: 3,
+    out: 'computer_presets.json',
+    checkpoint: '',
+  });
+  checkIntegers(
+    options,
+    ['population', 'matches', 'score', 'maxframes', 'presets'],
+    1
+  );
+  checkIntegers(options, ['elites', 'generations', 'seed'], 0);
+  if (options.elites >= options.population) {
+    throw new Error('The elites should be fewer than the population');
+  }
+  if (!(options.hours >= 0)) {
+    throw new Error(`Invalid hours: ${options.hours}`);
+  }
+  if (options.generations === 0 && options.hours === 0) {
+    throw new Error(
+      'Either of the generations and the hours should be limited'
+    );
+  }
+  if (!(options.target >= 0 && options.target < 1)) {
+    throw new Error(`Invalid target: ${options.target}`);
+  }
+  if (!(options.opponent in COMPUTER_DIFFICULTIES)) {
+    throw new Error(`Unknown difficulty level: ${options.opponent}`);
+  }
+  return options;
+}
+
+/**
+ * Run the tuner
+ * @param {string[]} args command line arguments
+ */
+function main(args) {
+  const options = parseArgs(args);
+  const random = new TunerRandom(options.seed);
+  let generationNumber = 0;
+  let generation;
+  if (options.checkpoint !== '' && fs.existsSync(options.checkpoint)) {
+    const checkpoint = JSON.parse(fs.readFileSync(options.checkpoint, 'utf8'));
+    checkCheckpointOptions(checkpoint, options);
+    generationNumber = checkpoint.generation;
+    random.rng.state = checkpoint.randomState;
+    generation = checkpoint.population.map(toParameters);
+    console.log(
+      `Resumed from ${options.checkpoint} at generation ${generationNumber}`
+    );
+  } else {
+    generation = makeFirstGeneration(options.population, random);
+  }
+
+  const start = Date.now();
+  while (options.generations === 0 || generationNumber < options.generations) {
+    const generationStart = Date.now();
+    // All the parameter sets of a generation play the matches with the same seeds.
+    const firstSeed = options.seed + generationNumber * options.matches;
+    const population = generation.map((parameters) => ({
+      parameters: parameters,
+      fitness: evaluate(parameters, firstSeed, options),
+    }));
+    population.sort((a, b) => b.fitness - a.fitness);
+    generationNumber++;
+    writePresets(population, options);
+    generation = makeNextGeneration(population, options.elites, random);
+    if (options.checkpoint !== '') {
+      const checkpointOptions = {};
+      for (const name of CHECKPOINT_OPTION_NAMES) {
+        checkpointOptions[name] = options[name];
+      }
+      writeFileSafely(
+        options.checkpoint,
+        JSON.stringify({
+          options: checkpointOptions,
+          generation: generationNumber,
+          randomState: random.rng.state,
+          population: generation,
+        })
+      );
+    }
+    const mean =
+      population.reduce((sum, individual) => sum + individual.fitness, 0) /
+      population.length;
+    console.log(
+      `Generation ${generationNumber}: best ${population[0].fitness.toFixed(
+        3
+      )}, mean ${mean.toFixed(3)} (${(
+        (Date.now() - generationStart) /
+        1000
+      ).toFixed(1)} s)`
+    );
+    if (
+      options.hours > 0 &&
+      Date.now() - start >= options.hours * 60 * 60 * 1000
+    ) {
+      break;
+    }
+  }
+  if (generationNumber === options.generations) {
+    console.log(`The tuning has run ${generationNumber} generations.`);
+  }
+  console.log(`The best parameter sets are written to ${options.out}`);
+}
+
+main(process.argv.slice(2));
@@ -0,0 +1,341 @@
+/**
+ * Verifier of the AIs of the computer players
+ *
+ * It plays headless matches ("src/resources/js/headless_match.js") between the computers on the difficulty
+ * levels ("src/resources/js/physics.js") with the seeds seed, seed + 1, ..., and checks that the matches
+ * are the same when they are played again with the same seeds, that the easy level gets fewer points
+ * than the normal level (the computer of the original game), and that the expert level gets more points
+ * than the normal level. The levels swap the sides on every match, since the computer of the original game
+ * is stronger on the left side.
+ *
+ * It also loads the neural network in "tools/mlp_models/follow_ball.json" into a bot ("src/resources/js/mlp_bot.js"),
+ * and checks the values of the output units and the user inputs decided for known observations.
+ * The network moves the player toward the ball: its hidden units are the distances from the player
+ * to the ball on the right and on the left, which are the values of the actions "right" and "left".
+ *
+ * It also runs the tournament ("tools/tournament.mjs") of the expert level against the normal level with the same
+ * seeds, and checks that the reported wins and points are the ones of the matches played here, that the points
+ * by cause add up to the points, that the report is the same when the tournament is run again,
+ * and that the matches which are not finished are counted as unfinished.
+ *
+ * Usage:
+ *   node tools/verify_ai.mjs [--matches=n] [--seed=n] [--score=n]
+ *   --matches: number of the matches between each level and the normal level (default: 10)
+ *   --seed: seed of the first match (default: 0)
+ *   --score: winning score of each match (default: 5)
+ */
+'use strict';
+import fs from 'fs';
+import { dirname, join } from 'path';
+import { spawnSync } from 'child_process';
+import { PikaPhysics, PikaUserInput } from '../src/resources/js/physics.js';
+import { HeadlessMatch } from '../src/resources/js/headless_match.js';
+import {
+  NUM_OF_ACTIONS,
+  OBSERVATION_SIZE,
+} from '../src/resources/js/environment.js';
+import { MLPBot } from '../src/resources/js/mlp_bot.js';
+import { srand } from '../src/resources/js/rand.js';
+import {
+  parseOptions,
+  checkIntegers,
+  assert,
+  assertEqual,
+  assertThrows,
+  runChecks,
+} from './tool_util.mjs';
+
+/** @constant @type {number} a match is given up after this number of frames */
+const MAX_FRAMES = 200000;
+
+/** @constant @type {string} path of the neural network whose values are known */
+const MODEL_PATH = join(
+  dirname(process.argv[1]),
+  'mlp_models',
+  'follow_ball.json'
+);
+
+/** @constant @type {string} path of the tournament */
+const TOURNAMENT_PATH = join(dirname(process.argv[1]), 'tournament.mjs');
+
+/** @constant @type {number} a run of the tournament is given up after this number of milliseconds */
+const TOURNAMENT_TIMEOUT = 60000;
+
+/**
+ * Make the observation of the player 1 x coordinate and the ball x coordinate, in the form of the observations
+ * in "src/resources/js/environment.js"
+ * @param {number} playerX
+ * @param {number} ballX
+ * @return {number[]}
+ */
+function makeXObservation(playerX, ballX) {
+  const observation = new Array(OBSERVATION_SIZE).fill(0);
+  observation[0] = playerX;
+  observation[24] = ballX;
+  return observation;
+}
+
+/**
+ * Make the values of the output units of the network in {@link MODEL_PATH}
+ * @param {number} right value of the action "right"
+ * @param {number} left value of the action "left"
+ * @return {number[]}
+ */
+function makeOutput(right, left) {
+  const output = new Array(NUM_OF_ACTIONS).fill(-1);
+  output[3] = left;
+  output[4] = 0.01;
+  output[5] = right;
+  return output;
+}
+
+/**
+ * Play a match between the computers
+ * @param {string[]} difficulties [0]: difficulty level of player 1, [1]: difficulty level of player 2
+ * @param {number} seed
+ * @param {number} winningScore
+ * @return {number[]} final scores
+ */
+function playMatch(difficulties, seed, winningScore) {
+  srand(seed);
+  const match = new HeadlessMatch(true, true, winningScore);
+  match.physics.player1.computerDifficulty = difficulties[0];
+  match.physics.player2.computerDifficulty = difficulties[1];
+  const userInputArray = [new PikaUserInput(), new PikaUserInput()];
+  for (let frame = 0; match.gameEnded === false; frame++) {
+    if (frame >= MAX_FRAMES) {
+      throw new Error(`The match is not ended after ${MAX_FRAMES} frames`);
+    }
+    match.step(userInputArray);
+  }
+  return match.scores.slice();
+}
+
+/**
+ * Play the matches between the level and the normal level.
+ * The level plays on the left side on the even matches, and on the right side on the odd matches.
+ * @param {string} difficulty
+ * @param {{matches: number, seed: number, score: number}} context
+ * @return {{wins: number[], points: number[]}} [0]: of the level, [1]: of the normal level
+ */
+function playAgainstNormal(difficulty, context) {
+  const result = { wins: [0, 0], points: [0, 0] };
+  for (let i = 0; i < context.matches; i++) {
+    const sides = i % 2 === 0 ? [0, 1] : [1, 0];
+    const difficulties = [];
+    difficulties[sides[0]] = difficulty;
+    difficulties[sides[1]] = 'normal';
+    const scores = playMatch(difficulties, context.seed + i, context.score);
+    for (let j = 0; j < 2; j++) {
+      result.points[j] += scores[sides[j]];
+    }
+    result.wins[scores[sides[0]] > scores[sides[1]] ? 0 : 1]++;
+  }
+  return result;
+}
+
+/**
+ * Run the tournament
+ * @param {string[]} args arguments of the tournament
+ * @return {string} standard output of the tournament
+ */
+function runTournament(args) {
+  const result = spawnSync(
+    process.execPath,
+    [TOURNAMENT_PATH, ...args, '--format=json'],
+    { encoding: 'utf8', timeout: TOURNAMENT_TIMEOUT }
+  );
+  if (result.error !== undefined) {
+    throw result.error;
+  }
+  if (result.status !== 0) {
+    throw new Error(
+      `The tournament exited with ${result.status}: ${result.stderr}`
+    );
+  }
+  return result.stdout;
+}
+
+/**
+ * Arguments of the tournament of the expert level against the normal level with the same matches
+ * as the ones played by {@link playAgainstNormal}
+ * @param {{matches: number, seed: number, score: number}} context
+ * @return {string[]}
+ */
+function makeTournamentArgs(context) {
+  return [
+    '--a=original:expert',
+    '--b=original',
+    `--matches=${context.matches}`,
+    `--seed=${context.seed}`,
+    `--score=${context.score}`,
+  ];
+}
+
+/**
+ * Checks of the AIs. Each check throws if it fails.
+ * The context is {matches, seed, score: winning score, results: results of {@link playAgainstNormal} by level,
+ * model: the network in {@link MODEL_PATH}, report: the output of the tournament}.
+ * @type {import('./tool_util.mjs').Check[]}
+ */
+const CHECKS = [
+  {
+    name: 'play the same matches with the same seeds',
+    run: (context) => {
+      for (const difficulty of ['easy', 'expert']) {
+        context.results[difficulty] = playAgainstNormal(difficulty, context);
+        assertEqual(
+          playAgainstNormal(difficulty, context),
+          context.results[difficulty],
+          `results of ${difficulty} against normal played again`
+        );
+      }
+    },
+  },
+  {
+    name: 'make the easy level weaker than the normal level',
+    run: (context) => {
+      const points = context.results.easy.points;
+      assert(
+        points[0] < points[1],
+        `The easy level gets ${points[0]} points against ${points[1]} of the normal level`
+      );
+    },
+  },
+  {
+    name: 'make the expert level stronger than the normal level',
+    run: (context) => {
+      const points = context.results.expert.points;
+      assert(
+        points[0] > points[1],
+        `The expert level gets ${points[0]} points against ${points[1]} of the normal level`
+      );
+    },
+  },
+  {
+    name: 'infer the values of a known network',
+    run: (context) => {
+      const bot = new MLPBot(context.model);
+      assertEqual(
+        Array.from(bot.infer(makeXObservation(-0.5, 0.25))),
+        makeOutput(0.75, 0),
+        'output for the ball on the right'
+      );
+      assertEqual(
+        Array.from(bot.infer(makeXObservation(0.5, -0.25))),
+        makeOutput(0, 0.75),
+        'output for the ball on the left'
+      );
+      // The network is not changed by an invalid model.
+      const invalidModel = Object.assign({}, context.model, {
+        layerSizes: [OBSERVATION_SIZE - 1, 2, NUM_OF_ACTIONS],
+      });
+      assertThrows(
+        () => bot.load(invalidModel),
+        `The input layer should have ${OBSERVATION_SIZE} units, not ${
+          OBSERVATION_SIZE - 1
+        }`
+      );
+      assertEqual(
+        Array.from(bot.infer(makeXObservation(0.5, 0.5))),
+        makeOutput(0, 0),
+        'output for the ball above the player'
+      );
+    },
+  },
+  {
+    name: 'decide the user inputs by a known network',
+    run: (context) => {
+      const bot = new MLPBot(context.model);
+      const physics = new PikaPhysics(true, true);
+      const player = physics.player1;
+      player.x = 100;
+      for (const [ballX, xDirection] of [
+        [300, 1],
+        [40, -1],
+        [100, 0],
+      ]) {
+        physics.ball.x = ballX;
+        const userInput = bot.decide(player, physics.ball, physics.player2);
+        assertEqual(
+          [userInput.xDirection, userInput.yDirection, userInput.powerHit],
+          [xDirection, 0, 0],
+          `user input for the ball x coordinate ${ballX}`
+        );
+      }
+    },
+  },
+  {
+    name: 'report the statistics of the matches in the tournament',
+    run: (context) => {
+      context.report = runTournament(makeTournamentArgs(context));
+      const report = JSON.parse(context.report);
+      const result = context.results.expert;
+      assertEqual(report.wins, result.wins, 'wins');
+      assertEqual(report.points, result.points, 'points');
+      assertEqual(report.unfinished, 0, 'unfinished matches');
+      assertEqual(
+        report.winRates,
+        result.wins.map((wins) => wins / context.matches),
+        'win rates'
+      );
+      assertEqual(
+        report.pointsByCause.map((points) =>
+          Object.keys(points).reduce((sum, cause) => sum + points[cause], 0)
+        ),
+        result.points,
+        'sums of the points by cause'
+      );
+    },
+  },
+  {
+    name: 'report the same statistics when the tournament is run again',
+    run: (context) => {
+      const report = runTournament(makeTournamentArgs(context));
+      assert(
+        report === context.report,
+        `The report differs from the one of the first run: ${report}`
+      );
+    },
+  },
+  {
+    name: 'count the matches which are not finished in the tournament',
+    run: (context) => {
+      const report = JSON.parse(
+        runTournament([...makeTournamentArgs(context), '--maxframes=100'])
+      );
+      assertEqual(report.unfinished, context.matches, 'unfinished matches');
+      assertEqual(report.wins, [0, 0], 'wins');
+      assertEqual(report.winRates, [null, null], 'win rates');
+      assertEqual(report.averageGameLength, null, 'average game length');
+    },
+  },
+];
+
+/**
+ * Run the checks in order until one of them fails
+ * @param {string[]} args command line arguments
+ * @return {number} exit code
+ */
+function main(args) {
+  const options = parseOptions(args, { matches: 10, seed: 0, score: 5 });
+  checkIntegers(options, ['matches', 'score'], 1);
+  checkIntegers(options, ['seed'], 0);
+  const context = {
+    matches: options.matches,
+    seed: options.seed,
+    score: options.score,
+    results: {},
+    model: JSON.parse(fs.readFileSync(MODEL_PATH, 'utf8')),
+    report: null,
+  };
+  if (runChecks(CHECKS, context) !== 0) {
+    return 1;
+  }
+  console.log(
+    `${CHECKS.length} passed (${options.matches} matches for each level)`
+  );
+  return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,471 @@
+/**
+ * Verifier of the bots ("src/resources/js/bots.js") on the controller ("src/resources/js/pikavolley.js")
+ *
+ * It runs the controller on Node.js with the stubs ("src/resources/js/stubs.js") in a mirror match,
+ * in which both players are controlled by the same registered bot, and checks that each player gets
+ * its own bot and that the bots give the players their inputs. The bots are asynchronous bots
+ * ({@link AsyncBot}), which keep a state between the frames:
+ *  - a bot which replies at once,
+ *  - a bot script ("src/resources/js/script_bot.js") run in a stub of the Web Worker ({@link StubWorker}),
+ *  - an external bot ("src/resources/js/external_bot.js") connected to a stub of the WebSocket
+ *    ({@link StubWebSocket}), which replies as a bot server does.
+ *
+ * Usage:
+ *   node tools/verify_bots.mjs [--frames=n]
+ *   --frames: number of the frames of the rounds played in each match (default: 300)
+ */
+'use strict';
+import { PikachuVolleyball } from '../src/resources/js/pikavolley.js';
+import {
+  ScriptedKeyboard,
+  StubAudio,
+  makeStubView,
+} from '../src/resources/js/stubs.js';
+import vm from 'vm';
+import { AsyncBot, registerBot } from '../src/resources/js/bots.js';
+import { ScriptBot, createScriptBot } from '../src/resources/js/script_bot.js';
+import {
+  ExternalBot,
+  createExternalBot,
+} from '../src/resources/js/external_bot.js';
+import {
+  parseOptions,
+  checkIntegers,
+  assert,
+  assertEqual,
+  runChecks,
+} from './tool_util.mjs';
+
+/** @typedef {import('../src/resources/js/bots.js').BotState} BotState */
+
+/** @constant @type {number} the match is given up after this number of frames */
+const MAX_FRAMES = 200000;
+
+/**
+ * Bot script which runs toward the net
+ * @constant @type {string}
+ */
+const BOT_SCRIPT = `function decide(state) {
+  return { xDirection: state.player.isPlayer2 ? -1 : 1, yDirection: 0, powerHit: 0 };
+}`;
+
+/**
+ * Class representing an asynchronous bot which replies at once: it runs toward the net.
+ */
+class ImmediateBot extends AsyncBot {
+  constructor() {
+    super();
+    this.isReady = true;
+    /** @type {boolean} Is dispose called? */
+    this.isDisposed = false;
+  }
+
+  /**
+   * @param {number} frame
+   * @param {BotState} state
+   */
+  send(frame, state) {
+    this.receive(frame, {
+      xDirection: state.player.isPlayer2 ? -1 : 1,
+      yDirection: 0,
+      powerHit: 0,
+    });
+  }
+
+  dispose() {
+    this.isDisposed = true;
+  }
+}
+
+/**
+ * Source code of the blobs by their object URLs, made by the stub of URL.createObjectURL,
+ * so that the stub of the worker can read the source code of a worker at once
+ * @type {Map<string, string>}
+ */
+const blobSources = new Map();
+
+/**
+ * Stub of the Blob, which keeps the source code given to it
+ */
+class StubBlob {
+  /**
+   * @param {string[]} parts
+   */
+  constructor(parts) {
+    /** @type {string} */
+    this.source = parts.join('');
+  }
+}
+
+/**
+ * Stub of the Web Worker, which runs the source code of the worker in a context of its own
+ * (the "vm" module of Node.js). The messages are copied (structured clone) and delivered at once,
+ * so the reply to the state of a frame arrives before the next frame.
+ */
+class StubWorker {
+  /**
+   * @param {string} url object URL of the blob of the source code
+   */
+  constructor(url) {
+    /** @type {function(Object):void} handler of the messages from the worker */
+    this.onmessage = null;
+    /** @type {function(Object):void} */
+    this.onerror = null;
+    /** @type {boolean} */
+    this.isTerminated = false;
+    const context = vm.createContext({ performance: performance });
+    context.self = context;
+    context.postMessage = (data) => {
+      if (!this.isTerminated && this.onmessage !== null) {
+        this.onmessage({ data: structuredClone(data) });
+      }
+    };
+    vm.runInContext(blobSources.get(url), context);
+    /** @type {function(Object):void} handler of the messages to the worker, set by the worker */
+    this.handler = context.onmessage;
+  }
+
+  /**
+   * @param {Object} data
+   */
+  postMessage(data) {
+    if (!this.isTerminated) {
+      this.handler({ data: structuredClone(data) });
+    }
+  }
+
+  terminate() {
+    this.isTerminated = true;
+  }
+}
+
+/**
+ * Stub of the WebSocket, which replies to each observation as a bot server which runs toward the net.
+ * It records the observations. It is opened by {@link openStubSockets}, as a connection is opened
+ * between the frames, and the replies are delivered at once.
+ */
+class StubWebSocket {
+  /**
+   * @param {string} url
+   */
+  constructor(url) {
+    /** @type {string} */
+    this.url = url;
+    /** @type {function():void} */
+    this.onopen = null;
+    /** @type {function(Object):void} */
+    this.onmessage = null;
+    /** @type {function():void} */
+    this.onerror = null;
+    /** @type {function():void} */
+    this.onclose = null;
+    /** @type {boolean} */
+    this.isOpen = false;
+    /** @type {boolean} */
+    this.isClosed = false;
+    /** @type {Object[]} observations sent to the socket */
+    this.observations = [];
+    StubWebSocket.connecting.push(this);
+  }
+
+  /**
+   * @param {string} data
+   */
+  send(data) {
+    if (!this.isOpen) {
+      throw new Error('The socket is not open');
+    }
+    const observation = JSON.parse(data);
+    this.observations.push(observation);
+    this.onmessage({
+      data: JSON.stringify({
+        frame: observation.frame,
+        xDirection: observation.player.isPlayer2 ? -1 : 1,
+        yDirection: 0,
+        powerHit: 0,
+      }),
+    });
+  }
+
+  close() {
+    this.isOpen = false;
+    this.isClosed = true;
+    if (this.onclose !== null) {
+      this.onclose();
+    }
+  }
+}
+
+/** @type {StubWebSocket[]} sockets which are not opened yet */
+StubWebSocket.connecting = [];
+
+/**
+ * Open the stub sockets which are connecting
+ */
+function openStubSockets() {
+  for (const socket of StubWebSocket.connecting) {
+    if (!socket.isClosed) {
+      socket.isOpen = true;
+      socket.onopen();
+    }
+  }
+  StubWebSocket.connecting = [];
+}
+
+/** @constant @type {string} URL of the bot server of the stub sockets */
+const BOT_SERVER_URL = 'ws://localhost:8765';
+
+global.Blob = StubBlob;
+global.Worker = StubWorker;
+global.WebSocket = StubWebSocket;
+URL.createObjectURL = (blob) => {
+  const url = `blob:stub/${blobSources.size}`;
+  blobSources.set(url, blob.source);
+  return url;
+};
+URL.revokeObjectURL = () => {};
+
+/**
+ * Count the decisions of the bot and the ones which are not "no input"
+ * @param {Object} bot
+ * @return {Object} the bot, with numOfDecisions and numOfInputs
+ */
+function countDecisions(bot) {
+  const decide = bot.decide.bind(bot);
+  bot.numOfDecisions = 0;
+  bot.numOfInputs = 0;
+  bot.decide = (player, ball, theOtherPlayer) => {
+    const userInput = decide(player, ball, theOtherPlayer);
+    bot.numOfDecisions++;
+    if (userInput.xDirection !== 0) {
+      bot.numOfInputs++;
+    }
+    return userInput;
+  };
+  return bot;
+}
+
+registerBot('immediate', () => countDecisions(new ImmediateBot()));
+registerBot('script', () => countDecisions(createScriptBot(BOT_SCRIPT)));
+
+/**
+ * Make a controller on which both players are controlled by the bot
+ * @param {string} botName
+ * @return {PikachuVolleyball}
+ */
+function makeMirrorMatch(botName) {
+  const game = new PikachuVolleyball(makeStubView(), new StubAudio(), [
+    new ScriptedKeyboard(),
+    new ScriptedKeyboard(),
+  ]);
+  game.physics.player1.isComputer = true;
+  game.physics.player2.isComputer = true;
+  game.computerBotNames = [botName, botName];
+  return game;
+}
+
+/**
+ * Start a new game on the controller right away as if it was selected on the menu,
+ * and run it for the number of frames of the rounds
+ * @param {PikachuVolleyball} game
+ * @param {number} frames
+ */
+function playGame(game, frames) {
+  game.frameCounter = 0;
+  game.state = game.startOfNewGame;
+  let roundFrames = 0;
+  for (let frame = 0; roundFrames < frames; frame++) {
+    if (frame >= MAX_FRAMES) {
+      throw new Error(`The rounds are not played after ${MAX_FRAMES} frames`);
+    }
+    if (game.state === game.round) {
+      roundFrames++;
+    }
+    openStubSockets();
+    game.gameLoop();
+  }
+}
+
+/**
+ * Check that a bot of a player gave an input on every frame but the first one,
+ * on which the reply to the previous frame can not exist
+ * @param {Object} bot bot made by {@link countDecisions}
+ * @param {string} name name of the player in the message
+ */
+function checkInputs(bot, name) {
+  assert(bot.numOfDecisions > 0, `The bot of ${name} decided nothing`);
+  assertEqual(
+    bot.numOfInputs,
+    bot.numOfDecisions - 1,
+    `inputs of ${name} out of ${bot.numOfDecisions} decisions`
+  );
+}
+
+/**
+ * Check that the observations sent on the connection of a bot are the ones of the frames of the player in order
+ * @param {StubWebSocket} socket
+ * @param {boolean} isPlayer2
+ * @param {string} name name of the player in the message
+ */
+function checkObservations(socket, isPlayer2, name) {
+  assert(socket.observations.length > 0, `No observation of ${name} is sent`);
+  socket.observations.forEach((observation, frame) => {
+    assertEqual(observation.frame, frame, `frame of observation of ${name}`);
+    assertEqual(
+      observation.player.isPlayer2,
+      isPlayer2,
+      `side of observation ${frame} of ${name}`
+    );
+  });
+}
+
+/**
+ * Checks of the bots. Each check throws if it fails.
+ * The context is {frames: number of the frames of the rounds, game: PikachuVolleyball, bots: bots of the last game}.
+ * @type {import('./tool_util.mjs').Check[]}
+ */
+const CHECKS = [
+  {
+    name: 'give each player its own bot in a mirror match',
+    run: (context) => {
+      const game = makeMirrorMatch('immediate');
+      playGame(game, context.frames);
+      const bots = [
+        game.physics.player1.computerBot,
+        game.physics.player2.computerBot,
+      ];
+      assert(
+        bots[0] instanceof ImmediateBot && bots[1] instanceof ImmediateBot,
+        'The players are not controlled by the bot'
+      );
+      assert(bots[0] !== bots[1], 'The players share a bot');
+      checkInputs(bots[0], 'player 1');
+      checkInputs(bots[1], 'player 2');
+      context.game = game;
+      context.bots = bots;
+    },
+  },
+  {
+    name: 'release the bots of the last game',
+    run: (context) => {
+      const game = context.game;
+      playGame(game, context.frames);
+      assert(
+        context.bots[0].isDisposed && context.bots[1].isDisposed,
+        'The bots of the last game are not disposed'
+      );
+      assert(
+        game.physics.player1.computerBot !== context.bots[0] &&
+          game.physics.player2.computerBot !== context.bots[1],
+        'The bots of the last game are used again'
+      );
+      checkInputs(game.physics.player1.computerBot, 'player 1');
+      checkInputs(game.physics.player2.computerBot, 'player 2');
+    },
+  },
+  {
+    name: 'run a bot script in a worker for each player',
+    run: (context) => {
+      const game = makeMirrorMatch('script');
+      playGame(game, context.frames);
+      const bots = [
+        game.physics.player1.computerBot,
+        game.physics.player2.computerBot,
+      ];
+      assert(
+        bots[0] instanceof ScriptBot && bots[1] instanceof ScriptBot,
+        'The players are not controlled by the bot script'
+      );
+      assert(
+        bots[0].worker !== null && bots[0].worker !== bots[1].worker,
+        'The players share a worker'
+      );
+      checkInputs(bots[0], 'player 1');
+      checkInputs(bots[1], 'player 2');
+      context.bots = bots;
+    },
+  },
+  {
+    name: 'restart only the worker of the hung bot script',
+    run: (context) => {
+      const bots = context.bots;
+      const workers = [bots[0].worker, bots[1].worker];
+      bots[0].onHung();
+      assert(
+        workers[0].isTerminated && bots[0].worker !== workers[0],
+        'The worker of the hung bot is not restarted'
+      );
+      assert(
+        !workers[1].isTerminated && bots[1].worker === workers[1],
+        'The worker of the other bot is restarted'
+      );
+      assert(bots[0].isReady, 'The restarted bot is not ready');
+    },
+  },
+  {
+    name: 'connect to the bot server for each player',
+    run: (context) => {
+      const game = makeMirrorMatch(BOT_SERVER_URL);
+      registerBot(BOT_SERVER_URL, () =>
+        countDecisions(createExternalBot(game, BOT_SERVER_URL))
+      );
+      playGame(game, context.frames);
+      const bots = [
+        game.physics.player1.computerBot,
+        game.physics.player2.computerBot,
+      ];
+      assert(
+        bots[0] instanceof ExternalBot && bots[1] instanceof ExternalBot,
+        'The players are not controlled by the external bot'
+      );
+      assert(
+        bots[0].socket !== null && bots[0].socket !== bots[1].socket,
+        'The players share a connection'
+      );
+      checkObservations(bots[0].socket, false, 'player 1');
+      checkObservations(bots[1].socket, true, 'player 2');
+      checkInputs(bots[0], 'player 1');
+      checkInputs(bots[1], 'player 2');
+      context.game = game;
+      context.bots = bots;
+    },
+  },
+  {
+    name: 'close the connections of the last game',
+    run: (context) => {
+      const game = context.game;
+      const sockets = [context.bots[0].socket, context.bots[1].socket];
+      playGame(game, context.frames);
+      assert(
+        sockets[0].isClosed && sockets[1].isClosed,
+        'The connections of the last game are not closed'
+      );
+      const bots = [
+        game.physics.player1.computerBot,
+        game.physics.player2.computerBot,
+      ];
+      checkObservations(bots[0].socket, false, 'player 1');
+      checkObservations(bots[1].socket, true, 'player 2');
+      checkInputs(bots[0], 'player 1');
+      checkInputs(bots[1], 'player 2');
+    },
+  },
+];
+
+/**
+ * Run the checks in order until one of them fails
+ * @param {string[]} args command line arguments
+ * @return {number} exit code
+ */
+function main(args) {
+  const options = parseOptions(args, { frames: 300 });
+  checkIntegers(options, ['frames'], 2);
+  const context = { frames: options.frames, game: null, bots: null };
+  if (runChecks(CHECKS, context) !== 0) {
+    return 1;
+  }
+  console.log(`${CHECKS.length} passed`);
+  return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,248 @@
+/**
+ * Verifier of the flow of the controller ("src/resources/js/pikavolley.js")
+ *
+ * It runs the controller on Node.js with the stubs of the view, the audio and the keyboards
+ * ("src/resources/js/stubs.js"), and drives it by scripted keyboard input from the intro through the menu
+ * to a game with the computer and back to the intro after the end of the game. On the way, it checks
+ * the game states, the menu selection, what the controller drew and played, and the final scores.
+ *
+ * The human player (player 1) presses no keys during the game, so the computer (player 2) wins the game.
+ *
+ * Usage:
+ *   node tools/verify_controller_flow.mjs [--score=n]
+ *   --score: winning score of the game (default: 5)
+ */
+'use strict';
+import { PikachuVolleyball } from '../src/resources/js/pikavolley.js';
+import {
+  CallRecorder,
+  ScriptedKeyboard,
+  StubAudio,
+  makeStubView,
+} from '../src/resources/js/stubs.js';
+import {
+  parseOptions,
+  checkIntegers,
+  assert,
+  assertEqual,
+  runChecks,
+} from './tool_util.mjs';
+
+/** @constant @type {number} the game is given up after this number of frames */
+const MAX_FRAMES = 200000;
+
+/**
+ * Class representing a controller driven by scripted keyboard input
+ */
+class ControllerDriver {
+  /**
+   * @param {number} winningScore
+   */
+  constructor(winningScore) {
+    /** @type {CallRecorder} */
+    this.recorder = new CallRecorder();
+    /** @type {ScriptedKeyboard[]} */
+    this.keyboardArray = [new ScriptedKeyboard(), new ScriptedKeyboard()];
+    this.view = makeStubView(this.recorder);
+    this.audio = new StubAudio(this.recorder);
+    /** @type {PikachuVolleyball} */
+    this.game = new PikachuVolleyball(
+      this.view,
+      this.audio,
+      this.keyboardArray
+    );
+    this.game.winningScore = winningScore;
+    /** @type {string[]} names of the game states in the order they are entered */
+    this.stateNames = [this.game.stateName];
+  }
+
+  /**
+   * Run the game loop once
+   */
+  loop() {
+    this.game.gameLoop();
+    const stateName = this.game.stateName;
+    if (stateName !== this.stateNames[this.stateNames.length - 1]) {
+      this.stateNames.push(stateName);
+    }
+  }
+
+  /**
+   * Press the key of player 1 for a frame
+   * @param {string} key
+   */
+  press(key) {
+    this.keyboardArray[0].keyDown(key);
+    this.loop();
+    this.keyboardArray[0].keyUp(key);
+  }
+
+  /**
+   * Run the game loop until the game state is the one of the name
+   * @param {string} stateName
+   * @return {number} number of the frames run
+   */
+  runUntil(stateName) {
+    let frames = 0;
+    while (this.game.stateName !== stateName) {
+      if (frames >= MAX_FRAMES) {
+        throw new Error(
+          `The game state is not ${stateName} after ${MAX_FRAMES} frames`
+        );
+      }
+      this.loop();
+      frames++;
+    }
+    return frames;
+  }
+}
+
+/**
+ * Steps of the flow. Each step drives the controller and checks the result, throwing if a check fails.
+ * The context is {driver: ControllerDriver, score: winning score}.
+ * @type {import('./tool_util.mjs').Check[]}
+ */
+const STEPS = [
+  {
+    name: 'intro',
+    run: (context) => {
+      const driver = context.driver;
+      driver.loop();
+      assertEqual(driver.game.stateName, 'intro', 'state');
+      assert(driver.view.intro.visible, 'The intro is not visible');
+      assertEqual(driver.recorder.count('intro.drawMark'), 1, 'intro marks');
+    },
+  },
+  {
+    name: 'skip the intro',
+    run: (context) => {
+      const driver = context.driver;
+      driver.press('powerHit');
+      assertEqual(driver.game.stateName, 'menu', 'state');
+      assert(!driver.view.intro.visible, 'The intro is still visible');
+    },
+  },
+  {
+    name: 'select on the menu',
+    run: (context) => {
+      const driver = context.driver;
+      driver.loop();
+      assert(driver.view.menu.visible, 'The menu is not visible');
+      // The first press of the power hit key skips the animation of the menu.
+      driver.press('powerHit');
+      assertEqual(driver.game.stateName, 'menu', 'state');
+      driver.loop();
+      driver.recorder.clear();
+      driver.press('down');
+      assertEqual(driver.view.menu.selectedWithWho, 1, 'selection');
+      // No handler of "play online" is set on the controller, so it is neither shown nor selected.
+      driver.press('down');
+      assertEqual(driver.view.menu.selectedWithWho, 1, 'selection');
+      const drawCalls = driver.recorder.filter('menu.drawWithWhoMessages');
+      assertEqual(
+        drawCalls[drawCalls.length - 1].args[1],
+        false,
+        'Is play online shown'
+      );
+      driver.press('up');
+      assertEqual(driver.view.menu.selectedWithWho, 0, 'selection');
+      assertEqual(driver.recorder.count('audio.pi.play'), 2, 'menu sounds');
+      driver.press('powerHit');
+      assertEqual(driver.game.stateName, 'afterMenuSelection', 'state');
+      assertEqual(
+        driver.recorder.count('audio.pikachu.play'),
+        1,
+        'selection sounds'
+      );
+      const physics = driver.game.physics;
+      assertEqual(
+        [physics.player1.isComputer, physics.player2.isComputer],
+        [false, true],
+        'computer players'
+      );
+    },
+  },
+  {
+    name: 'start a new game',
+    run: (context) => {
+      const driver = context.driver;
+      driver.runUntil('round');
+      assert(driver.view.game.visible, 'The game is not visible');
+      assert(!driver.view.menu.visible, 'The menu is still visible');
+      assertEqual(driver.view.fadeInOut.blackAlpha, 0, 'black alpha');
+      assertEqual(driver.recorder.count('audio.bgm.play'), 1, 'bgm plays');
+      assertEqual(driver.view.game.scores, [0, 0], 'scores drawn');
+      assert(
+        driver.game.replayRecorder.isRecording,
+        'The game is not recorded'
+      );
+    },
+  },
+  {
+    name: 'play the game to the end',
+    run: (context) => {
+      const driver = context.driver;
+      driver.runUntil('intro');
+      const scores = driver.game.scores;
+      assert(driver.game.gameEnded, 'The game is not ended');
+      assertEqual(scores[1], context.score, 'score of the computer');
+      assert(
+        scores[0] < context.score,
+        `score of the human player is ${scores[0]}`
+      );
+      assertEqual(driver.view.game.scores, scores, 'scores drawn');
+      assert(
+        driver.view.game.messages.gameEnd.visible,
+        'The game end message is not drawn'
+      );
+      assert(!driver.view.game.visible, 'The game is still visible');
+      const replay = driver.game.replayRecorder.replay;
+      assert(
+        !driver.game.replayRecorder.isRecording,
+        'The recording is not stopped'
+      );
+      assertEqual(replay.scores, scores, 'scores in the replay');
+      // A round is entered again after each point but the last one.
+      const rounds = driver.stateNames.filter((name) => name === 'round');
+      assertEqual(rounds.length, scores[0] + scores[1], 'rounds');
+      assertEqual(
+        driver.stateNames.slice(0, 7),
+        [
+          'intro',
+          'menu',
+          'afterMenuSelection',
+          'beforeStartOfNewGame',
+          'startOfNewGame',
+          'round',
+          'afterEndOfRound',
+        ],
+        'states'
+      );
+    },
+  },
+];
+
+/**
+ * Run the steps of the flow in order until one of them fails
+ * @param {string[]} args command line arguments
+ * @return {number} exit code
+ */
+function main(args) {
+  const options = parseOptions(args, { score: 5 });
+  checkIntegers(options, ['score'], 1);
+  const driver = new ControllerDriver(options.score);
+  const exitCode = runChecks(
+    STEPS,
+    { driver: driver, score: options.score },
+    () => console.log(`states so far: ${driver.stateNames.join(' -> ')}`)
+  );
+  if (exitCode !== 0) {
+    return exitCode;
+  }
+  console.log(
+    `${STEPS.length} passed (final scores ${driver.game.scores.join(':')})`
+  );
+  return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
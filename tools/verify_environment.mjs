@@ -0,0 +1,311 @@
+/**
+ * Verifier of the determinism of the environment for reinforcement learning ("src/resources/js/environment.js")
+ *
+ * It plays episodes on an environment with a fixed sequence of actions, and checks that the episodes
+ * (the observations, the rewards and the scores on each step) are the same
+ *  - when they are played again on another environment started with the same seed,
+ *  - when another environment is stepped between the steps, since each environment has its own state of the RNG,
+ *  - when the environment is in a batch of environments (vectorized environment).
+ * The second episode is started without a seed, so that it also checks that the RNG continues from the first one.
+ * It also checks that the opponent is called once on each frame, although the environment processes the next frame
+ * in advance to observe it, and that an asynchronous bot is rejected as the opponent.
+ *
+ * Usage:
+ *   node tools/verify_environment.mjs [--score=n] [--seed=n]
+ *   --score: winning score of each episode (default: 3)
+ *   --seed: seed of the RNG of the environment (default: 1)
+ */
+'use strict';
+import {
+  NUM_OF_ACTIONS,
+  PikaEnvironment,
+  PikaVectorEnvironment,
+} from '../src/resources/js/environment.js';
+import { PikaUserInput } from '../src/resources/js/physics.js';
+import { AsyncBot } from '../src/resources/js/bots.js';
+import {
+  parseOptions,
+  checkIntegers,
+  assert,
+  assertEqual,
+  assertThrows,
+  runChecks,
+} from './tool_util.mjs';
+
+/** @constant @type {number} number of the episodes played on each run */
+const NUM_OF_EPISODES = 2;
+
+/** @constant @type {number} number of frames for which an action is repeated */
+const FRAME_SKIP = 4;
+
+/**
+ * Make the fixed sequence of actions. It does not use the RNG of the game ("rand.js"),
+ * which would be shared with the environments.
+ * @param {number} length
+ * @return {number[]}
+ */
+function makeActions(length) {
+  const actions = [];
+  let state = 12345;
+  for (let i = 0; i < length; i++) {
+    // each action is kept for two steps, so that the agent moves far enough to hit the ball sometimes
+    if (i % 2 === 0) {
+      state = (Math.imul(state, 1103515245) + 12345) & 0x7fffffff;
+    }
+    actions.push((state >> 16) % NUM_OF_ACTIONS);
+  }
+  return actions;
+}
+
+/** @constant @type {number[]} */
+const ACTIONS = makeActions(100000);
+
+/**
+ * Class representing a run of episodes on an environment, which records the trace of the episodes
+ */
+class EpisodeRun {
+  /**
+   * @param {PikaEnvironment} environment
+   * @param {number} seed
+   */
+  constructor(environment, seed) {
+    /** @type {PikaEnvironment} */
+    this.environment = environment;
+    /** @type {number} */
+    this.seed = seed;
+    /** @type {number} number of the episodes started */
+    this.episodes = 0;
+    /** @type {number} number of the steps */
+    this.steps = 0;
+    /** @type {boolean} Are all the episodes done? */
+    this.isDone = false;
+    /** @type {string[]} observation, reward and scores of each step */
+    this.trace = [];
+    this.startEpisode();
+  }
+
+  /**
+   * Start the next episode. Only the first episode is started with the seed.
+   */
+  startEpisode() {
+    const observation = this.environment.reset(
+      this.episodes === 0 ? this.seed : undefined
+    );
+    this.episodes++;
+    this.trace.push(`reset ${Array.from(observation).join(',')}`);
+  }
+
+  /**
+   * Step the environment by the next action
+   */
+  step() {
+    if (this.steps >= ACTIONS.length) {
+      throw new Error(
+        `The episodes are not done after ${ACTIONS.length} steps`
+      );
+    }
+    this.record(this.environment.step(ACTIONS[this.steps]));
+  }
+
+  /**
+   * Record the result of a step, and start the next episode if the episode is done
+   * @param {import('../src/resources/js/environment.js').StepResult} result
+   */
+  record(result) {
+    this.steps++;
+    this.trace.push(
+      `${Array.from(result.observation).join(',')} ${
+        result.reward
+      } ${result.info.scores.join(':')}`
+    );
+    if (result.done) {
+      if (this.episodes === NUM_OF_EPISODES) {
+        this.isDone = true;
+      } else {
+        this.startEpisode();
+      }
+    }
+  }
+}
+
+/**
+ * @param {string[]} actual
+ * @param {string[]} expected
+ */
+function assertSameTrace(actual, expected) {
+  const length = Math.max(actual.length, expected.length);
+  for (let i = 0; i < length; i++) {
+    if (actual[i] !== expected[i]) {
+      throw new Error(
+        `The episodes differ on step ${i}: ${actual[i]} (expected: ${expected[i]})`
+      );
+    }
+  }
+}
+
+/**
+ * Checks of the environments. Each check throws if it fails.
+ * The trace of the first check is compared with the others.
+ * The context is {score: winning score, seed, trace: the trace of the first check}.
+ * @type {import('./tool_util.mjs').Check[]}
+ */
+const CHECKS = [
+  {
+    name: 'play episodes',
+    run: (context) => {
+      const run = new EpisodeRun(
+        new PikaEnvironment({
+          frameSkip: FRAME_SKIP,
+          winningScore: context.score,
+        }),
+        context.seed
+      );
+      while (!run.isDone) {
+        run.step();
+      }
+      context.trace = run.trace;
+    },
+  },
+  {
+    name: 'play the same episodes on another environment',
+    run: (context) => {
+      const run = new EpisodeRun(
+        new PikaEnvironment({
+          frameSkip: FRAME_SKIP,
+          winningScore: context.score,
+        }),
+        context.seed
+      );
+      while (!run.isDone) {
+        run.step();
+      }
+      assertSameTrace(run.trace, context.trace);
+    },
+  },
+  {
+    name: 'play the same episodes with another environment in between',
+    run: (context) => {
+      const options = { frameSkip: FRAME_SKIP, winningScore: context.score };
+      const run = new EpisodeRun(new PikaEnvironment(options), context.seed);
+      const otherRun = new EpisodeRun(
+        new PikaEnvironment(options),
+        context.seed + 1
+      );
+      while (!run.isDone) {
+        run.step();
+        if (!otherRun.isDone) {
+          otherRun.step();
+        }
+      }
+      assertSameTrace(run.trace, context.trace);
+      assert(
+        otherRun.trace.join('\n') !== context.trace.join('\n'),
+        'The episodes with another seed are the same'
+      );
+    },
+  },
+  {
+    name: 'play the same episodes in a vectorized environment',
+    run: (context) => {
+      const vectorEnvironment = new PikaVectorEnvironment(2, {
+        frameSkip: FRAME_SKIP,
+        winningScore: context.score,
+      });
+      // The environment i of the batch is seeded with (seed + i), so the first one is seeded with the seed.
+      const observations = vectorEnvironment.reset(context.seed);
+      const trace = [`reset ${Array.from(observations[0]).join(',')}`];
+      let episodes = 1;
+      for (let step = 0; episodes <= NUM_OF_EPISODES; step++) {
+        if (step >= ACTIONS.length) {
+          throw new Error(`The episodes are not done after ${step} steps`);
+        }
+        const result = vectorEnvironment.step([ACTIONS[step], ACTIONS[step]]);
+        const observation = result.dones[0]
+          ? result.infos[0].terminalObservation
+          : result.observations[0];
+        trace.push(
+          `${Array.from(observation).join(',')} ${
+            result.rewards[0]
+          } ${result.infos[0].scores.join(':')}`
+        );
+        if (result.dones[0]) {
+          episodes++;
+          if (episodes <= NUM_OF_EPISODES) {
+            trace.push(`reset ${Array.from(result.observations[0]).join(',')}`);
+          }
+        }
+      }
+      assertSameTrace(trace, context.trace);
+    },
+  },
+  {
+    name: 'call the opponent once on each frame',
+    run: (context) => {
+      for (const isAgentPlayer2 of [false, true]) {
+        let numOfDecisions = 0;
+        const opponent = {
+          decide: () => {
+            numOfDecisions++;
+            return new PikaUserInput();
+          },
+        };
+        const environment = new PikaEnvironment({
+          opponent: opponent,
+          isAgentPlayer2: isAgentPlayer2,
+          frameSkip: FRAME_SKIP,
+          winningScore: context.score,
+        });
+        environment.reset(context.seed);
+        // The players decide on every frame of the rounds.
+        let numOfRoundFrames = 0;
+        const match = environment.match;
+        const step = match.step.bind(match);
+        match.step = (userInputArray) => {
+          if (match.state === match.round) {
+            numOfRoundFrames++;
+          }
+          step(userInputArray);
+        };
+        for (let i = 0; !environment.done; i++) {
+          if (i >= ACTIONS.length) {
+            throw new Error(`The episode is not done after ${i} steps`);
+          }
+          environment.step(ACTIONS[i]);
+        }
+        // If the opponent moves first, it is also called on the frame observed after the end of the episode.
+        assertEqual(
+          numOfDecisions,
+          numOfRoundFrames + (isAgentPlayer2 ? 1 : 0),
+          `decisions of the opponent of player ${isAgentPlayer2 ? 2 : 1}`
+        );
+      }
+    },
+  },
+  {
+    name: 'reject an asynchronous opponent',
+    run: () => {
+      assertThrows(
+        () => new PikaEnvironment({ opponent: new AsyncBot() }),
+        'An asynchronous bot can not be the opponent, since the environment can not wait for its replies'
+      );
+    },
+  },
+];
+
+/**
+ * Run the checks in order until one of them fails
+ * @param {string[]} args command line arguments
+ * @return {number} exit code
+ */
+function main(args) {
+  const options = parseOptions(args, { score: 3, seed: 1 });
+  checkIntegers(options, ['score', 'seed'], 1);
+  const context = { score: options.score, seed: options.seed, trace: null };
+  if (runChecks(CHECKS, context) !== 0) {
+    return 1;
+  }
+  console.log(`${CHECKS.length} passed (${context.trace.length} steps traced)`);
+  return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
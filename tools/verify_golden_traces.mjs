@@ -0,0 +1,307 @@
+/**
+ * Golden trace verifier for the physics engine ("src/resources/js/physics.js")
+ *
+ * A golden trace is a reference run of the physics engine stored as a JSON file:
+ * the seed of the RNG, the initial values of the players and the ball, the user inputs of each frame,
+ * and the expected values of the players and the ball after each frame.
+ * This verifier runs the physics engine with the seed and the user inputs of each trace,
+ * and reports the first frame and the first field where the values differ from the expected ones.
+ *
+ * The traces in "tools/golden_traces/" were recorded with this verifier ("--update") from the physics engine
+ * at the time, so they catch any change of the behavior of the physics engine.
+ * A trace can also be made from the values read from the memory of the original game,
+ * since the fields to compare can be limited by the "fields" property of the trace.
+ * (The memory offsets of the values are in the comments of "physics.js".)
+ *
+ * Usage:
+ *   node tools/verify_golden_traces.mjs [--update] [trace files...]
+ *     (all the traces in "tools/golden_traces/" are verified if no trace file is given)
+ *   --update: (Re)write the expected values of the trace files by the current physics engine.
+ *             It is for making a new trace (write a trace file without "frames", then run with this option)
+ *             and for accepting an intended change of the behavior of the physics engine.
+ *
+ * Golden trace file format:
+ *   {
+ *     "format": "pikachu-volleyball-golden-trace",
+ *     "version": 1,
+ *     "description": what the trace covers,
+ *     "seed": seed of the RNG for the gameplay which is set right before the start of the round,
+ *     "isComputer": [player 1, player 2]: Is controlled by computer?,
+ *     "isPlayer2Serve": Will player 2 serve?,
+ *     "initial": (optional) {"player1": {...}, "player2": {...}, "ball": {...}}
+ *                values which override the initial values of the round, e.g. {"ball": {"x": 216}},
+ *     "inputs": user inputs of each frame, encoded as in a replay ("replay.js"),
+ *     "fields": names of the fields to compare, e.g. "ball.x", "player1.state", "isBallTouchingGround", "rngState",
+ *     "frames": frames[i][j] is the expected value of fields[j] after the frame i is processed
+ *   }
+ */
+'use strict';
+import { readFileSync, writeFileSync, readdirSync } from 'fs';
+import { dirname, join } from 'path';
+import {
+  PikaPhysics,
+  PikaUserInput,
+  decodeUserInput,
+  NUM_OF_USER_INPUT_CODES,
+} from '../src/resources/js/physics.js';
+import { srand, getRandState } from '../src/resources/js/rand.js';
+
+/** @constant @type {string} value of the "format" property of a golden trace */
+const GOLDEN_TRACE_FORMAT = 'pikachu-volleyball-golden-trace';
+
+/**
+ * Version of the golden trace format. It should be increased if the format is changed.
+ * @constant @type {number}
+ */
+const GOLDEN_TRACE_VERSION = 1;
+
+/** @constant @type {string} directory of the golden traces shipped with the repository */
+const GOLDEN_TRACES_DIR = join(dirname(process.argv[1]), 'golden_traces');
+
+/** @constant @type {string[]} names of the physical objects in a PikaPhysics object */
+const PHYSICAL_OBJECT_NAMES = ['player1', 'player2', 'ball'];
+
+/**
+ * A mismatch between the expected value and the actual value
+ * @typedef {Object} Mismatch
+ * @property {number} frame index of the frame
+ * @property {string} field name of the field
+ * @property {*} expected
+ * @property {*} actual
+ */
+
+/**
+ * Get the names of all the fields which can be compared
+ * @return {string[]}
+ */
+function getAllFieldNames() {
+  // It consumes the RNG (for the computer boldness of the players), so it should not be called during a run.
+  const snapshot = new PikaPhysics(true, true).toJSON();
+  const fieldNames = [];
+  for (const objectName of PHYSICAL_OBJECT_NAMES) {
+    for (const propertyName in snapshot[objectName]) {
+      // the sound flags are not compared since they are not physical values
+      if (typeof snapshot[objectName][propertyName] !== 'object') {
+        fieldNames.push(`${objectName}.${propertyName}`);
+      }
+    }
+  }
+  fieldNames.push('isBallTouchingGround', 'rngState');
+  return fieldNames;
+}
+
+/** @constant @type {string[]} names of all the fields which can be compared */
+const ALL_FIELD_NAMES = getAllFieldNames();
+
+/**
+ * Class representing a run of the physics engine for a golden trace
+ */
+class TraceRun {
+  /**
+   * Set up the players and the ball at the start of the round of the trace
+   * @param {Object} trace
+   */
+  constructor(trace) {
+    this.trace = trace;
+    this.physics = new PikaPhysics(trace.isComputer[0], trace.isComputer[1]);
+    // As in the controller, the RNG is seeded before the players and the ball are initialized for the round.
+    srand(trace.seed);
+    this.physics.player1.initializeForNewRound();
+    this.physics.player2.initializeForNewRound();
+    this.physics.ball.initializeForNewRound(trace.isPlayer2Serve);
+    if (trace.initial !== undefined) {
+      const snapshot = this.physics.toJSON();
+      for (const objectName in trace.initial) {
+        for (const propertyName in trace.initial[objectName]) {
+          if (
+            snapshot[objectName] === undefined ||
+            !(propertyName in snapshot[objectName])
+          ) {
+            throw new Error(
+              `Unknown initial value: ${objectName}.${propertyName}`
+            );
+          }
+          this.physics[objectName][propertyName] =
+            trace.initial[objectName][propertyName];
+        }
+      }
+    }
+    /** @type {PikaUserInput[]} */
+    this.userInputArray = [new PikaUserInput(), new PikaUserInput()];
+    /** @type {boolean} return value of the physics engine on the last processed frame */
+    this.isBallTouchingGround = false;
+  }
+
+  /**
+   * Process the frame with the user inputs of the frame
+   * @param {number} frame index of the frame
+   */
+  step(frame) {
+    const code = this.trace.inputs[frame];
+    decodeUserInput(
+      (code / NUM_OF_USER_INPUT_CODES) | 0,
+      this.userInputArray[0]
+    );
+    decodeUserInput(code % NUM_OF_USER_INPUT_CODES, this.userInputArray[1]);
+    this.isBallTouchingGround = this.physics.runEngineForNextFrame(
+      this.userInputArray
+    );
+  }
+
+  /**
+   * Get the value of the field after the last processed frame
+   * @param {string} fieldName
+   * @return {*}
+   */
+  getField(fieldName) {
+    if (fieldName === 'isBallTouchingGround') {
+      return this.isBallTouchingGround;
+    }
+    if (fieldName === 'rngState') {
+      return getRandState();
+    }
+    const [objectName, propertyName] = fieldName.split('.');
+    return this.physics[objectName][propertyName];
+  }
+}
+
+/**
+ * Check whether the trace is a valid golden trace
+ * @param {Object} trace
+ * @param {boolean} needsFrames Should the trace have the expected values?
+ */
+function checkTrace(trace, needsFrames) {
+  if (trace.format !== GOLDEN_TRACE_FORMAT) {
+    throw new Error('Not a golden trace');
+  }
+  if (trace.version !== GOLDEN_TRACE_VERSION) {
+    throw new Error(`Unsupported golden trace version: ${trace.version}`);
+  }
+  if (!Array.isArray(trace.isComputer) || !Array.isArray(trace.inputs)) {
+    throw new Error('Invalid golden trace');
+  }
+  if (needsFrames) {
+    if (!Array.isArray(trace.fields) || !Array.isArray(trace.frames)) {
+      throw new Error('Golden trace without expected values');
+    }
+    if (trace.frames.length !== trace.inputs.length) {
+      throw new Error('Numbers of inputs and frames are different');
+    }
+    for (const fieldName of trace.fields) {
+      if (!ALL_FIELD_NAMES.includes(fieldName)) {
+        throw new Error(`Unknown field: ${fieldName}`);
+      }
+    }
+  }
+}
+
+/**
+ * Run the physics engine for the trace and find the first mismatch
+ * @param {Object} trace
+ * @return {Mismatch} null if all the values are the same as the expected ones
+ */
+function verifyTrace(trace) {
+  checkTrace(trace, true);
+  const run = new TraceRun(trace);
+  for (let frame = 0; frame < trace.inputs.length; frame++) {
+    run.step(frame);
+    const expectedValues = trace.frames[frame];
+    for (let i = 0; i < trace.fields.length; i++) {
+      const actual = run.getField(trace.fields[i]);
+      if (actual !== expectedValues[i]) {
+        return {
+          frame: frame,
+          field: trace.fields[i],
+          expected: expectedValues[i],
+          actual: actual,
+        };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Run the physics engine for the trace and set the values of all the fields as the expected ones
+ * @param {Object} trace
+ */
+function recordTrace(trace) {
+  checkTrace(trace, false);
+  const run = new TraceRun(trace);
+  trace.fields = ALL_FIELD_NAMES.slice();
+  trace.frames = [];
+  for (let frame = 0; frame < trace.inputs.length; frame++) {
+    run.step(frame);
+    trace.frames.push(trace.fields.map((fieldName) => run.getField(fieldName)));
+  }
+}
+
+/**
+ * Convert the trace to JSON text with one line for each frame, so that the changes are easy to see on diff
+ * @param {Object} trace
+ * @return {string}
+ */
+function stringifyTrace(trace) {
+  const lines = [];
+  for (const key in trace) {
+    if (key !== 'frames') {
+      lines.push(`  ${JSON.stringify(key)}: ${JSON.stringify(trace[key])}`);
+    }
+  }
+  const frameLines = trace.frames.map(
+    (values) => `    ${JSON.stringify(values)}`
+  );
+  lines.push(`  "frames": [\n${frameLines.join(',\n')}\n  ]`);
+  return `{\n${lines.join(',\n')}\n}\n`;
+}
+
+/**
+ * Verify (or update) the trace files and print the results
+ * @param {string[]} args command line arguments
+ * @return {number} exit code: 0 if all the traces are verified, 1 otherwise
+ */
+function main(args) {
+  const isUpdate = args.includes('--update');
+  let paths = args.filter((arg) => !arg.startsWith('--'));
+  if (paths.length === 0) {
+    paths = readdirSync(GOLDEN_TRACES_DIR)
+      .filter((name) => name.endsWith('.json'))
+      .sort()
+      .map((name) => join(GOLDEN_TRACES_DIR, name));
+  }
+
+  let numOfFailures = 0;
+  for (const path of paths) {
+    let trace;
+    try {
+      trace = JSON.parse(readFileSync(path, 'utf8'));
+      if (isUpdate) {
+        recordTrace(trace);
+        writeFileSync(path, stringifyTrace(trace));
+        console.log(`UPDATED ${path} (${trace.inputs.length} frames)`);
+        continue;
+      }
+      const mismatch = verifyTrace(trace);
+      if (mismatch === null) {
+        console.log(`PASS ${path} (${trace.inputs.length} frames)`);
+      } else {
+        numOfFailures++;
+        console.log(
+          `FAIL ${path}: frame ${mismatch.frame}, ${mismatch.field}: ` +
+            `expected ${mismatch.expected}, actual ${mismatch.actual}`
+        );
+      }
+    } catch (error) {
+      numOfFailures++;
+      console.log(`ERROR ${path}: ${error.message}`);
+    }
+  }
+  if (!isUpdate) {
+    console.log(
+      `${paths.length - numOfFailures} passed, ${numOfFailures} failed`
+    );
+  }
+  return numOfFailures === 0 ? 0 : 1;
+}
+
+process.exitCode = main(process.argv.slice(2));
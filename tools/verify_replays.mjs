@@ -0,0 +1,441 @@
+/**
+ * Verifier of the replays ("src/resources/js/replay.js")
+ *
+ * It records a game on the controller ("src/resources/js/pikavolley.js") run on Node.js with the stubs
+ * ("src/resources/js/stubs.js"), and checks that the replay reproduces the game:
+ * the replay is saved to JSON and parsed back, and played by a replay match to the end of the game
+ * with no divergence of the state hashes and with the same scores. It also checks that a replay whose
+ * state hash is tampered with is detected to diverge on the frame of the tampered state hash,
+ * and that the replays with an invalid user input or option change are rejected. The game is also recorded
+ * with the instant replays of the rallies, played in full, in slow motion or skipped, and it is checked that
+ * the instant replays are played after each point but the last one and that they do not change the game,
+ * which is reproduced by its replay.
+ * The replay is also encoded into a link ("src/resources/js/replay_link.js") and decoded back,
+ * and it is checked that the links with more than {@link MAX_REPLAY_LINK_FRAMES} frames or an invalid replay are rejected.
+ *
+ * Player 1 is controlled by scripted keyboard input, player 2 by the computer,
+ * and the difficulty level of the computer is changed after the first point, so that the replay has
+ * both the recorded user inputs and an option change.
+ *
+ * Usage:
+ *   node tools/verify_replays.mjs [--score=n]
+ *   --score: winning score of the recorded game (default: 5)
+ */
+'use strict';
+import { PikachuVolleyball } from '../src/resources/js/pikavolley.js';
+import {
+  ScriptedKeyboard,
+  StubAudio,
+  makeStubView,
+} from '../src/resources/js/stubs.js';
+import {
+  ReplayMatch,
+  parseReplay,
+  STATE_HASH_INTERVAL,
+} from '../src/resources/js/replay.js';
+import {
+  encodeReplay,
+  decodeReplay,
+  MAX_REPLAY_LINK_FRAMES,
+} from '../src/resources/js/replay_link.js';
+import {
+  parseOptions,
+  checkIntegers,
+  assert,
+  assertEqual,
+  assertThrows,
+  runChecks,
+} from './tool_util.mjs';
+
+/** @typedef {import('../src/resources/js/replay.js').Replay} Replay */
+
+/** @constant @type {number} the recording or the playback is given up after this number of frames */
+const MAX_FRAMES = 200000;
+
+/**
+ * Keys pressed by player 1 in turn, each for {@link KEY_PRESS_FRAMES} frames.
+ * An empty array is for pressing no key.
+ * @constant @type {string[][]}
+ */
+const KEY_SEQUENCE = [
+  ['left'],
+  ['left', 'up'],
+  [],
+  ['right', 'powerHit'],
+  ['right'],
+  ['up'],
+  ['down', 'powerHit'],
+  [],
+];
+
+/** @constant @type {number} number of frames for which each entry of {@link KEY_SEQUENCE} is pressed */
+const KEY_PRESS_FRAMES = 13;
+
+/**
+ * Record a game on the controller.
+ * The keys are changed only on the recorded frames, so that no key is pressed while an instant replay
+ * is played, which could skip it.
+ * @param {number} winningScore
+ * @param {string} [instantReplayMode] see PikachuVolleyball#instantReplayMode
+ * @param {function(PikachuVolleyball):void} [onFrame] called after each frame
+ * @return {Replay}
+ */
+function recordGame(winningScore, instantReplayMode = 'off', onFrame) {
+  const keyboardArray = [new ScriptedKeyboard(), new ScriptedKeyboard()];
+  const game = new PikachuVolleyball(
+    makeStubView(),
+    new StubAudio(),
+    keyboardArray
+  );
+  game.winningScore = winningScore;
+  game.instantReplayMode = instantReplayMode;
+  game.physics.player1.isComputer = false;
+  game.physics.player2.isComputer = true;
+  // Start a new game right away as if it was selected on the menu
+  game.state = game.startOfNewGame;
+
+  let isDifficultyChanged = false;
+  for (let frame = 0; frame < MAX_FRAMES; frame++) {
+    const recordedFrames =
+      game.replayRecorder.replay === null
+        ? 0
+        : game.replayRecorder.replay.inputs.length;
+    keyboardArray[0].releaseAll();
+    const keys =
+      KEY_SEQUENCE[
+        Math.floor(recordedFrames / KEY_PRESS_FRAMES) % KEY_SEQUENCE.length
+      ];
+    for (const key of keys) {
+      keyboardArray[0].keyDown(key);
+    }
+    game.gameLoop();
+    if (onFrame !== undefined) {
+      onFrame(game);
+    }
+
+    const replay = game.replayRecorder.replay;
+    if (replay === null) {
+      continue;
+    }
+    if (!game.replayRecorder.isRecording) {
+      return replay;
+    }
+    if (!isDifficultyChanged && replay.scores[0] + replay.scores[1] === 1) {
+      game.computerDifficulty = 'hard';
+      isDifficultyChanged = true;
+    }
+  }
+  throw new Error(`The game is not ended after ${MAX_FRAMES} frames`);
+}
+
+/**
+ * Play the replay to the end
+ * @param {Replay} replay
+ * @param {function(ReplayMatch):void} [onStep] called after each frame
+ * @return {ReplayMatch}
+ */
+function playReplay(replay, onStep) {
+  const replayMatch = new ReplayMatch(replay);
+  while (!replayMatch.isEnded) {
+    if (replayMatch.frame >= MAX_FRAMES) {
+      throw new Error(`The replay is not ended after ${MAX_FRAMES} frames`);
+    }
+    replayMatch.step();
+    if (onStep !== undefined) {
+      onStep(replayMatch);
+    }
+  }
+  return replayMatch;
+}
+
+/**
+ * Make a replay link with the run-length encoded user inputs.
+ * The runs are at the end of a link, so the link is made by replacing the number of runs (0)
+ * at the end of the link of the replay with no input frame.
+ * @param {Replay} replay
+ * @param {number[]} runs (input, number of consecutive frames with the input), ...
+ * @return {string}
+ */
+function makeLinkWithRuns(replay, runs) {
+  const emptyReplay = Object.assign({}, replay, { inputs: [] });
+  const bytes = Array.from(Buffer.from(encodeReplay(emptyReplay), 'base64url'));
+  bytes.pop();
+  for (let value of [runs.length / 2, ...runs]) {
+    while (value >= 0x80) {
+      bytes.push(value % 0x80 | 0x80);
+      value = Math.floor(value / 0x80);
+    }
+    bytes.push(value);
+  }
+  return Buffer.from(bytes).toString('base64url');
+}
+
+/**
+ * Checks of the replays. Each check throws if it fails.
+ * The replay recorded by the first check is passed to the others.
+ * The context is {score: winning score, replay: Replay}.
+ * @type {import('./tool_util.mjs').Check[]}
+ */
+const CHECKS = [
+  {
+    name: 'record a game',
+    run: (context) => {
+      const replay = recordGame(context.score);
+      assert(
+        replay.scores[0] === context.score ||
+          replay.scores[1] === context.score,
+        `The game is ended with the scores ${replay.scores.join(':')}`
+      );
+      assertEqual(replay.isComputer, [false, true], 'computer players');
+      assertEqual(
+        replay.optionChanges.map((optionChange) => optionChange.name),
+        ['computerDifficulty'],
+        'option changes'
+      );
+      assert(
+        replay.inputs.some((input) => input !== 0),
+        'No user input is recorded'
+      );
+      assertEqual(
+        replay.stateHashes.length,
+        Math.floor(replay.inputs.length / STATE_HASH_INTERVAL),
+        'number of state hashes'
+      );
+      context.replay = replay;
+    },
+  },
+  {
+    name: 'play the replay saved to JSON',
+    run: (context) => {
+      const replay = parseReplay(JSON.stringify(context.replay));
+      const replayMatch = playReplay(replay);
+      assertEqual(replayMatch.divergedFrame, -1, 'diverged frame');
+      assertEqual(replayMatch.match.scores, replay.scores, 'scores');
+      assertEqual(replayMatch.inputIndex, replay.inputs.length, 'input frames');
+    },
+  },
+  {
+    name: 'reject the replays with invalid inputs or option changes',
+    run: (context) => {
+      const replay = context.replay;
+      const tamper = (changes) =>
+        JSON.stringify(Object.assign({}, replay, changes));
+      const invalidInputs = [324, -1, 1.5, '3', null];
+      for (const input of invalidInputs) {
+        assertThrows(
+          () => parseReplay(tamper({ inputs: [...replay.inputs, input] })),
+          'Invalid replay'
+        );
+      }
+      const optionChange = replay.optionChanges[0];
+      const invalidOptionChanges = [
+        null,
+        Object.assign({}, optionChange, { name: 'normalFPS' }),
+        Object.assign({}, optionChange, { value: 'impossible' }),
+        Object.assign({}, optionChange, { frame: replay.inputs.length + 1 }),
+        Object.assign({}, optionChange, { frame: -1 }),
+        { frame: 0, name: 'winningScore', value: '5' },
+        { frame: 0, name: 'winningScore', value: 0 },
+        { frame: 0, name: 'isPracticeMode', value: 1 },
+      ];
+      for (const invalidOptionChange of invalidOptionChanges) {
+        assertThrows(
+          () => parseReplay(tamper({ optionChanges: [invalidOptionChange] })),
+          'Invalid replay'
+        );
+      }
+      const validOptionChanges = [
+        { frame: 0, name: 'winningScore', value: 15 },
+        { frame: replay.inputs.length, name: 'isPracticeMode', value: true },
+      ];
+      assertEqual(
+        parseReplay(tamper({ optionChanges: validOptionChanges }))
+          .optionChanges,
+        validOptionChanges,
+        'option changes'
+      );
+    },
+  },
+  {
+    name: 'play the instant replays without changing the game',
+    run: (context) => {
+      // "skip": the power hit key of player 2 is pressed as soon as an instant replay starts.
+      for (const mode of ['on', 'slow', 'skip']) {
+        /** @type {number[][]} [frames on which it is played, rally frames] of each instant replay */
+        const instantReplays = [];
+        let wasInstantReplay = false;
+        const instantReplayMode = mode === 'skip' ? 'on' : mode;
+        const otherReplay = recordGame(
+          context.score,
+          instantReplayMode,
+          (game) => {
+            const isInstantReplay = game.stateName === 'instantReplay';
+            if (isInstantReplay && !wasInstantReplay) {
+              instantReplays.push([0, game.rallyFrames.length]);
+            }
+            if (isInstantReplay) {
+              instantReplays[instantReplays.length - 1][0]++;
+            }
+            wasInstantReplay = isInstantReplay;
+            if (mode === 'skip' && isInstantReplay) {
+              game.keyboardArray[1].keyDown('powerHit');
+            } else {
+              game.keyboardArray[1].keyUp('powerHit');
+            }
+          }
+        );
+        // The instant replays do not change the game, so the game is reproduced by the replay.
+        const replayMatch = playReplay(otherReplay);
+        assertEqual(replayMatch.divergedFrame, -1, `${mode}: diverged frame`);
+        assertEqual(
+          replayMatch.match.scores,
+          otherReplay.scores,
+          `${mode}: scores`
+        );
+        // An instant replay is played after each point but the last one.
+        assertEqual(
+          instantReplays.length,
+          otherReplay.scores[0] + otherReplay.scores[1] - 1,
+          `${mode}: instant replays`
+        );
+        for (const [frames, rallyFrames] of instantReplays) {
+          // The last frame of the rally is drawn on the last frame of the instant replay,
+          // and the final second is played in slow motion on the extra frames.
+          const isExpected =
+            mode === 'on'
+              ? frames === rallyFrames
+              : mode === 'slow'
+              ? frames > rallyFrames
+              : frames === 1;
+          assert(
+            isExpected,
+            `${mode}: an instant replay of ${rallyFrames} rally frames is played on ${frames} frames`
+          );
+        }
+      }
+    },
+  },
+  {
+    name: 'detect the divergence from a tampered state hash',
+    run: (context) => {
+      const replay = parseReplay(JSON.stringify(context.replay));
+      const index = Math.floor(replay.stateHashes.length / 2);
+      replay.stateHashes[index] = (replay.stateHashes[index] + 1) >>> 0;
+      let inputIndexOnDivergence = -1;
+      const replayMatch = playReplay(replay, (replayMatch) => {
+        if (replayMatch.divergedFrame !== -1 && inputIndexOnDivergence === -1) {
+          inputIndexOnDivergence = replayMatch.inputIndex;
+        }
+      });
+      assert(
+        replayMatch.divergedFrame !== -1,
+        'The divergence is not detected'
+      );
+      assertEqual(
+        inputIndexOnDivergence,
+        (index + 1) * STATE_HASH_INTERVAL,
+        'input frames on the divergence'
+      );
+      // The state hash is only a check, so the game is still reproduced.
+      assertEqual(replayMatch.match.scores, replay.scores, 'scores');
+    },
+  },
+  {
+    name: 'play the replay decoded from a link',
+    run: (context) => {
+      const replay = decodeReplay(encodeReplay(context.replay));
+      for (const name of [
+        'seed',
+        'normalFPS',
+        'winningScore',
+        'isPracticeMode',
+        'isComputer',
+        'computerDifficulty',
+        'isComputerInputRecorded',
+        'inputs',
+        'optionChanges',
+        'scores',
+      ]) {
+        assertEqual(replay[name], context.replay[name], name);
+      }
+      assertEqual(replay.stateHashes, undefined, 'stateHashes');
+      const replayMatch = playReplay(replay);
+      assertEqual(replayMatch.match.scores, replay.scores, 'scores');
+    },
+  },
+  {
+    name: 'reject the links with too many frames or invalid replays',
+    run: (context) => {
+      const replay = context.replay;
+      const link = makeLinkWithRuns(replay, [1, MAX_REPLAY_LINK_FRAMES]);
+      assertEqual(
+        decodeReplay(link).inputs.length,
+        MAX_REPLAY_LINK_FRAMES,
+        'input frames'
+      );
+      assertThrows(
+        () =>
+          decodeReplay(
+            makeLinkWithRuns(replay, [1, MAX_REPLAY_LINK_FRAMES + 1])
+          ),
+        'Too many frames in replay link'
+      );
+      assertThrows(
+        () =>
+          decodeReplay(
+            makeLinkWithRuns(replay, [1, MAX_REPLAY_LINK_FRAMES, 2, 1])
+          ),
+        'Too many frames in replay link'
+      );
+      // A run length which is not a safe integer should be rejected before the inputs are expanded.
+      assertThrows(
+        () => decodeReplay(makeLinkWithRuns(replay, [1, Math.pow(2, 52)])),
+        'Too many frames in replay link'
+      );
+      assertThrows(
+        () => decodeReplay(link + 'AAAA'),
+        'Trailing data in replay link'
+      );
+      // The link is decoded into a replay, so the replays which parseReplay rejects should be rejected.
+      assertThrows(
+        () => decodeReplay(makeLinkWithRuns(replay, [18 * 18, 1])),
+        'Invalid replay'
+      );
+      assertThrows(
+        () =>
+          encodeReplay(
+            Object.assign({}, replay, { computerDifficulty: 'impossible' })
+          ),
+        'Unknown difficulty level: impossible'
+      );
+      const longReplay = Object.assign({}, replay, {
+        inputs: new Array(MAX_REPLAY_LINK_FRAMES + 1).fill(0),
+      });
+      assertThrows(
+        () => encodeReplay(longReplay),
+        'The replay is too long for a link'
+      );
+    },
+  },
+];
+
+/**
+ * Run the checks in order until one of them fails
+ * @param {string[]} args command line arguments
+ * @return {number} exit code
+ */
+function main(args) {
+  const options = parseOptions(args, { score: 5 });
+  checkIntegers(options, ['score'], 1);
+  const context = { score: options.score, replay: null };
+  if (runChecks(CHECKS, context) !== 0) {
+    return 1;
+  }
+  console.log(
+    `${CHECKS.length} passed (${context.replay.inputs.length} input frames, ` +
+      `final scores ${context.replay.scores.join(':')})`
+  );
+  return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
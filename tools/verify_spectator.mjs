@@ -0,0 +1,354 @@
+/**
+ * Verifier of the spectators ("src/resources/js/spectator.js")
+ *
+ * It checks that a spectator follows a match to the same end as the match:
+ *  - A spectator of an online match who joins in the middle of the match. It starts from the snapshot of the match
+ *    taken as the relay server ("tools/relay_server.mjs") takes it, and receives the user inputs of the following
+ *    frames in chunks. The match should end with the same scores and the same state hash as the match played
+ *    with the same user inputs, and the user inputs which do not follow the received ones should be rejected.
+ *  - A spectator on another tab of the browser. A game is played on the controller ("src/resources/js/pikavolley.js")
+ *    run on Node.js with the stubs ("src/resources/js/stubs.js"), and fed to the spectator over a stub of
+ *    the BroadcastChannel ({@link StubBroadcastChannel}). The spectator should follow the game to the same scores
+ *    without a divergence of the state hashes, be counted as a viewer while it watches, and send nothing but
+ *    its arrival and its leave.
+ * The spectators have no delay, so that they process each frame as soon as its user inputs are received.
+ *
+ * Usage:
+ *   node tools/verify_spectator.mjs [--score=n] [--seed=n]
+ *   --score: winning score of the matches (default: 5)
+ *   --seed: seed of the RNG of the online match (default: 1)
+ */
+'use strict';
+import { PikachuVolleyball } from '../src/resources/js/pikavolley.js';
+import {
+  ScriptedKeyboard,
+  StubAudio,
+  makeStubView,
+} from '../src/resources/js/stubs.js';
+import {
+  NUM_OF_USER_INPUT_CODES,
+  PikaUserInput,
+  decodeUserInput,
+} from '../src/resources/js/physics.js';
+import { HeadlessMatch } from '../src/resources/js/headless_match.js';
+import {
+  RelaySpectatorSession,
+  LocalSpectatorSession,
+  SpectatorFeed,
+} from '../src/resources/js/spectator.js';
+import { computeStateHash } from '../src/resources/js/state_hash.js';
+import { srand, getRandState, setRandState } from '../src/resources/js/rand.js';
+import {
+  parseOptions,
+  checkIntegers,
+  assert,
+  assertEqual,
+  assertThrows,
+  runChecks,
+} from './tool_util.mjs';
+
+/** @constant @type {number} a match is given up after this number of frames */
+const MAX_FRAMES = 200000;
+
+/** @constant @type {number} the frame on which the spectator joins the online match */
+const JOIN_FRAME = 300;
+
+/** @constant @type {number} number of the frames of the user inputs which the relay server sends at once */
+const FRAMES_PER_CHUNK = 7;
+
+/** @constant @type {number} game fps of the matches */
+const NORMAL_FPS = 25;
+
+/**
+ * Stub of the BroadcastChannel. The messages are delivered to the other channels of the same name
+ * by {@link deliverStubMessages}, as they are delivered between the frames. It records the sent messages.
+ */
+class StubBroadcastChannel {
+  /**
+   * @param {string} name
+   */
+  constructor(name) {
+    /** @type {string} */
+    this.name = name;
+    /** @type {function(Object):void} */
+    this.onmessage = null;
+    /** @type {Object[]} messages sent to the channel */
+    this.sentMessages = [];
+    StubBroadcastChannel.channels.add(this);
+  }
+
+  /**
+   * @param {Object} message
+   */
+  postMessage(message) {
+    if (!StubBroadcastChannel.channels.has(this)) {
+      throw new Error('The channel is closed');
+    }
+    this.sentMessages.push(message);
+    StubBroadcastChannel.queue.push({
+      sender: this,
+      data: structuredClone(message),
+    });
+  }
+
+  close() {
+    StubBroadcastChannel.channels.delete(this);
+  }
+}
+
+/** @type {Set<StubBroadcastChannel>} channels which are not closed */
+StubBroadcastChannel.channels = new Set();
+/** @type {{sender: StubBroadcastChannel, data: Object}[]} messages which are not delivered yet */
+StubBroadcastChannel.queue = [];
+
+/**
+ * Deliver the messages posted to the stub channels, including the ones posted while they are delivered
+ */
+function deliverStubMessages() {
+  while (StubBroadcastChannel.queue.length > 0) {
+    const { sender, data } = StubBroadcastChannel.queue.shift();
+    for (const channel of StubBroadcastChannel.channels) {
+      if (channel !== sender && channel.name === sender.name) {
+        channel.onmessage({ data: data });
+      }
+    }
+  }
+}
+
+global.BroadcastChannel = StubBroadcastChannel;
+
+/**
+ * Process a new frame on the spectator if its user inputs are received.
+ * The spectator is regarded as being on another tab, which has an RNG of its own.
+ * @param {LocalSpectatorSession} spectator
+ */
+function advanceSpectator(spectator) {
+  const rngState = getRandState();
+  spectator.advance();
+  setRandState(rngState);
+}
+
+/**
+ * @param {PikachuVolleyball} game
+ * @param {LocalSpectatorSession} spectator
+ * @return {boolean} Has the spectator followed the game to the end of its recording?
+ */
+function isFollowed(game, spectator) {
+  return (
+    !game.replayRecorder.isRecording &&
+    spectator.replayMatch !== null &&
+    spectator.replayMatch.isEnded
+  );
+}
+
+/**
+ * Play an online match with a fixed sequence of the user inputs as the relay server processes it,
+ * and take the snapshot of the match when the spectator joins
+ * @param {{score: number, seed: number}} context
+ * @return {{snapshot: Object, codesArray: number[][], scores: number[], stateHash: number}}
+ */
+function playOnlineMatch(context) {
+  const match = new HeadlessMatch(false, false, context.score);
+  srand(context.seed);
+  const userInputArray = [new PikaUserInput(), new PikaUserInput()];
+  const codesArray = [[], []];
+  let snapshot = null;
+  let state = 12345;
+  for (let frame = 0; !match.isFinished; frame++) {
+    if (frame >= MAX_FRAMES) {
+      throw new Error(`The match is not finished after ${MAX_FRAMES} frames`);
+    }
+    if (frame === JOIN_FRAME) {
+      snapshot = { frame: frame, match: match.toJSON() };
+    }
+    // Each code is kept for a few frames, so that the players move far enough to hit the ball sometimes.
+    if (frame % 8 === 0) {
+      state = (Math.imul(state, 1103515245) + 12345) & 0x7fffffff;
+    }
+    for (let i = 0; i < 2; i++) {
+      const code = ((state >> 16) + 7 * i) % NUM_OF_USER_INPUT_CODES;
+      codesArray[i].push(code);
+      decodeUserInput(code, userInputArray[i]);
+    }
+    match.step(userInputArray);
+  }
+  if (snapshot === null) {
+    throw new Error(`The match is finished before frame ${JOIN_FRAME}`);
+  }
+  return {
+    snapshot: snapshot,
+    codesArray: codesArray,
+    scores: match.scores.slice(),
+    stateHash: computeStateHash(match.physics),
+  };
+}
+
+/**
+ * Checks of the spectators. Each check throws if it fails.
+ * The context is {score: winning score, seed, onlineMatch: the result of {@link playOnlineMatch},
+ * scores: final scores of the game on the controller}.
+ * @type {import('./tool_util.mjs').Check[]}
+ */
+const CHECKS = [
+  {
+    name: 'follow an online match from the snapshot',
+    run: (context) => {
+      const onlineMatch = playOnlineMatch(context);
+      context.onlineMatch = onlineMatch;
+      const settings = {
+        seed: context.seed,
+        winningScore: context.score,
+        normalFPS: NORMAL_FPS,
+      };
+      const session = new RelaySpectatorSession(
+        settings,
+        structuredClone(onlineMatch.snapshot),
+        0
+      );
+      const numOfFrames = onlineMatch.codesArray[0].length;
+      for (let tick = 0; !session.isFinished; tick++) {
+        if (tick >= MAX_FRAMES) {
+          throw new Error(`The match is not finished after ${tick} ticks`);
+        }
+        const start = session.numOfReceivedFrames;
+        if (start < numOfFrames) {
+          session.receive(
+            start,
+            onlineMatch.codesArray.map((codes) =>
+              codes.slice(start, start + FRAMES_PER_CHUNK)
+            )
+          );
+        }
+        // The spectator keeps the state of the RNG of its match, which is shared by all the matches in the page.
+        srand(tick);
+        session.advance();
+      }
+      assertEqual(session.frame, numOfFrames, 'processed frames');
+      assertEqual(session.match.scores, onlineMatch.scores, 'scores');
+      assertEqual(
+        computeStateHash(session.match.physics),
+        onlineMatch.stateHash,
+        'state hash'
+      );
+    },
+  },
+  {
+    name: 'reject the user inputs which do not follow the received ones',
+    run: (context) => {
+      const snapshot = context.onlineMatch.snapshot;
+      const session = new RelaySpectatorSession(
+        { seed: context.seed, winningScore: context.score },
+        structuredClone(snapshot),
+        0
+      );
+      assertThrows(
+        () => session.receive(snapshot.frame + 1, [[0], [0]]),
+        `Unexpected user inputs from frame ${snapshot.frame + 1} (expected ${
+          snapshot.frame
+        })`
+      );
+      session.receive(snapshot.frame, [[0], [0]]);
+      assertThrows(
+        () => session.receive(snapshot.frame, [[0], [0]]),
+        `Unexpected user inputs from frame ${snapshot.frame} (expected ${
+          snapshot.frame + 1
+        })`
+      );
+    },
+  },
+  {
+    name: 'follow a game on another tab',
+    run: (context) => {
+      const game = new PikachuVolleyball(makeStubView(), new StubAudio(), [
+        new ScriptedKeyboard(),
+        new ScriptedKeyboard(),
+      ]);
+      game.winningScore = context.score;
+      game.physics.player1.isComputer = true;
+      game.physics.player2.isComputer = true;
+      const feed = new SpectatorFeed(game.replayRecorder);
+      const feedViewers = [];
+      feed.onviewers = (count) => feedViewers.push(count);
+      const spectator = new LocalSpectatorSession(NORMAL_FPS, 0);
+      const spectatorViewers = [];
+      spectator.onviewers = (count) => spectatorViewers.push(count);
+
+      // Start a new game right away as if it was selected on the menu
+      game.state = game.startOfNewGame;
+      for (let frame = 0; !isFollowed(game, spectator); frame++) {
+        if (frame >= MAX_FRAMES) {
+          throw new Error(`The game is not followed after ${frame} frames`);
+        }
+        if (
+          game.replayRecorder.replay === null ||
+          game.replayRecorder.isRecording
+        ) {
+          game.gameLoop();
+          feed.update();
+        }
+        deliverStubMessages();
+        advanceSpectator(spectator);
+      }
+      assert(game.gameEnded, 'The game is not ended');
+      assertEqual(spectator.match.scores, game.scores, 'scores');
+      assertEqual(spectator.desyncedFrame, -1, 'desynced frame');
+      assertEqual(feedViewers[feedViewers.length - 1], 1, 'viewers of feed');
+      assertEqual(
+        spectatorViewers[spectatorViewers.length - 1],
+        1,
+        'viewers shown to the spectator'
+      );
+
+      // A spectator who comes after the end of the game watches the game.
+      const lateSpectator = new LocalSpectatorSession(NORMAL_FPS, 0);
+      spectator.close();
+      deliverStubMessages();
+      assertEqual(feedViewers.slice(-2), [2, 1], 'viewers of feed');
+      feed.close();
+      deliverStubMessages();
+      for (let tick = 0; !lateSpectator.isFinished; tick++) {
+        if (tick >= MAX_FRAMES) {
+          throw new Error(`The game is not followed after ${tick} ticks`);
+        }
+        advanceSpectator(lateSpectator);
+      }
+      assertEqual(lateSpectator.match.scores, game.scores, 'scores');
+      assertEqual(lateSpectator.desyncedFrame, -1, 'desynced frame');
+      assertEqual(
+        spectator.channel.sentMessages.map((message) => message.type),
+        ['hello', 'bye'],
+        'messages sent by the spectator'
+      );
+      context.scores = game.scores.slice();
+    },
+  },
+];
+
+/**
+ * Run the checks in order until one of them fails
+ * @param {string[]} args command line arguments
+ * @return {number} exit code
+ */
+function main(args) {
+  const options = parseOptions(args, { score: 5, seed: 1 });
+  checkIntegers(options, ['score'], 1);
+  checkIntegers(options, ['seed'], 0);
+  const context = {
+    score: options.score,
+    seed: options.seed,
+    onlineMatch: null,
+    scores: null,
+  };
+  if (runChecks(CHECKS, context) !== 0) {
+    return 1;
+  }
+  console.log(
+    `${
+      CHECKS.length
+    } passed (online match scores ${context.onlineMatch.scores.join(':')}, ` +
+      `game scores ${context.scores.join(':')})`
+  );
+  return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
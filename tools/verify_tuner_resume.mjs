@@ -0,0 +1,188 @@
+/**
+ * Verifier of the resume of the tuner of the computer ("tools/tune_computer.mjs")
+ *
+ * It runs the tuner with a tiny population and short matches in a temporary directory:
+ * once for all the generations without stopping, and once stopped after the first generation and
+ * resumed from the checkpoint. The tuning is deterministic for the seed, so the output files and
+ * the checkpoints of both should be the same. It also checks that the tuning resumed from
+ * the checkpoint of a finished tuning runs no more generations, and that the tuning is not resumed
+ * with other options than the ones of the checkpoint.
+ *
+ * Usage:
+ *   node tools/verify_tuner_resume.mjs [--generations=n]
+ *   --generations: number of the generations of the tuning (default: 3)
+ */
+'use strict';
+import fs from 'fs';
+import os from 'os';
+import { dirname, join } from 'path';
+import { spawnSync } from 'child_process';
+import {
+  parseOptions,
+  checkIntegers,
+  assert,
+  runChecks,
+} from './tool_util.mjs';
+
+/** @constant @type {string} path of the tuner */
+const TUNER_PATH = join(dirname(process.argv[1]), 'tune_computer.mjs');
+
+/** @constant @type {string[]} arguments of the tuner which make a tuning short */
+const TINY_TUNING_ARGS = [
+  '--population=4',
+  '--elites=1',
+  '--matches=2',
+  '--score=1',
+  '--presets=2',
+];
+
+/** @constant @type {number} a run of the tuner is given up after this number of milliseconds */
+const TUNER_TIMEOUT = 60000;
+
+/**
+ * Run the tuner
+ * @param {string} dir directory of the output file and the checkpoint
+ * @param {string} name name of the output file and the checkpoint without the extension
+ * @param {number} generations
+ * @param {string[]} [args] other arguments of the tuner
+ * @return {string} standard output of the tuner
+ */
+function runTuner(dir, name, generations, args = []) {
+  const result = spawnSync(
+    process.execPath,
+    [
+      TUNER_PATH,
+      ...TINY_TUNING_ARGS,
+      ...args,
+      `--generations=${generations}`,
+      `--out=${join(dir, `${name}.json`)}`,
+      `--checkpoint=${join(dir, `${name}_checkpoint.json`)}`,
+    ],
+    { encoding: 'utf8', timeout: TUNER_TIMEOUT }
+  );
+  if (result.error !== undefined) {
+    throw result.error;
+  }
+  if (result.status !== 0) {
+    throw new Error(`The tuner exited with ${result.status}: ${result.stderr}`);
+  }
+  return result.stdout;
+}
+
+/**
+ * @param {string} dir
+ * @param {string} name
+ * @return {{out: string, checkpoint: string}} contents of the output file and the checkpoint
+ */
+function readFiles(dir, name) {
+  return {
+    out: fs.readFileSync(join(dir, `${name}.json`), 'utf8'),
+    checkpoint: fs.readFileSync(join(dir, `${name}_checkpoint.json`), 'utf8'),
+  };
+}
+
+/**
+ * Checks of the resume. Each check throws if it fails.
+ * The files of the tuning without stopping, made by the first check, are compared with the others.
+ * The context is {generations, dir: temporary directory, files: the files of the first check}.
+ * @type {import('./tool_util.mjs').Check[]}
+ */
+const CHECKS = [
+  {
+    name: 'tune without stopping',
+    run: (context) => {
+      const output = runTuner(context.dir, 'fresh', context.generations);
+      assert(
+        output.includes(`has run ${context.generations} generations`),
+        `The tuning has not run ${context.generations} generations: ${output}`
+      );
+      context.files = readFiles(context.dir, 'fresh');
+    },
+  },
+  {
+    name: 'tune with a stop after the first generation',
+    run: (context) => {
+      runTuner(context.dir, 'resumed', 1);
+      const output = runTuner(context.dir, 'resumed', context.generations);
+      assert(
+        output.includes('Resumed from'),
+        `The tuning is not resumed: ${output}`
+      );
+      const files = readFiles(context.dir, 'resumed');
+      assert(
+        files.out === context.files.out,
+        'The output file differs from the one of the tuning without stopping'
+      );
+      assert(
+        files.checkpoint === context.files.checkpoint,
+        'The checkpoint differs from the one of the tuning without stopping'
+      );
+    },
+  },
+  {
+    name: 'refuse to resume with other options',
+    run: (context) => {
+      let message = null;
+      try {
+        runTuner(context.dir, 'fresh', context.generations + 1, ['--seed=1']);
+      } catch (error) {
+        message = error.message;
+      }
+      assert(message !== null, 'The tuning is resumed with another seed');
+      assert(
+        message.includes('The checkpoint is of a tuning with seed=0, not 1'),
+        `The tuner failed with another error: ${message}`
+      );
+      const files = readFiles(context.dir, 'fresh');
+      assert(
+        files.checkpoint === context.files.checkpoint,
+        'The checkpoint is changed'
+      );
+      assert(
+        !fs.readdirSync(context.dir).some((file) => file.endsWith('.tmp')),
+        'A temporary file is left'
+      );
+    },
+  },
+  {
+    name: 'resume a finished tuning',
+    run: (context) => {
+      const output = runTuner(context.dir, 'fresh', context.generations);
+      assert(
+        !output.includes('Generation '),
+        `A generation is run after the end of the tuning: ${output}`
+      );
+      const files = readFiles(context.dir, 'fresh');
+      assert(
+        files.checkpoint === context.files.checkpoint,
+        'The checkpoint is changed'
+      );
+    },
+  },
+];
+
+/**
+ * Run the checks in order until one of them fails
+ * @param {string[]} args command line arguments
+ * @return {number} exit code
+ */
+function main(args) {
+  const options = parseOptions(args, { generations: 3 });
+  checkIntegers(options, ['generations'], 2);
+  const context = {
+    generations: options.generations,
+    dir: fs.mkdtempSync(join(os.tmpdir(), 'tuner-resume-')),
+    files: null,
+  };
+  try {
+    if (runChecks(CHECKS, context) !== 0) {
+      return 1;
+    }
+  } finally {
+    fs.rmSync(context.dir, { recursive: true, force: true });
+  }
+  console.log(`${CHECKS.length} passed (${options.generations} generations)`);
+  return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));